@@ -0,0 +1,889 @@
+/**
+ * Shared event and ICS core for the Atlanta Ham Radio calendar.
+ * Loaded by the browser (js/calendar.js, as window.CalendarCore) and by the
+ * Node feed generator (scripts/generate-calendar.js, via require) so that a
+ * single-event download and the subscribed feed serialize events identically.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const eventTypes = {
+        'public-service': { color: '#3b82f6', label: 'Public Service' },
+        'activity':       { color: '#a855f7', label: 'Ham Activity' },
+        'meeting':        { color: '#f97316', label: 'Meeting/Hamfest' },
+        'training':       { color: '#22c55e', label: 'Training & Drills' }
+    };
+
+    // Event status values; `ics` is the VEVENT STATUS the feed publishes.
+    // RFC 5545 has no "postponed": with a new date (postponedTo) the event is
+    // simply moved and stays CONFIRMED, otherwise it is TENTATIVE until rescheduled.
+    const eventStatuses = {
+        'confirmed': { label: 'Confirmed', ics: 'CONFIRMED' },
+        'tentative': { label: 'Tentative', ics: 'TENTATIVE' },
+        'cancelled': { label: 'Cancelled', ics: 'CANCELLED' },
+        'postponed': { label: 'Postponed', ics: 'TENTATIVE' }
+    };
+
+    const TIMEZONE = 'America/New_York';
+
+    // Parse a YYYY-MM-DD string as local time (new Date(string) parses as UTC midnight)
+    function parseLocalDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Format a Date as YYYY-MM-DD in local time
+    function toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // YYYY-MM-DD that names a real calendar day (rejects 2026-02-30). The
+    // data validator and the submission form share these checks.
+    function isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    // HH:MM 24-hour time
+    function isValidTime(value) {
+        return typeof value === 'string' && /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(value);
+    }
+
+    // Absolute http(s) URL
+    function isValidUrl(value) {
+        try {
+            const url = new URL(value);
+            return (url.protocol === 'http:' || url.protocol === 'https:') && !!url.hostname;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const weekdayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const ordinalNames = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'last' };
+
+    // Candidate occurrence dates for the n-th period of a recurrence rule (unsorted)
+    function getRecurrencePeriodDates(rule, start, period) {
+        const interval = rule.interval || 1;
+        const days = (rule.byDay && rule.byDay.length ? rule.byDay : [weekdayCodes[start.getDay()]])
+            .map(code => weekdayCodes.indexOf(code));
+
+        switch (rule.frequency) {
+            case 'daily':
+                return [new Date(start.getFullYear(), start.getMonth(), start.getDate() + period * interval)];
+
+            case 'weekly': {
+                const weekStart = start.getDate() - start.getDay() + period * interval * 7;
+                return days.map(dow => new Date(start.getFullYear(), start.getMonth(), weekStart + dow));
+            }
+
+            case 'monthly': {
+                const year = start.getFullYear();
+                const month = start.getMonth() + period * interval;
+                const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+                if (!rule.byDay || !rule.byDay.length) {
+                    // Same day of month as the first occurrence; months without that day are skipped
+                    return start.getDate() <= daysInMonth ? [new Date(year, month, start.getDate())] : [];
+                }
+
+                const dates = [];
+                days.forEach(dow => {
+                    const firstDow = new Date(year, month, 1).getDay();
+                    const firstDay = 1 + ((dow - firstDow + 7) % 7);
+                    const matches = [];
+                    for (let d = firstDay; d <= daysInMonth; d += 7) {
+                        matches.push(new Date(year, month, d));
+                    }
+                    if (!rule.weekOfMonth) {
+                        dates.push(...matches);
+                    } else {
+                        const match = rule.weekOfMonth > 0
+                            ? matches[rule.weekOfMonth - 1]
+                            : matches[matches.length + rule.weekOfMonth];
+                        if (match) dates.push(match);
+                    }
+                });
+                return dates;
+            }
+
+            case 'yearly': {
+                const date = new Date(start.getFullYear() + period * interval, start.getMonth(), start.getDate());
+                // Skip Feb 29 in non-leap years instead of rolling over to Mar 1
+                return date.getMonth() === start.getMonth() ? [date] : [];
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    // Expand an event into its occurrences that overlap [rangeStart, rangeEnd].
+    // Each occurrence is a copy of the event with its own startDate/endDate.
+    // Follows RRULE semantics: startDate is always the first occurrence, and
+    // count is applied before exception dates are removed.
+    function expandOccurrences(event, rangeStart, rangeEnd) {
+        const durationDays = event.endDate
+            ? Math.round((event.endDate - event.startDate) / 86400000)
+            : 0;
+
+        const overlaps = start => {
+            const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + durationDays, 23, 59, 59, 999);
+            return start <= rangeEnd && end >= rangeStart;
+        };
+
+        const toOccurrence = start => ({
+            ...event,
+            startDate: start,
+            endDate: event.endDate ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + durationDays) : null
+        });
+
+        const rule = event.recurrence;
+        if (!rule) {
+            return overlaps(event.startDate) ? [event] : [];
+        }
+
+        const until = rule.until ? parseLocalDate(rule.until) : null;
+        const exceptions = new Set(rule.exceptions || []);
+        const occurrences = [];
+        let count = 0;
+
+        const accept = date => {
+            count++;
+            if (!exceptions.has(toDateKey(date)) && overlaps(date)) {
+                occurrences.push(toOccurrence(date));
+            }
+        };
+
+        accept(event.startDate);
+
+        // Safety cap: 1000 periods covers 19 years of weekly or 83 years of monthly events
+        for (let period = 0; period < 1000; period++) {
+            const dates = getRecurrencePeriodDates(rule, event.startDate, period)
+                .filter(date => date > event.startDate)
+                .sort((a, b) => a - b);
+
+            if (rule.frequency === 'monthly' || rule.frequency === 'yearly') {
+                // Periods with no matching day must not end the loop
+                const periodStart = rule.frequency === 'monthly'
+                    ? new Date(event.startDate.getFullYear(), event.startDate.getMonth() + period * (rule.interval || 1), 1)
+                    : new Date(event.startDate.getFullYear() + period * (rule.interval || 1), 0, 1);
+                if (periodStart > rangeEnd || (until && periodStart > until)) break;
+            }
+
+            let done = false;
+            for (const date of dates) {
+                if ((until && date > until) || date > rangeEnd || (rule.count && count >= rule.count)) {
+                    done = true;
+                    break;
+                }
+                accept(date);
+            }
+            if (done) break;
+        }
+
+        return occurrences;
+    }
+
+    // How far ahead open-ended series are expanded when listing upcoming events
+    const UPCOMING_RECURRENCE_MONTHS = 6;
+
+    // Occurrences that haven't ended before `today`, in date order. Recurring
+    // events are expanded up to horizonMonths ahead; one-off events are
+    // included however far out they are.
+    function getUpcomingEvents(events, today, horizonMonths = UPCOMING_RECURRENCE_MONTHS) {
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const horizon = new Date(start.getFullYear(), start.getMonth() + horizonMonths, start.getDate());
+
+        return events
+            .flatMap(event => event.recurrence ? expandOccurrences(event, start, horizon) : [event])
+            .filter(event => (event.endDate || event.startDate) >= start)
+            .sort((a, b) => a.startDate - b.startDate);
+    }
+
+    // Occurrences in `year` that ended before `today`, in date order
+    function getArchivedEvents(events, year, today) {
+        const start = new Date(year, 0, 1);
+        const end = new Date(year, 11, 31, 23, 59, 59, 999);
+        const cutoff = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+        return events
+            .flatMap(event => expandOccurrences(event, start, end))
+            .filter(event => event.startDate.getFullYear() === year && (event.endDate || event.startDate) < cutoff)
+            .sort((a, b) => a.startDate - b.startDate);
+    }
+
+    // Years with at least one archived occurrence, newest first
+    function getArchiveYears(events, today) {
+        if (events.length === 0) return [];
+        const first = Math.min(...events.map(event => event.startDate.getFullYear()));
+        const years = [];
+        for (let year = today.getFullYear(); year >= first; year--) {
+            if (getArchivedEvents(events, year, today).length) years.push(year);
+        }
+        return years;
+    }
+
+    /**
+     * Counts for a year's archived occurrences. Cancelled (and undated
+     * postponed) occurrences didn't take place, so they are only counted in
+     * calledOff. Returns { total, calledOff, byType: { type: n },
+     * byMonth: [12 x { type: n }], byOrganizer: [{ organizer, total, byType }] }
+     * with organizers by total, then name.
+     */
+    function summarizeArchive(occurrences) {
+        const emptyCounts = () => Object.fromEntries(Object.keys(eventTypes).map(type => [type, 0]));
+        const summary = {
+            total: 0,
+            calledOff: 0,
+            byType: emptyCounts(),
+            byMonth: Array.from({ length: 12 }, emptyCounts),
+            byOrganizer: []
+        };
+        const organizers = new Map();
+
+        occurrences.forEach(event => {
+            if (isCalledOff(event)) {
+                summary.calledOff++;
+                return;
+            }
+            summary.total++;
+            summary.byType[event.type]++;
+            summary.byMonth[event.startDate.getMonth()][event.type]++;
+
+            const organizer = (event.eventOrganizer || '').trim() || 'Unknown organizer';
+            if (!organizers.has(organizer)) organizers.set(organizer, { organizer, total: 0, byType: emptyCounts() });
+            const entry = organizers.get(organizer);
+            entry.total++;
+            entry.byType[event.type]++;
+        });
+
+        summary.byOrganizer = [...organizers.values()]
+            .sort((a, b) => b.total - a.total || a.organizer.localeCompare(b.organizer));
+        return summary;
+    }
+
+    // Derive a human-readable time string from startTime/endTime (HH:MM 24-hour)
+    function formatTimeDisplay(startTime, endTime) {
+        if (!startTime) return null;
+        const fmt = t => {
+            const [h, m] = t.split(':').map(Number);
+            const period = h >= 12 ? 'pm' : 'am';
+            const hour = h > 12 ? h - 12 : h === 0 ? 12 : h;
+            return m === 0 ? `${hour}${period}` : `${hour}:${String(m).padStart(2, '0')}${period}`;
+        };
+        return endTime ? `${fmt(startTime)}–${fmt(endTime)}` : fmt(startTime);
+    }
+
+    // Human-readable summary of a recurrence rule, e.g. "Monthly on the 2nd Tuesday until Dec 31, 2026"
+    function describeRecurrence(rule) {
+        const interval = rule.interval || 1;
+        const dayList = (rule.byDay || []).map(code => weekdayNames[weekdayCodes.indexOf(code)]).join(', ');
+        const units = { daily: 'days', weekly: 'weeks', monthly: 'months', yearly: 'years' };
+        let text = interval > 1
+            ? `Every ${interval} ${units[rule.frequency]}`
+            : rule.frequency.charAt(0).toUpperCase() + rule.frequency.slice(1);
+
+        if (rule.frequency === 'weekly' && dayList) {
+            text += ` on ${dayList}`;
+        } else if (rule.frequency === 'monthly' && dayList) {
+            text += rule.weekOfMonth ? ` on the ${ordinalNames[rule.weekOfMonth]} ${dayList}` : ` on every ${dayList}`;
+        }
+
+        if (rule.until) {
+            text += ` until ${parseLocalDate(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        } else if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+        return text;
+    }
+
+    // Convert an events.json entry into the in-memory form: startDate/endDate
+    // and session dates become local Date objects, everything else is copied
+    // as-is. A postponed event with a new date is moved there (keeping its
+    // length and its sessions' days), and the date it was originally
+    // scheduled for is kept as originalStartDate.
+    function normalizeEvent(raw) {
+        const event = {
+            ...raw,
+            startDate: parseLocalDate(raw.startDate),
+            endDate: raw.endDate ? parseLocalDate(raw.endDate) : null
+        };
+        if (Array.isArray(raw.sessions)) {
+            event.sessions = raw.sessions.map(session => ({ ...session, date: parseLocalDate(session.date) }));
+        }
+
+        if (raw.status === 'postponed' && raw.postponedTo) {
+            const newStart = parseLocalDate(raw.postponedTo);
+            const shift = Math.round((newStart - event.startDate) / 86400000);
+            event.originalStartDate = event.startDate;
+            event.startDate = newStart;
+            if (event.endDate) {
+                event.endDate = new Date(event.endDate.getFullYear(), event.endDate.getMonth(), event.endDate.getDate() + shift);
+            }
+            if (event.sessions) {
+                event.sessions = event.sessions.map(session => ({
+                    ...session,
+                    date: new Date(session.date.getFullYear(), session.date.getMonth(), session.date.getDate() + shift)
+                }));
+            }
+        }
+
+        return event;
+    }
+
+    // A multi-session event as one single-day occurrence per session, with
+    // the session's times and location (the event's when it has none) and
+    // sessionIndex set; any other event is returned as the only item.
+    function expandSessions(event) {
+        if (!event.sessions || event.sessions.length === 0) return [event];
+        return event.sessions.map((session, index) => ({
+            ...event,
+            startDate: session.date,
+            endDate: null,
+            startTime: session.startTime || null,
+            endTime: session.endTime || null,
+            eventLocation: session.location || event.eventLocation,
+            sessionIndex: index,
+            sessionTitle: session.title || null
+        }));
+    }
+
+    // { lat, lon } of an event's venue, or null if it has no coordinates (or
+    // is a session held somewhere else)
+    function getEventGeo(event) {
+        const venue = event.venue;
+        if (!venue || typeof venue.lat !== 'number' || typeof venue.lon !== 'number') return null;
+        if (event.sessionIndex !== undefined && event.sessions[event.sessionIndex].location) return null;
+        return { lat: venue.lat, lon: venue.lon };
+    }
+
+    // "Saturday, June 27, 2pm–11:59pm" (plus the session title and location, if any)
+    function describeSession(session, event) {
+        const parts = [
+            session.date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' }),
+            formatTimeDisplay(session.startTime, session.endTime) || 'all day'
+        ];
+        if (session.title) parts.unshift(session.title);
+        if (session.location && session.location !== event.eventLocation) parts.push(session.location);
+        return parts.join(', ');
+    }
+
+    // Status key for an event; missing or unknown values mean confirmed
+    function getEventStatus(event) {
+        return eventStatuses[event.status] ? event.status : 'confirmed';
+    }
+
+    // True when the event will not take place on the date it is shown on
+    // (cancelled, or postponed without a new date yet)
+    function isCalledOff(event) {
+        const status = getEventStatus(event);
+        return status === 'cancelled' || (status === 'postponed' && !event.postponedTo);
+    }
+
+    function getICSStatus(event) {
+        const status = getEventStatus(event);
+        return status === 'postponed' && event.postponedTo ? 'CONFIRMED' : eventStatuses[status].ics;
+    }
+
+    // One-sentence status notice for the modal and the ICS description ('' if confirmed)
+    function describeStatus(event) {
+        switch (getEventStatus(event)) {
+            case 'cancelled':
+                return 'This event has been cancelled.';
+            case 'tentative':
+                return 'Tentative: date and details are not yet confirmed.';
+            case 'postponed':
+                return event.originalStartDate
+                    ? `Postponed from ${event.originalStartDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}.`
+                    : 'Postponed: new date to be announced.';
+            default:
+                return '';
+        }
+    }
+
+    // Minimum license for a volunteer position (staffing.licenseClass)
+    const licenseClasses = {
+        'none':       'No license required',
+        'technician': 'Technician class license or higher',
+        'general':    'General class license or higher',
+        'extra':      'Amateur Extra class license'
+    };
+
+    /**
+     * Volunteer staffing of a public-service event, or null if it has none.
+     * needed/filled come from the event's staffing block, or are the sum of
+     * its roles when left out. Returns { needed, filled, open, roles, gear,
+     * licenseClass, netControl }; needed is null when only roles without
+     * counts (or just gear/contact details) are given.
+     */
+    function getStaffing(event) {
+        const staffing = event.staffing;
+        if (!staffing || event.type !== 'public-service') return null;
+
+        const roles = staffing.roles || [];
+        const sum = key => roles.every(role => typeof role[key] === 'number')
+            ? roles.reduce((total, role) => total + role[key], 0)
+            : null;
+        const needed = typeof staffing.needed === 'number' ? staffing.needed : (roles.length ? sum('needed') : null);
+        const filled = typeof staffing.filled === 'number' ? staffing.filled : (roles.length ? sum('filled') : null);
+
+        return {
+            needed,
+            filled: filled || 0,
+            open: needed === null ? null : Math.max(0, needed - (filled || 0)),
+            roles,
+            gear: staffing.gear || null,
+            licenseClass: staffing.licenseClass || null,
+            netControl: staffing.netControl || null
+        };
+    }
+
+    // Public-service events still taking volunteers: not called off, and
+    // either open positions or no counts published (so the sign-up is open)
+    function needsVolunteers(event) {
+        if (event.type !== 'public-service' || isCalledOff(event)) return false;
+        const staffing = getStaffing(event);
+        return !staffing || staffing.open === null || staffing.open > 0;
+    }
+
+    // "12 of 40 volunteers signed up, 28 still needed", "Fully staffed (40 volunteers)"
+    function describeStaffingCount(staffing) {
+        if (!staffing || staffing.needed === null) return '';
+        if (staffing.open === 0) return `Fully staffed (${staffing.filled} volunteer${staffing.filled === 1 ? '' : 's'})`;
+        return `${staffing.filled} of ${staffing.needed} volunteers signed up, ${staffing.open} still needed`;
+    }
+
+    // Plain-text staffing summary, one line per item, for the ICS DESCRIPTION
+    function describeStaffing(event) {
+        const staffing = getStaffing(event);
+        if (!staffing) return '';
+
+        const roleText = role => typeof role.needed === 'number'
+            ? `${role.name} (${role.filled || 0}/${role.needed})`
+            : role.name;
+        return [
+            describeStaffingCount(staffing),
+            staffing.roles.length ? `Positions: ${staffing.roles.map(roleText).join(', ')}` : '',
+            staffing.licenseClass ? `License: ${licenseClasses[staffing.licenseClass]}` : '',
+            staffing.gear ? `Bring: ${staffing.gear}` : '',
+            staffing.netControl ? `Net control: ${staffing.netControl}` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    // ---- Search ----
+
+    // Fields searchEvents looks in, with their weight in the ranking
+    const SEARCH_FIELDS = {
+        title: 5,
+        eventOrganizer: 3,
+        eventLocation: 3,
+        eventDescription: 1,
+        notes: 1
+    };
+
+    // Lowercase words without accents: "Café Net-Control" -> ["cafe", "net", "control"]
+    function tokenize(text) {
+        if (!text) return [];
+        return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    // Typos tolerated in a query word: none below 4 letters, 1 up to 7, then 2
+    function allowedTypos(word) {
+        return word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+    }
+
+    // Edit distance counting a swap of neighbouring letters as one edit.
+    // Gives up early and returns max + 1 once the distance must exceed max.
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let before = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], before[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, row[j]);
+            }
+            if (rowMin > max) return max + 1;
+            before = previous;
+            previous = row;
+        }
+        return previous[b.length];
+    }
+
+    // How well a query word matches a word of the event: 1 exact, 0.8 prefix, 0.5 with typos, 0 not at all
+    function matchQuality(queryWord, word) {
+        if (word === queryWord) return 1;
+        if (queryWord.length >= 2 && word.startsWith(queryWord)) return 0.8;
+        const typos = allowedTypos(queryWord);
+        if (typos && editDistance(queryWord, word, typos) <= typos) return 0.5;
+        return 0;
+    }
+
+    /**
+     * Rank events against a free-text query. Every query word has to match a
+     * word in one of SEARCH_FIELDS (exactly, as a prefix, or within a typo
+     * or two); an event scores the best field weight x match quality for
+     * each query word. Returns [{ event, score, terms }], best first, where
+     * terms are the event's matched words for highlightTerms.
+     * fields ({ field: weight }) lets other records reuse the ranking, e.g.
+     * the clubs directory; a phrase bonus goes to the first field listed.
+     */
+    function searchEvents(events, query, fields = SEARCH_FIELDS) {
+        const queryWords = [...new Set(tokenize(query))];
+        if (queryWords.length === 0) return [];
+
+        const results = [];
+        events.forEach(event => {
+            const fieldWords = Object.entries(fields).map(([field, weight]) => ({ weight, words: tokenize(event[field]) }));
+            const terms = new Set();
+            let score = 0;
+
+            const allMatched = queryWords.every(queryWord => {
+                let best = 0;
+                fieldWords.forEach(({ weight, words }) => words.forEach(word => {
+                    const quality = matchQuality(queryWord, word);
+                    if (quality === 0) return;
+                    terms.add(word);
+                    best = Math.max(best, quality * weight);
+                }));
+                score += best;
+                return best > 0;
+            });
+            if (!allMatched) return;
+
+            // A multi-word query found as a phrase in the title ranks highest
+            const [titleField, titleWeight] = Object.entries(fields)[0];
+            if (queryWords.length > 1 && ` ${tokenize(event[titleField]).join(' ')} `.includes(` ${queryWords.join(' ')} `)) {
+                score += titleWeight;
+            }
+            results.push({ event, score, terms: [...terms] });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // Text (or a number) escaped for HTML content and attribute values; '' for null/undefined.
+    // String-based, so pages, tests and the Node scripts all share it.
+    function escapeHTML(text) {
+        if (text === undefined || text === null) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // HTML-escaped text with the words in `terms` (as returned by searchEvents) wrapped in <mark>
+    function highlightTerms(text, terms) {
+        if (!text) return '';
+        const termSet = new Set(terms);
+
+        // split() with a capture group puts the words at the odd indexes
+        return String(text).split(/([\p{L}\p{N}\p{M}]+)/u).map((part, i) => {
+            const html = escapeHTML(part);
+            return i % 2 === 1 && tokenize(part).some(word => termSet.has(word)) ? `<mark>${html}</mark>` : html;
+        }).join('');
+    }
+
+    // ---- ICS serialization ----
+
+    function pad2(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    // YYYYMMDD from a Date (local time)
+    function formatICSDate(date) {
+        return `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}`;
+    }
+
+    // YYYYMMDDTHHMMSS from a Date (local calendar day) and an HH:MM time string
+    function formatICSDateTime(date, timeString) {
+        const [hours, minutes] = timeString.split(':');
+        return `${formatICSDate(date)}T${hours}${minutes}00`;
+    }
+
+    // YYYYMMDDTHHMMSSZ in UTC, for DTSTAMP
+    function formatICSTimestamp(date) {
+        return `${date.getUTCFullYear()}${pad2(date.getUTCMonth() + 1)}${pad2(date.getUTCDate())}` +
+            `T${pad2(date.getUTCHours())}${pad2(date.getUTCMinutes())}${pad2(date.getUTCSeconds())}Z`;
+    }
+
+    // UNTIL must be in UTC when DTSTART carries a TZID (RFC 5545 §3.3.10).
+    // 03:59:59Z the following day is 23:59:59 EDT / 22:59:59 EST on the until
+    // date, so an occurrence on the last day is always kept.
+    function formatICSUntil(dateString, isTimed) {
+        const date = parseLocalDate(dateString);
+        if (!isTimed) return formatICSDate(date);
+        date.setDate(date.getDate() + 1);
+        return `${formatICSDate(date)}T035959Z`;
+    }
+
+    // Build an RRULE value from an event's recurrence block
+    function formatRRULE(recurrence, isTimed) {
+        const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+        if (recurrence.interval && recurrence.interval > 1) {
+            parts.push(`INTERVAL=${recurrence.interval}`);
+            // expandOccurrences counts every other (third...) week from Sunday;
+            // RFC 5545 weeks start on Monday unless WKST says otherwise
+            if (recurrence.frequency === 'weekly') parts.push('WKST=SU');
+        }
+        if (recurrence.byDay && recurrence.byDay.length) {
+            const prefix = recurrence.frequency === 'monthly' && recurrence.weekOfMonth
+                ? String(recurrence.weekOfMonth)
+                : '';
+            parts.push(`BYDAY=${recurrence.byDay.map(day => prefix + day).join(',')}`);
+        }
+        if (recurrence.until) {
+            parts.push(`UNTIL=${formatICSUntil(recurrence.until, isTimed)}`);
+        } else if (recurrence.count) {
+            parts.push(`COUNT=${recurrence.count}`);
+        }
+        return parts.join(';');
+    }
+
+    // Build an EXDATE line for the recurrence exception dates ('' if none)
+    function formatEXDATE(recurrence, startTime) {
+        if (!recurrence.exceptions || !recurrence.exceptions.length) return '';
+        if (startTime) {
+            const dates = recurrence.exceptions.map(d => formatICSDateTime(parseLocalDate(d), startTime));
+            return `EXDATE;TZID=${TIMEZONE}:${dates.join(',')}`;
+        }
+        const dates = recurrence.exceptions.map(d => formatICSDate(parseLocalDate(d)));
+        return `EXDATE;VALUE=DATE:${dates.join(',')}`;
+    }
+
+    // Escape special characters for ICS TEXT values
+    function escapeICSText(text) {
+        if (!text) return '';
+        return text.replace(/\\/g, '\\\\')
+                   .replace(/;/g, '\\;')
+                   .replace(/,/g, '\\,')
+                   .replace(/\r?\n/g, '\\n');
+    }
+
+    // UTF-8 length of a single code point
+    function utf8Length(char) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) return 1;
+        if (code < 0x800) return 2;
+        if (code < 0x10000) return 3;
+        return 4;
+    }
+
+    // RFC 5545 §3.1 line folding: lines must not exceed 75 octets.
+    // Long lines are broken with CRLF + single space; the space counts toward
+    // the continuation line's 75 octets. Splits only between code points, so
+    // multi-byte characters (including emoji) are never cut in half.
+    function foldICSLine(line) {
+        let result = '';
+        let current = '';
+        let currentBytes = 0;
+        let limit = 75;
+        for (const char of line) {
+            const size = utf8Length(char);
+            if (currentBytes + size > limit) {
+                result += current + '\r\n ';
+                current = '';
+                currentBytes = 0;
+                limit = 74;
+            }
+            current += char;
+            currentBytes += size;
+        }
+        return result + current;
+    }
+
+    // America/New_York definition referenced by TZID on timed events
+    const VTIMEZONE_LINES = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${TIMEZONE}`,
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:-0500',
+        'TZOFFSETTO:-0400',
+        'TZNAME:EDT',
+        'DTSTART:19700308T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:-0400',
+        'TZOFFSETTO:-0500',
+        'TZNAME:EST',
+        'DTSTART:19701101T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    // Multi-day events are always all-day regardless of time fields; their
+    // per-day hours go in sessions (see expandSessions)
+    function isTimedEvent(event) {
+        return !!(event.startTime && event.endTime && !event.endDate);
+    }
+
+    // Unfolded VEVENT content lines for a normalized event, or for one session
+    // of it from expandSessions (own UID, RELATED-TO the event's UID).
+    // options.timestamp: DTSTAMP value (defaults to now)
+    // options.lastModified: LAST-MODIFIED value (omitted if not set)
+    // options.sequence: SEQUENCE, bumped by the feed generator on each revision
+    // options.status: STATUS override (defaults to the event's own status)
+    function buildVEvent(event, options = {}) {
+        const timestamp = options.timestamp || formatICSTimestamp(new Date());
+        const hasTime = isTimedEvent(event);
+        let dtstart, dtend;
+
+        if (hasTime) {
+            dtstart = `DTSTART;TZID=${TIMEZONE}:${formatICSDateTime(event.startDate, event.startTime)}`;
+            dtend = `DTEND;TZID=${TIMEZONE}:${formatICSDateTime(event.startDate, event.endTime)}`;
+        } else {
+            // All-day: DTEND is exclusive, so it is the day after the last day
+            const last = event.endDate || event.startDate;
+            const endDateObj = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+            dtstart = `DTSTART;VALUE=DATE:${formatICSDate(event.startDate)}`;
+            dtend = `DTEND;VALUE=DATE:${formatICSDate(endDateObj)}`;
+        }
+
+        const isSession = event.sessionIndex !== undefined;
+        const schedule = !isSession && event.sessions && event.sessions.length
+            ? `Schedule:\n${event.sessions.map(session => describeSession(session, event)).join('\n')}`
+            : '';
+        const statusNote = describeStatus(event);
+        const description = escapeICSText([statusNote, event.eventDescription, schedule, describeStaffing(event)].filter(Boolean).join('\n\n'));
+        const title = isSession
+            ? `${event.title}: ${event.sessionTitle || `Session ${event.sessionIndex + 1} of ${event.sessions.length}`}`
+            : event.title;
+        // Not every client shows STATUS, so called-off events also say so in the title
+        const summary = isCalledOff(event)
+            ? `${eventStatuses[getEventStatus(event)].label.toUpperCase()}: ${title}`
+            : title;
+        const url = event.volunteerSignUpUrl || event.eventUrl;
+        const parentUID = `event-${event.id}@atlantahamradio.org`;
+        const geo = getEventGeo(event);
+
+        return [
+            'BEGIN:VEVENT',
+            isSession ? `UID:event-${event.id}-session-${event.sessionIndex + 1}@atlantahamradio.org` : `UID:${parentUID}`,
+            `DTSTAMP:${timestamp}`,
+            options.lastModified ? `LAST-MODIFIED:${options.lastModified}` : '',
+            `SEQUENCE:${options.sequence || 0}`,
+            dtstart,
+            dtend,
+            // Recurring events are published once with RRULE/EXDATE rather than per occurrence
+            event.recurrence ? `RRULE:${formatRRULE(event.recurrence, hasTime)}` : '',
+            event.recurrence ? formatEXDATE(event.recurrence, hasTime ? event.startTime : null) : '',
+            isSession ? `RELATED-TO;RELTYPE=PARENT:${parentUID}` : '',
+            `SUMMARY:${escapeICSText(summary)}`,
+            `LOCATION:${escapeICSText(event.eventLocation)}`,
+            geo ? `GEO:${geo.lat};${geo.lon}` : '',
+            description ? `DESCRIPTION:${description}` : '',
+            url ? `URL:${url}` : '',
+            `CATEGORIES:${escapeICSText(eventTypes[event.type] ? eventTypes[event.type].label : 'Event')}`,
+            `STATUS:${options.status || getICSStatus(event)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ].filter(line => line);
+    }
+
+    // buildVEvent options for an event as the feed last published it, from its
+    // data/ics-state.json record ({ sequence, lastModified }); {} without one
+    function feedVEventOptions(record) {
+        if (!record) return {};
+        const lastModified = formatICSTimestamp(new Date(record.lastModified));
+        return { timestamp: lastModified, lastModified, sequence: record.sequence };
+    }
+
+    // Complete VCALENDAR text (folded, CRLF line endings) for normalized events.
+    // options.properties: extra calendar-level lines (X-WR-CALNAME etc.)
+    // options.timestamp: DTSTAMP shared by every VEVENT
+    // options.veventOptions: event => per-event buildVEvent options, which
+    //   take precedence over the shared timestamp
+    function buildCalendar(events, options = {}) {
+        const timestamp = options.timestamp || formatICSTimestamp(new Date());
+        const veventOptions = options.veventOptions || (() => ({}));
+        // A multi-session event is published as an all-day event spanning its
+        // days plus one (usually timed) VEVENT per session, linked to it by RELATED-TO
+        const withSessions = event => event.sessions && event.sessions.length ? [event, ...expandSessions(event)] : [event];
+        const needsTimezone = events.flatMap(withSessions).some(isTimedEvent);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Atlanta Ham Radio//Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...(options.properties || []),
+            ...(needsTimezone ? VTIMEZONE_LINES : []),
+            ...events.flatMap(event => withSessions(event)
+                .flatMap(vevent => buildVEvent(vevent, { timestamp, ...veventOptions(event) }))),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(foldICSLine).join('\r\n') + '\r\n';
+    }
+
+    return {
+        TIMEZONE,
+        eventTypes,
+        eventStatuses,
+        parseLocalDate,
+        toDateKey,
+        isValidDate,
+        isValidTime,
+        isValidUrl,
+        weekdayCodes,
+        weekdayNames,
+        ordinalNames,
+        normalizeEvent,
+        expandSessions,
+        describeSession,
+        getEventGeo,
+        getEventStatus,
+        isCalledOff,
+        getICSStatus,
+        describeStatus,
+        licenseClasses,
+        getStaffing,
+        needsVolunteers,
+        describeStaffingCount,
+        describeStaffing,
+        expandOccurrences,
+        getUpcomingEvents,
+        getArchivedEvents,
+        getArchiveYears,
+        summarizeArchive,
+        formatTimeDisplay,
+        describeRecurrence,
+        SEARCH_FIELDS,
+        tokenize,
+        editDistance,
+        searchEvents,
+        escapeHTML,
+        highlightTerms,
+        formatICSDate,
+        formatICSDateTime,
+        formatICSTimestamp,
+        formatRRULE,
+        formatEXDATE,
+        escapeICSText,
+        foldICSLine,
+        VTIMEZONE_LINES,
+        isTimedEvent,
+        buildVEvent,
+        feedVEventOptions,
+        buildCalendar
+    };
+});
@@ -1,59 +1,72 @@
 let events = [];
 let currentDate = new Date();
 let currentView = 'month';
+let expandedDay = null;         // YYYY-MM-DD whose "+N more" popover is open
 let filterCategory = 'all';
+let volunteersOnly = false;     // only public-service events still taking volunteers
 let searchQuery = '';
-
-const eventTypes = {
-    'public-service': { color: '#3b82f6', label: 'Public Service' },
-    'activity':       { color: '#a855f7', label: 'Ham Activity' },
-    'meeting':        { color: '#f97316', label: 'Meeting/Hamfest' },
-    'training':       { color: '#22c55e', label: 'Training & Drills' }
-};
+let includePastEvents = false;  // search results include events that already happened
+let archiveYear = null;         // year shown in the archive view (null: the latest with past events)
+let openEventLink = null;      // { id, date } of the event shown in the modal
+let modalHistoryPushed = false; // the open modal added its own history entry
+let syncingFromURL = false;     // applying URL state: don't write it back
+let selectedMapPlace = null;    // "lat,lon" of the map marker whose events are listed
+let icsState;                   // data/ics-state.json once a download needs it (null if missing)
+
+// Event parsing, recurrence and ICS serialization are shared with the feed
+// generator through js/calendar-core.js (loaded before this script)
+const {
+    eventTypes,
+    toDateKey,
+    parseLocalDate,
+    normalizeEvent,
+    expandSessions,
+    describeSession,
+    getEventGeo,
+    getEventStatus,
+    describeStatus,
+    licenseClasses,
+    getStaffing,
+    needsVolunteers,
+    expandOccurrences,
+    getUpcomingEvents,
+    getArchivedEvents,
+    getArchiveYears,
+    summarizeArchive,
+    formatTimeDisplay,
+    describeRecurrence,
+    tokenize,
+    searchEvents,
+    escapeHTML,
+    highlightTerms,
+    feedVEventOptions,
+    buildCalendar
+} = CalendarCore;
+
+// SVG event map (js/map.js, also loaded before this script)
+const { renderMap, mapLink } = SiteMap;
+
+// List view cards, shared with the submission preview (js/event-card.js, loaded before this script)
+const { renderStatusBadge, statusClasses, renderStaffingProgress, renderEventCard } = EventCard;
 
 const monthNames = ["January", "February", "March", "April", "May", "June",
     "July", "August", "September", "October", "November", "December"];
 
-// HTML escaping function to prevent XSS attacks
-function escapeHTML(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-}
-
-// Derive a human-readable time string from startTime/endTime (HH:MM 24-hour)
-function formatTimeDisplay(startTime, endTime) {
-    if (!startTime) return null;
-    const fmt = t => {
-        const [h, m] = t.split(':').map(Number);
-        const period = h >= 12 ? 'pm' : 'am';
-        const hour = h > 12 ? h - 12 : h === 0 ? 12 : h;
-        return m === 0 ? `${hour}${period}` : `${hour}:${String(m).padStart(2, '0')}${period}`;
-    };
-    return endTime ? `${fmt(startTime)}–${fmt(endTime)}` : fmt(startTime);
-}
+// Calendar views, in the order of their buttons (#monthViewBtn, #weekViewBtn, ...)
+const calendarViews = ['month', 'week', 'agenda', 'list', 'map', 'archive'];
+
+// Week view: hours shown even when no event falls outside them
+const WEEK_START_HOUR = 7;
+const WEEK_END_HOUR = 21;
+// Timed events with no endTime are drawn this long in the week view
+const DEFAULT_EVENT_MINUTES = 60;
 
 async function loadEvents() {
     try {
         const response = await fetch('data/events.json');
         const data = await response.json();
-        events = data.events.map(e => {
-            // Parse startDate as local time to avoid timezone offset issues
-            const [year, month, day] = e.startDate.split('-').map(Number);
-            const eventData = {
-                ...e,
-                startDate: new Date(year, month - 1, day)
-            };
-
-            // Parse endDate if it exists
-            if (e.endDate) {
-                const [endYear, endMonth, endDay] = e.endDate.split('-').map(Number);
-                eventData.endDate = new Date(endYear, endMonth - 1, endDay);
-            }
-
-            return eventData;
-        });
+        // Dates are parsed as local time to avoid timezone offset issues
+        events = data.events.map(normalizeEvent);
         renderCalendar();
     } catch (error) {
         console.error('Error loading events:', error);
@@ -78,12 +91,28 @@ function renderFilters() {
                 ${type.label}
             </button>
         `).join('')}
+        <button class="filter-btn ${volunteersOnly ? 'active' : ''}" onclick="toggleVolunteersOnly()" aria-pressed="${volunteersOnly}">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><line x1="19" x2="19" y1="8" y2="14"/><line x1="22" x2="16" y1="11" y2="11"/></svg>
+            Needs Volunteers
+        </button>
     `;
 }
 
 function setFilter(category) {
     filterCategory = category;
     renderCalendar();
+    syncURL('push');
+}
+
+function toggleVolunteersOnly() {
+    volunteersOnly = !volunteersOnly;
+    renderCalendar();
+    syncURL('push');
+}
+
+// Category filter plus "Needs Volunteers"
+function matchesFilters(event) {
+    return (filterCategory === 'all' || event.type === filterCategory) && (!volunteersOnly || needsVolunteers(event));
 }
 
 function handleSearch() {
@@ -94,11 +123,20 @@ function handleSearch() {
         clearBtn.style.display = searchQuery ? 'flex' : 'none';
     }
 
-    if (searchQuery && currentView === 'month') {
+    // Search results are shown as a list
+    if (searchQuery && currentView !== 'list') {
         setView('list');
     }
 
     renderCalendar();
+    // One history entry per search, not per keystroke
+    syncURL('replace');
+}
+
+function togglePastEvents(include) {
+    includePastEvents = include;
+    renderCalendar();
+    syncURL('replace');
 }
 
 function clearSearch() {
@@ -111,52 +149,217 @@ function clearSearch() {
     }
 
     renderCalendar();
+    syncURL('replace');
 }
 
 function setView(view) {
     currentView = view;
-    document.getElementById('monthViewBtn').classList.toggle('active', view === 'month');
-    document.getElementById('listViewBtn').classList.toggle('active', view === 'list');
+    expandedDay = null;
+    selectedMapPlace = null;
+    calendarViews.forEach(name => {
+        document.getElementById(`${name}ViewBtn`).classList.toggle('active', view === name);
+    });
 
+    // The list and map views always start today, so they have no previous/next
     const monthNav = document.querySelector('.month-nav');
     if (monthNav) {
-        monthNav.style.visibility = view === 'month' ? 'visible' : 'hidden';
+        monthNav.style.visibility = view === 'list' || view === 'map' ? 'hidden' : 'visible';
+    }
+
+    if (view === 'map' && !mapLandmarksLoaded) {
+        loadMapLandmarks();
     }
 
-    if (view === 'month' && searchQuery) {
+    if (view !== 'list' && searchQuery) {
         searchQuery = '';
         document.getElementById('searchInput').value = '';
     }
 
     renderCalendar();
+    syncURL('push');
 }
 
 function changeMonth(direction) {
     currentDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + direction, 1);
+    expandedDay = null;
     renderCalendar();
+    syncURL('push');
 }
 
-function getEventsForDay(day) {
-    const checkDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), day);
+// Previous/next buttons: a week at a time in the week view, a year in the
+// archive, otherwise a month
+function changePeriod(direction) {
+    if (currentView === 'archive') {
+        setArchiveYear(getArchiveYear() + direction);
+        return;
+    }
+    if (currentView !== 'week') {
+        changeMonth(direction);
+        return;
+    }
+    const weekStart = getWeekStart(currentDate);
+    currentDate = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7 * direction);
+    renderCalendar();
+    syncURL('push');
+}
 
-    return events.filter(event => {
-        if (filterCategory !== 'all' && event.type !== filterCategory) return false;
+// Sunday on or before date
+function getWeekStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+}
 
-        const startDate = new Date(event.startDate);
-        startDate.setHours(0, 0, 0, 0);
+// URL state: ?view=list&type=training&volunteers=1&q=marathon&month=2026-03 for the
+// calendar view (week=2026-03-08, the Sunday, instead of month in the week
+// view and year=2025 in the archive), plus #event=12 (or #event=12&date=2026-03-10 for one occurrence of
+// a recurring event) while an event is open. Defaults are left out, so the
+// plain page URL is the current month with no filters.
+function monthKey(date) {
+    return toDateKey(date).slice(0, 7);
+}
 
-        const endDate = event.endDate ? new Date(event.endDate) : new Date(event.startDate);
-        endDate.setHours(23, 59, 59, 999);
+function readURLState(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const state = { view: 'month', type: 'all', volunteers: false, q: '', past: false, month: null, year: null, eventId: null, eventDate: null };
 
-        checkDate.setHours(12, 0, 0, 0);
+    if (calendarViews.includes(params.get('view'))) state.view = params.get('view');
+    if (eventTypes[params.get('type')]) state.type = params.get('type');
+    state.volunteers = params.get('volunteers') === '1';
+    state.q = (params.get('q') || '').trim().toLowerCase();
+    state.past = params.get('past') === '1';
 
-        return checkDate >= startDate && checkDate <= endDate;
-    });
+    const month = params.get('month') || '';
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        state.month = parseLocalDate(`${month}-01`);
+    }
+    const week = params.get('week') || '';
+    if (state.view === 'week' && /^\d{4}-\d{2}-\d{2}$/.test(week) && !isNaN(parseLocalDate(week))) {
+        state.month = getWeekStart(parseLocalDate(week));
+    }
+    if (state.view === 'archive' && /^\d{4}$/.test(params.get('year') || '')) {
+        state.year = Number(params.get('year'));
+    }
+
+    if (/^\d+$/.test(hash.get('event') || '')) {
+        state.eventId = Number(hash.get('event'));
+        if (/^\d{4}-\d{2}-\d{2}$/.test(hash.get('date') || '')) state.eventDate = hash.get('date');
+    }
+
+    return state;
+}
+
+function buildCalendarURL(location = window.location) {
+    const params = new URLSearchParams();
+    if (currentView !== 'month') params.set('view', currentView);
+    if (filterCategory !== 'all') params.set('type', filterCategory);
+    if (volunteersOnly) params.set('volunteers', '1');
+    if (searchQuery) params.set('q', searchQuery);
+    if (includePastEvents) params.set('past', '1');
+    if (currentView === 'archive') {
+        if (archiveYear !== null) params.set('year', String(archiveYear));
+    } else if (currentView === 'week') {
+        const weekStart = getWeekStart(currentDate);
+        if (weekStart.getTime() !== getWeekStart(new Date()).getTime()) params.set('week', toDateKey(weekStart));
+    } else if (monthKey(currentDate) !== monthKey(new Date())) {
+        params.set('month', monthKey(currentDate));
+    }
+
+    let hash = '';
+    if (openEventLink) {
+        hash = `#event=${openEventLink.id}${openEventLink.date ? `&date=${openEventLink.date}` : ''}`;
+    } else if (location.hash && !location.hash.startsWith('#event=')) {
+        // Keep in-page anchors such as #calendar
+        hash = location.hash;
+    }
+
+    const search = params.toString();
+    return `${location.pathname}${search ? `?${search}` : ''}${hash}`;
+}
+
+// mode: 'push' adds a history entry (back undoes it), 'replace' updates the current one.
+// Returns true if the URL changed.
+function syncURL(mode) {
+    if (syncingFromURL || !window.history) return false;
+    const url = buildCalendarURL();
+    const location = window.location;
+    if (url === `${location.pathname}${location.search}${location.hash}`) return false;
+
+    if (mode === 'push') {
+        window.history.pushState(null, '', url);
+    } else {
+        window.history.replaceState(null, '', url);
+    }
+    return true;
+}
+
+// Restore the calendar (and open event, if any) from the URL, e.g. on load or back/forward
+function applyURLState(state) {
+    syncingFromURL = true;
+    try {
+        filterCategory = state.type;
+        volunteersOnly = state.volunteers;
+        searchQuery = state.q;
+        includePastEvents = state.past;
+        document.getElementById('includePastToggle').checked = state.past;
+        currentDate = state.month || new Date();
+        archiveYear = state.year;
+        expandedDay = null;
+
+        document.getElementById('searchInput').value = state.q;
+        const clearBtn = document.getElementById('searchClearBtn');
+        if (clearBtn) {
+            clearBtn.style.display = state.q ? 'flex' : 'none';
+        }
+
+        setView(state.q ? 'list' : state.view);
+
+        if (state.eventId && events.some(event => event.id === state.eventId)) {
+            showEventModal(state.eventId, state.eventDate || undefined);
+        } else if (openEventLink) {
+            closeModal();
+        }
+    } finally {
+        syncingFromURL = false;
+    }
+}
+
+function getEventsForDay(day) {
+    return getEventsForDate(new Date(currentDate.getFullYear(), currentDate.getMonth(), day));
+}
+
+// Events (or occurrences, or sessions) on a calendar day, honoring the filters.
+// A multi-session event only shows on the days it has a session.
+function getEventsForDate(date) {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+    return events
+        .filter(matchesFilters)
+        .flatMap(event => expandOccurrences(event, dayStart, dayEnd))
+        .flatMap(expandSessions)
+        .filter(event => event.startDate <= dayEnd && (event.endDate || event.startDate) >= dayStart);
+}
+
+// All-day events first, then by start time
+function sortByTime(dayEvents) {
+    return [...dayEvents].sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+}
+
+// onclick handler for an event or, for recurring events, one specific occurrence
+function eventClickHandler(event) {
+    return event.recurrence
+        ? `showEventModal(${event.id}, "${toDateKey(event.startDate)}")`
+        : `showEventModal(${event.id})`;
 }
 
 function renderCalendar() {
-    document.getElementById('monthYear').textContent =
-        `${monthNames[currentDate.getMonth()]} ${currentDate.getFullYear()}`;
+    const titles = {
+        week: () => formatWeekRange(getWeekStart(currentDate)),
+        archive: () => `${getArchiveYear()} Archive`
+    };
+    document.getElementById('monthYear').textContent = titles[currentView]
+        ? titles[currentView]()
+        : `${monthNames[currentDate.getMonth()]} ${currentDate.getFullYear()}`;
 
     renderFilters();
 
@@ -164,11 +367,31 @@ function renderCalendar() {
 
     if (currentView === 'month') {
         container.innerHTML = renderMonthView();
+    } else if (currentView === 'week') {
+        container.innerHTML = renderWeekView();
+    } else if (currentView === 'agenda') {
+        container.innerHTML = renderAgendaView();
+    } else if (currentView === 'map') {
+        container.innerHTML = renderMapView();
+    } else if (currentView === 'archive') {
+        container.innerHTML = renderArchiveView();
     } else {
         container.innerHTML = renderListView();
     }
 }
 
+// "Jan 4 – 10, 2026", "Jan 25 – Feb 1, 2026", "Dec 28, 2025 – Jan 3, 2026"
+function formatWeekRange(weekStart) {
+    const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+    const monthDay = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    if (weekStart.getFullYear() !== weekEnd.getFullYear()) {
+        return `${monthDay(weekStart)}, ${weekStart.getFullYear()} – ${monthDay(weekEnd)}, ${weekEnd.getFullYear()}`;
+    }
+    const end = weekStart.getMonth() === weekEnd.getMonth() ? weekEnd.getDate() : monthDay(weekEnd);
+    return `${monthDay(weekStart)} – ${end}, ${weekEnd.getFullYear()}`;
+}
+
 function renderMonthView() {
     const year = currentDate.getFullYear();
     const month = currentDate.getMonth();
@@ -191,17 +414,17 @@ function renderMonthView() {
         const dayEvents = getEventsForDay(day);
         const isToday = isCurrentMonth && today.getDate() === day;
 
+        const dateKey = toDateKey(new Date(year, month, day));
+        const isExpanded = expandedDay === dateKey && dayEvents.length > 2;
+
         html += `
-            <div class="calendar-day ${isToday ? 'today' : ''}">
+            <div class="calendar-day ${isToday ? 'today' : ''} ${isExpanded ? 'expanded' : ''}">
                 <div class="date">${day}</div>
                 <div class="events">
-                    ${dayEvents.slice(0, 2).map(event => `
-                        <div class="mini-event event-type-${event.type}" onclick='showEventModal(${event.id})'>
-                            ${escapeHTML(event.title)}
-                        </div>
-                    `).join('')}
-                    ${dayEvents.length > 2 ? `<div class="more-events">+${dayEvents.length - 2} more</div>` : ''}
+                    ${dayEvents.slice(0, 2).map(renderMiniEvent).join('')}
+                    ${dayEvents.length > 2 ? `<button type="button" class="more-events" onclick='event.stopPropagation(); showDayPopover("${dateKey}")'>+${dayEvents.length - 2} more</button>` : ''}
                 </div>
+                ${isExpanded ? renderDayPopover(new Date(year, month, day), dayEvents) : ''}
             </div>
         `;
     }
@@ -210,71 +433,492 @@ function renderMonthView() {
     return html;
 }
 
-function renderListView() {
+function renderMiniEvent(event) {
+    return `
+        <div class="mini-event event-type-${event.type} ${statusClasses(event)}" onclick='${eventClickHandler(event)}'>
+            ${escapeHTML(event.title)}
+        </div>
+    `;
+}
+
+// Every event of one day, opened from the "+N more" link of a busy month-view cell
+function renderDayPopover(date, dayEvents) {
+    // Right-hand columns open leftwards so the popover stays inside the grid
+    const alignRight = date.getDay() >= 4;
+    return `
+        <div class="day-popover ${alignRight ? 'align-right' : ''}" role="dialog" aria-label="Events on ${date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}" onclick="event.stopPropagation()">
+            <div class="day-popover-header">
+                <span>${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                <button type="button" class="day-popover-close" onclick="closeDayPopover()" aria-label="Close">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>
+                </button>
+            </div>
+            ${sortByTime(dayEvents).map(renderMiniEvent).join('')}
+        </div>
+    `;
+}
+
+function showDayPopover(dateKey) {
+    expandedDay = dateKey;
+    renderCalendar();
+}
+
+function closeDayPopover() {
+    expandedDay = null;
+    renderCalendar();
+}
+
+// Minutes since midnight for an HH:MM time
+function toMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// Side-by-side lanes for overlapping timed events; sets lane and lanes on each item
+function layoutTimedEvents(items) {
+    let cluster = [];
+    let clusterEnd = -1;
+    let laneEnds = [];
+    const closeCluster = () => cluster.forEach(item => { item.lanes = laneEnds.length; });
+
+    [...items].sort((a, b) => a.start - b.start || b.end - a.end).forEach(item => {
+        if (item.start >= clusterEnd) {
+            closeCluster();
+            cluster = [];
+            laneEnds = [];
+        }
+        let lane = laneEnds.findIndex(end => end <= item.start);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = item.end;
+        item.lane = lane;
+        cluster.push(item);
+        clusterEnd = Math.max(clusterEnd, item.end);
+    });
+    closeCluster();
+    return items;
+}
+
+// Week view: all-day and multi-day events in a row across the top, timed
+// single-day events placed in hourly slots by startTime/endTime
+function renderWeekView() {
+    const weekStart = getWeekStart(currentDate);
+    const days = Array.from({ length: 7 }, (_, i) => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+    const todayKey = toDateKey(new Date());
+
+    const columns = days.map(date => {
+        const dayEvents = getEventsForDate(date);
+        const isSlotted = event => event.startTime && (!event.endDate || event.endDate.getTime() === event.startDate.getTime());
+        const timed = dayEvents.filter(isSlotted).map(event => {
+            const start = toMinutes(event.startTime);
+            const end = event.endTime ? Math.max(toMinutes(event.endTime), start + 15) : start + DEFAULT_EVENT_MINUTES;
+            return { event, start, end: Math.min(end, 24 * 60) };
+        });
+        return { date, allDay: sortByTime(dayEvents.filter(event => !isSlotted(event))), timed: layoutTimedEvents(timed) };
+    });
+
+    const timedItems = columns.flatMap(column => column.timed);
+    const firstHour = Math.min(WEEK_START_HOUR, ...timedItems.map(item => Math.floor(item.start / 60)));
+    const lastHour = Math.max(WEEK_END_HOUR, ...timedItems.map(item => Math.ceil(item.end / 60)));
+    const rangeMinutes = (lastHour - firstHour) * 60;
+    const percent = minutes => `${(minutes / rangeMinutes * 100).toFixed(3)}%`;
+    const hours = Array.from({ length: lastHour - firstHour }, (_, i) => firstHour + i);
+
+    return `
+        <div class="week-view" style="--week-hours: ${hours.length}">
+            <div class="week-row week-header">
+                <div></div>
+                ${columns.map(({ date }) => `
+                    <div class="week-day-header ${toDateKey(date) === todayKey ? 'today' : ''}">
+                        <span class="week-day-name">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                        <span class="week-day-number">${date.getDate()}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="week-row week-all-day">
+                <div class="week-time-label">All day</div>
+                ${columns.map(({ allDay }) => `<div class="week-all-day-cell">${allDay.map(renderMiniEvent).join('')}</div>`).join('')}
+            </div>
+            <div class="week-row week-body">
+                <div class="week-times">
+                    ${hours.map(hour => `<div class="week-time-label">${formatTimeDisplay(`${String(hour).padStart(2, '0')}:00`)}</div>`).join('')}
+                </div>
+                ${columns.map(({ date, timed }) => `
+                    <div class="week-column ${toDateKey(date) === todayKey ? 'today' : ''}">
+                        ${timed.map(({ event, start, end, lane, lanes }) => `
+                            <div class="week-event event-type-${event.type} ${statusClasses(event)}"
+                                style="top: ${percent(start - firstHour * 60)}; height: ${percent(end - start)}; left: ${(lane / lanes * 100).toFixed(3)}%; width: ${(100 / lanes).toFixed(3)}%"
+                                onclick='${eventClickHandler(event)}'>
+                                <span class="week-event-time">${formatTimeDisplay(event.startTime, event.endTime)}</span>
+                                <span class="week-event-title">${escapeHTML(event.title)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Agenda view: the displayed month's events grouped by day, days without events skipped
+function renderAgendaView() {
+    const year = currentDate.getFullYear();
+    const month = currentDate.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const todayKey = toDateKey(new Date());
+
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const dayEvents = sortByTime(getEventsForDate(date));
+        if (dayEvents.length) days.push({ date, dayEvents });
+    }
+
+    if (days.length === 0) {
+        return `<div style="text-align: center; padding: 2rem; color: #94a3b8;">No events in ${monthNames[month]} ${year}.</div>`;
+    }
+
+    return `
+        <div class="agenda-view">
+            ${days.map(({ date, dayEvents }) => `
+                <div class="agenda-day ${toDateKey(date) === todayKey ? 'today' : ''}">
+                    <div class="agenda-date">
+                        <span class="agenda-weekday">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                        <span class="agenda-day-number">${date.getDate()}</span>
+                    </div>
+                    <div class="agenda-events">
+                        ${dayEvents.map(event => `
+                            <div class="agenda-event" onclick='${eventClickHandler(event)}'>
+                                <span class="agenda-time">${formatTimeDisplay(event.startTime, event.endTime) || 'All day'}</span>
+                                <span class="event-dot" style="background: ${eventTypes[event.type].color}"></span>
+                                <span class="agenda-title ${statusClasses(event)}">${escapeHTML(event.title)}</span>
+                                ${renderStatusBadge(event)}
+                                <span class="agenda-location">${escapeHTML(event.eventLocation)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Map view: towns for orientation, from the gazetteer used to geocode events
+let mapLandmarks = [];
+let mapLandmarksLoaded = false;
+
+async function loadMapLandmarks() {
+    mapLandmarksLoaded = true;
+    try {
+        const response = await fetch('data/gazetteer.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const gazetteer = await response.json();
+        mapLandmarks = gazetteer.places.filter(place => place.landmark);
+    } catch (error) {
+        console.error('Error loading map landmarks:', error);
+    }
+    if (currentView === 'map') renderCalendar();
+}
+
+// Upcoming events (next occurrence of each) grouped by venue coordinates,
+// plus the ones without coordinates
+function getMapPlaces() {
+    const seen = new Set();
+    const places = new Map();
+    const unplaced = [];
+
+    getUpcomingEvents(events.filter(matchesFilters), new Date()).forEach(event => {
+        if (seen.has(event.id)) return;
+        seen.add(event.id);
+
+        const geo = getEventGeo(event);
+        if (!geo) {
+            unplaced.push(event);
+            return;
+        }
+        const key = `${geo.lat},${geo.lon}`;
+        if (!places.has(key)) places.set(key, { key, ...geo, location: event.eventLocation, events: [] });
+        places.get(key).events.push(event);
+    });
+
+    return { places: [...places.values()], unplaced };
+}
+
+function selectMapPlace(key) {
+    selectedMapPlace = key;
+    renderCalendar();
+}
+
+function closeMapPlace() {
+    selectedMapPlace = null;
+    renderCalendar();
+}
+
+// Map view: one marker per venue, colored by the type of its next event. A
+// venue with several events lists them when clicked.
+function renderMapView() {
+    const { places, unplaced } = getMapPlaces();
+    const selected = places.find(place => place.key === selectedMapPlace);
+
+    const unplacedList = unplaced.length ? `
+        <details class="map-unplaced">
+            <summary>${unplaced.length} upcoming event${unplaced.length === 1 ? '' : 's'} without a map location</summary>
+            ${unplaced.map(renderMiniEvent).join('')}
+        </details>
+    ` : '';
+
+    if (places.length === 0) {
+        return `<div style="text-align: center; padding: 2rem; color: #94a3b8;">No upcoming events with a map location for the selected filter.</div>${unplacedList}`;
+    }
+
+    const markers = places.map(place => ({
+        lat: place.lat,
+        lon: place.lon,
+        color: eventTypes[place.events[0].type].color,
+        count: place.events.length,
+        title: `${place.location}: ${place.events.map(event => event.title).join(', ')}`,
+        onclick: place.events.length === 1 ? eventClickHandler(place.events[0]) : `selectMapPlace("${place.key}")`,
+        active: place === selected
+    }));
+
+    return `
+        <div class="map-view">
+            <div class="map-canvas">
+                ${renderMap({ markers, landmarks: mapLandmarks, label: 'Map of upcoming events' })}
+                ${selected ? `
+                <div class="day-popover map-popover" role="dialog" aria-label="Events at ${escapeHTML(selected.location)}">
+                    <div class="day-popover-header">
+                        <span>${escapeHTML(selected.location)}</span>
+                        <button type="button" class="day-popover-close" onclick="closeMapPlace()" aria-label="Close">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>
+                        </button>
+                    </div>
+                    ${selected.events.map(renderMiniEvent).join('')}
+                </div>
+                ` : ''}
+            </div>
+            <div class="map-legend">
+                ${Object.values(eventTypes).map(type => `
+                    <span><span class="event-dot" style="background: ${type.color}"></span>${type.label}</span>
+                `).join('')}
+            </div>
+            ${unplacedList}
+        </div>
+    `;
+}
+
+// Year the archive view shows: the chosen one, or the latest with past events
+function getArchiveYear() {
+    if (archiveYear !== null) return archiveYear;
+    return getArchiveYears(events, new Date())[0] || new Date().getFullYear();
+}
+
+function setArchiveYear(year) {
+    archiveYear = year;
+    renderCalendar();
+    syncURL('push');
+}
+
+// Archive view: a year of past events in the selected category, with
+// counts by type, month and organizer, then the events themselves by month
+// (newest first). Built from events.json, so nothing is ever dropped from it.
+// "Needs Volunteers" is about upcoming sign-ups, so only the category applies.
+function renderArchiveView() {
+    const today = new Date();
+    const year = getArchiveYear();
+    const years = getArchiveYears(events, today);
+    const occurrences = getArchivedEvents(
+        events.filter(event => filterCategory === 'all' || event.type === filterCategory), year, today);
+    const summary = summarizeArchive(occurrences);
+    const shownTypes = filterCategory === 'all' ? Object.keys(eventTypes) : [filterCategory];
+    const categoryLabel = filterCategory === 'all' ? 'Events' : `${eventTypes[filterCategory].label} events`;
+
+    const yearButtons = `
+        <div class="archive-years">
+            ${years.map(y => `<button type="button" class="filter-btn ${y === year ? 'active' : ''}" onclick="setArchiveYear(${y})">${y}</button>`).join('')}
+        </div>
+    `;
+
+    if (occurrences.length === 0) {
+        return `${yearButtons}<div style="text-align: center; padding: 2rem; color: #94a3b8;">No past ${categoryLabel.toLowerCase()} in ${year}.</div>`;
+    }
+
+    const busiestMonth = Math.max(1, ...summary.byMonth.map(counts => shownTypes.reduce((sum, type) => sum + counts[type], 0)));
+    const months = [];
+    occurrences.forEach(event => {
+        const month = event.startDate.getMonth();
+        if (!months.length || months[0].month !== month) months.unshift({ month, monthEvents: [] });
+        months[0].monthEvents.unshift(event);
+    });
+
+    return `
+        <div class="archive-view">
+            ${yearButtons}
+            <div class="archive-summary">
+                <div class="archive-total">
+                    <span class="archive-count">${summary.total}</span>
+                    <span>${categoryLabel.toLowerCase()} held in ${year}</span>
+                </div>
+                ${filterCategory === 'all' ? shownTypes.map(type => `
+                    <div class="archive-total">
+                        <span class="archive-count" style="color: ${eventTypes[type].color}">${summary.byType[type]}</span>
+                        <span>${eventTypes[type].label}</span>
+                    </div>
+                `).join('') : ''}
+                ${summary.calledOff ? `
+                    <div class="archive-total">
+                        <span class="archive-count">${summary.calledOff}</span>
+                        <span>cancelled</span>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="archive-stats">
+                <div class="archive-stat">
+                    <h4>${categoryLabel} by month</h4>
+                    ${summary.byMonth.map((counts, month) => {
+                        const total = shownTypes.reduce((sum, type) => sum + counts[type], 0);
+                        return `
+                        <div class="archive-month-row">
+                            <span class="archive-month-label">${monthNames[month].slice(0, 3)}</span>
+                            <span class="archive-bar">
+                                ${shownTypes.filter(type => counts[type]).map(type => `<span class="archive-bar-segment" style="width: ${(counts[type] / busiestMonth * 100).toFixed(3)}%; background: ${eventTypes[type].color}" title="${eventTypes[type].label}: ${counts[type]}"></span>`).join('')}
+                            </span>
+                            <span class="archive-month-count">${total}</span>
+                        </div>
+                    `}).join('')}
+                </div>
+                <div class="archive-stat">
+                    <h4>${categoryLabel} by organizer</h4>
+                    <table class="archive-organizers">
+                        <thead>
+                            <tr>
+                                <th>Organizer</th>
+                                ${shownTypes.length > 1 ? shownTypes.map(type => `<th title="${eventTypes[type].label}"><span class="event-dot" style="background: ${eventTypes[type].color}"></span></th>`).join('') : ''}
+                                <th>Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${summary.byOrganizer.map(({ organizer, total, byType }) => `
+                                <tr>
+                                    <td>${escapeHTML(organizer)}</td>
+                                    ${shownTypes.length > 1 ? shownTypes.map(type => `<td>${byType[type] || ''}</td>`).join('') : ''}
+                                    <td>${total}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            ${months.map(({ month, monthEvents }) => `
+                <div class="archive-month">
+                    <h4>${monthNames[month]} ${year}</h4>
+                    ${monthEvents.map(event => `
+                        <div class="agenda-event" onclick='${eventClickHandler(event)}'>
+                            <span class="agenda-time">${event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                            <span class="event-dot" style="background: ${eventTypes[event.type].color}"></span>
+                            <span class="agenda-title ${statusClasses(event)}">${escapeHTML(event.title)}</span>
+                            ${renderStatusBadge(event)}
+                            <span class="agenda-location">${escapeHTML(event.eventOrganizer || event.eventLocation)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// The occurrence a search result stands for: the next one, or with past
+// events included the latest one if the series is over (null if none)
+function getSearchOccurrence(event, today) {
+    const upcoming = getUpcomingEvents([event], today)[0];
+    if (upcoming || !includePastEvents) return upcoming || null;
+    if (!event.recurrence) return event;
+    const past = expandOccurrences(event, event.startDate, today);
+    return past[past.length - 1] || null;
+}
+
+// Search results, best match first (ties in date order); one card per
+// event, so a weekly net doesn't fill the list with its occurrences
+function getSearchResults(candidates) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const filteredEvents = events
-        .filter(e => {
-            if (filterCategory !== 'all' && e.type !== filterCategory) return false;
-            if (searchQuery && !e.title.toLowerCase().includes(searchQuery)) return false;
-            const eventEndDate = e.endDate || e.startDate;
-            if (eventEndDate < today) return false;
-            return true;
-        })
-        .sort((a, b) => a.startDate - b.startDate);
-
-    if (filteredEvents.length === 0) {
+    return searchEvents(candidates, searchQuery)
+        .map(result => ({ ...result, event: getSearchOccurrence(result.event, today) }))
+        .filter(result => result.event)
+        .sort((a, b) => b.score - a.score || a.event.startDate - b.event.startDate);
+}
+
+// Excerpt of the organizer, description or notes around the first matched
+// word that the card doesn't already show in the title or location
+function renderSearchSnippet(event, terms) {
+    const shown = new Set(tokenize(`${event.title} ${event.eventLocation}`));
+    const hidden = terms.filter(term => !shown.has(term));
+    if (hidden.length === 0) return '';
+
+    for (const field of ['eventOrganizer', 'eventDescription', 'notes']) {
+        const text = event[field];
+        if (!text || !tokenize(text).some(word => hidden.includes(word))) continue;
+
+        const words = text.split(/\s+/);
+        const hit = words.findIndex(word => tokenize(word).some(token => hidden.includes(token)));
+        const start = Math.max(0, hit - 8);
+        const excerpt = words.slice(start, start + 24).join(' ');
+        return `<p class="search-snippet">${start > 0 ? '…' : ''}${highlightTerms(excerpt, terms)}${start + 24 < words.length ? '…' : ''}</p>`;
+    }
+    return '';
+}
+
+function renderListView() {
+    const candidates = events.filter(matchesFilters);
+
+    // Recurring events are expanded into their upcoming occurrences
+    const results = searchQuery
+        ? getSearchResults(candidates)
+        : getUpcomingEvents(candidates, new Date()).map(event => ({ event, terms: [] }));
+
+    if (results.length === 0) {
         const message = searchQuery
-            ? `No events found matching "${document.getElementById('searchInput').value}".`
-            : 'No events found for the selected filter.';
+            ? `No events found matching "${escapeHTML(document.getElementById('searchInput').value)}".${includePastEvents ? '' : ' Tick "Include past events" to search past events too.'}`
+            : volunteersOnly
+                ? 'No upcoming events are looking for volunteers right now.'
+                : 'No events found for the selected filter.';
         return `<div style="text-align: center; padding: 2rem; color: #94a3b8;">${message}</div>`;
     }
 
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
     return `
         <div class="list-view">
-            ${filteredEvents.map(event => {
-                const timeDisplay = formatTimeDisplay(event.startTime, event.endTime);
-                return `
-                <div class="event-card" onclick='showEventModal(${event.id})'>
-                    <div class="event-card-header">
-                        <div class="event-card-info">
-                            <div class="event-type-badge">
-                                <span class="event-dot" style="background: ${eventTypes[event.type].color}"></span>
-                                <span>${eventTypes[event.type].label}</span>
-                            </div>
-                            <h4>${escapeHTML(event.title)}</h4>
-                            <div class="event-details">
-                                <div class="event-detail">
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
-                                    ${event.endDate && event.endDate.getTime() !== event.startDate.getTime()
-                                        ? `${event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${event.endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
-                                        : event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-                                    }
-                                </div>
-                                ${timeDisplay ? `
-                                <div class="event-detail">
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
-                                    ${timeDisplay}
-                                </div>
-                                ` : ''}
-                                <div class="event-detail">
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>
-                                    ${escapeHTML(event.eventLocation)}
-                                </div>
-                            </div>
-                        </div>
-                        <button class="btn btn-primary">Details</button>
-                    </div>
-                </div>
-            `}).join('')}
+            ${results.map(({ event, terms }) => renderEventCard(event, {
+                terms,
+                today,
+                onclick: eventClickHandler(event),
+                snippet: searchQuery ? renderSearchSnippet(event, terms) : ''
+            })).join('')}
         </div>
     `;
 }
 
-function showEventModal(eventId) {
-    const event = events.find(e => e.id === eventId);
-    if (!event) return;
+const venuePointKinds = { staging: 'Staging', parking: 'Parking', other: 'Meeting point' };
+
+// Street address of the venue when eventLocation doesn't already include it
+function venueAddress(event) {
+    const address = event.venue && event.venue.address;
+    return address && !event.eventLocation.includes(address) ? address : '';
+}
+
+function showEventModal(eventId, occurrenceDate) {
+    const baseEvent = events.find(e => e.id === eventId);
+    if (!baseEvent) return;
+
+    // For recurring events, show the dates of the occurrence that was clicked
+    let event = baseEvent;
+    if (baseEvent.recurrence && occurrenceDate) {
+        const day = parseLocalDate(occurrenceDate);
+        event = expandOccurrences(baseEvent, day, day)
+            .find(occurrence => occurrence.startDate.getTime() === day.getTime()) || baseEvent;
+    }
 
     const modal = document.getElementById('eventModal');
     const typeBadge = document.getElementById('modalTypeBadge');
@@ -287,6 +931,7 @@ function showEventModal(eventId) {
     typeBadge.innerHTML = `
         <span class="event-dot" style="background: ${eventTypes[event.type].color}"></span>
         <span>${eventTypes[event.type].label}</span>
+        ${renderStatusBadge(event)}
     `;
 
     // Title
@@ -294,7 +939,14 @@ function showEventModal(eventId) {
 
     // Date / time / location block
     const timeDisplay = formatTimeDisplay(event.startTime, event.endTime);
+    const statusNote = describeStatus(event);
     details.innerHTML = `
+        ${statusNote ? `
+        <div class="modal-detail modal-status event-status-${getEventStatus(event)}">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+            ${escapeHTML(statusNote)}
+        </div>
+        ` : ''}
         <div class="modal-detail">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
             ${event.endDate && event.endDate.getTime() !== event.startDate.getTime()
@@ -308,10 +960,35 @@ function showEventModal(eventId) {
             ${timeDisplay}
         </div>
         ` : ''}
+        ${event.recurrence ? `
         <div class="modal-detail">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m17 2 4 4-4 4"/><path d="M3 11v-1a4 4 0 0 1 4-4h14"/><path d="m7 22-4-4 4-4"/><path d="M21 13v1a4 4 0 0 1-4 4H3"/></svg>
+            ${escapeHTML(describeRecurrence(event.recurrence))}
+        </div>
+        ` : ''}
+        ${event.sessions && event.sessions.length ? `
+        <div class="modal-detail modal-schedule">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="8" x2="21" y1="6" y2="6"/><line x1="8" x2="21" y1="12" y2="12"/><line x1="8" x2="21" y1="18" y2="18"/><line x1="3" x2="3.01" y1="6" y2="6"/><line x1="3" x2="3.01" y1="12" y2="12"/><line x1="3" x2="3.01" y1="18" y2="18"/></svg>
+            <ul class="modal-sessions">
+                ${event.sessions.map(session => `<li>${escapeHTML(describeSession(session, event))}</li>`).join('')}
+            </ul>
+        </div>
+        ` : ''}
+        <div class="modal-detail modal-location">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>
-            ${escapeHTML(event.eventLocation)}
+            <span>
+                ${escapeHTML(event.eventLocation)}
+                ${venueAddress(event) ? `<span class="modal-address">${escapeHTML(venueAddress(event))}</span>` : ''}
+                ${getEventGeo(event) ? `<a class="modal-map-link" href="${mapLink(getEventGeo(event).lat, getEventGeo(event).lon)}" target="_blank" rel="noopener noreferrer">View on map</a>` : ''}
+            </span>
         </div>
+        ${event.venue && event.venue.points ? `
+        <ul class="modal-points">
+            ${event.venue.points.map(point => `
+                <li><strong>${venuePointKinds[point.kind]}:</strong> <a href="${mapLink(point.lat, point.lon, 18)}" target="_blank" rel="noopener noreferrer">${escapeHTML(point.label || 'View on map')}</a></li>
+            `).join('')}
+        </ul>
+        ` : ''}
     `;
 
     // Description
@@ -326,20 +1003,51 @@ function showEventModal(eventId) {
     // Contact / action block — type-specific
     let contactHTML = '';
 
-    // Event organizer row (all types)
+    // Event organizer row (all types), linking to the club's directory card when it's a listed club
+    const clubAnchor = event.clubId
+        ? `<a class="modal-club-link" href="pages/clubs.html#club-${escapeHTML(encodeURIComponent(event.clubId))}">Club page</a>`
+        : '';
+    const clubLink = clubAnchor ? ` · ${clubAnchor}` : '';
     if (event.eventOrganizer || event.eventUrl) {
         if (event.eventOrganizer && event.eventUrl) {
-            contactHTML += `<p><strong>Event Info:</strong> <a href="${escapeHTML(event.eventUrl)}" target="_blank" rel="noopener noreferrer">${escapeHTML(event.eventOrganizer)}</a></p>`;
+            contactHTML += `<p><strong>Event Info:</strong> <a href="${escapeHTML(event.eventUrl)}" target="_blank" rel="noopener noreferrer">${escapeHTML(event.eventOrganizer)}</a>${clubLink}</p>`;
         } else if (event.eventOrganizer) {
-            contactHTML += `<p><strong>Organized by:</strong> ${escapeHTML(event.eventOrganizer)}</p>`;
+            contactHTML += `<p><strong>Organized by:</strong> ${escapeHTML(event.eventOrganizer)}${clubLink}</p>`;
         } else {
-            contactHTML += `<p><strong>Event Info:</strong> <a href="${escapeHTML(event.eventUrl)}" target="_blank" rel="noopener noreferrer">${escapeHTML(event.eventUrl)}</a></p>`;
+            contactHTML += `<p><strong>Event Info:</strong> <a href="${escapeHTML(event.eventUrl)}" target="_blank" rel="noopener noreferrer">${escapeHTML(event.eventUrl)}</a>${clubLink}</p>`;
         }
+    } else if (clubLink) {
+        contactHTML += `<p><strong>Organized by:</strong> ${clubAnchor}</p>`;
     }
 
     // Public service: volunteer section
     if (event.type === 'public-service') {
-        contactHTML += `<p class="contact-box-section-header">Ham Radio Volunteers Needed</p>`;
+        const staffing = getStaffing(event);
+        const isFull = staffing && staffing.open === 0;
+        contactHTML += `<p class="contact-box-section-header">${isFull ? 'Ham Radio Volunteers: Fully Staffed' : 'Ham Radio Volunteers Needed'}</p>`;
+        contactHTML += renderStaffingProgress(event);
+
+        if (staffing && staffing.roles.length) {
+            contactHTML += `
+                <ul class="staffing-roles">
+                    ${staffing.roles.map(role => `
+                        <li>
+                            <span>${escapeHTML(role.name)}</span>
+                            ${typeof role.needed === 'number' ? `<span class="staffing-role-count${(role.filled || 0) >= role.needed ? ' full' : ''}">${role.filled || 0} / ${role.needed}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+        if (staffing && staffing.licenseClass) {
+            contactHTML += `<p><strong>License:</strong> ${licenseClasses[staffing.licenseClass]}</p>`;
+        }
+        if (staffing && staffing.gear) {
+            contactHTML += `<p><strong>Bring:</strong> ${escapeHTML(staffing.gear)}</p>`;
+        }
+        if (staffing && staffing.netControl) {
+            contactHTML += `<p><strong>Net Control:</strong> ${escapeHTML(staffing.netControl)}</p>`;
+        }
 
         if (event.hamCoordinator) {
             const coordText = escapeHTML(event.hamCoordinator);
@@ -376,25 +1084,89 @@ function showEventModal(eventId) {
     const addToCalendarBtn = document.getElementById('addToCalendarBtn');
     addToCalendarBtn.onclick = (e) => {
         e.stopPropagation();
-        downloadICS(event);
+        downloadICS(baseEvent);
     };
 
     modal.classList.add('active');
     document.body.style.overflow = 'hidden';
+
+    const wasOpen = openEventLink !== null;
+    openEventLink = { id: eventId, date: baseEvent.recurrence && occurrenceDate ? occurrenceDate : null };
+    if (wasOpen) {
+        syncURL('replace');
+    } else if (syncURL('push')) {
+        modalHistoryPushed = true;
+    }
 }
 
 function closeModal(event) {
     if (!event || event.target.id === 'eventModal') {
         document.getElementById('eventModal').classList.remove('active');
         document.body.style.overflow = '';
+
+        openEventLink = null;
+        if (syncingFromURL) {
+            modalHistoryPushed = false;
+        } else if (modalHistoryPushed) {
+            // Step back over the entry the modal added; popstate restores the rest
+            modalHistoryPushed = false;
+            window.history.back();
+        } else {
+            // Opened from a shared link: drop #event= without leaving the page
+            syncURL('replace');
+        }
     }
 }
 
 // Subscribe modal functions
+// Feeds listed in feeds/manifest.json (written by scripts/generate-calendar.js);
+// until it loads, only the full calendar is offered
+const DEFAULT_FEED = { id: 'all', kind: 'all', label: 'All events', url: 'https://atlantahamradio.org/events.ics' };
+let subscribeFeeds = [DEFAULT_FEED];
+let subscribeFeedsLoaded = false;
+
+async function loadSubscribeFeeds() {
+    try {
+        const response = await fetch('feeds/manifest.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = await response.json();
+        subscribeFeeds = manifest.feeds;
+        subscribeFeedsLoaded = true;
+    } catch (error) {
+        console.error('Error loading calendar feeds:', error);
+    }
+    renderSubscribeFeedOptions();
+}
+
+function renderSubscribeFeedOptions() {
+    const select = document.getElementById('calendarFeedSelect');
+    const option = feed => `<option value="${escapeHTML(feed.id)}">${escapeHTML(feed.label)}${feed.kind === 'all' ? '' : ` (${feed.events})`}</option>`;
+    const group = (label, feeds) => feeds.length ? `<optgroup label="${label}">${feeds.map(option).join('')}</optgroup>` : '';
+
+    select.innerHTML = subscribeFeeds.filter(feed => feed.kind === 'all').map(option).join('') +
+        group('By event type', subscribeFeeds.filter(feed => feed.kind === 'type')) +
+        group('By organizer', subscribeFeeds.filter(feed => feed.kind === 'organizer')) +
+        // Every club has a feed; only offer the ones with events here
+        group('By club', subscribeFeeds.filter(feed => feed.kind === 'club' && feed.events > 0));
+    selectSubscribeFeed(select.value || DEFAULT_FEED.id);
+}
+
+function getSubscribeFeed(feedId) {
+    return subscribeFeeds.find(feed => feed.id === feedId) || subscribeFeeds[0];
+}
+
+function selectSubscribeFeed(feedId) {
+    const feed = getSubscribeFeed(feedId);
+    document.getElementById('calendarFeedSelect').value = feed.id;
+    document.getElementById('calendarUrlInput').value = feed.url;
+    document.getElementById('calendarWebcalLink').href = feed.url.replace(/^https?:/, 'webcal:');
+}
+
 function openSubscribeModal() {
     const modal = document.getElementById('subscribeModal');
     modal.classList.add('active');
     document.body.style.overflow = 'hidden';
+    if (!subscribeFeedsLoaded) loadSubscribeFeeds();
 }
 
 function closeSubscribeModal(event) {
@@ -405,7 +1177,7 @@ function closeSubscribeModal(event) {
 }
 
 async function copySubscribeUrl() {
-    const calendarUrl = 'https://atlantahamradio.org/events.ics';
+    const calendarUrl = getSubscribeFeed(document.getElementById('calendarFeedSelect').value).url;
     const input = document.getElementById('calendarUrlInput');
     const button = document.getElementById('copyUrlBtn');
 
@@ -428,123 +1200,28 @@ async function copySubscribeUrl() {
     }
 }
 
-// ICS file generation utilities
-function formatICSDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}${month}${day}`;
-}
-
-function formatICSDateTime(date, timeString) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const [hours, minutes] = timeString.split(':');
-    return `${year}${month}${day}T${hours}${minutes}00`;
+// The feed's change tracking, so a downloaded event carries the same
+// SEQUENCE and DTSTAMP as in events.ics and updates the same calendar entry
+async function loadICSState() {
+    if (icsState !== undefined) return icsState;
+    try {
+        const response = await fetch('data/ics-state.json');
+        icsState = response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Error loading ICS state:', error);
+        icsState = null;
+    }
+    return icsState;
 }
 
-function escapeICSText(text) {
-    if (!text) return '';
-    return text.replace(/\\/g, '\\\\')
-                  .replace(/;/g, '\\;')
-                  .replace(/,/g, '\\,')
-                  .replace(/\n/g, '\\n');
+// Single-event ICS download, serialized exactly like the subscribed feed
+function generateICS(event, state) {
+    const record = state && state.events && state.events[String(event.id)];
+    return buildCalendar([event], { veventOptions: () => feedVEventOptions(record) });
 }
 
-// RFC 5545 §3.1 line folding: lines must not exceed 75 octets.
-// Long lines are broken with CRLF + single space (continuation character).
-const _icsEncoder = new TextEncoder();
-function foldICSLine(line) {
-    if (_icsEncoder.encode(line).length <= 75) return line;
-    let result = '';
-    let remaining = line;
-    while (_icsEncoder.encode(remaining).length > 75) {
-        let chunk = remaining;
-        while (_icsEncoder.encode(chunk).length > 75) {
-            chunk = chunk.substring(0, chunk.length - 1);
-        }
-        result += chunk + '\r\n ';
-        remaining = remaining.substring(chunk.length);
-    }
-    result += remaining;
-    return result;
-}
-
-function generateICS(event) {
-    const now = new Date();
-    const timestamp = formatICSDate(now) + 'T' +
-        now.getHours().toString().padStart(2, '0') +
-        now.getMinutes().toString().padStart(2, '0') +
-        now.getSeconds().toString().padStart(2, '0') + 'Z';
-
-    const description = escapeICSText(event.eventDescription || '');
-    const isMultiDay = !!event.endDate;
-    const hasTime = event.startTime && event.endTime && !isMultiDay;
-
-    let dtstart, dtend;
-    let timezoneBlock = '';
-
-    if (hasTime) {
-        dtstart = `DTSTART;TZID=America/New_York:${formatICSDateTime(event.startDate, event.startTime)}`;
-        dtend = `DTEND;TZID=America/New_York:${formatICSDateTime(event.startDate, event.endTime)}`;
-        timezoneBlock = [
-            'BEGIN:VTIMEZONE',
-            'TZID:America/New_York',
-            'BEGIN:DAYLIGHT',
-            'TZOFFSETFROM:-0500',
-            'TZOFFSETTO:-0400',
-            'TZNAME:EDT',
-            'DTSTART:19700308T020000',
-            'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
-            'END:DAYLIGHT',
-            'BEGIN:STANDARD',
-            'TZOFFSETFROM:-0400',
-            'TZOFFSETTO:-0500',
-            'TZNAME:EST',
-            'DTSTART:19701101T020000',
-            'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
-            'END:STANDARD',
-            'END:VTIMEZONE'
-        ].join('\r\n');
-    } else {
-        const startDateStr = formatICSDate(event.startDate);
-        const endDateObj = event.endDate ? new Date(event.endDate) : new Date(event.startDate);
-        endDateObj.setDate(endDateObj.getDate() + 1);
-        const endDate = formatICSDate(endDateObj);
-        dtstart = `DTSTART;VALUE=DATE:${startDateStr}`;
-        dtend = `DTEND;VALUE=DATE:${endDate}`;
-    }
-
-    const icsContent = [
-        'BEGIN:VCALENDAR',
-        'VERSION:2.0',
-        'PRODID:-//Atlanta Ham Radio//Events//EN',
-        'CALSCALE:GREGORIAN',
-        'METHOD:PUBLISH',
-        timezoneBlock,
-        'BEGIN:VEVENT',
-        `UID:event-${event.id}@atlantahamradio.org`,
-        `DTSTAMP:${timestamp}`,
-        `SEQUENCE:0`,
-        dtstart,
-        dtend,
-        `SUMMARY:${escapeICSText(event.title)}`,
-        `LOCATION:${escapeICSText(event.eventLocation)}`,
-        description ? `DESCRIPTION:${description}` : '',
-        (event.volunteerSignUpUrl || event.eventUrl) ? `URL:${event.volunteerSignUpUrl || event.eventUrl}` : '',
-        `CATEGORIES:${eventTypes[event.type]?.label || 'Event'}`,
-        'STATUS:CONFIRMED',
-        'TRANSP:TRANSPARENT',
-        'END:VEVENT',
-        'END:VCALENDAR'
-    ].filter(line => line).map(foldICSLine).join('\r\n');
-
-    return icsContent;
-}
-
-function downloadICS(event) {
-    const icsContent = generateICS(event);
+async function downloadICS(event) {
+    const icsContent = generateICS(event, await loadICSState());
     const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
@@ -556,6 +1233,11 @@ function downloadICS(event) {
 }
 
 // Initialize
-window.addEventListener('DOMContentLoaded', () => {
-    loadEvents();
+window.addEventListener('DOMContentLoaded', async () => {
+    await loadEvents();
+    applyURLState(readURLState());
+});
+
+window.addEventListener('popstate', () => {
+    applyURLState(readURLState());
 });
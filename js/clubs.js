@@ -0,0 +1,554 @@
+/**
+ * Clubs directory (pages/clubs.html).
+ * Renders data/clubs.json by county with a search across name, callsign,
+ * town, county, club type, meetings and repeater frequencies; county and
+ * type filters with counts; a map of clubs (js/map.js); and a "near me"
+ * sort by distance from a ZIP code. ZIP coordinates come from the bundled
+ * data/zip-centroids.json, fetched the first time a ZIP is entered, so no
+ * location service is involved. Each card lists the club's upcoming events
+ * (events.json entries with its "clubId") and links its ICS feed, and
+ * #club-<id> in the URL scrolls to and highlights that club.
+ * Load js/calendar-core.js (search and event helpers), js/map.js and
+ * js/radio-core.js first.
+ */
+(function () {
+    const {
+        tokenize,
+        searchEvents,
+        highlightTerms,
+        escapeHTML,
+        normalizeEvent,
+        getUpcomingEvents,
+        toDateKey,
+        isCalledOff
+    } = CalendarCore;
+    const { renderMap } = SiteMap;
+    const { formatRepeater } = RadioCore;
+
+    const clubTypes = {
+        general: { label: 'General Interest', color: '#3b82f6' },
+        ares: { label: 'ARES / EmComm', color: '#ef4444' },
+        contest: { label: 'Contest & DX', color: '#a855f7' },
+        repeater: { label: 'Repeater Group', color: '#22c55e' }
+    };
+
+    // Fields the search looks in, with their weight in the ranking; the
+    // name comes first so a phrase match there ranks highest
+    const CLUB_SEARCH_FIELDS = {
+        name: 5,
+        callsign: 5,
+        location: 3,
+        county: 3,
+        typeLabel: 2,
+        meetings: 1,
+        frequencies: 1
+    };
+
+    const EARTH_RADIUS_MILES = 3958.8;
+    const CLUB_EVENT_COUNT = 3;
+
+    let counties = [];        // county names, in clubs.json order
+    let clubs = [];           // flattenClubs() records
+    let events = [];          // normalized events.json entries
+    let highlightedClub = null;
+    let searchQuery = '';
+    let countyFilter = 'all';
+    let typeFilter = 'all';
+    let origin = null;        // { zip, lat, lon } for the "near me" sort
+    let currentView = 'list';
+    let selectedPlace = null; // map marker whose clubs are listed
+    let zipCentroids = null;
+    let mapLandmarks = [];
+    let mapLandmarksLoaded = false;
+
+    /**
+     * One record per club from parsed clubs.json, carrying its county and
+     * the derived text the search looks in (type label, repeater frequencies).
+     */
+    function flattenClubs(data) {
+        return data.counties.flatMap(county => county.clubs.map(club => ({
+            ...club,
+            county: county.name,
+            typeLabel: clubTypes[club.type] ? clubTypes[club.type].label : '',
+            frequencies: (club.repeaters || []).map(repeater => repeater.frequency.toFixed(3)).join(' ')
+        })));
+    }
+
+    /**
+     * Clubs matching filters { query, county, type } ('all' or missing means
+     * any county/type). Returns [{ club, terms }]: ranked best first when
+     * there is a query, otherwise in clubs.json order; terms are the words
+     * to highlight.
+     */
+    function filterClubs(list, filters = {}) {
+        const matching = list.filter(club =>
+            (!filters.county || filters.county === 'all' || club.county === filters.county) &&
+            (!filters.type || filters.type === 'all' || club.type === filters.type));
+        if (tokenize(filters.query).length === 0) return matching.map(club => ({ club, terms: [] }));
+        return searchEvents(matching, filters.query, CLUB_SEARCH_FIELDS).map(({ event, terms }) => ({ club: event, terms }));
+    }
+
+    /**
+     * Facet counts for the filter controls: { counties: { name: n }, types: { key: n } }.
+     * Each facet counts the clubs matching every other filter, so picking a
+     * county shows how many clubs of each type it has and vice versa.
+     */
+    function countFacets(list, filters = {}) {
+        const tally = (results, key) => results.reduce((counts, { club }) => {
+            counts[club[key]] = (counts[club[key]] || 0) + 1;
+            return counts;
+        }, {});
+        return {
+            counties: tally(filterClubs(list, { ...filters, county: 'all' }), 'county'),
+            types: tally(filterClubs(list, { ...filters, type: 'all' }), 'type')
+        };
+    }
+
+    // Great-circle distance in miles between two { lat, lon } points
+    function distanceMiles(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(b.lat - a.lat);
+        const dLon = toRadians(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+    }
+
+    // filterClubs() results nearest `from` first, each with a distance
+    // (null, and listed last, for clubs without coordinates)
+    function sortByDistance(results, from) {
+        return results
+            .map(result => ({
+                ...result,
+                distance: typeof result.club.lat === 'number' ? distanceMiles(from, result.club) : null
+            }))
+            .sort((a, b) => (a.distance === null) - (b.distance === null) || a.distance - b.distance);
+    }
+
+    // The next `count` occurrences of events linked to clubId that haven't ended before `today`
+    function getClubEvents(eventList, clubId, today, count = CLUB_EVENT_COUNT) {
+        return getUpcomingEvents(eventList.filter(event => event.clubId === clubId), today).slice(0, count);
+    }
+
+    function eventLink(event) {
+        const date = event.recurrence ? `&date=${toDateKey(event.startDate)}` : '';
+        return `../index.html#event=${event.id}${date}`;
+    }
+
+    function formatDistance(miles) {
+        return miles < 10 ? `${miles.toFixed(1)} mi` : `${Math.round(miles)} mi`;
+    }
+
+    async function fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }
+
+    // { zip, lat, lon } from data/zip-centroids.json, or null if it isn't listed
+    async function lookupZip(zip) {
+        if (!zipCentroids) {
+            const data = await fetchJSON('../data/zip-centroids.json');
+            zipCentroids = data.zips;
+        }
+        const centroid = zipCentroids[zip];
+        return centroid ? { zip, lat: centroid[0], lon: centroid[1] } : null;
+    }
+
+    // Gazetteer towns labelled on the map; fetched the first time it's shown
+    async function loadMapLandmarks() {
+        if (mapLandmarksLoaded) return;
+        mapLandmarksLoaded = true;
+        try {
+            const data = await fetchJSON('../data/gazetteer.json');
+            mapLandmarks = data.places.filter(place => place.landmark);
+        } catch (error) {
+            console.error('Error loading map landmarks:', error);
+        }
+    }
+
+    function currentFilters() {
+        return { query: searchQuery, county: countyFilter, type: typeFilter };
+    }
+
+    function renderFilters() {
+        const facets = countFacets(clubs, currentFilters());
+        const typeTotal = Object.values(facets.types).reduce((sum, n) => sum + n, 0);
+        const countyTotal = Object.values(facets.counties).reduce((sum, n) => sum + n, 0);
+
+        document.getElementById('clubFilters').innerHTML = `
+            <div class="club-filter-group" role="group" aria-label="Club type">
+                <span class="filter-label">Type:</span>
+                <button type="button" class="filter-btn ${typeFilter === 'all' ? 'active' : ''}" onclick="ClubsDirectory.setTypeFilter('all')">All (${typeTotal})</button>
+                ${Object.entries(clubTypes).map(([key, type]) => `
+                    <button type="button" class="filter-btn ${typeFilter === key ? 'active' : ''}" onclick="ClubsDirectory.setTypeFilter('${key}')" ${facets.types[key] || typeFilter === key ? '' : 'disabled'}>
+                        <span class="event-dot" style="background: ${type.color}"></span>${type.label} (${facets.types[key] || 0})
+                    </button>
+                `).join('')}
+            </div>
+            <div class="club-filter-group">
+                <label class="filter-label" for="countyFilter">County:</label>
+                <select id="countyFilter" class="club-county-select" onchange="ClubsDirectory.setCountyFilter(this.value)">
+                    <option value="all" ${countyFilter === 'all' ? 'selected' : ''}>All counties (${countyTotal})</option>
+                    ${counties.map(name => `
+                        <option value="${escapeHTML(name)}" ${countyFilter === name ? 'selected' : ''}>${escapeHTML(name)} (${facets.counties[name] || 0})</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    function renderClubEvents(club) {
+        const upcoming = getClubEvents(events, club.id, new Date());
+        if (upcoming.length === 0) return '';
+        return `
+            <div class="club-detail club-events"><strong>Upcoming events:</strong>
+                <ul>
+                    ${upcoming.map(event => `
+                        <li>
+                            <a href="${eventLink(event)}"${isCalledOff(event) ? ' class="event-called-off"' : ''}>${event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} · ${escapeHTML(event.title)}</a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    function renderClubCard(club, terms, distance) {
+        const type = clubTypes[club.type] || clubTypes.general;
+        const meta = [`<span class="club-type-badge" style="background: ${type.color}">${escapeHTML(type.label)}</span>`];
+        if (club.callsign) meta.push(`<span class="club-callsign">${highlightTerms(club.callsign, terms)}</span>`);
+        if (typeof distance === 'number') meta.push(`<span class="club-distance">${formatDistance(distance)} away</span>`);
+
+        return `
+            <div class="club-card${club.id === highlightedClub ? ' highlighted' : ''}" id="club-${escapeHTML(club.id)}">
+                <div class="club-name">${highlightTerms(club.name, terms)}</div>
+                <div class="club-meta">${meta.join('')}</div>
+                <div class="club-location">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>
+                    ${highlightTerms(club.location, terms)}${origin ? ` · ${highlightTerms(club.county, terms)}` : ''}
+                </div>
+                ${club.meetings ? `<div class="club-detail"><strong>Meetings:</strong> ${highlightTerms(club.meetings, terms)}</div>` : ''}
+                ${club.repeaters && club.repeaters.length ? `
+                <div class="club-detail"><strong>Repeater${club.repeaters.length === 1 ? '' : 's'}:</strong>
+                    ${club.repeaters.map(repeater => `<span class="club-repeater">${highlightTerms(formatRepeater(repeater), terms)}</span>`).join('')}
+                </div>
+                ` : ''}
+                ${renderClubEvents(club)}
+                <div class="club-links">
+                    <a href="${escapeHTML(club.website)}" target="_blank" rel="noopener noreferrer" class="club-link">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M12 2a14.5 14.5 0 0 0 0 20 14.5 14.5 0 0 0 0-20"/><path d="M2 12h20"/></svg>
+                        Website
+                    </a>
+                    ${club.links.map(link => `
+                        <a href="${escapeHTML(link.url)}" target="_blank" rel="noopener noreferrer" class="club-link secondary">
+                            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>
+                            ${escapeHTML(link.name)}
+                        </a>
+                    `).join('')}
+                    <a href="../feeds/club-${escapeHTML(club.id)}.ics" class="club-link secondary" title="Subscribe to or embed this club's events">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2"/><path d="M16 2v4"/><path d="M8 2v4"/><path d="M3 10h18"/></svg>
+                        Calendar feed
+                    </a>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderNoResults() {
+        return `
+            <div class="no-results">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/></svg>
+                <h3>No clubs found</h3>
+                <p>Try adjusting your search terms or filters</p>
+            </div>
+        `;
+    }
+
+    // Clubs grouped under their county; with a ZIP, one list nearest first
+    function renderList(results) {
+        if (origin) {
+            if (results.length === 0) return renderNoResults();
+            return `
+                <div class="county-section">
+                    <div class="clubs-list clubs-nearby">
+                        ${sortByDistance(results, origin).map(({ club, terms, distance }) => renderClubCard(club, terms, distance)).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        // Empty counties invite submissions, but only while nothing narrows the list
+        const showEmpty = tokenize(searchQuery).length === 0 && typeFilter === 'all';
+        const sections = counties
+            .filter(name => countyFilter === 'all' || countyFilter === name)
+            .map(name => ({ name, results: results.filter(({ club }) => club.county === name) }))
+            .filter(section => section.results.length > 0 || showEmpty);
+        if (sections.length === 0 || results.length === 0 && !showEmpty) return renderNoResults();
+
+        return sections.map(({ name, results: countyResults }) => {
+            const countyId = `county-${name.toLowerCase().replace(/\s+/g, '-')}`;
+            return `
+                <div class="county-section">
+                    <div class="county-header" onclick="ClubsDirectory.toggleCounty('${countyId}')">
+                        <h3>
+                            ${escapeHTML(name)}
+                            ${countyResults.length > 0 ? `<span class="club-count">${countyResults.length}</span>` : ''}
+                        </h3>
+                        <svg class="chevron" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>
+                    </div>
+                    <div class="clubs-list" id="${countyId}">
+                        ${countyResults.length === 0
+                            ? `<div class="empty-county">No clubs listed yet. Know of a club in ${escapeHTML(name)} County? Contact KQ4JP to add it!</div>`
+                            : countyResults.map(({ club, terms }) => renderClubCard(club, terms)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Clubs at the same coordinates share one marker
+    function groupByPlace(results) {
+        const places = new Map();
+        results.forEach(({ club }) => {
+            if (typeof club.lat !== 'number') return;
+            const key = `${club.lat},${club.lon}`;
+            if (!places.has(key)) places.set(key, { key, lat: club.lat, lon: club.lon, location: club.location, clubs: [] });
+            places.get(key).clubs.push(club);
+        });
+        return [...places.values()];
+    }
+
+    function renderMapView(results) {
+        const places = groupByPlace(results);
+        const unplaced = results.filter(({ club }) => typeof club.lat !== 'number');
+        const selected = places.find(place => place.key === selectedPlace);
+
+        const unplacedList = unplaced.length ? `
+            <details class="map-unplaced">
+                <summary>${unplaced.length} club${unplaced.length === 1 ? '' : 's'} without a map location</summary>
+                ${unplaced.map(({ club, terms }) => renderClubCard(club, terms)).join('')}
+            </details>
+        ` : '';
+
+        if (places.length === 0) {
+            return `${results.length ? '' : renderNoResults()}${unplacedList}`;
+        }
+
+        const markers = places.map(place => ({
+            lat: place.lat,
+            lon: place.lon,
+            color: (clubTypes[place.clubs[0].type] || clubTypes.general).color,
+            count: place.clubs.length,
+            title: `${place.location}: ${place.clubs.map(club => club.name).join(', ')}`,
+            onclick: `ClubsDirectory.selectPlace("${place.key}")`,
+            active: place === selected
+        }));
+        if (origin) {
+            markers.push({ lat: origin.lat, lon: origin.lon, color: '#0f172a', title: `ZIP ${origin.zip}` });
+        }
+
+        return `
+            <div class="map-view">
+                <div class="map-canvas">
+                    ${renderMap({ markers, landmarks: mapLandmarks, label: 'Map of ham radio clubs' })}
+                    ${selected ? `
+                    <div class="day-popover map-popover" role="dialog" aria-label="Clubs in ${escapeHTML(selected.location)}">
+                        <div class="day-popover-header">
+                            <span>${escapeHTML(selected.location)}</span>
+                            <button type="button" class="day-popover-close" onclick="ClubsDirectory.closePlace()" aria-label="Close">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>
+                            </button>
+                        </div>
+                        ${selected.clubs.map(club => `
+                            <a class="map-club" href="${escapeHTML(club.website)}" target="_blank" rel="noopener noreferrer">
+                                <span class="event-dot" style="background: ${(clubTypes[club.type] || clubTypes.general).color}"></span>
+                                ${escapeHTML(club.name)}${origin ? ` <span class="club-distance">${formatDistance(distanceMiles(origin, club))}</span>` : ''}
+                            </a>
+                        `).join('')}
+                    </div>
+                    ` : ''}
+                </div>
+                <div class="map-legend">
+                    ${Object.values(clubTypes).map(type => `
+                        <span><span class="event-dot" style="background: ${type.color}"></span>${type.label}</span>
+                    `).join('')}
+                    ${origin ? `<span><span class="event-dot" style="background: #0f172a"></span>ZIP ${escapeHTML(origin.zip)}</span>` : ''}
+                </div>
+                ${unplacedList}
+            </div>
+        `;
+    }
+
+    function render() {
+        renderFilters();
+        const results = filterClubs(clubs, currentFilters());
+        document.getElementById('clubsListBtn').classList.toggle('active', currentView === 'list');
+        document.getElementById('clubsMapBtn').classList.toggle('active', currentView === 'map');
+        document.getElementById('clubsContainer').innerHTML = currentView === 'map' ? renderMapView(results) : renderList(results);
+    }
+
+    // Scroll to the club named by #club-<id>, clearing any filter that hides it
+    function focusClubFromHash() {
+        const match = window.location.hash.match(/^#club-([a-z0-9-]+)$/);
+        const club = match && clubs.find(candidate => candidate.id === match[1]);
+        if (!club) return;
+
+        highlightedClub = club.id;
+        searchQuery = '';
+        countyFilter = 'all';
+        typeFilter = 'all';
+        currentView = 'list';
+        document.getElementById('searchInput').value = '';
+        document.getElementById('searchClearBtn').style.display = 'none';
+        render();
+
+        const card = document.getElementById(`club-${club.id}`);
+        if (card.scrollIntoView) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    async function loadClubs() {
+        try {
+            // The clubs still list without events.json
+            const [data, eventsData] = await Promise.all([
+                fetchJSON('../data/clubs.json'),
+                fetchJSON('../data/events.json').catch(error => {
+                    console.error('Error loading club events:', error);
+                    return { events: [] };
+                })
+            ]);
+            counties = data.counties.map(county => county.name);
+            clubs = flattenClubs(data);
+            events = eventsData.events.map(normalizeEvent);
+            render();
+            focusClubFromHash();
+        } catch (error) {
+            console.error('Error loading clubs:', error);
+            document.getElementById('clubsContainer').innerHTML = `
+                <div class="no-results">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+                    <h3>Unable to load clubs data</h3>
+                    <p>Please make sure clubs.json is in the data directory.</p>
+                </div>
+            `;
+        }
+    }
+
+    function toggleCounty(countyId) {
+        const clubsList = document.getElementById(countyId);
+        const header = clubsList.previousElementSibling;
+
+        clubsList.classList.toggle('hidden');
+        header.classList.toggle('collapsed');
+    }
+
+    function handleSearch() {
+        searchQuery = document.getElementById('searchInput').value;
+        document.getElementById('searchClearBtn').style.display = searchQuery ? 'flex' : 'none';
+        selectedPlace = null;
+        render();
+    }
+
+    function clearSearch() {
+        document.getElementById('searchInput').value = '';
+        handleSearch();
+    }
+
+    function setTypeFilter(type) {
+        typeFilter = type === 'all' || clubTypes[type] ? type : 'all';
+        selectedPlace = null;
+        render();
+    }
+
+    function setCountyFilter(county) {
+        countyFilter = county === 'all' || counties.includes(county) ? county : 'all';
+        selectedPlace = null;
+        render();
+    }
+
+    // Sort by distance once the ZIP field holds five digits; clear the sort otherwise
+    async function handleZip() {
+        const input = document.getElementById('zipInput');
+        const status = document.getElementById('zipStatus');
+        const zip = input.value.trim();
+
+        if (!/^\d{5}$/.test(zip)) {
+            status.textContent = zip ? 'Enter a 5-digit ZIP code' : '';
+            if (origin) {
+                origin = null;
+                render();
+            }
+            return;
+        }
+
+        let found = null;
+        try {
+            found = await lookupZip(zip);
+        } catch (error) {
+            console.error('Error loading ZIP centroids:', error);
+        }
+        // Ignore an answer for a ZIP that has since been edited
+        if (input.value.trim() !== zip) return;
+
+        origin = found;
+        status.textContent = found
+            ? `Sorted by distance from ${zip}`
+            : `ZIP ${zip} isn't in our table yet; showing clubs by county`;
+        render();
+    }
+
+    function clearZip() {
+        document.getElementById('zipInput').value = '';
+        return handleZip();
+    }
+
+    async function setView(view) {
+        currentView = view === 'map' ? 'map' : 'list';
+        selectedPlace = null;
+        render();
+        if (currentView === 'map' && !mapLandmarksLoaded) {
+            await loadMapLandmarks();
+            if (currentView === 'map') render();
+        }
+    }
+
+    function selectPlace(key) {
+        selectedPlace = selectedPlace === key ? null : key;
+        render();
+    }
+
+    function closePlace() {
+        selectedPlace = null;
+        render();
+    }
+
+    window.ClubsDirectory = {
+        clubTypes,
+        formatRepeater,
+        flattenClubs,
+        filterClubs,
+        countFacets,
+        distanceMiles,
+        sortByDistance,
+        getClubEvents,
+        loadClubs,
+        toggleCounty,
+        handleSearch,
+        clearSearch,
+        setTypeFilter,
+        setCountyFilter,
+        handleZip,
+        clearZip,
+        setView,
+        selectPlace,
+        closePlace
+    };
+
+    window.addEventListener('hashchange', focusClubFromHash);
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadClubs);
+    } else {
+        loadClubs();
+    }
+})();
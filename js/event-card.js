@@ -0,0 +1,108 @@
+/**
+ * Event card markup
+ * The card the calendar's list view shows for each event (js/calendar.js),
+ * shared with the organizers' submission preview (js/event-submission.js)
+ * so a submitted event previews exactly as it will be listed.
+ *
+ * Load js/calendar-core.js first; the browser gets window.EventCard. Events
+ * are normalized events.json entries.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'));
+    } else {
+        root.EventCard = factory(root.CalendarCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CalendarCore) {
+    const {
+        eventTypes,
+        eventStatuses,
+        getEventStatus,
+        isCalledOff,
+        getStaffing,
+        describeStaffingCount,
+        formatTimeDisplay,
+        highlightTerms
+    } = CalendarCore;
+
+    // Status badge for tentative, postponed and cancelled events ('' when confirmed)
+    function renderStatusBadge(event) {
+        const status = getEventStatus(event);
+        if (status === 'confirmed') return '';
+        return `<span class="event-status-badge event-status-${status}">${eventStatuses[status].label}</span>`;
+    }
+
+    // Extra classes for an event's title: struck through when it won't happen on that date
+    function statusClasses(event) {
+        const status = getEventStatus(event);
+        if (status === 'confirmed') return '';
+        return `event-status-${status}${isCalledOff(event) ? ' event-called-off' : ''}`;
+    }
+
+    // Progress bar of volunteers signed up against those needed ('' without counts)
+    function renderStaffingProgress(event) {
+        const staffing = getStaffing(event);
+        if (!staffing || staffing.needed === null) return '';
+        const percent = Math.min(100, staffing.filled / staffing.needed * 100);
+        return `
+        <div class="staffing-progress${staffing.open === 0 ? ' full' : ''}">
+            <div class="staffing-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${staffing.needed}" aria-valuenow="${Math.min(staffing.filled, staffing.needed)}" aria-label="Volunteers signed up">
+                <span style="width: ${percent.toFixed(1)}%"></span>
+            </div>
+            <span class="staffing-label">${describeStaffingCount(staffing)}</span>
+        </div>
+    `;
+    }
+
+    /**
+     * One list view card. options: terms (search words to highlight),
+     * onclick (the card's click handler, none for a preview), snippet (HTML
+     * under the details, e.g. a search excerpt) and today (midnight; cards
+     * that ended before it are dimmed, default the current day).
+     */
+    function renderEventCard(event, options = {}) {
+        const terms = options.terms || [];
+        const today = options.today || new Date(new Date().setHours(0, 0, 0, 0));
+        const timeDisplay = formatTimeDisplay(event.startTime, event.endTime) ||
+            (event.sessions && event.sessions.length > 1 ? `${event.sessions.length} sessions, see details` : null);
+        const isPast = (event.endDate || event.startDate) < today;
+        return `
+                <div class="event-card${isPast ? ' past' : ''}"${options.onclick ? ` onclick='${options.onclick}'` : ''}>
+                    <div class="event-card-header">
+                        <div class="event-card-info">
+                            <div class="event-type-badge">
+                                <span class="event-dot" style="background: ${eventTypes[event.type].color}"></span>
+                                <span>${eventTypes[event.type].label}</span>
+                                ${renderStatusBadge(event)}
+                            </div>
+                            <h4${statusClasses(event) ? ` class="${statusClasses(event)}"` : ''}>${highlightTerms(event.title, terms)}</h4>
+                            <div class="event-details">
+                                <div class="event-detail">
+                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
+                                    ${event.endDate && event.endDate.getTime() !== event.startDate.getTime()
+                                        ? `${event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${event.endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+                                        : event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+                                    }
+                                </div>
+                                ${timeDisplay ? `
+                                <div class="event-detail">
+                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
+                                    ${timeDisplay}
+                                </div>
+                                ` : ''}
+                                <div class="event-detail">
+                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>
+                                    ${highlightTerms(event.eventLocation, terms)}
+                                </div>
+                            </div>
+                            ${renderStaffingProgress(event)}
+                            ${options.snippet || ''}
+                        </div>
+                        <button class="btn btn-primary">Details</button>
+                    </div>
+                </div>
+            `;
+    }
+
+    return { renderStatusBadge, statusClasses, renderStaffingProgress, renderEventCard };
+});
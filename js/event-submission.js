@@ -0,0 +1,375 @@
+/**
+ * Event submission form (pages/organizers.html#submit)
+ * Organizers fill in every field an events.json entry has; the form checks
+ * them against the same rules as scripts/validate-data.js, previews the
+ * event with the calendar's own list card (js/event-card.js) and writes the
+ * entry as a JSON snippet ready to paste into data/events.json.
+ *
+ * The form goes in <div id="eventSubmission" data-endpoint="/api/submissions">.
+ * When that endpoint answers (scripts/submission-server.js, run locally),
+ * the snippet can also be sent straight to its review queue; on the static
+ * site organizers copy or download it and send it through the contact form.
+ *
+ * Load js/calendar-core.js and js/event-card.js first.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'), require('./event-card'));
+    } else {
+        root.EventSubmission = factory(root.CalendarCore, root.EventCard);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', root.EventSubmission.loadSubmissionForm);
+        } else {
+            root.EventSubmission.loadSubmissionForm();
+        }
+    }
+})(typeof self !== 'undefined' ? self : this, function (CalendarCore, EventCard) {
+    const { eventTypes, eventStatuses, licenseClasses, normalizeEvent, isValidDate, isValidTime, isValidUrl, escapeHTML } = CalendarCore;
+    const { renderEventCard } = EventCard;
+
+    // Statuses an organizer can submit; called-off events are edited by a maintainer
+    const SUBMIT_STATUSES = ['confirmed', 'tentative'];
+
+    /**
+     * The form's fields in events.json order. `group` puts fields side by
+     * side; `publicService` fields only apply to public-service events.
+     */
+    const fields = [
+        { name: 'title', label: 'Event name', type: 'text', required: true },
+        { name: 'type', label: 'Event type', type: 'select', required: true },
+        { name: 'status', label: 'Status', type: 'select' },
+        { name: 'startDate', label: 'Start date', type: 'date', required: true, group: 'dates' },
+        { name: 'endDate', label: 'End date', type: 'date', group: 'dates', hint: 'Multi-day events only' },
+        { name: 'startTime', label: 'Start time', type: 'time', group: 'times', hint: 'Leave blank for all day' },
+        { name: 'endTime', label: 'End time', type: 'time', group: 'times' },
+        { name: 'eventLocation', label: 'Location', type: 'text', required: true, hint: 'Venue and city, as it should be listed' },
+        { name: 'address', label: 'Street address', type: 'text', hint: 'Places the event on the map' },
+        { name: 'eventDescription', label: 'Description', type: 'textarea' },
+        { name: 'eventOrganizer', label: 'Organizer', type: 'text' },
+        { name: 'clubId', label: 'Ham radio club', type: 'select', hint: 'The club running the event, if it is in the club directory' },
+        { name: 'eventUrl', label: 'Event website', type: 'url' },
+        { name: 'hamCoordinator', label: 'Ham coordinator', type: 'text', hint: 'Name and callsign' },
+        { name: 'hamCoordinatorUrl', label: 'Coordinator contact link', type: 'url' },
+        { name: 'volunteerSignUpUrl', label: 'Volunteer sign-up link', type: 'url' },
+        { name: 'staffingNeeded', label: 'Operators needed', type: 'number', publicService: true, group: 'staffing' },
+        { name: 'licenseClass', label: 'License required', type: 'select', publicService: true, group: 'staffing' },
+        { name: 'gear', label: 'Gear to bring', type: 'text', publicService: true },
+        { name: 'notes', label: 'Notes', type: 'textarea' }
+    ];
+
+    // The next unused id after those in events.json (and any already queued)
+    function nextEventId(events) {
+        return events.reduce((max, event) => Math.max(max, Number(event.id) || 0), 0) + 1;
+    }
+
+    /**
+     * The events.json entry for the form's values ({ fieldName: string }),
+     * keys in the file's order, with null for empty optional fields.
+     */
+    function buildEvent(values, id) {
+        const text = name => (typeof values[name] === 'string' && values[name].trim()) || null;
+        const event = {
+            id,
+            title: text('title'),
+            type: text('type'),
+            startDate: text('startDate'),
+            endDate: text('endDate'),
+            startTime: text('startTime'),
+            endTime: text('endTime'),
+            eventLocation: text('eventLocation'),
+            eventDescription: text('eventDescription'),
+            eventOrganizer: text('eventOrganizer')
+        };
+        if (text('clubId')) event.clubId = text('clubId');
+        Object.assign(event, {
+            eventUrl: text('eventUrl'),
+            hamCoordinator: text('hamCoordinator'),
+            hamCoordinatorUrl: text('hamCoordinatorUrl'),
+            volunteerSignUpUrl: text('volunteerSignUpUrl'),
+            notes: text('notes')
+        });
+        if (text('status') && text('status') !== 'confirmed') event.status = text('status');
+
+        // A single-day event doesn't repeat its date as the end date
+        if (event.endDate && event.endDate === event.startDate) event.endDate = null;
+
+        if (event.type === 'public-service') {
+            const staffing = {};
+            if (text('staffingNeeded')) staffing.needed = Number(text('staffingNeeded'));
+            if (text('gear')) staffing.gear = text('gear');
+            if (text('licenseClass')) staffing.licenseClass = text('licenseClass');
+            if (Object.keys(staffing).length) event.staffing = staffing;
+        }
+        if (text('address')) event.venue = { address: text('address') };
+        return event;
+    }
+
+    /**
+     * Problems with a buildEvent() entry as [{ field, message }], field being
+     * the form field to fix. clubIds (optional) are the ids in clubs.json.
+     */
+    function validateEvent(event, clubIds) {
+        const errors = [];
+        const add = (field, message) => errors.push({ field, message });
+
+        if (!event.title) add('title', 'Enter the event name');
+        if (!eventTypes[event.type]) add('type', 'Choose an event type');
+        if (event.status && !SUBMIT_STATUSES.includes(event.status)) add('status', 'Choose confirmed or tentative');
+
+        if (!event.startDate) add('startDate', 'Enter the start date');
+        else if (!isValidDate(event.startDate)) add('startDate', 'Enter the start date as YYYY-MM-DD');
+        if (event.endDate) {
+            if (!isValidDate(event.endDate)) add('endDate', 'Enter the end date as YYYY-MM-DD');
+            else if (isValidDate(event.startDate) && event.endDate < event.startDate) add('endDate', 'The end date is before the start date');
+        }
+
+        ['startTime', 'endTime'].forEach(field => {
+            if (event[field] && !isValidTime(event[field])) add(field, 'Enter the time as HH:MM (24-hour)');
+        });
+        if (event.endTime && !event.startTime) add('startTime', 'Enter a start time to go with the end time');
+        if (!event.endDate && isValidTime(event.startTime) && isValidTime(event.endTime) && event.endTime < event.startTime) {
+            add('endTime', 'The end time is before the start time');
+        }
+
+        if (!event.eventLocation) add('eventLocation', 'Enter where the event is');
+        if (event.clubId && clubIds && !clubIds.includes(event.clubId)) add('clubId', 'Choose a club from the list');
+        ['eventUrl', 'hamCoordinatorUrl', 'volunteerSignUpUrl'].forEach(field => {
+            if (event[field] && !isValidUrl(event[field])) add(field, 'Enter a full link starting with https://');
+        });
+
+        const staffing = event.staffing || {};
+        if (staffing.needed !== undefined && !(Number.isInteger(staffing.needed) && staffing.needed >= 1)) {
+            add('staffingNeeded', 'Enter a whole number of operators, 1 or more');
+        }
+        if (staffing.licenseClass && !licenseClasses[staffing.licenseClass]) add('licenseClass', 'Choose a license class');
+        return errors;
+    }
+
+    // The entry as it would sit in events.json's array (two-space indent, nested four)
+    function toSnippet(event) {
+        return JSON.stringify(event, null, 2).split('\n').map(line => `    ${line}`).join('\n');
+    }
+
+    // The calendar's list card for a buildEvent() entry
+    function renderPreview(event) {
+        return `<div class="list-view">${renderEventCard(normalizeEvent(event))}</div>`;
+    }
+
+    function renderField(field, clubs) {
+        const id = `submit-${field.name}`;
+        const required = field.required ? ' required' : '';
+        const options = {
+            type: () => Object.entries(eventTypes).map(([value, type]) => [value, type.label]),
+            status: () => SUBMIT_STATUSES.map(value => [value, eventStatuses[value].label]),
+            clubId: () => [['', 'None / not listed'], ...clubs.map(club => [club.id, club.name])],
+            licenseClass: () => [['', 'Not specified'], ...Object.entries(licenseClasses)]
+        };
+
+        let input;
+        if (field.type === 'select') {
+            const choices = options[field.name]();
+            input = `<select id="${id}" name="${field.name}"${required}>
+                        ${field.required ? '<option value="">Choose…</option>' : ''}
+                        ${choices.map(([value, label]) => `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`).join('')}
+                    </select>`;
+        } else if (field.type === 'textarea') {
+            input = `<textarea id="${id}" name="${field.name}" rows="3"${required}></textarea>`;
+        } else {
+            const extra = field.type === 'number' ? ' min="1" step="1"' : field.type === 'url' ? ' placeholder="https://"' : '';
+            input = `<input type="${field.type}" id="${id}" name="${field.name}"${extra}${required}>`;
+        }
+        return `
+                <div class="submission-field${field.publicService ? ' submission-public-service' : ''}" id="${id}-field">
+                    <label class="filter-label" for="${id}">${escapeHTML(field.label)}${field.required ? ' *' : ''}</label>
+                    ${input}
+                    ${field.hint ? `<span class="submission-hint">${escapeHTML(field.hint)}</span>` : ''}
+                    <span class="submission-error" id="${id}-error" aria-live="polite"></span>
+                </div>`;
+    }
+
+    /**
+     * The form's HTML. clubs: [{ id, name }] for the club choice. Fields
+     * sharing a group sit in one row.
+     */
+    function renderForm(clubs = []) {
+        const rows = [];
+        fields.forEach(field => {
+            const last = rows[rows.length - 1];
+            if (field.group && last && last.group === field.group) last.fields.push(field);
+            else rows.push({ group: field.group, fields: [field] });
+        });
+        return `
+            <form class="submission-form" id="submissionForm" novalidate onsubmit="EventSubmission.preview(); return false;" oninput="EventSubmission.updateForm()">
+                ${rows.map(row => row.fields.length > 1
+                    ? `<div class="submission-row">${row.fields.map(field => renderField(field, clubs)).join('')}</div>`
+                    : renderField(row.fields[0], clubs)).join('')}
+                <button type="submit" class="btn btn-primary">Check and preview</button>
+            </form>
+            <div class="submission-result" id="submissionResult"></div>
+        `;
+    }
+
+    // Browser state
+    let events = [];
+    let clubs = [];
+    let endpoint = null;       // review queue URL, when it answers
+    let current = null;        // the last entry that passed validation
+
+    function byId(id) {
+        return document.getElementById(id);
+    }
+
+    function readValues() {
+        const values = {};
+        fields.forEach(field => { values[field.name] = byId(`submit-${field.name}`).value; });
+        return values;
+    }
+
+    // Staffing fields only show for public-service events
+    function updateForm() {
+        const publicService = byId('submit-type').value === 'public-service';
+        fields.filter(field => field.publicService).forEach(field => {
+            byId(`submit-${field.name}-field`).style.display = publicService ? '' : 'none';
+        });
+    }
+
+    function showErrors(errors) {
+        fields.forEach(field => {
+            const error = errors.find(entry => entry.field === field.name);
+            byId(`submit-${field.name}-error`).textContent = error ? error.message : '';
+            byId(`submit-${field.name}-field`).classList.toggle('has-error', !!error);
+        });
+    }
+
+    function preview() {
+        const event = buildEvent(readValues(), nextEventId(events));
+        const errors = validateEvent(event, clubs.map(club => club.id));
+        showErrors(errors);
+
+        if (errors.length) {
+            current = null;
+            byId('submissionResult').innerHTML = `
+                <p class="submission-summary">Please fix ${errors.length === 1 ? 'the highlighted field' : `the ${errors.length} highlighted fields`} above.</p>`;
+            return;
+        }
+
+        current = event;
+        byId('submissionResult').innerHTML = `
+            <h3>Preview</h3>
+            <p>This is how the event will look in the calendar's list.</p>
+            ${renderPreview(event)}
+            <h3>Your events.json entry</h3>
+            <pre class="submission-snippet" id="submissionSnippet">${escapeHTML(toSnippet(event))}</pre>
+            <div class="picker-actions">
+                <button type="button" class="btn btn-secondary" onclick="EventSubmission.copySnippet()">Copy</button>
+                <button type="button" class="btn btn-secondary" onclick="EventSubmission.downloadSnippet()">Download</button>
+                ${endpoint ? '<button type="button" class="btn btn-primary" onclick="EventSubmission.send()">Send for review</button>' : ''}
+            </div>
+            <p class="submission-status" id="submissionStatus" aria-live="polite">${endpoint
+                ? 'Send it for review, or copy it into data/events.json yourself.'
+                : 'Copy it and paste it into the <a href="about.html#contactform">contact form</a>, and we\'ll add it to the calendar.'}</p>
+        `;
+    }
+
+    async function copySnippet() {
+        if (!current) return;
+        try {
+            await navigator.clipboard.writeText(toSnippet(current));
+            byId('submissionStatus').textContent = 'Copied.';
+        } catch (error) {
+            byId('submissionStatus').textContent = 'Copy failed; select the entry above and copy it instead.';
+        }
+    }
+
+    function downloadSnippet() {
+        if (!current) return;
+        const blob = new Blob([`${JSON.stringify(current, null, 2)}\n`], { type: 'application/json;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `event-${current.startDate}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // POST the entry to the review queue; it answers 201 with the id it was queued under
+    async function send() {
+        if (!current || !endpoint) return;
+        const status = byId('submissionStatus');
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event: current })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                const problems = (result.errors || []).map(error => `${error.pointer}: ${error.message}`);
+                status.textContent = [result.error || `Not sent (HTTP ${response.status})`, ...problems].join('; ');
+                return;
+            }
+            status.textContent = `Sent. Queued for review as event ${result.id}.`;
+        } catch (error) {
+            status.textContent = `Not sent: ${error.message}`;
+        }
+    }
+
+    async function fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    async function loadSubmissionForm() {
+        const container = byId('eventSubmission');
+        if (!container) return;
+
+        // Detect if we're in a subdirectory (pages/)
+        const pathPrefix = window.location.pathname.includes('/pages/') ? '../' : '';
+
+        try {
+            events = (await fetchJSON(`${pathPrefix}data/events.json`)).events;
+        } catch (error) {
+            console.error('Error loading events:', error);
+        }
+        try {
+            const clubsData = await fetchJSON(`${pathPrefix}data/clubs.json`);
+            clubs = clubsData.counties.flatMap(county => county.clubs)
+                .map(club => ({ id: club.id, name: club.name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('Error loading clubs:', error);
+        }
+
+        container.innerHTML = renderForm(clubs);
+        updateForm();
+
+        // The review queue only exists where scripts/submission-server.js runs
+        if (container.dataset.endpoint) {
+            try {
+                const queue = await fetchJSON(container.dataset.endpoint);
+                endpoint = container.dataset.endpoint;
+                if (Array.isArray(queue.queued)) events = [...events, ...queue.queued];
+            } catch (error) {
+                endpoint = null;
+            }
+        }
+    }
+
+    return {
+        fields,
+        nextEventId,
+        buildEvent,
+        validateEvent,
+        toSnippet,
+        renderPreview,
+        renderForm,
+        loadSubmissionForm,
+        updateForm,
+        preview,
+        copySnippet,
+        downloadSnippet,
+        send
+    };
+});
@@ -1,14 +1,9 @@
 // Common footer component for all pages
-function loadFooter() {
-    // Detect if we're in a subdirectory (pages/)
-    const isInSubdir = window.location.pathname.includes('/pages/');
-    const pathPrefix = isInSubdir ? '../' : '';
-
-    // Per-page "validated" date, set via <meta name="page-validated" content="YYYY-MM-DD"> in each page's <head>
+// Footer markup; validated is the page's YYYY-MM-DD "validated" date, if any
+function renderFooter(pathPrefix, validated, year) {
     let validatedHTML = '';
-    const validatedMeta = document.querySelector('meta[name="page-validated"]');
-    if (validatedMeta && validatedMeta.content) {
-        const validatedDate = new Date(validatedMeta.content + 'T00:00:00');
+    if (validated) {
+        const validatedDate = new Date(validated + 'T00:00:00');
         if (!isNaN(validatedDate)) {
             const formattedDate = validatedDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
             validatedHTML = `
@@ -19,7 +14,7 @@ function loadFooter() {
         }
     }
 
-    const footerHTML = `
+    return `
         <footer>
             <div class="footer-content">
                 <div class="footer-grid">
@@ -51,17 +46,37 @@ function loadFooter() {
                 </div>
 
                 <div class="footer-bottom">
-                    <p>&copy; ${new Date().getFullYear()} Atlanta Ham Radio &middot; All Rights Reserved &middot; Focused on public service and community involvement</p>${validatedHTML}
+                    <p>&copy; <span class="footer-year">${year}</span> Atlanta Ham Radio &middot; All Rights Reserved &middot; Focused on public service and community involvement</p>${validatedHTML}
                 </div>
             </div>
         </footer>
     `;
+}
+
+function loadFooter() {
+    // Pages built by scripts/build-site.js already contain the footer; just keep its year current
+    const prerendered = document.querySelector('footer .footer-year');
+    if (prerendered) {
+        prerendered.textContent = new Date().getFullYear();
+        return;
+    }
+
+    // Detect if we're in a subdirectory (pages/)
+    const isInSubdir = window.location.pathname.includes('/pages/');
+    const pathPrefix = isInSubdir ? '../' : '';
+
+    // Per-page "validated" date, set via <meta name="page-validated" content="YYYY-MM-DD"> in each page's <head>
+    const validatedMeta = document.querySelector('meta[name="page-validated"]');
+    const validated = validatedMeta && validatedMeta.content;
 
-    document.body.insertAdjacentHTML('beforeend', footerHTML);
+    document.body.insertAdjacentHTML('beforeend', renderFooter(pathPrefix, validated, new Date().getFullYear()));
 }
 
-// Load footer when DOM is ready
-if (document.readyState === 'loading') {
+if (typeof module === 'object' && module.exports) {
+    // Node (scripts/build-site.js) only needs the markup
+    module.exports = { renderFooter };
+} else if (document.readyState === 'loading') {
+    // Load footer when DOM is ready
     document.addEventListener('DOMContentLoaded', loadFooter);
 } else {
     loadFooter();
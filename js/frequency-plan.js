@@ -0,0 +1,442 @@
+/**
+ * Hotspot and crossband frequency plan (pages/hotspot-crossband.html).
+ * Renders the SERA allocations in data/frequency-plan.json into each
+ *
+ *   <div data-frequency-table="hotspot" data-columns="5"></div>
+ *
+ * placeholder (an allocation id; data-columns defaults to 6), and, when the
+ * page has a <div id="frequencyPicker">, a picker that suggests a primary
+ * and an alternate channel for the visitor's band, mode and station type.
+ * Frequencies listed under "inUse" are skipped when the lister's ZIP is
+ * within the chosen distance of the visitor's (ZIPs from
+ * data/zip-centroids.json, as on the clubs page), and channels next to one
+ * in use sort last. Chosen channels download as CHIRP CSV or print as a
+ * wallet-sized channel card.
+ *
+ * Load js/calendar-core.js and js/radio-core.js first.
+ * scripts/build-site.js requires this file to pre-render the tables, so the
+ * allocations are on the page without JavaScript.
+ */
+(function (factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'), require('./radio-core'));
+    } else {
+        window.FrequencyPlan = factory(CalendarCore, RadioCore);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', window.FrequencyPlan.loadFrequencyPlan);
+        } else {
+            window.FrequencyPlan.loadFrequencyPlan();
+        }
+    }
+})(function (CalendarCore, RadioCore) {
+    const { escapeHTML } = CalendarCore;
+    const { writeChirpCSV } = RadioCore;
+
+    const DEFAULT_COLUMNS = 6;
+    const DEFAULT_RADIUS_MILES = 25;
+    const RADIUS_CHOICES = [10, 25, 50];
+    const EARTH_RADIUS_MILES = 3958.8;
+    // Channels this close to one in use (narrow band spacing) are a last resort
+    const ADJACENT_MHZ = 0.0125;
+
+    const stationTypes = {
+        fixed: 'Fixed station',
+        mobile: 'Mobile station'
+    };
+
+    // The CHIRP mode for each plan mode; the crossband channels are narrow band FM
+    const CHIRP_MODES = {
+        'FM': 'NFM',
+        'DMR': 'DMR',
+        'D-STAR': 'DV',
+        'YSF': 'DN',
+        'P25': 'P25',
+        'NXDN': 'DIG'
+    };
+
+    function formatFrequency(mhz) {
+        return mhz.toFixed(4);
+    }
+
+    const sameFrequency = (a, b) => Math.abs(a - b) < 0.00005;
+
+    // Great-circle distance in miles between two { lat, lon } points
+    function distanceMiles(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(b.lat - a.lat);
+        const dLon = toRadians(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+    }
+
+    // Modes with an allocation on `band`, in plan order
+    function listModes(plan, band) {
+        const modes = [];
+        plan.allocations
+            .filter(allocation => allocation.band === band)
+            .forEach(allocation => allocation.modes.forEach(mode => {
+                if (!modes.includes(mode)) modes.push(mode);
+            }));
+        return modes;
+    }
+
+    // Allocations for a band and mode; station narrows allocations reserved for fixed or mobile use
+    function matchAllocations(plan, { band, mode, station }) {
+        return plan.allocations.filter(allocation =>
+            allocation.band === band &&
+            allocation.modes.includes(mode) &&
+            (!allocation.station || !station || allocation.station === station));
+    }
+
+    /**
+     * Channels for { band, mode, station } that nobody nearby has listed as in
+     * use, best first: those with no in-use neighbor, then plan order.
+     * origin: the visitor's { lat, lon }, or null; radius: miles;
+     * locate(claim): a listed user's { lat, lon }, or null. Without an
+     * origin, or for a user locate can't place, every listing counts as nearby.
+     * Returns { channels, taken }, each [{ allocation, index, frequency,
+     * nearby }], nearby being the in-use listings (with distance) that
+     * collide or neighbor it.
+     */
+    function pickChannels(plan, options) {
+        const radius = options.radius || DEFAULT_RADIUS_MILES;
+        const locate = options.locate || (() => null);
+        const nearbyClaims = plan.inUse
+            .map(claim => {
+                const location = options.origin ? locate(claim) : null;
+                return { claim, distance: location ? distanceMiles(options.origin, location) : null };
+            })
+            .filter(entry => entry.distance === null || entry.distance <= radius);
+
+        const candidates = matchAllocations(plan, options).flatMap(allocation =>
+            allocation.frequencies.map((frequency, index) => ({
+                allocation,
+                index,
+                frequency,
+                nearby: nearbyClaims.filter(entry => Math.abs(entry.claim.frequency - frequency) <= ADJACENT_MHZ + 0.00005)
+            })));
+
+        const isTaken = candidate => candidate.nearby.some(entry => sameFrequency(entry.claim.frequency, candidate.frequency));
+        const channels = candidates
+            .filter(candidate => !isTaken(candidate))
+            .map((candidate, order) => ({ candidate, order }))
+            .sort((a, b) => (a.candidate.nearby.length > 0) - (b.candidate.nearby.length > 0) || a.order - b.order)
+            .map(({ candidate }) => candidate);
+        return { channels, taken: candidates.filter(isTaken) };
+    }
+
+    // Primary and alternate channel (either may be null) plus what was skipped
+    function suggestChannels(plan, options) {
+        const { channels, taken } = pickChannels(plan, options);
+        return { primary: channels[0] || null, alternate: channels[1] || null, taken };
+    }
+
+    // A picked channel as a memory: { name, frequency, mode, allocationId, comment }
+    function toChannel(candidate, mode) {
+        const allocation = candidate.allocation;
+        return {
+            name: `${allocation.shortName}${candidate.index + 1}`,
+            frequency: candidate.frequency,
+            mode,
+            allocationId: allocation.id,
+            comment: allocation.use === 'hotspot' ? `${allocation.name} (${mode})` : allocation.name
+        };
+    }
+
+    // CHIRP's generic CSV (File > Import) for toChannel() memories, numbered from 1.
+    // The allocations use a 12.5 kHz raster, so that is the tuning step.
+    function toChirpCSV(channels) {
+        return writeChirpCSV(channels.map(channel => ({
+            name: channel.name,
+            frequency: channel.frequency,
+            mode: CHIRP_MODES[channel.mode] || 'NFM',
+            step: 12.5,
+            comment: channel.comment
+        })));
+    }
+
+    // One allocation's frequencies as the page's grid table, `columns` to a row
+    function renderFrequencyTable(allocation, columns = DEFAULT_COLUMNS) {
+        const rows = [];
+        for (let i = 0; i < allocation.frequencies.length; i += columns) {
+            rows.push(allocation.frequencies.slice(i, i + columns));
+        }
+        return `
+            <table>
+                ${rows.map(row => `<tr>${row.map(frequency => `<td>${formatFrequency(frequency)}</td>`).join('')}</tr>`).join('\n                ')}
+            </table>
+        `;
+    }
+
+    // Printable card for toChannel() memories
+    function renderChannelCard(channels, options = {}) {
+        return `
+            <div class="channel-card">
+                <h3>${escapeHTML(options.title || 'Hotspot & Crossband Channels')}</h3>
+                <table class="channel-card-table">
+                    <thead><tr><th>Ch</th><th>Name</th><th>MHz</th><th>Mode</th><th>Use</th></tr></thead>
+                    <tbody>
+                        ${channels.map((channel, i) => `
+                        <tr>
+                            <td>${i + 1}</td>
+                            <td>${escapeHTML(channel.name)}</td>
+                            <td>${formatFrequency(channel.frequency)}</td>
+                            <td>${escapeHTML(channel.mode)}</td>
+                            <td>${escapeHTML(channel.comment)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${options.source ? `<p class="channel-card-source">Frequencies from the ${escapeHTML(options.source)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    // Browser state
+    let plan = null;
+    let chosen = [];        // toChannel() memories, in card order
+    let zipCentroids = null;
+    let pathPrefix = '';
+
+    function byId(id) {
+        return document.getElementById(id);
+    }
+
+    async function fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    // { lat, lon } for a ZIP in data/zip-centroids.json, or null if it isn't listed
+    async function lookupZip(zip) {
+        if (!zipCentroids) {
+            const data = await fetchJSON(`${pathPrefix}data/zip-centroids.json`);
+            zipCentroids = data.zips;
+        }
+        const centroid = zipCentroids[zip];
+        return centroid ? { lat: centroid[0], lon: centroid[1] } : null;
+    }
+
+    function locateClaim(claim) {
+        const centroid = zipCentroids && zipCentroids[claim.zip];
+        return centroid ? { lat: centroid[0], lon: centroid[1] } : null;
+    }
+
+    function renderPicker() {
+        const bands = Object.keys(plan.bands).filter(band => plan.allocations.some(allocation => allocation.band === band));
+        byId('frequencyPicker').innerHTML = `
+            <form class="picker-form" onsubmit="FrequencyPlan.suggest(); return false;">
+                <div class="picker-field">
+                    <label class="filter-label" for="pickerBand">Band</label>
+                    <select id="pickerBand" onchange="FrequencyPlan.updateForm()">
+                        ${bands.map(band => `<option value="${escapeHTML(band)}">${escapeHTML(plan.bands[band].name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="picker-field">
+                    <label class="filter-label" for="pickerMode">Mode</label>
+                    <select id="pickerMode" onchange="FrequencyPlan.updateForm()"></select>
+                </div>
+                <div class="picker-field" id="pickerStationField">
+                    <label class="filter-label" for="pickerStation">Station</label>
+                    <select id="pickerStation">
+                        ${Object.entries(stationTypes).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="picker-field">
+                    <label class="filter-label" for="pickerZip">Your ZIP</label>
+                    <input type="text" id="pickerZip" inputmode="numeric" maxlength="5" placeholder="ZIP code" autocomplete="postal-code">
+                </div>
+                <div class="picker-field">
+                    <label class="filter-label" for="pickerRadius">Avoid users within</label>
+                    <select id="pickerRadius">
+                        ${RADIUS_CHOICES.map(miles => `<option value="${miles}"${miles === DEFAULT_RADIUS_MILES ? ' selected' : ''}>${miles} miles</option>`).join('')}
+                    </select>
+                </div>
+                <button type="submit" class="btn btn-primary">Suggest channels</button>
+            </form>
+            <div class="picker-result" id="pickerResult" aria-live="polite"></div>
+            <div class="picker-chosen" id="pickerChosen"></div>
+        `;
+        updateForm();
+        renderChosen();
+    }
+
+    // Mode choices follow the band; the station choice only shows where allocations differ by station
+    function updateForm() {
+        const band = byId('pickerBand').value;
+        const modeSelect = byId('pickerMode');
+        const current = modeSelect.value;
+        const modes = listModes(plan, band);
+        modeSelect.innerHTML = modes.map(mode =>
+            `<option value="${escapeHTML(mode)}"${mode === current ? ' selected' : ''}>${escapeHTML(mode === 'FM' ? 'FM crossband' : `${mode} hotspot`)}</option>`).join('');
+        if (!modes.includes(current)) modeSelect.value = modes[0] || '';
+
+        const stations = matchAllocations(plan, { band, mode: modeSelect.value }).some(allocation => allocation.station);
+        byId('pickerStationField').style.display = stations ? '' : 'none';
+    }
+
+    function describeNearby(entry) {
+        const where = entry.distance === null ? `ZIP ${entry.claim.zip}` : `${Math.round(entry.distance)} mi away`;
+        return `${escapeHTML(entry.claim.callsign)} on ${formatFrequency(entry.claim.frequency)} (${where})`;
+    }
+
+    function renderSuggestionChoice(label, candidate, mode) {
+        if (!candidate) return '';
+        const neighbors = candidate.nearby.length
+            ? `<span class="picker-note">Next to ${candidate.nearby.map(describeNearby).join(', ')}</span>`
+            : '';
+        return `
+            <li class="picker-choice">
+                <span class="picker-choice-label">${label}</span>
+                <span class="picker-frequency">${formatFrequency(candidate.frequency)}</span>
+                <span class="picker-allocation">${escapeHTML(candidate.allocation.name)}</span>
+                ${neighbors}
+                <button type="button" class="filter-btn" onclick="FrequencyPlan.addChannel('${candidate.allocation.id}', ${candidate.frequency}, '${escapeHTML(mode)}')">Add to my channels</button>
+            </li>
+        `;
+    }
+
+    async function suggest() {
+        const band = byId('pickerBand').value;
+        const mode = byId('pickerMode').value;
+        const station = byId('pickerStationField').style.display === 'none' ? null : byId('pickerStation').value;
+        const radius = parseInt(byId('pickerRadius').value, 10) || DEFAULT_RADIUS_MILES;
+        const zip = byId('pickerZip').value.trim();
+        const result = byId('pickerResult');
+
+        let origin = null;
+        let zipNote = 'Without a ZIP, every listed user counts as nearby.';
+        if (/^\d{5}$/.test(zip)) {
+            try {
+                origin = await lookupZip(zip);
+            } catch (error) {
+                console.error('Error loading ZIP centroids:', error);
+            }
+            zipNote = origin
+                ? `Skipping channels listed as in use within ${radius} miles of ${zip}.`
+                : `ZIP ${zip} isn't in our table yet, so every listed user counts as nearby.`;
+        } else if (zip) {
+            zipNote = 'Enter a 5-digit ZIP code to only avoid nearby users.';
+        }
+
+        const { primary, alternate, taken } = suggestChannels(plan, { band, mode, station, origin, radius, locate: locateClaim });
+        const skipped = taken.length
+            ? `<p class="picker-note">In use nearby: ${taken.map(candidate => candidate.nearby.filter(entry => sameFrequency(entry.claim.frequency, candidate.frequency)).map(describeNearby).join(', ')).join('; ')}</p>`
+            : '';
+
+        result.innerHTML = primary
+            ? `
+                <ul class="picker-choices">
+                    ${renderSuggestionChoice('Primary', primary, mode)}
+                    ${renderSuggestionChoice('Alternate', alternate, mode)}
+                </ul>
+                <p class="picker-note">${escapeHTML(zipNote)}</p>
+                ${skipped}
+            `
+            : `<p class="picker-note">Every ${escapeHTML(mode)} channel in this allocation is listed as in use nearby. ${escapeHTML(zipNote)}</p>${skipped}`;
+    }
+
+    function addChannel(allocationId, frequency, mode) {
+        const allocation = plan.allocations.find(entry => entry.id === allocationId);
+        if (!allocation) return;
+        const index = allocation.frequencies.findIndex(entry => sameFrequency(entry, frequency));
+        if (index === -1) return;
+        if (!chosen.some(channel => sameFrequency(channel.frequency, frequency) && channel.mode === mode)) {
+            chosen.push(toChannel({ allocation, index, frequency: allocation.frequencies[index] }, mode));
+        }
+        renderChosen();
+    }
+
+    function removeChannel(position) {
+        chosen.splice(position, 1);
+        renderChosen();
+    }
+
+    function renderChosen() {
+        const container = byId('pickerChosen');
+        if (!chosen.length) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = `
+            <h3>My channels</h3>
+            <ul class="picker-choices">
+                ${chosen.map((channel, i) => `
+                <li class="picker-choice">
+                    <span class="picker-choice-label">${escapeHTML(channel.name)}</span>
+                    <span class="picker-frequency">${formatFrequency(channel.frequency)}</span>
+                    <span class="picker-allocation">${escapeHTML(channel.comment)}</span>
+                    <button type="button" class="filter-btn" onclick="FrequencyPlan.removeChannel(${i})" aria-label="Remove ${escapeHTML(channel.name)}">Remove</button>
+                </li>`).join('')}
+            </ul>
+            <div class="picker-actions">
+                <button type="button" class="btn btn-primary" onclick="FrequencyPlan.downloadChirp()">Download CHIRP CSV</button>
+                <button type="button" class="btn btn-secondary" onclick="FrequencyPlan.printCard()">Print channel card</button>
+            </div>
+            ${renderChannelCard(chosen, { source: `${plan.source.name} ${plan.source.document || 'frequency plan'}` })}
+        `;
+    }
+
+    function downloadChirp() {
+        const blob = new Blob([toChirpCSV(chosen)], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'hotspot-crossband-chirp.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Print just the card (see .print-channel-card in style.css)
+    function printCard() {
+        document.body.classList.add('print-channel-card');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-channel-card'), { once: true });
+        window.print();
+    }
+
+    async function loadFrequencyPlan() {
+        const tables = document.querySelectorAll('[data-frequency-table]');
+        const picker = byId('frequencyPicker');
+        if (tables.length === 0 && !picker) return;
+
+        // Detect if we're in a subdirectory (pages/)
+        pathPrefix = window.location.pathname.includes('/pages/') ? '../' : '';
+
+        try {
+            plan = await fetchJSON(`${pathPrefix}data/frequency-plan.json`);
+        } catch (error) {
+            // Leave any pre-rendered tables in place
+            console.error('Error loading frequency plan:', error);
+            return;
+        }
+
+        tables.forEach(container => {
+            const allocation = plan.allocations.find(entry => entry.id === container.dataset.frequencyTable);
+            if (allocation) container.innerHTML = renderFrequencyTable(allocation, parseInt(container.dataset.columns, 10) || DEFAULT_COLUMNS);
+        });
+        if (picker) renderPicker();
+    }
+
+    return {
+        stationTypes,
+        CHIRP_MODES,
+        formatFrequency,
+        distanceMiles,
+        listModes,
+        matchAllocations,
+        pickChannels,
+        suggestChannels,
+        toChannel,
+        toChirpCSV,
+        renderFrequencyTable,
+        renderChannelCard,
+        loadFrequencyPlan,
+        updateForm,
+        suggest,
+        addChannel,
+        removeChannel,
+        downloadChirp,
+        printCard
+    };
+});
@@ -1,10 +1,7 @@
 // Common header component for all pages
-function loadHeader() {
-    // Detect if we're in a subdirectory (pages/)
-    const isInSubdir = window.location.pathname.includes('/pages/');
-    const pathPrefix = isInSubdir ? '../' : '';
-
-    const headerHTML = `
+// Header markup; pathPrefix is '' at the site root and '../' one level down
+function renderHeader(pathPrefix) {
+    return `
         <header class="header">
             <div class="header-content">
                 <a href="${pathPrefix}index.html" class="logo">
@@ -46,18 +43,31 @@ function loadHeader() {
             </nav>
         </header>
     `;
+}
 
-    document.body.insertAdjacentHTML('afterbegin', headerHTML);
-
-    // Add back to top button
-    const backToTopHTML = `
+function renderBackToTop() {
+    return `
         <button class="back-to-top" id="backToTop" aria-label="Back to top">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <path d="m18 15-6-6-6 6"/>
             </svg>
         </button>
     `;
-    document.body.insertAdjacentHTML('beforeend', backToTopHTML);
+}
+
+function loadHeader() {
+    // Detect if we're in a subdirectory (pages/)
+    const isInSubdir = window.location.pathname.includes('/pages/');
+    const pathPrefix = isInSubdir ? '../' : '';
+
+    // Pages built by scripts/build-site.js already contain the header and
+    // back to top button; only insert what's missing
+    if (!document.getElementById('desktopNav')) {
+        document.body.insertAdjacentHTML('afterbegin', renderHeader(pathPrefix));
+    }
+    if (!document.getElementById('backToTop')) {
+        document.body.insertAdjacentHTML('beforeend', renderBackToTop());
+    }
 
     // Initialize mobile menu, theme toggle, and back to top after DOM insertion
     initMobileMenu();
@@ -245,20 +255,25 @@ function loadGoogleDriveButton() {
     return googleDriveButtonHTML;
 }
 
-// Initialize theme immediately (before DOM loads to prevent flash)
-initializeTheme();
+if (typeof module === 'object' && module.exports) {
+    // Node (scripts/build-site.js) only needs the markup
+    module.exports = { renderHeader, renderBackToTop };
+} else {
+    // Initialize theme immediately (before DOM loads to prevent flash)
+    initializeTheme();
 
-// Listen for system theme changes
-window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-    // Only update if user hasn't set a manual preference
-    if (!localStorage.getItem('theme')) {
-        document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-    }
-});
+    // Listen for system theme changes
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+        // Only update if user hasn't set a manual preference
+        if (!localStorage.getItem('theme')) {
+            document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
+        }
+    });
 
-// Load header when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', loadHeader);
-} else {
-    loadHeader();
+    // Load header when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadHeader);
+    } else {
+        loadHeader();
+    }
 }
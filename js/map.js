@@ -0,0 +1,131 @@
+/**
+ * Self-contained SVG maps for the calendar (and any other page with places).
+ * No tiles or third-party map library: points are projected onto a plain
+ * SVG canvas fitted to the markers, with optional landmark labels (from
+ * data/gazetteer.json) and a scale bar for orientation. Loaded by the
+ * browser as window.SiteMap (after js/calendar-core.js) and by tests via
+ * require.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'));
+    } else {
+        root.SiteMap = factory(root.CalendarCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CalendarCore) {
+    'use strict';
+
+    const { escapeHTML } = CalendarCore;
+
+    const MILES_PER_DEGREE_LAT = 69.0;
+    // Smallest area shown, in degrees, so a single marker isn't zoomed to a point
+    const MIN_SPAN_DEGREES = 0.1;
+    const SCALE_BAR_MILES = [1, 2, 5, 10, 20, 50, 100, 200, 500];
+
+    /**
+     * Equirectangular projection that fits points ([{ lat, lon }]) into a
+     * width x height canvas, keeping `padding` pixels free on every side.
+     * Longitude is scaled by cos(latitude) so distances look right at
+     * Atlanta's latitude. Returns { project(lat, lon) -> { x, y }, contains(lat, lon), pixelsPerMile }.
+     */
+    function createProjection(points, options = {}) {
+        const width = options.width || 800;
+        const height = options.height || 500;
+        const padding = options.padding === undefined ? 40 : options.padding;
+
+        const lats = points.map(point => point.lat);
+        const lons = points.map(point => point.lon);
+        const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+        const midLon = (Math.min(...lons) + Math.max(...lons)) / 2;
+        const lonScale = Math.cos(midLat * Math.PI / 180);
+
+        const latSpan = Math.max(Math.max(...lats) - Math.min(...lats), MIN_SPAN_DEGREES);
+        const lonSpan = Math.max((Math.max(...lons) - Math.min(...lons)) * lonScale, MIN_SPAN_DEGREES);
+        // Pixels per degree of latitude
+        const scale = Math.min((width - 2 * padding) / lonSpan, (height - 2 * padding) / latSpan);
+
+        const project = (lat, lon) => ({
+            x: width / 2 + (lon - midLon) * lonScale * scale,
+            y: height / 2 - (lat - midLat) * scale
+        });
+        const contains = (lat, lon) => {
+            const { x, y } = project(lat, lon);
+            return x >= 0 && x <= width && y >= 0 && y <= height;
+        };
+
+        return { project, contains, pixelsPerMile: scale / MILES_PER_DEGREE_LAT };
+    }
+
+    // Longest round distance whose bar fits in maxPixels
+    function pickScaleBar(pixelsPerMile, maxPixels) {
+        const fitting = SCALE_BAR_MILES.filter(miles => miles * pixelsPerMile <= maxPixels);
+        const miles = fitting.length ? fitting[fitting.length - 1] : SCALE_BAR_MILES[0];
+        return { miles, pixels: miles * pixelsPerMile };
+    }
+
+    /**
+     * SVG markup for a map of markers.
+     * options.markers: [{ lat, lon, color, title, count, onclick, active }];
+     *   onclick is an inline handler string, count (> 1) is drawn on the marker
+     * options.landmarks: [{ lat, lon, name }] labelled for orientation when they
+     *   fall inside the map; they don't affect its extent
+     * options.width / options.height: canvas size in SVG units (default 800 x 500)
+     * options.label: accessible name for the map
+     * Returns '' when there are no markers.
+     */
+    function renderMap(options) {
+        const markers = options.markers || [];
+        if (markers.length === 0) return '';
+        const width = options.width || 800;
+        const height = options.height || 500;
+        const { project, contains, pixelsPerMile } = createProjection(markers, { width, height });
+        const scaleBar = pickScaleBar(pixelsPerMile, width / 5);
+
+        const landmarks = (options.landmarks || [])
+            .filter(landmark => contains(landmark.lat, landmark.lon))
+            .map(landmark => {
+                const { x, y } = project(landmark.lat, landmark.lon);
+                return `
+                    <g class="map-landmark">
+                        <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3"/>
+                        <text x="${(x + 6).toFixed(1)}" y="${(y + 4).toFixed(1)}">${escapeHTML(landmark.name)}</text>
+                    </g>`;
+            }).join('');
+
+        // Southern markers last, so they overlap the ones behind them like pins
+        const pins = [...markers].sort((a, b) => b.lat - a.lat).map(marker => {
+            const { x, y } = project(marker.lat, marker.lon);
+            const count = marker.count > 1 ? `<text class="map-marker-count" x="${x.toFixed(1)}" y="${(y + 4).toFixed(1)}">${marker.count}</text>` : '';
+            return `
+                <g class="map-marker${marker.active ? ' active' : ''}" tabindex="0" role="button" aria-label="${escapeHTML(marker.title)}"${marker.onclick ? ` onclick='${marker.onclick}'` : ''}>
+                    <title>${escapeHTML(marker.title)}</title>
+                    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${marker.count > 1 ? 11 : 8}" style="fill: ${marker.color}"/>
+                    ${count}
+                </g>`;
+        }).join('');
+
+        return `
+            <svg class="site-map" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHTML(options.label || 'Map')}" preserveAspectRatio="xMidYMid meet">
+                <rect class="map-background" x="0" y="0" width="${width}" height="${height}"/>
+                ${landmarks}
+                ${pins}
+                <g class="map-scale">
+                    <line x1="16" y1="${height - 16}" x2="${(16 + scaleBar.pixels).toFixed(1)}" y2="${height - 16}"/>
+                    <text x="16" y="${height - 22}">${scaleBar.miles} mi</text>
+                </g>
+            </svg>
+        `;
+    }
+
+    // OpenStreetMap link centered on a point
+    function mapLink(lat, lon, zoom = 16) {
+        return `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=${zoom}/${lat}/${lon}`;
+    }
+
+    return {
+        createProjection,
+        pickScaleBar,
+        renderMap,
+        mapLink
+    };
+});
@@ -0,0 +1,344 @@
+/**
+ * Weekly nets directory (pages/nets.html)
+ * Renders data/nets.json as a sortable table and marks the nets that are on
+ * the air now or start within the hour. Schedules are Eastern wall-clock
+ * times, so "now" is read in America/New_York whatever the viewer's clock
+ * says; the table refreshes itself every minute.
+ *
+ * Load js/calendar-core.js and js/radio-core.js first. Net control clubs
+ * link to their card on the clubs directory.
+ */
+(function (factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'), require('./radio-core'));
+    } else {
+        window.NetsDirectory = factory(CalendarCore, RadioCore);
+        const start = () => {
+            window.NetsDirectory.loadNets();
+            setInterval(window.NetsDirectory.refresh, window.NetsDirectory.REFRESH_MS);
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start);
+        } else {
+            start();
+        }
+    }
+})(function (CalendarCore, RadioCore) {
+    const {
+        TIMEZONE,
+        parseLocalDate,
+        toDateKey,
+        weekdayCodes,
+        weekdayNames,
+        ordinalNames,
+        expandOccurrences,
+        formatTimeDisplay,
+        escapeHTML
+    } = CalendarCore;
+    const { indexClubs } = RadioCore;
+
+    const DIGITAL_MODES = ['DMR', 'D-STAR', 'YSF', 'P25', 'Digital'];
+
+    const DEFAULT_DURATION = 60;  // minutes, when a net has no schedule.duration
+    const SOON_MINUTES = 60;
+    const REFRESH_MS = 60 * 1000;
+    // Long enough to reach the next "5th Monday", which can be three months off
+    const SEARCH_DAYS = 100;
+
+    const sortKeys = {
+        next: 'Next on air',
+        name: 'Name',
+        day: 'Day',
+        frequency: 'Frequency'
+    };
+
+    const easternClock = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    /**
+     * The Eastern calendar date (YYYY-MM-DD) and minutes past midnight of
+     * the instant `now`, independent of the machine's time zone.
+     */
+    function easternTime(now = new Date()) {
+        const parts = {};
+        easternClock.formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+        return {
+            dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    // Date keys are walked as UTC dates so the viewer's DST rules never apply
+    function parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    function addDays(dateKey, days) {
+        const date = parseDateKey(dateKey);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function toTime(minutes) {
+        const wrapped = ((minutes % 1440) + 1440) % 1440;
+        return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+    }
+
+    // A net's schedule as an events.json recurrence rule
+    function toRecurrence(schedule) {
+        return schedule.weekOfMonth
+            ? { frequency: 'monthly', byDay: schedule.days, weekOfMonth: schedule.weekOfMonth }
+            : { frequency: 'weekly', byDay: schedule.days };
+    }
+
+    /**
+     * The dates (YYYY-MM-DD) from fromKey through `days` days later on which
+     * the net meets, expanded like a recurring event. The series is anchored
+     * the day before fromKey, which is always its first occurrence and falls
+     * outside the range.
+     */
+    function meetingDates(schedule, fromKey, days) {
+        const from = parseLocalDate(fromKey);
+        const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + days);
+        const anchor = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1);
+        return expandOccurrences({ startDate: anchor, endDate: null, recurrence: toRecurrence(schedule) }, from, to)
+            .map(occurrence => toDateKey(occurrence.startDate));
+    }
+
+    // Whether a net meets on dateKey (its day list, narrowed by weekOfMonth)
+    function occursOn(schedule, dateKey) {
+        return meetingDates(schedule, dateKey, 0).includes(dateKey);
+    }
+
+    /**
+     * The session on the air at `now`, or else the next one:
+     * { dateKey, startsIn, endsIn } in minutes from now (startsIn <= 0 while
+     * it is on the air), or null if the schedule never meets. A session that
+     * started last night and runs past midnight counts as today's.
+     */
+    function nextSession(net, now = new Date()) {
+        const clock = easternTime(now);
+        const start = toMinutes(net.schedule.time);
+        const duration = net.schedule.duration || DEFAULT_DURATION;
+
+        const today = parseDateKey(clock.dateKey);
+        for (const dateKey of meetingDates(net.schedule, addDays(clock.dateKey, -1), SEARCH_DAYS + 1)) {
+            const offset = Math.round((parseDateKey(dateKey) - today) / 86400000);
+            const startsIn = offset * 1440 + start - clock.minutes;
+            if (startsIn + duration > 0) return { dateKey, startsIn, endsIn: startsIn + duration };
+        }
+        return null;
+    }
+
+    /**
+     * 'live' while a session is on the air, 'soon' when one starts within
+     * the hour, otherwise 'later' (or null for a schedule that never meets).
+     */
+    function getNetStatus(net, now = new Date()) {
+        const session = nextSession(net, now);
+        if (!session) return null;
+        if (session.startsIn <= 0) return 'live';
+        return session.startsIn <= SOON_MINUTES ? 'soon' : 'later';
+    }
+
+    // Sort position of a schedule within the week: first day, then start time
+    function weekPosition(schedule) {
+        const firstDay = Math.min(...schedule.days.map(code => weekdayCodes.indexOf(code)));
+        return firstDay * 1440 + toMinutes(schedule.time);
+    }
+
+    /**
+     * A sorted copy of nets. key is a sortKeys key: 'next' puts nets on the
+     * air first, then by how soon they start; ties fall back to the name.
+     */
+    function sortNets(nets, key = 'next', now = new Date()) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const compare = {
+            name: byName,
+            day: (a, b) => weekPosition(a.schedule) - weekPosition(b.schedule),
+            frequency: (a, b) => a.frequency - b.frequency,
+            next: (a, b) => {
+                const startA = (nextSession(a, now) || { startsIn: Infinity }).startsIn;
+                const startB = (nextSession(b, now) || { startsIn: Infinity }).startsIn;
+                return startA === startB ? 0 : startA < startB ? -1 : 1;
+            }
+        }[key] || byName;
+        return [...nets].sort((a, b) => compare(a, b) || byName(a, b));
+    }
+
+    // e.g. "Mondays, 8pm–9pm ET" or "2nd Tuesday, 7:30pm–8pm ET"
+    function describeSchedule(schedule) {
+        const start = toMinutes(schedule.time);
+        const times = formatTimeDisplay(schedule.time, toTime(start + (schedule.duration || DEFAULT_DURATION)));
+        const names = weekdayCodes.filter(code => schedule.days.includes(code)).map(code => weekdayNames[weekdayCodes.indexOf(code)]);
+
+        let days;
+        if (schedule.weekOfMonth) {
+            days = `${ordinalNames[schedule.weekOfMonth]} ${names.join(' & ')}`;
+        } else if (names.length === 7) {
+            days = 'Daily';
+        } else {
+            days = names.map(name => `${name}s`).join(', ');
+        }
+        return `${days}, ${times} ET`;
+    }
+
+    // e.g. "146.880 MHz (−0.6 MHz, 146.2 Hz)" or "444.800 MHz (TG 31131)"
+    function describeFrequency(net) {
+        const details = [];
+        if (net.offset) details.push(`${net.offset > 0 ? '+' : '−'}${Math.abs(net.offset)} MHz`);
+        if (net.tone) details.push(`${net.tone.toFixed(1)} Hz`);
+        if (net.talkgroup && DIGITAL_MODES.includes(net.mode)) details.push(`TG ${net.talkgroup}`);
+        const frequency = `${net.frequency.toFixed(3)} MHz`;
+        return details.length ? `${frequency} (${details.join(', ')})` : frequency;
+    }
+
+    // "Starts in 25 min" / "On the air, 40 min left" / "Next: Tue, Oct 20"
+    function describeSession(session, status) {
+        if (!session) return '';
+        if (status === 'live') return `On the air, ${session.endsIn} min left`;
+        if (status === 'soon') return `Starts in ${session.startsIn} min`;
+        const date = parseDateKey(session.dateKey);
+        return `Next: ${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+    }
+
+    function renderNetRow(net, now, clubs, pathPrefix) {
+        const session = nextSession(net, now);
+        const status = session ? getNetStatus(net, now) : null;
+        const club = net.clubId && clubs[net.clubId];
+        const name = net.url
+            ? `<a href="${escapeHTML(net.url)}" target="_blank" rel="noopener">${escapeHTML(net.name)}</a>`
+            : escapeHTML(net.name);
+        const badge = status === 'live' || status === 'soon'
+            ? `<span class="net-badge net-badge-${status}">${status === 'live' ? 'On the air' : 'Soon'}</span>`
+            : '';
+
+        return `
+            <tr class="net-row${status === 'live' || status === 'soon' ? ` net-${status}` : ''}" id="net-${escapeHTML(net.id)}">
+                <td>
+                    <span class="net-name">${name}</span>${badge}
+                    ${net.notes ? `<div class="net-notes">${escapeHTML(net.notes)}</div>` : ''}
+                </td>
+                <td>
+                    ${escapeHTML(describeSchedule(net.schedule))}
+                    <div class="net-session">${escapeHTML(describeSession(session, status))}</div>
+                </td>
+                <td>
+                    <span class="net-frequency">${escapeHTML(describeFrequency(net))}</span>
+                    ${net.repeater ? `<div class="net-repeater">${escapeHTML(net.repeater)}</div>` : ''}
+                </td>
+                <td>${escapeHTML(net.mode)}</td>
+                <td>${club
+                    ? `<a href="${pathPrefix}pages/clubs.html#club-${escapeHTML(club.id)}">${escapeHTML(club.name)}</a>`
+                    : '—'}</td>
+            </tr>`;
+    }
+
+    /**
+     * HTML for the directory table. options: sort (a sortKeys key, default
+     * 'next'), now (default the current time), clubs ({ clubId: club }, see
+     * indexClubs) and pathPrefix (to the site root).
+     */
+    function renderNets(nets, options = {}) {
+        const sort = sortKeys[options.sort] ? options.sort : 'next';
+        const now = options.now || new Date();
+        const clubs = options.clubs || {};
+        const pathPrefix = options.pathPrefix || '';
+
+        if (nets.length === 0) {
+            return `
+                <div class="no-results">
+                    <p>No nets are listed yet.</p>
+                    <p>Net managers: <a href="${pathPrefix}pages/about.html#contactform">send us your net</a> to have it added.</p>
+                </div>`;
+        }
+
+        // "When" sorts by the next session, then by day of the week on a second click
+        const header = (label, key, active = sort === key) => key
+            ? `<th scope="col" aria-sort="${active ? 'ascending' : 'none'}"><button type="button" class="net-sort${active ? ' active' : ''}" onclick="NetsDirectory.sortBy('${key}')" title="Sort by ${sortKeys[key].toLowerCase()}">${label}</button></th>`
+            : `<th scope="col">${label}</th>`;
+        const live = nets.filter(net => getNetStatus(net, now) === 'live').length;
+        const soon = nets.filter(net => getNetStatus(net, now) === 'soon').length;
+
+        return `
+            <p class="nets-summary" aria-live="polite">${live} on the air now, ${soon} starting within the hour</p>
+            <div class="table-responsive">
+                <table class="nets-table">
+                    <thead>
+                        <tr>
+                            ${header('Net', 'name')}
+                            ${header('When', sort === 'next' ? 'day' : 'next', sort === 'next' || sort === 'day')}
+                            ${header('Frequency', 'frequency')}
+                            ${header('Mode')}
+                            ${header('Net control')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sortNets(nets, sort, now).map(net => renderNetRow(net, now, clubs, pathPrefix)).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    let nets = [];
+    let clubs = {};
+    let sortKey = 'next';
+    let pathPrefix = '';
+
+    function refresh() {
+        const container = document.getElementById('netsContainer');
+        if (!container) return;
+        container.innerHTML = renderNets(nets, { sort: sortKey, clubs, pathPrefix });
+    }
+
+    function sortBy(key) {
+        sortKey = sortKeys[key] ? key : 'next';
+        refresh();
+    }
+
+    async function loadNets() {
+        if (!document.getElementById('netsContainer')) return;
+        pathPrefix = window.location.pathname.includes('/pages/') ? '../' : '';
+
+        try {
+            const [netsResponse, clubsResponse] = await Promise.all([
+                fetch(`${pathPrefix}data/nets.json`),
+                fetch(`${pathPrefix}data/clubs.json`)
+            ]);
+            nets = (await netsResponse.json()).nets;
+            if (clubsResponse.ok) clubs = indexClubs(await clubsResponse.json());
+        } catch (error) {
+            console.error('Error loading nets:', error);
+        }
+        refresh();
+    }
+
+    return {
+        sortKeys,
+        REFRESH_MS,
+        easternTime,
+        occursOn,
+        nextSession,
+        getNetStatus,
+        sortNets,
+        describeSchedule,
+        describeFrequency,
+        renderNets,
+        loadNets,
+        refresh,
+        sortBy
+    };
+});
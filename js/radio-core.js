@@ -0,0 +1,100 @@
+/**
+ * Shared radio helpers for the clubs, nets, repeater and hotspot/crossband
+ * pages: the one-line repeater description, the clubs.json index the
+ * directories use to name owner clubs, and the CHIRP generic CSV writer.
+ * Loaded by the browser as window.RadioCore and by tests and
+ * scripts/build-site.js via require.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RadioCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // CHIRP's generic CSV (File > Import) columns, in file order
+    const CHIRP_COLUMNS = [
+        'Location', 'Name', 'Frequency', 'Duplex', 'Offset', 'Tone', 'rToneFreq', 'cToneFreq',
+        'DtcsCode', 'DtcsPolarity', 'RxDtcsCode', 'CrossMode', 'Mode', 'TStep', 'Skip', 'Power',
+        'Comment', 'URCALL', 'RPT1CALL', 'RPT2CALL', 'DVCODE'
+    ];
+
+    // CHIRP's own default for an unused tone
+    const DEFAULT_TONE = '88.5';
+
+    // "146.880 MHz −0.6 MHz, 103.5 Hz tone (notes)"
+    function formatRepeater(repeater) {
+        const parts = [`${repeater.frequency.toFixed(3)} MHz`];
+        if (repeater.offset) parts.push(`${repeater.offset > 0 ? '+' : '−'}${Math.abs(repeater.offset)} MHz`);
+        const tone = repeater.tone ? `, ${repeater.tone.toFixed(1)} Hz tone` : '';
+        const notes = repeater.notes ? ` (${repeater.notes})` : '';
+        return `${parts.join(' ')}${tone}${notes}`;
+    }
+
+    // clubs.json counties → { clubId: club }
+    function indexClubs(clubsData) {
+        const clubs = {};
+        ((clubsData && clubsData.counties) || []).forEach(county => {
+            (county.clubs || []).forEach(club => { clubs[club.id] = club; });
+        });
+        return clubs;
+    }
+
+    function csvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // CSV text with a header row; rows are objects keyed by column, CRLF line ends
+    function toCSV(columns, rows) {
+        return [columns.map(csvCell).join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))]
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * CHIRP's generic CSV for a list of memories, numbered from options.start
+     * (default 1). Each memory is { name, frequency (MHz), mode (a CHIRP
+     * mode such as FM, NFM, DN or DV), offset (MHz, negative for a minus
+     * split), tone (Hz), toneSquelch (also decode the tone), step (kHz,
+     * default 5), comment, and for D-STAR urcall, rpt1call and rpt2call }.
+     */
+    function writeChirpCSV(memories, options = {}) {
+        const start = options.start || 1;
+        const rows = memories.map((memory, i) => {
+            const offset = memory.offset || 0;
+            const tone = memory.tone ? memory.tone.toFixed(1) : DEFAULT_TONE;
+            return {
+                Location: start + i,
+                Name: memory.name,
+                Frequency: memory.frequency.toFixed(6),
+                Duplex: offset > 0 ? '+' : offset < 0 ? '-' : '',
+                Offset: Math.abs(offset).toFixed(6),
+                Tone: memory.tone ? (memory.toneSquelch ? 'TSQL' : 'Tone') : '',
+                rToneFreq: tone,
+                cToneFreq: memory.tone && memory.toneSquelch ? tone : DEFAULT_TONE,
+                DtcsCode: '023',
+                DtcsPolarity: 'NN',
+                RxDtcsCode: '023',
+                CrossMode: 'Tone->Tone',
+                Mode: memory.mode,
+                TStep: (memory.step || 5).toFixed(2),
+                Comment: memory.comment,
+                URCALL: memory.urcall,
+                RPT1CALL: memory.rpt1call,
+                RPT2CALL: memory.rpt2call
+            };
+        });
+        return toCSV(CHIRP_COLUMNS, rows);
+    }
+
+    return {
+        CHIRP_COLUMNS,
+        formatRepeater,
+        indexClubs,
+        csvCell,
+        toCSV,
+        writeChirpCSV
+    };
+});
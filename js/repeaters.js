@@ -0,0 +1,424 @@
+/**
+ * Metro Atlanta repeater directory (pages/repeaters.html)
+ * Lists data/repeaters.json with band, mode, county and club filters. Tick
+ * repeaters to export them for radio programming: as CHIRP CSV
+ * (File → Import in CHIRP), or as an ICS-205 style channel list (CSV, or a
+ * printed table) for an event's communications plan. The ICS-205 CSV uses
+ * the form's own column headings, so the ICS-205 worker reads it back.
+ *
+ * Owner clubs link to their card on the clubs directory. Load
+ * js/calendar-core.js and js/radio-core.js first.
+ */
+(function (factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'), require('./radio-core'));
+    } else {
+        window.RepeaterDirectory = factory(CalendarCore, RadioCore);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', window.RepeaterDirectory.loadRepeaters);
+        } else {
+            window.RepeaterDirectory.loadRepeaters();
+        }
+    }
+})(function (CalendarCore, RadioCore) {
+    const { escapeHTML } = CalendarCore;
+    const { formatRepeater, indexClubs, toCSV, writeChirpCSV } = RadioCore;
+
+    // Amateur bands repeaters run on, low to high (MHz)
+    const bands = [
+        { id: '10m', name: '10 m', low: 28, high: 29.7 },
+        { id: '6m', name: '6 m', low: 50, high: 54 },
+        { id: '2m', name: '2 m', low: 144, high: 148 },
+        { id: '1.25m', name: '1.25 m', low: 222, high: 225 },
+        { id: '70cm', name: '70 cm', low: 420, high: 450 },
+        { id: '33cm', name: '33 cm', low: 902, high: 928 },
+        { id: '23cm', name: '23 cm', low: 1240, high: 1300 }
+    ];
+
+    const modes = ['FM', 'DMR', 'Fusion', 'D-STAR'];
+
+    // The CHIRP mode for a repeater's first programmable mode; CHIRP has no DMR
+    const CHIRP_MODES = {
+        'FM': 'FM',
+        'Fusion': 'DN',
+        'D-STAR': 'DV'
+    };
+
+    // D-STAR repeater modules by band
+    const DSTAR_MODULES = { '23cm': 'A', '70cm': 'B', '2m': 'C' };
+
+    const ICS205_COLUMNS = [
+        'Ch #', 'Function', 'Channel Name/Trunked Radio System Talkgroup', 'Assignment',
+        'RX Freq N or W', 'RX Tone/NAC', 'TX Freq N or W', 'TX Tone/NAC', 'Mode (A, D, or M)', 'Remarks'
+    ];
+
+    const filterKeys = ['band', 'mode', 'county', 'clubId'];
+
+    // The bands entry a frequency (MHz) falls in, or null
+    function bandOf(frequency) {
+        return bands.find(band => frequency >= band.low && frequency <= band.high) || null;
+    }
+
+    // The input (transmit) frequency, rounded to the nearest Hz
+    function inputFrequency(repeater) {
+        return Math.round((repeater.frequency + (repeater.offset || 0)) * 1e6) / 1e6;
+    }
+
+    /**
+     * Repeaters matching every filter that is set. filters: band (a bands
+     * id), mode (one of modes), county and clubId.
+     */
+    function filterRepeaters(repeaters, filters = {}) {
+        return repeaters.filter(repeater => {
+            const band = bandOf(repeater.frequency);
+            return (!filters.band || (band && band.id === filters.band)) &&
+                (!filters.mode || repeater.modes.includes(filters.mode)) &&
+                (!filters.county || repeater.county === filters.county) &&
+                (!filters.clubId || repeater.clubId === filters.clubId);
+        });
+    }
+
+    /**
+     * The values each filter can take with this data, in display order:
+     * { band: [bands entries], mode: [...], county: [...], clubId: [...] }.
+     */
+    function filterChoices(repeaters) {
+        const present = key => [...new Set(repeaters.map(key).filter(Boolean))];
+        return {
+            band: bands.filter(band => repeaters.some(repeater => bandOf(repeater.frequency) === band)),
+            mode: modes.filter(mode => repeaters.some(repeater => repeater.modes.includes(mode))),
+            county: present(repeater => repeater.county).sort(),
+            clubId: present(repeater => repeater.clubId)
+        };
+    }
+
+    // Callsign padded to the 7 characters D-STAR routing expects, then the module
+    function dstarCall(callsign, module) {
+        return `${callsign.toUpperCase().padEnd(7, ' ')}${module}`;
+    }
+
+    /**
+     * CHIRP's generic CSV (File > Import) for repeaters, numbered from
+     * options.start (default 1). FM is programmed wherever a repeater has it;
+     * Fusion- and D-STAR-only repeaters use CHIRP's DN and DV modes.
+     * DMR-only repeaters need a codeplug, so they are left out with a warning.
+     * Returns { csv, count, warnings }.
+     */
+    function toChirpCSV(repeaters, options = {}) {
+        const warnings = [];
+        const memories = [];
+
+        repeaters.forEach(repeater => {
+            const mode = Object.keys(CHIRP_MODES).find(candidate => repeater.modes.includes(candidate));
+            if (!mode) {
+                warnings.push(`${repeater.callsign} ${repeater.frequency.toFixed(3)}: DMR-only repeaters are left out; program them with your radio's codeplug software`);
+                return;
+            }
+            const memory = {
+                name: repeater.callsign,
+                frequency: repeater.frequency,
+                offset: repeater.offset,
+                tone: mode === 'FM' ? repeater.tone : undefined,
+                toneSquelch: repeater.toneSquelch,
+                mode: CHIRP_MODES[mode],
+                comment: [repeater.location, repeater.notes].filter(Boolean).join(' / ')
+            };
+            const module = DSTAR_MODULES[(bandOf(repeater.frequency) || {}).id];
+            if (mode === 'D-STAR' && module) {
+                memory.urcall = 'CQCQCQ';
+                memory.rpt1call = dstarCall(repeater.callsign, module);
+                memory.rpt2call = dstarCall(repeater.callsign, 'G');
+            }
+            memories.push(memory);
+        });
+
+        return { csv: writeChirpCSV(memories, options), count: memories.length, warnings };
+    }
+
+    // ICS-205 channel rows: receive on the output, transmit on the input
+    function toICS205Rows(repeaters, options = {}) {
+        const start = options.start || 1;
+        const clubs = options.clubs || {};
+
+        return repeaters.map((repeater, i) => {
+            const analog = repeater.modes.includes('FM');
+            const digital = repeater.modes.some(mode => mode !== 'FM');
+            const width = analog ? 'W' : 'N';
+            const club = repeater.clubId && clubs[repeater.clubId];
+            return {
+                'Ch #': start + i,
+                'Function': 'Repeater',
+                'Channel Name/Trunked Radio System Talkgroup': repeater.callsign,
+                'Assignment': [repeater.location, repeater.county].filter(Boolean).join(', '),
+                'RX Freq N or W': `${repeater.frequency.toFixed(4)} ${width}`,
+                'RX Tone/NAC': analog && repeater.tone && repeater.toneSquelch ? repeater.tone.toFixed(1) : '',
+                'TX Freq N or W': `${inputFrequency(repeater).toFixed(4)} ${width}`,
+                'TX Tone/NAC': analog && repeater.tone ? repeater.tone.toFixed(1) : '',
+                'Mode (A, D, or M)': analog && digital ? 'M' : analog ? 'A' : 'D',
+                'Remarks': [
+                    repeater.modes.join('/'),
+                    repeater.colorCode !== undefined ? `CC ${repeater.colorCode}` : null,
+                    club ? club.name : null,
+                    repeater.notes
+                ].filter(Boolean).join('; ')
+            };
+        });
+    }
+
+    /**
+     * An ICS-205 style channel list as CSV, with the form's column headings.
+     * options: start (first channel number, default 1) and clubs
+     * ({ clubId: club }) to name owner clubs in the remarks.
+     */
+    function toICS205CSV(repeaters, options = {}) {
+        return toCSV(ICS205_COLUMNS, toICS205Rows(repeaters, options));
+    }
+
+    // The same channel list as a printable table; options.title heads it
+    function renderICS205Table(repeaters, options = {}) {
+        return `
+            <div class="ics205-list">
+                <h3>${escapeHTML(options.title || 'Radio Channel Plan (ICS-205)')}</h3>
+                <table class="ics205-table">
+                    <thead><tr>${ICS205_COLUMNS.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${toICS205Rows(repeaters, options).map(row => `
+                        <tr>${ICS205_COLUMNS.map(column => `<td>${escapeHTML(row[column])}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    function renderRepeaterRow(repeater, isSelected, clubs, pathPrefix) {
+        const band = bandOf(repeater.frequency);
+        const club = repeater.clubId && clubs[repeater.clubId];
+        const callsign = repeater.url
+            ? `<a href="${escapeHTML(repeater.url)}" target="_blank" rel="noopener">${escapeHTML(repeater.callsign)}</a>`
+            : escapeHTML(repeater.callsign);
+
+        return `
+            <tr class="repeater-row${isSelected ? ' selected' : ''}" id="repeater-${escapeHTML(repeater.id)}">
+                <td><input type="checkbox" aria-label="Select ${escapeHTML(repeater.callsign)} ${repeater.frequency.toFixed(3)}"${isSelected ? ' checked' : ''} onchange="RepeaterDirectory.toggle('${escapeHTML(repeater.id)}')"></td>
+                <td>
+                    <span class="repeater-frequency">${escapeHTML(formatRepeater(repeater))}</span>
+                </td>
+                <td>${band ? escapeHTML(band.name) : ''}</td>
+                <td>${escapeHTML(repeater.modes.join(', '))}${repeater.colorCode !== undefined ? `<div class="repeater-notes">CC ${repeater.colorCode}</div>` : ''}</td>
+                <td><span class="repeater-callsign">${callsign}</span></td>
+                <td>${escapeHTML(repeater.location)}<div class="repeater-notes">${escapeHTML(repeater.county)}</div></td>
+                <td>${club
+                    ? `<a href="${pathPrefix}pages/clubs.html#club-${escapeHTML(club.id)}">${escapeHTML(club.name)}</a>`
+                    : '—'}</td>
+            </tr>`;
+    }
+
+    /**
+     * HTML for the directory table. options: selected (a Set of repeater
+     * ids), clubs ({ clubId: club }) and pathPrefix (to the site root).
+     */
+    function renderRepeaters(repeaters, options = {}) {
+        const selected = options.selected || new Set();
+        const clubs = options.clubs || {};
+        const pathPrefix = options.pathPrefix || '';
+
+        if (repeaters.length === 0) {
+            return `
+                <div class="no-results">
+                    <p>No repeaters match.</p>
+                </div>`;
+        }
+        return `
+            <div class="table-responsive">
+                <table class="repeaters-table">
+                    <thead>
+                        <tr>
+                            <th scope="col" aria-label="Select"></th>
+                            <th scope="col">Output</th>
+                            <th scope="col">Band</th>
+                            <th scope="col">Mode</th>
+                            <th scope="col">Callsign</th>
+                            <th scope="col">Location</th>
+                            <th scope="col">Owner club</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${repeaters.map(repeater => renderRepeaterRow(repeater, selected.has(repeater.id), clubs, pathPrefix)).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    // Browser state
+    let repeaters = [];
+    let clubs = {};
+    let filters = {};
+    let selected = new Set();
+    let exportWarnings = [];
+    let pathPrefix = '';
+
+    function byId(id) {
+        return document.getElementById(id);
+    }
+
+    async function fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    function renderFilters() {
+        const choices = filterChoices(repeaters);
+        const labels = {
+            band: band => band.name,
+            mode: mode => mode,
+            county: county => county,
+            clubId: clubId => (clubs[clubId] ? clubs[clubId].name : clubId)
+        };
+        const values = { band: band => band.id, mode: mode => mode, county: county => county, clubId: clubId => clubId };
+        const names = { band: 'Band', mode: 'Mode', county: 'County', clubId: 'Club' };
+
+        byId('repeaterFilters').innerHTML = `
+            <div class="picker-form">
+                ${filterKeys.map(key => `
+                <div class="picker-field">
+                    <label class="filter-label" for="repeaterFilter-${key}">${names[key]}</label>
+                    <select id="repeaterFilter-${key}" onchange="RepeaterDirectory.setFilter('${key}', this.value)">
+                        <option value="">All</option>
+                        ${choices[key].map(choice => {
+                            const value = values[key](choice);
+                            return `<option value="${escapeHTML(value)}"${filters[key] === value ? ' selected' : ''}>${escapeHTML(labels[key](choice))}</option>`;
+                        }).join('')}
+                    </select>
+                </div>`).join('')}
+            </div>
+        `;
+    }
+
+    function renderExport() {
+        const count = selected.size;
+        byId('repeaterExport').innerHTML = `
+            <div class="picker-actions">
+                <span class="repeater-selected-count" aria-live="polite">${count} selected</span>
+                <button type="button" class="btn btn-secondary" onclick="RepeaterDirectory.selectShown()">Select all shown</button>
+                <button type="button" class="btn btn-secondary" onclick="RepeaterDirectory.clearSelection()"${count ? '' : ' disabled'}>Clear</button>
+                <button type="button" class="btn btn-primary" onclick="RepeaterDirectory.downloadChirp()"${count ? '' : ' disabled'}>Download CHIRP CSV</button>
+                <button type="button" class="btn btn-primary" onclick="RepeaterDirectory.downloadICS205()"${count ? '' : ' disabled'}>Download ICS-205 CSV</button>
+                <button type="button" class="btn btn-secondary" onclick="RepeaterDirectory.printICS205()"${count ? '' : ' disabled'}>Print ICS-205 list</button>
+            </div>
+            ${exportWarnings.map(warning => `<p class="picker-note">${escapeHTML(warning)}</p>`).join('')}
+            ${count ? renderICS205Table(selectedRepeaters(), { clubs }) : ''}
+        `;
+    }
+
+    function render() {
+        byId('repeatersContainer').innerHTML = repeaters.length
+            ? renderRepeaters(filterRepeaters(repeaters, filters), { selected, clubs, pathPrefix })
+            : `
+                <div class="no-results">
+                    <p>No repeaters are listed yet.</p>
+                    <p>Repeater owners: <a href="${pathPrefix}pages/about.html#contactform">send us your repeater</a> to have it added.</p>
+                </div>`;
+        renderExport();
+    }
+
+    // Selected repeaters in directory order
+    function selectedRepeaters() {
+        return repeaters.filter(repeater => selected.has(repeater.id));
+    }
+
+    function setFilter(key, value) {
+        if (!filterKeys.includes(key)) return;
+        filters = { ...filters, [key]: value || undefined };
+        render();
+    }
+
+    function toggle(id) {
+        if (selected.has(id)) selected.delete(id);
+        else selected.add(id);
+        exportWarnings = [];
+        render();
+    }
+
+    function selectShown() {
+        filterRepeaters(repeaters, filters).forEach(repeater => selected.add(repeater.id));
+        exportWarnings = [];
+        render();
+    }
+
+    function clearSelection() {
+        selected = new Set();
+        exportWarnings = [];
+        render();
+    }
+
+    function download(text, filename) {
+        const blob = new Blob([text], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    function downloadChirp() {
+        const chirp = toChirpCSV(selectedRepeaters());
+        exportWarnings = chirp.warnings;
+        renderExport();
+        if (chirp.count) download(chirp.csv, 'atlanta-repeaters-chirp.csv');
+    }
+
+    function downloadICS205() {
+        download(toICS205CSV(selectedRepeaters(), { clubs }), 'atlanta-repeaters-ics205.csv');
+    }
+
+    // Print just the channel list (see .print-ics205-list in style.css)
+    function printICS205() {
+        document.body.classList.add('print-ics205-list');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-ics205-list'), { once: true });
+        window.print();
+    }
+
+    async function loadRepeaters() {
+        if (!byId('repeatersContainer')) return;
+
+        // Detect if we're in a subdirectory (pages/)
+        pathPrefix = window.location.pathname.includes('/pages/') ? '../' : '';
+
+        try {
+            repeaters = (await fetchJSON(`${pathPrefix}data/repeaters.json`)).repeaters;
+        } catch (error) {
+            console.error('Error loading repeaters:', error);
+        }
+        try {
+            clubs = indexClubs(await fetchJSON(`${pathPrefix}data/clubs.json`));
+        } catch (error) {
+            console.error('Error loading clubs:', error);
+        }
+        renderFilters();
+        render();
+    }
+
+    return {
+        bands,
+        modes,
+        bandOf,
+        inputFrequency,
+        filterRepeaters,
+        filterChoices,
+        toChirpCSV,
+        toICS205CSV,
+        renderICS205Table,
+        renderRepeaters,
+        loadRepeaters,
+        setFilter,
+        toggle,
+        selectShown,
+        clearSelection,
+        downloadChirp,
+        downloadICS205,
+        printICS205
+    };
+});
@@ -0,0 +1,119 @@
+/**
+ * "Next N events" widget for any page.
+ * Drop an element like this where the list should appear:
+ *
+ *   <div data-upcoming-events data-count="5" data-type="public-service"></div>
+ *
+ * then load js/calendar-core.js followed by this script. data-count
+ * (default 5) and data-type (an eventTypes key, default all types) are
+ * optional. Events come from data/events.json and link to the calendar's
+ * #event= deep link for the full details.
+ *
+ * scripts/build-site.js requires this file to pre-render the same list into
+ * the built pages; the browser then replaces it with a fresh one.
+ */
+(function (factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'));
+    } else {
+        window.UpcomingEvents = factory(CalendarCore);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', window.UpcomingEvents.loadUpcomingEvents);
+        } else {
+            window.UpcomingEvents.loadUpcomingEvents();
+        }
+    }
+})(function (CalendarCore) {
+    const {
+        eventTypes,
+        normalizeEvent,
+        getUpcomingEvents,
+        formatTimeDisplay,
+        toDateKey,
+        getEventStatus,
+        eventStatuses,
+        isCalledOff,
+        escapeHTML
+    } = CalendarCore;
+
+    const DEFAULT_COUNT = 5;
+
+    function eventLink(event, pathPrefix) {
+        const date = event.recurrence ? `&date=${toDateKey(event.startDate)}` : '';
+        return `${pathPrefix}index.html#event=${event.id}${date}`;
+    }
+
+    /**
+     * HTML for the next `count` events (of `type`, if given) that haven't
+     * ended before `today`. events are normalized events.json entries.
+     * options.eventHref(event) overrides where each event links to.
+     */
+    function renderUpcomingEvents(events, options = {}) {
+        const count = options.count || DEFAULT_COUNT;
+        const pathPrefix = options.pathPrefix || '';
+        const eventHref = options.eventHref || (event => eventLink(event, pathPrefix));
+        const matching = events.filter(event => !options.type || event.type === options.type);
+        const upcoming = getUpcomingEvents(matching, options.today || new Date()).slice(0, count);
+
+        if (upcoming.length === 0) {
+            return '<p class="upcoming-empty">No upcoming events right now. Check back soon!</p>';
+        }
+
+        return `
+            <ul class="upcoming-list">
+                ${upcoming.map(event => {
+                    const status = getEventStatus(event);
+                    const details = [
+                        eventTypes[event.type].label,
+                        formatTimeDisplay(event.startTime, event.endTime),
+                        event.eventLocation
+                    ].filter(Boolean).map(escapeHTML).join(' · ');
+                    return `
+                    <li class="upcoming-item">
+                        <a class="upcoming-link" href="${eventHref(event)}">
+                            <span class="upcoming-date" style="border-color: ${eventTypes[event.type].color}">
+                                <span class="upcoming-month">${event.startDate.toLocaleDateString('en-US', { month: 'short' })}</span>
+                                <span class="upcoming-day">${event.startDate.getDate()}</span>
+                            </span>
+                            <span class="upcoming-info">
+                                <span class="upcoming-title${isCalledOff(event) ? ' event-called-off' : ''}">${escapeHTML(event.title)}</span>
+                                ${status !== 'confirmed' ? `<span class="event-status-badge event-status-${status}">${eventStatuses[status].label}</span>` : ''}
+                                <span class="upcoming-meta">${details}</span>
+                            </span>
+                        </a>
+                    </li>
+                `}).join('')}
+            </ul>
+            <a class="upcoming-all" href="${pathPrefix}index.html#calendar">View the full calendar →</a>
+        `;
+    }
+
+    async function loadUpcomingEvents() {
+        const containers = document.querySelectorAll('[data-upcoming-events]');
+        if (containers.length === 0) return;
+
+        // Detect if we're in a subdirectory (pages/)
+        const isInSubdir = window.location.pathname.includes('/pages/');
+        const pathPrefix = isInSubdir ? '../' : '';
+
+        let events = [];
+        try {
+            const response = await fetch(`${pathPrefix}data/events.json`);
+            const data = await response.json();
+            events = data.events.map(normalizeEvent);
+        } catch (error) {
+            console.error('Error loading upcoming events:', error);
+        }
+
+        containers.forEach(container => {
+            container.classList.add('upcoming-events');
+            container.innerHTML = renderUpcomingEvents(events, {
+                count: parseInt(container.dataset.count, 10) || DEFAULT_COUNT,
+                type: eventTypes[container.dataset.type] ? container.dataset.type : null,
+                pathPrefix
+            });
+        });
+    }
+
+    return { DEFAULT_COUNT, renderUpcomingEvents, loadUpcomingEvents };
+});
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Build a pre-rendered copy of the site in dist/
+ * In the repo, every page injects its header and footer at runtime
+ * (js/header.js, js/footer.js) and the calendar is drawn in the browser from
+ * data/events.json, so crawlers and visitors without JavaScript see empty
+ * navigation and no events. This writes the same site to dist/ with:
+ *   - the header, back to top button and footer inlined in every page;
+ *   - the upcoming events list (js/upcoming-events.js) rendered into the
+ *     calendar and into every data-upcoming-events placeholder;
+ *   - the hotspot and crossband allocations (js/frequency-plan.js) rendered
+ *     into every data-frequency-table placeholder;
+ *   - a static page per event at events/<id>.html, with its schema.org
+ *     Event JSON-LD (see structured-data.js);
+ *   - sitemap.xml, with each page's last-modified date.
+ * Every page keeps its scripts, which take over the pre-rendered markup
+ * instead of adding a second copy. Data files are validated first, as for
+ * generate-calendar.js.
+ *
+ * lastmod dates come from git history (use a full clone, not a shallow one)
+ * and, for event pages, from data/ics-state.json when it exists.
+ *
+ * Usage: node scripts/build-site.js              (writes dist/)
+ *        node scripts/build-site.js --out <dir>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { validateDataFiles, reportErrors } = require('./validate-data');
+const {
+    eventTypes,
+    normalizeEvent,
+    toDateKey,
+    formatTimeDisplay,
+    describeRecurrence,
+    describeSession,
+    describeStatus,
+    getEventStatus,
+    describeStaffingCount,
+    getStaffing,
+    getEventGeo,
+    escapeHTML
+} = require('../js/calendar-core');
+const { mapLink } = require('../js/map');
+const { renderUpcomingEvents } = require('../js/upcoming-events');
+const { renderFrequencyTable } = require('../js/frequency-plan');
+const { renderHeader, renderBackToTop } = require('../js/header');
+const { renderFooter } = require('../js/footer');
+const { eventPagePath, eventToJSONLD, toScriptJSON, getStructuredEvents, injectStructuredData } = require('./structured-data');
+
+const SITE_URL = 'https://atlantahamradio.org';
+const rootDir = path.join(__dirname, '..');
+
+// Copied to the output as they are
+const STATIC_ENTRIES = ['css', 'js', 'images', 'data', 'feeds', 'events.ics', 'robots.txt'];
+// Pages that aren't listed in the sitemap
+const UNLISTED_PAGES = ['404.html'];
+// Directories published only once their data file lists something. Until
+// then the page isn't built and links marked data-directory="<key>" are
+// dropped from the other pages.
+const DIRECTORY_PAGES = [
+    { key: 'nets', page: 'pages/nets.html', file: 'data/nets.json' },
+    { key: 'repeaters', page: 'pages/repeaters.html', file: 'data/repeaters.json' }
+];
+// How many events the home page lists before the calendar takes over
+const HOME_EVENT_COUNT = 10;
+
+// Relative path from a page back to the site root. 404.html is served at
+// whatever URL was missing, so it links from the root instead.
+function pathPrefixFor(page) {
+    if (page === '404.html') return '/';
+    return '../'.repeat(page.split('/').length - 1);
+}
+
+/**
+ * Pre-render one page's HTML. options.pathPrefix: path back to the site
+ * root; options.events: normalized events for the upcoming lists;
+ * options.frequencyPlan: data/frequency-plan.json for the allocation tables;
+ * options.today and options.year: the build date.
+ */
+function prerenderPage(html, options) {
+    const pathPrefix = options.pathPrefix;
+    const eventHref = event => `${pathPrefix}${eventPagePath(event)}`;
+    const validated = (html.match(/<meta name="page-validated" content="([^"]*)"/) || [])[1] || null;
+
+    const hidden = options.hiddenDirectories || [];
+
+    return html
+        // Links to directories that aren't published yet
+        .replace(/[ \t]*<(\w+)[^>]*\sdata-directory="([^"]*)"[^>]*>[\s\S]*?<\/\1>\n?/g, (match, tag, key) => hidden.includes(key) ? '' : match)
+        // Header right after the script that would insert it
+        .replace(/(<script src="[^"]*js\/header\.js[^"]*"><\/script>)/, match => `${match}\n${renderHeader(pathPrefix)}`)
+        // Back to top button and footer just before the footer script, which ends every page
+        .replace(/([ \t]*<script src="[^"]*js\/footer\.js[^"]*"><\/script>)/, match =>
+            `${renderBackToTop()}${renderFooter(pathPrefix, validated, options.year)}\n${match}`)
+        // The calendar replaces this list once js/calendar.js has loaded events.json
+        .replace('<div id="calendarContainer"></div>', () => `<div id="calendarContainer">
+                <div class="upcoming-events">
+                    ${renderUpcomingEvents(options.events, { count: HOME_EVENT_COUNT, pathPrefix, today: options.today, eventHref })}
+                </div>
+            </div>`)
+        .replace(/<div([^>]*\sdata-upcoming-events[^>]*)><\/div>/g, (match, attributes) => {
+            const count = parseInt((attributes.match(/data-count="(\d+)"/) || [])[1], 10) || undefined;
+            const type = (attributes.match(/data-type="([^"]*)"/) || [])[1];
+            const list = renderUpcomingEvents(options.events, {
+                count,
+                type: eventTypes[type] ? type : null,
+                pathPrefix,
+                today: options.today,
+                eventHref
+            });
+            return `<div${attributes} class="upcoming-events">${list}</div>`;
+        })
+        .replace(/<div([^>]*\sdata-frequency-table="([^"]*)"[^>]*)><\/div>/g, (match, attributes, id) => {
+            const allocation = options.frequencyPlan && options.frequencyPlan.allocations.find(entry => entry.id === id);
+            if (!allocation) return match;
+            const columns = parseInt((attributes.match(/data-columns="(\d+)"/) || [])[1], 10) || undefined;
+            return `<div${attributes}>${renderFrequencyTable(allocation, columns)}</div>`;
+        });
+}
+
+function formatEventDates(event) {
+    const long = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' };
+    if (event.endDate && event.endDate.getTime() !== event.startDate.getTime()) {
+        return `${event.startDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })} – ${event.endDate.toLocaleDateString('en-US', long)}`;
+    }
+    return event.startDate.toLocaleDateString('en-US', long);
+}
+
+// Meta description: the event's own description, or a one-line summary
+function describeEvent(event) {
+    const text = event.eventDescription ||
+        `${eventTypes[event.type].label} on ${formatEventDates(event)}${event.eventLocation ? ` at ${event.eventLocation}` : ''}.`;
+    return text.length > 160 ? `${text.slice(0, 157).replace(/\s+\S*$/, '')}...` : text;
+}
+
+/**
+ * Stand-alone HTML page for one normalized event, before prerenderPage()
+ * adds the header and footer. options.version is the ?v= cache-busting
+ * version the other pages use; options.clubs is passed on to eventToJSONLD.
+ */
+function renderEventPage(event, options) {
+    const url = `${SITE_URL}/${eventPagePath(event)}`;
+    const type = eventTypes[event.type];
+    const dates = formatEventDates(event);
+    const time = formatTimeDisplay(event.startTime, event.endTime);
+    const statusNote = describeStatus(event);
+    const geo = getEventGeo(event);
+    const staffing = event.type === 'public-service' ? describeStaffingCount(getStaffing(event)) : '';
+    const title = `${event.title} - ${event.startDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
+    const description = describeEvent(event);
+    const calendarLink = `../index.html#event=${event.id}`;
+
+    const details = [
+        statusNote ? `<p class="event-page-status event-status-${getEventStatus(event)}">${escapeHTML(statusNote)}</p>` : '',
+        `<p><strong>Date:</strong> ${escapeHTML(dates)}</p>`,
+        time ? `<p><strong>Time:</strong> ${escapeHTML(time)}</p>` : '',
+        event.recurrence ? `<p><strong>Repeats:</strong> ${escapeHTML(describeRecurrence(event.recurrence))}</p>` : '',
+        event.sessions && event.sessions.length ? `
+            <p><strong>Schedule:</strong></p>
+            <ul>${event.sessions.map(session => `<li>${escapeHTML(describeSession(session, event))}</li>`).join('')}</ul>` : '',
+        event.eventLocation ? `<p><strong>Location:</strong> ${escapeHTML(event.eventLocation)}${event.venue && event.venue.address ? ` (${escapeHTML(event.venue.address)})` : ''}${geo ? ` · <a href="${mapLink(geo.lat, geo.lon)}" target="_blank" rel="noopener noreferrer">View on map</a>` : ''}</p>` : '',
+        event.eventOrganizer ? `<p><strong>Organized by:</strong> ${escapeHTML(event.eventOrganizer)}${event.clubId ? ` · <a href="../pages/clubs.html#club-${escapeHTML(event.clubId)}">Club page</a>` : ''}</p>` : '',
+        event.eventDescription ? `<p>${escapeHTML(event.eventDescription)}</p>` : '',
+        event.notes ? `<p><strong>Notes:</strong> ${escapeHTML(event.notes)}</p>` : '',
+        staffing ? `<p><strong>Ham radio volunteers:</strong> ${escapeHTML(staffing)}</p>` : ''
+    ].filter(Boolean).join('\n            ');
+
+    const links = [
+        `<a class="btn btn-primary" href="${calendarLink}">View on the calendar</a>`,
+        event.eventUrl ? `<a class="btn btn-secondary" href="${escapeHTML(event.eventUrl)}" target="_blank" rel="noopener noreferrer">Event website</a>` : '',
+        event.volunteerSignUpUrl ? `<a class="btn btn-secondary" href="${escapeHTML(event.volunteerSignUpUrl)}" target="_blank" rel="noopener noreferrer">Volunteer sign-up</a>` : ''
+    ].filter(Boolean).join('\n            ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; connect-src 'self';">
+
+    <title>${escapeHTML(title)} | Atlanta Ham Radio</title>
+    <meta name="description" content="${escapeHTML(description)}">
+    <link rel="canonical" href="${url}">
+
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${url}">
+    <meta property="og:title" content="${escapeHTML(title)}">
+    <meta property="og:description" content="${escapeHTML(description)}">
+    <meta property="og:image" content="${SITE_URL}/images/social-card.png">
+    <meta property="og:site_name" content="Atlanta Ham Radio">
+
+    <link rel="icon" type="image/x-icon" href="../images/favicon.ico">
+    <link rel="stylesheet" href="../css/style.css?v=${options.version}">
+
+    <script type="application/ld+json">
+${toScriptJSON({ '@context': 'https://schema.org', ...eventToJSONLD(event, { clubs: options.clubs }) })}
+    </script>
+</head>
+<body>
+    <script src="../js/header.js?v=${options.version}"></script>
+
+    <section class="hero">
+        <h2>${escapeHTML(event.title)}</h2>
+        <p><span class="event-dot" style="background: ${type.color}"></span> ${escapeHTML(type.label)} · ${escapeHTML(dates)}</p>
+    </section>
+
+    <section class="event-page">
+        <div class="event-page-details">
+            ${details}
+        </div>
+        <div class="event-page-links">
+            ${links}
+        </div>
+    </section>
+
+    <script src="../js/footer.js?v=${options.version}"></script>
+</body>
+</html>
+`;
+}
+
+// sitemap.xml for [{ loc, lastmod }]
+function buildSitemap(urls) {
+    const entries = urls.map(({ loc, lastmod }) => `    <url>
+        <loc>${escapeHTML(loc)}</loc>${lastmod ? `
+        <lastmod>${lastmod}</lastmod>` : ''}
+    </url>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+function git(args) {
+    return execFileSync('git', args, { cwd: rootDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+let shallowClone;
+// Deploys build from a shallow clone, where every file's last commit is the tip
+function isShallowClone() {
+    if (shallowClone === undefined) {
+        try {
+            shallowClone = git(['rev-parse', '--is-shallow-repository']) === 'true';
+        } catch {
+            shallowClone = false;
+        }
+    }
+    return shallowClone;
+}
+
+/**
+ * YYYY-MM-DD of a file's last commit, or of its modification time outside
+ * git. null in a shallow clone: neither the tip commit's date nor the
+ * checkout's mtimes say when the file changed, so the sitemap leaves
+ * lastmod out.
+ */
+function lastModified(file) {
+    if (isShallowClone()) return null;
+    try {
+        const date = git(['log', '-1', '--format=%cs', '--', file]);
+        if (date) return date;
+    } catch {
+        // Not a git checkout; fall through to the file's mtime
+    }
+    return toDateKey(fs.statSync(path.join(rootDir, file)).mtime);
+}
+
+// Per-event YYYY-MM-DD from ics-state.json records ({ id: { lastModified } })
+function eventLastModified(state, event, fallback) {
+    const record = state && state.events && state.events[String(event.id)];
+    return record && record.lastModified ? record.lastModified.slice(0, 10) : fallback;
+}
+
+// Keys of the DIRECTORY_PAGES whose data lists nothing; readData(file) parses a data file
+function findEmptyDirectories(readData) {
+    return DIRECTORY_PAGES
+        .filter(({ key, file }) => !(readData(file)[key] || []).length)
+        .map(({ key }) => key);
+}
+
+function listPages() {
+    const pages = fs.readdirSync(path.join(rootDir, 'pages'))
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .map(file => `pages/${file}`);
+    return ['index.html', '404.html', ...pages];
+}
+
+/**
+ * Why outDir can't be emptied for a build, or null when it can: it must
+ * not be the repository or a folder above it, inside the repository only
+ * dist/ is a build folder, and anywhere else an existing folder has to be
+ * empty or hold a previous build (its sitemap.xml).
+ */
+function checkOutDir(outDir) {
+    const dir = path.resolve(outDir);
+    const inside = (parent, child) => child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+    if (inside(dir, rootDir)) return `${dir} is the repository or one of its parents`;
+    if (inside(rootDir, dir)) {
+        return inside(path.join(rootDir, 'dist'), dir) ? null : `${dir} is inside the repository but not under dist/`;
+    }
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length && !fs.existsSync(path.join(dir, 'sitemap.xml'))) {
+        return `${dir} isn't empty and doesn't hold a previous build`;
+    }
+    return null;
+}
+
+/**
+ * Write the pre-rendered site to outDir, which is emptied first (see
+ * checkOutDir). Returns { pages, eventPages, urls } (counts) for the
+ * summary.
+ */
+function buildSite(outDir, options = {}) {
+    const outDirProblem = checkOutDir(outDir);
+    if (outDirProblem) throw new Error(`Refusing to build into ${outDirProblem}`);
+    const today = options.today || new Date();
+    const rawEvents = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/events.json'), 'utf8')).events;
+    const events = rawEvents.map(normalizeEvent);
+    const statePath = path.join(rootDir, 'data/ics-state.json');
+    const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+    const clubs = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/clubs.json'), 'utf8')).counties.flatMap(county => county.clubs);
+    const indexHTML = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const version = (indexHTML.match(/\?v=(\d+\.\d+)/) || [])[1] || '1.0';
+    const frequencyPlan = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/frequency-plan.json'), 'utf8'));
+    const hiddenDirectories = findEmptyDirectories(file => JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf8')));
+    const hiddenPages = DIRECTORY_PAGES.filter(({ key }) => hiddenDirectories.includes(key)).map(({ page }) => page);
+    const renderOptions = { events, frequencyPlan, hiddenDirectories, today, year: today.getFullYear() };
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    STATIC_ENTRIES.forEach(entry => {
+        const source = path.join(rootDir, entry);
+        if (fs.existsSync(source)) fs.cpSync(source, path.join(outDir, entry), { recursive: true });
+    });
+
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(outDir, file), content, 'utf8');
+    };
+
+    const eventsLastModified = lastModified('data/events.json');
+    const sitemap = [];
+
+    const pages = listPages().filter(page => !hiddenPages.includes(page));
+    pages.forEach(page => {
+        let html = fs.readFileSync(path.join(rootDir, page), 'utf8');
+        // Same as generate-calendar.js writes, but as of the build date
+        if (page === 'index.html') html = injectStructuredData(html, getStructuredEvents(events, today, { clubs }));
+        write(page, prerenderPage(html, { ...renderOptions, pathPrefix: pathPrefixFor(page) }));
+        if (UNLISTED_PAGES.includes(page)) return;
+
+        // The home page lists events, so it changes whenever they do
+        let lastmod = lastModified(page);
+        if (page === 'index.html') {
+            lastmod = [lastmod, ...events.map(event => eventLastModified(state, event, eventsLastModified))].filter(Boolean).sort().pop() || null;
+        }
+        sitemap.push({ loc: page === 'index.html' ? `${SITE_URL}/` : `${SITE_URL}/${page}`, lastmod });
+    });
+
+    events.forEach(event => {
+        const page = eventPagePath(event);
+        write(page, prerenderPage(renderEventPage(event, { version, clubs }), { ...renderOptions, pathPrefix: '../' }));
+        sitemap.push({ loc: `${SITE_URL}/${page}`, lastmod: eventLastModified(state, event, eventsLastModified) });
+    });
+
+    write('sitemap.xml', buildSitemap(sitemap));
+    return { pages: pages.length, eventPages: events.length, urls: sitemap.length };
+}
+
+module.exports = { pathPrefixFor, prerenderPage, renderEventPage, buildSitemap, findEmptyDirectories, checkOutDir, buildSite };
+
+if (require.main === module) {
+    // Refuse to publish a site built from invalid data
+    const validationErrors = validateDataFiles();
+    if (validationErrors.length) {
+        reportErrors(validationErrors);
+        console.error(`\n✗ Site not built: ${validationErrors.length} data error(s) found`);
+        process.exit(1);
+    }
+
+    const outIndex = process.argv.indexOf('--out');
+    const outDir = outIndex === -1 ? path.join(rootDir, 'dist') : path.resolve(process.argv[outIndex + 1] || 'dist');
+    const outDirProblem = checkOutDir(outDir);
+    if (outDirProblem) {
+        console.error(`✗ Site not built: ${outDirProblem}`);
+        process.exit(1);
+    }
+    const { pages, eventPages, urls } = buildSite(outDir);
+
+    console.log(`✓ Pre-rendered ${pages} pages and ${eventPages} event pages`);
+    console.log(`✓ Wrote sitemap.xml (${urls} URLs)`);
+    console.log(`✓ Output: ${outDir}`);
+}
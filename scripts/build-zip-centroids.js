@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Build data/zip-centroids.json from the Census ZCTA gazetteer
+ * The clubs directory sorts clubs by distance from a visitor's ZIP code
+ * without calling a geocoding service, so it needs a bundled table of ZIP
+ * centroids. This converts the Census Bureau's ZIP Code Tabulation Area
+ * gazetteer file (tab-separated, with GEOID, INTPTLAT and INTPTLONG columns)
+ * into that table, keeping only Georgia ZIPs by default.
+ *
+ * Download the national ZCTA file from
+ * https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html
+ * (e.g. 2023_Gaz_zcta_national.zip), unzip it, then:
+ *
+ * Usage: node scripts/build-zip-centroids.js 2023_Gaz_zcta_national.txt
+ *        node scripts/build-zip-centroids.js <file> --prefixes 300,301,302
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const outputPath = path.join(__dirname, '../data/zip-centroids.json');
+
+// Georgia's three-digit ZIP prefixes
+const GEORGIA_PREFIXES = [
+    '300', '301', '302', '303', '304', '305', '306', '307', '308', '309',
+    '310', '311', '312', '313', '314', '315', '316', '317', '318', '319', '398', '399'
+];
+
+// Three decimal places is about 100 m, plenty for "miles away"
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Parse gazetteer text into { zip: [lat, lon] } for ZIPs starting with one
+ * of `prefixes`. Column positions come from the header row, since they have
+ * moved between vintages.
+ */
+function parseGazetteer(text, prefixes = GEORGIA_PREFIXES) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const header = lines[0].split('\t').map(column => column.trim().toUpperCase());
+    const columns = { zip: header.indexOf('GEOID'), lat: header.indexOf('INTPTLAT'), lon: header.indexOf('INTPTLONG') };
+    if (Object.values(columns).includes(-1)) {
+        throw new Error('expected GEOID, INTPTLAT and INTPTLONG columns in the header row');
+    }
+
+    const zips = {};
+    lines.slice(1).forEach(line => {
+        const cells = line.split('\t').map(cell => cell.trim());
+        const zip = cells[columns.zip];
+        const lat = parseFloat(cells[columns.lat]);
+        const lon = parseFloat(cells[columns.lon]);
+        if (!/^\d{5}$/.test(zip) || !prefixes.some(prefix => zip.startsWith(prefix))) return;
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+        zips[zip] = [round(lat), round(lon)];
+    });
+    return zips;
+}
+
+// data/zip-centroids.json text: one ZIP per line, sorted, so diffs stay readable
+function formatCentroids(zips, source) {
+    const entries = Object.keys(zips).sort().map(zip => `    "${zip}": [${zips[zip][0]}, ${zips[zip][1]}]`);
+    return `{\n  "source": ${JSON.stringify(source)},\n  "zips": {\n${entries.join(',\n')}\n  }\n}\n`;
+}
+
+module.exports = { GEORGIA_PREFIXES, parseGazetteer, formatCentroids };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const prefixIndex = args.indexOf('--prefixes');
+    const prefixes = prefixIndex === -1 ? GEORGIA_PREFIXES : (args[prefixIndex + 1] || '').split(',').filter(Boolean);
+    if (prefixIndex !== -1) args.splice(prefixIndex, 2);
+    const file = args[0];
+
+    if (!file) {
+        console.error('✗ Usage: node scripts/build-zip-centroids.js <Census ZCTA gazetteer .txt> [--prefixes 300,301]');
+        process.exit(1);
+    }
+
+    let zips;
+    try {
+        zips = parseGazetteer(fs.readFileSync(file, 'utf8'), prefixes);
+    } catch (error) {
+        console.error(`✗ ${file}: ${error.message}`);
+        process.exit(1);
+    }
+    const count = Object.keys(zips).length;
+    if (count === 0) {
+        console.error(`✗ No ZIPs starting with ${prefixes.join(', ')} in ${file}`);
+        process.exit(1);
+    }
+
+    fs.writeFileSync(outputPath, formatCentroids(zips, `US Census Bureau ZCTA gazetteer (${path.basename(file)})`), 'utf8');
+    console.log(`✓ Wrote ${count} ZIP centroids to data/zip-centroids.json`);
+}
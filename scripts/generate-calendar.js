@@ -3,171 +3,258 @@
  * Generate events.ics from events.json
  * This script creates a static ICS calendar file that can be subscribed to.
  * Run automatically via GitHub Actions when events.json changes.
+ * Data files are validated first (see validate-data.js).
+ *
+ * Event parsing and VEVENT serialization live in js/calendar-core.js, which
+ * the browser also uses for single-event downloads. SEQUENCE, DTSTAMP and
+ * LAST-MODIFIED come from data/ics-state.json (see ics-state.js) so they only
+ * change when an event does.
+ *
+ * Besides events.ics it writes filtered feeds to feeds/: one per event type,
+ * one per organizer and one per club in data/clubs.json (events link to a
+ * club with "clubId"), listed in feeds/manifest.json for the subscribe
+ * modal. Pass --no-organizer-feeds to skip the organizer feeds.
+ *
+ * RSS, Atom and JSON Feed versions of the upcoming events go to
+ * feeds/upcoming.* (see reader-feeds.js).
+ *
+ * It also refreshes the schema.org Event JSON-LD for upcoming events in
+ * index.html (see structured-data.js), so search engines see the same events.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validateDataFiles, reportErrors } = require('./validate-data');
+const { emptyState, updateState } = require('./ics-state');
+const { getStructuredEvents, injectStructuredData } = require('./structured-data');
+const { generateReaderFeeds } = require('./reader-feeds');
+const { eventTypes, normalizeEvent, buildCalendar, feedVEventOptions, escapeICSText } = require('../js/calendar-core');
 
-// Read events.json
-const eventsPath = path.join(__dirname, '../data/events.json');
-const eventsData = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
-const events = eventsData.events;
-
-// Event type labels for CATEGORIES field
-const eventTypes = {
-    'public-service': 'Public Service',
-    'activity':       'Ham Activity',
-    'meeting':        'Meeting',
-    'training':       'Training'
-};
+const SITE_URL = 'https://atlantahamradio.org';
+const statePath = path.join(__dirname, '../data/ics-state.json');
+const indexPath = path.join(__dirname, '../index.html');
+const feedsDir = path.join(__dirname, '../feeds');
 
-// Format YYYYMMDD from a YYYY-MM-DD string, parsed as local time
-// (avoids UTC midnight → previous day bug with new Date(string))
-function formatICSDate(dateString) {
-    const [year, month, day] = dateString.split('-').map(Number);
-    return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+// Calendar-level properties for a subscribed feed
+function feedProperties(name, description) {
+    return [
+        `X-WR-CALNAME:${escapeICSText(name)}`,
+        `X-WR-CALDESC:${escapeICSText(description)}`,
+        'X-WR-TIMEZONE:America/New_York',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+        'X-PUBLISHED-TTL:PT12H'
+    ];
 }
 
-// Format YYYYMMDDTHHMMSS from a YYYY-MM-DD string and HH:MM time string
-function formatICSDateTime(dateString, timeString) {
-    const [year, month, day] = dateString.split('-').map(Number);
-    const [hours, minutes] = timeString.split(':');
-    return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}T${hours}${minutes}00`;
+const mainFeed = {
+    id: 'all',
+    kind: 'all',
+    label: 'All events',
+    name: 'Atlanta Ham Radio Events',
+    description: 'Amateur radio public service events in the Atlanta metro area',
+    file: 'events.ics'
+};
+
+// "Fayette County ARC (FCARC)" -> "fayette-county-arc-fcarc"
+function slugify(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'organizer';
 }
 
-// Format YYYYMMDD from a Date object (local time)
-function formatICSDateObj(dateObj) {
-    const year = dateObj.getFullYear();
-    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const day = String(dateObj.getDate()).padStart(2, '0');
-    return `${year}${month}${day}`;
+/**
+ * Filtered feeds for a set of normalized events: one per eventTypes key, in
+ * table order, then one per organizer (alphabetical) unless
+ * options.organizerFeeds is false, then one per club in options.clubs
+ * ([{ id, name }], in that order). Every club gets a feed, even before it
+ * has events, so the URL a club embeds keeps working. Each is { id, kind,
+ * key, label, name, description, file, matches(event) }.
+ */
+function getFeedDefinitions(events, options = {}) {
+    const feeds = Object.entries(eventTypes).map(([type, info]) => ({
+        id: type,
+        kind: 'type',
+        key: type,
+        label: info.label,
+        name: `Atlanta Ham Radio: ${info.label}`,
+        description: `${info.label} events from the Atlanta Ham Radio calendar`,
+        file: `feeds/${type}.ics`,
+        matches: event => event.type === type
+    }));
+
+    if (options.organizerFeeds !== false) {
+        feeds.push(...getOrganizerFeeds(events));
+    }
+
+    (options.clubs || []).forEach(club => {
+        feeds.push({
+            id: `club-${club.id}`,
+            kind: 'club',
+            key: club.id,
+            label: club.name,
+            name: `Atlanta Ham Radio: ${club.name}`,
+            description: `${club.name} events from the Atlanta Ham Radio calendar`,
+            file: `feeds/club-${club.id}.ics`,
+            matches: event => event.clubId === club.id
+        });
+    });
+
+    return feeds;
 }
 
-// Escape special characters for ICS format
-function escapeICSText(text) {
-    if (!text) return '';
-    return text.replace(/\\/g, '\\\\')
-                .replace(/;/g, '\\;')
-                .replace(/,/g, '\\,')
-                .replace(/\n/g, '\\n');
+// One feed per distinct eventOrganizer, alphabetical
+function getOrganizerFeeds(events) {
+    const feeds = [];
+    const organizers = [...new Set(events.map(event => (event.eventOrganizer || '').trim()).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+    const usedSlugs = new Set();
+
+    organizers.forEach(organizer => {
+        let slug = slugify(organizer);
+        for (let n = 2; usedSlugs.has(slug); n++) slug = `${slugify(organizer)}-${n}`;
+        usedSlugs.add(slug);
+        feeds.push({
+            id: `organizer-${slug}`,
+            kind: 'organizer',
+            key: organizer,
+            label: organizer,
+            name: `Atlanta Ham Radio: ${organizer}`,
+            description: `Events organized by ${organizer}, from the Atlanta Ham Radio calendar`,
+            file: `feeds/organizer-${slug}.ics`,
+            matches: event => (event.eventOrganizer || '').trim() === organizer
+        });
+    });
+
+    return feeds;
 }
 
-// RFC 5545 §3.1 line folding: lines must not exceed 75 octets.
-// Long lines are broken with CRLF + single space (continuation character).
-function foldLine(line) {
-    if (Buffer.byteLength(line, 'utf8') <= 75) return line;
-    let result = '';
-    let remaining = line;
-    while (Buffer.byteLength(remaining, 'utf8') > 75) {
-        // Split at 75 bytes, but be careful not to split a multi-byte character
-        let chunk = remaining;
-        while (Buffer.byteLength(chunk, 'utf8') > 75) {
-            chunk = chunk.substring(0, chunk.length - 1);
-        }
-        result += chunk + '\r\n ';
-        remaining = remaining.substring(chunk.length);
-    }
-    result += remaining;
-    return result;
+// Normalized events plus their change-tracking VEVENT options, and the
+// same tracking as reader-feeds.js takes it
+function trackEvents(rawEvents, options) {
+    const { state, entries } = updateState(options.previousState || emptyState(), rawEvents, options.now || new Date());
+
+    // DTSTAMP tracks LAST-MODIFIED, so an unchanged event is byte-identical between runs
+    const metadata = new Map();
+    const tracked = [];
+    const events = entries.map(entry => {
+        const event = normalizeEvent(entry.event);
+        // Events removed from events.json are forced to CANCELLED; the rest
+        // publish their own status (see getICSStatus in calendar-core.js)
+        const status = entry.status === 'CANCELLED' ? 'CANCELLED' : undefined;
+        metadata.set(event, { ...feedVEventOptions(entry), status });
+        tracked.push({ event, sequence: entry.sequence, lastModified: entry.lastModified, removed: entry.status === 'CANCELLED' });
+        return event;
+    });
+
+    return { state, events, tracked, veventOptions: event => metadata.get(event) };
 }
 
-// Generate UTC timestamp for DTSTAMP
-function getTimestamp() {
-    const now = new Date();
-    const year = now.getUTCFullYear();
-    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(now.getUTCDate()).padStart(2, '0');
-    const hours = String(now.getUTCHours()).padStart(2, '0');
-    const minutes = String(now.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(now.getUTCSeconds()).padStart(2, '0');
-    return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
+/**
+ * Generate ICS content from raw events.json entries.
+ * options.previousState: state from the last run (defaults to empty)
+ * options.now: current time, used for new or changed events
+ * Returns { ics, state } – state is what to persist for the next run.
+ */
+function generateICS(rawEvents, options = {}) {
+    const { state, events, veventOptions } = trackEvents(rawEvents, options);
+    const ics = buildCalendar(events, {
+        properties: feedProperties(mainFeed.name, mainFeed.description),
+        veventOptions
+    });
+
+    return { ics, state };
 }
 
-// Generate ICS content
-function generateICS() {
-    const timestamp = getTimestamp();
-
-    let icsContent = [
-        'BEGIN:VCALENDAR',
-        'VERSION:2.0',
-        'PRODID:-//Atlanta Ham Radio//Events//EN',
-        'CALSCALE:GREGORIAN',
-        'METHOD:PUBLISH',
-        'X-WR-CALNAME:Atlanta Ham Radio Events',
-        'X-WR-CALDESC:Amateur radio public service events in the Atlanta metro area',
-        'X-WR-TIMEZONE:America/New_York',
-        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
-        'X-PUBLISHED-TTL:PT12H',
-        'BEGIN:VTIMEZONE',
-        'TZID:America/New_York',
-        'BEGIN:DAYLIGHT',
-        'TZOFFSETFROM:-0500',
-        'TZOFFSETTO:-0400',
-        'TZNAME:EDT',
-        'DTSTART:19700308T020000',
-        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
-        'END:DAYLIGHT',
-        'BEGIN:STANDARD',
-        'TZOFFSETFROM:-0400',
-        'TZOFFSETTO:-0500',
-        'TZNAME:EST',
-        'DTSTART:19701101T020000',
-        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
-        'END:STANDARD',
-        'END:VTIMEZONE'
-    ].map(foldLine).join('\r\n') + '\r\n';
-
-    events.forEach(event => {
-        const description = escapeICSText(event.eventDescription || '');
-        const category = eventTypes[event.type] || 'Event';
-
-        // Multi-day events are always all-day regardless of time fields
-        const isMultiDay = !!event.endDate;
-        const hasTime = event.startTime && event.endTime && !isMultiDay;
-
-        let dtstart, dtend;
-
-        if (hasTime) {
-            // Timed single-day event
-            dtstart = `DTSTART;TZID=America/New_York:${formatICSDateTime(event.startDate, event.startTime)}`;
-            dtend = `DTEND;TZID=America/New_York:${formatICSDateTime(event.startDate, event.endTime)}`;
-        } else {
-            // All-day event (multi-day or no time specified)
-            // Build end date as local Date object to avoid UTC shift, then add 1 day (ICS spec)
-            const endDateStr = event.endDate || event.startDate;
-            const [ey, em, ed] = endDateStr.split('-').map(Number);
-            const endDateObj = new Date(ey, em - 1, ed + 1);
-
-            dtstart = `DTSTART;VALUE=DATE:${formatICSDate(event.startDate)}`;
-            dtend = `DTEND;VALUE=DATE:${formatICSDateObj(endDateObj)}`;
-        }
-
-        icsContent += [
-            'BEGIN:VEVENT',
-            `UID:event-${event.id}@atlantahamradio.org`,
-            `DTSTAMP:${timestamp}`,
-            `SEQUENCE:0`,
-            dtstart,
-            dtend,
-            `SUMMARY:${escapeICSText(event.title)}`,
-            `LOCATION:${escapeICSText(event.eventLocation)}`,
-            description ? `DESCRIPTION:${description}` : '',
-            (event.volunteerSignUpUrl || event.eventUrl) ? `URL:${event.volunteerSignUpUrl || event.eventUrl}` : '',
-            `CATEGORIES:${category}`,
-            'STATUS:CONFIRMED',
-            'TRANSP:TRANSPARENT',
-            'END:VEVENT'
-        ].filter(line => line).map(foldLine).join('\r\n') + '\r\n';
+/**
+ * Generate events.ics plus the filtered feeds. Takes the same options as
+ * generateICS, plus options.organizerFeeds (default true) and options.clubs
+ * (see getFeedDefinitions).
+ * Returns { ics, state, feeds, manifest, readerFeeds }: feeds is
+ * [{ file, ics }] for feeds/, manifest is the content of feeds/manifest.json
+ * and readerFeeds is [{ file, content }] for the RSS, Atom and JSON feeds. Filtered feeds
+ * share SEQUENCE/DTSTAMP with events.ics, and events removed from
+ * events.json are cancelled in every feed they appeared in.
+ */
+function generateFeeds(rawEvents, options = {}) {
+    const { state, events, tracked, veventOptions } = trackEvents(rawEvents, options);
+    const build = (feed, feedEvents) => buildCalendar(feedEvents, {
+        properties: feedProperties(feed.name, feed.description),
+        veventOptions
     });
+    const manifestEntry = (feed, count) => ({
+        id: feed.id,
+        kind: feed.kind,
+        ...(feed.key ? { key: feed.key } : {}),
+        label: feed.label,
+        name: feed.name,
+        url: `${SITE_URL}/${feed.file}`,
+        events: count
+    });
+
+    const feeds = [];
+    const manifest = { feeds: [manifestEntry(mainFeed, events.length)] };
 
-    icsContent += 'END:VCALENDAR';
-    return icsContent;
+    getFeedDefinitions(events, options).forEach(feed => {
+        const feedEvents = events.filter(feed.matches);
+        feeds.push({ file: feed.file, ics: build(feed, feedEvents) });
+        manifest.feeds.push(manifestEntry(feed, feedEvents.length));
+    });
+
+    const readerFeeds = generateReaderFeeds(tracked, options.now || new Date());
+    return { ics: build(mainFeed, events), state, feeds, manifest, readerFeeds };
 }
 
-// Write ICS file
-const icsContent = generateICS();
-const outputPath = path.join(__dirname, '../events.ics');
-fs.writeFileSync(outputPath, icsContent, 'utf8');
+function readState() {
+    if (!fs.existsSync(statePath)) return emptyState();
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
 
-console.log(`✓ Generated events.ics with ${events.length} events`);
-console.log(`✓ File location: ${outputPath}`);
+// Write feeds/*.ics, the reader feeds and the manifest, removing ICS feeds
+// that no longer exist
+function writeFeeds(feeds, manifest, readerFeeds) {
+    fs.mkdirSync(feedsDir, { recursive: true });
+    const current = new Set(feeds.map(feed => path.basename(feed.file)));
+    fs.readdirSync(feedsDir)
+        .filter(file => file.endsWith('.ics') && !current.has(file))
+        .forEach(file => fs.unlinkSync(path.join(feedsDir, file)));
+
+    feeds.forEach(feed => fs.writeFileSync(path.join(__dirname, '..', feed.file), feed.ics, 'utf8'));
+    readerFeeds.forEach(feed => fs.writeFileSync(path.join(__dirname, '..', feed.file), feed.content, 'utf8'));
+    fs.writeFileSync(path.join(feedsDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+module.exports = { generateICS, generateFeeds, getFeedDefinitions, slugify };
+
+if (require.main === module) {
+    // Refuse to publish a feed from invalid data
+    const validationErrors = validateDataFiles();
+    if (validationErrors.length) {
+        reportErrors(validationErrors);
+        console.error(`\n✗ events.ics not generated: ${validationErrors.length} data error(s) found`);
+        process.exit(1);
+    }
+
+    // Read events.json
+    const eventsPath = path.join(__dirname, '../data/events.json');
+    const events = JSON.parse(fs.readFileSync(eventsPath, 'utf8')).events;
+    const clubsPath = path.join(__dirname, '../data/clubs.json');
+    const clubs = JSON.parse(fs.readFileSync(clubsPath, 'utf8')).counties.flatMap(county => county.clubs);
+
+    // Write ICS files and the change-tracking state
+    const organizerFeeds = !process.argv.includes('--no-organizer-feeds');
+    const { ics, state, feeds, manifest, readerFeeds } = generateFeeds(events, { previousState: readState(), organizerFeeds, clubs });
+    const outputPath = path.join(__dirname, '../events.ics');
+    fs.writeFileSync(outputPath, ics, 'utf8');
+    writeFeeds(feeds, manifest, readerFeeds);
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+
+    // Structured data for the events still to come
+    const structuredEvents = getStructuredEvents(events.map(normalizeEvent), new Date(), { clubs });
+    fs.writeFileSync(indexPath, injectStructuredData(fs.readFileSync(indexPath, 'utf8'), structuredEvents), 'utf8');
+
+    const cancelled = Object.values(state.events).filter(record => record.removedAt).length;
+    console.log(`✓ Generated events.ics with ${events.length} events${cancelled ? ` (+${cancelled} cancelled)` : ''}`);
+    console.log(`✓ File location: ${outputPath}`);
+    console.log(`✓ Generated ${feeds.length} filtered feeds in ${feedsDir}`);
+    console.log(`✓ Generated RSS, Atom and JSON feeds: ${readerFeeds.map(feed => feed.file).join(', ')}`);
+    console.log(`✓ Updated structured data for ${structuredEvents.length} upcoming events in index.html`);
+}
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Fill in event coordinates from data/gazetteer.json
+ * An event's "venue" can name a gazetteer place ("place": "athens-ymca")
+ * instead of carrying its own coordinates. This offline step copies the
+ * place's address, lat and lon into events.json, so the calendar and the
+ * ICS GEO property never need a geocoding service. Venues with their own
+ * lat/lon and no place are left alone.
+ *
+ * It also lists events without a venue whose eventLocation names a
+ * gazetteer place, as candidates for a "venue" block.
+ *
+ * Usage: node scripts/geocode-events.js           (update events.json)
+ *        node scripts/geocode-events.js --check   (report only; exit 1 if out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const eventsPath = path.join(__dirname, '../data/events.json');
+const gazetteerPath = path.join(__dirname, '../data/gazetteer.json');
+
+// Coordinates closer than this (in degrees, about 50 m) count as the same
+const COORDINATE_TOLERANCE = 0.0005;
+
+// "Panola Mountain State Park, Pavilion 1" -> "panola mountain state park pavilion 1"
+function normalizeName(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The specific (non-landmark) place an eventLocation starts with, if any
+function findPlace(location, places) {
+    const name = normalizeName(location || '');
+    return places.find(place => !place.landmark && [place.name, ...(place.aliases || [])]
+        .some(candidate => {
+            const prefix = normalizeName(candidate);
+            return name === prefix || name.startsWith(`${prefix} `);
+        })) || null;
+}
+
+/**
+ * Resolve gazetteer places for raw events.json entries.
+ * Returns { events, changes, errors, suggestions }: events are copies with
+ * venue address/lat/lon filled in from the gazetteer, changes and errors are
+ * [{ id, message }], suggestions are [{ id, place }] for events without a
+ * venue whose location matches a place.
+ */
+function resolveVenues(events, places) {
+    const placesById = new Map(places.map(place => [place.id, place]));
+    const changes = [];
+    const errors = [];
+    const suggestions = [];
+
+    const resolved = events.map(event => {
+        const venue = event.venue;
+        if (!venue) {
+            const place = findPlace(event.eventLocation, places);
+            if (place) suggestions.push({ id: event.id, place });
+            return event;
+        }
+        if (!venue.place) return event;
+
+        const place = placesById.get(venue.place);
+        if (!place) {
+            errors.push({ id: event.id, message: `unknown place "${venue.place}" (add it to data/gazetteer.json)` });
+            return event;
+        }
+
+        const updated = { ...venue };
+        if (place.address && venue.address !== place.address) {
+            updated.address = place.address;
+            changes.push({ id: event.id, message: venue.address ? `address updated to "${place.address}"` : `address set to "${place.address}"` });
+        }
+        const moved = typeof venue.lat !== 'number' ||
+            Math.abs(venue.lat - place.lat) > COORDINATE_TOLERANCE || Math.abs(venue.lon - place.lon) > COORDINATE_TOLERANCE;
+        if (moved) {
+            updated.lat = place.lat;
+            updated.lon = place.lon;
+            changes.push({ id: event.id, message: `coordinates ${typeof venue.lat === 'number' ? 'updated' : 'set'} to ${place.lat}, ${place.lon}` });
+        }
+
+        // Keep the venue's keys in schema order
+        const ordered = {};
+        ['place', 'address', 'lat', 'lon', 'points'].forEach(key => {
+            if (updated[key] !== undefined) ordered[key] = updated[key];
+        });
+        return { ...event, venue: ordered };
+    });
+
+    return { events: resolved, changes, errors, suggestions };
+}
+
+module.exports = { normalizeName, findPlace, resolveVenues };
+
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+    const data = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
+    const { places } = JSON.parse(fs.readFileSync(gazetteerPath, 'utf8'));
+    const { events, changes, errors, suggestions } = resolveVenues(data.events, places);
+
+    errors.forEach(({ id, message }) => console.error(`✗ event ${id}: ${message}`));
+    changes.forEach(({ id, message }) => {
+        console.log(`${check ? '✗' : '✓'} event ${id}: ${message}`);
+    });
+    suggestions.forEach(({ id, place }) => {
+        console.log(`  event ${id} looks like "${place.name}"; add "venue": { "place": "${place.id}" } to map it`);
+    });
+
+    if (check && (errors.length || changes.length)) {
+        console.error('\n✗ data/events.json is out of date with data/gazetteer.json; run node scripts/geocode-events.js');
+        process.exit(1);
+    } else if (check) {
+        console.log('✓ Event venues match data/gazetteer.json');
+    } else if (changes.length) {
+        fs.writeFileSync(eventsPath, JSON.stringify({ ...data, events }, null, 2) + '\n', 'utf8');
+        console.log(`✓ Updated ${new Set(changes.map(change => change.id)).size} event(s) in data/events.json`);
+    } else {
+        console.log('✓ Event venues already match data/gazetteer.json');
+    }
+    if (errors.length) process.exit(1);
+}
@@ -0,0 +1,108 @@
+/**
+ * Change tracking for the published ICS feed.
+ * Calendar clients only apply an update when SEQUENCE goes up, and treat a
+ * new DTSTAMP/LAST-MODIFIED as a revision. So the generator keeps a content
+ * hash per event in data/ics-state.json and only bumps SEQUENCE and the
+ * timestamps when an event's fields actually change.
+ *
+ * Events removed from events.json are kept in the state and published as
+ * STATUS:CANCELLED for CANCELLED_GRACE_DAYS, so they disappear from
+ * subscribers' calendars instead of lingering there. For that each record
+ * keeps a stub of its event: only the fields the cancelled VEVENT, the feed
+ * it belongs in and its reader-feed item are written from, so the file
+ * stays small enough for the calendar page to fetch.
+ */
+
+const crypto = require('crypto');
+
+const CANCELLED_GRACE_DAYS = 30;
+
+// Object with keys sorted at every level, so hashes ignore key order
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+            result[key] = canonicalize(value[key]);
+            return result;
+        }, {});
+    }
+    return value;
+}
+
+const STUB_FIELDS = [
+    'id', 'title', 'type', 'status', 'postponedTo', 'startDate', 'endDate', 'startTime', 'endTime',
+    'eventLocation', 'eventOrganizer', 'clubId', 'recurrence', 'sessions'
+];
+
+// The STUB_FIELDS an event sets, for publishing it as cancelled once it is removed
+function toStub(rawEvent) {
+    return STUB_FIELDS.reduce((stub, field) => {
+        if (rawEvent[field] !== undefined && rawEvent[field] !== null) stub[field] = rawEvent[field];
+        return stub;
+    }, {});
+}
+
+function hashEvent(rawEvent) {
+    return crypto.createHash('sha256').update(JSON.stringify(canonicalize(rawEvent))).digest('hex');
+}
+
+function emptyState() {
+    return { events: {} };
+}
+
+/**
+ * Reconcile the previous state with the current events.json entries.
+ * Returns { state, entries }:
+ *   state   – the new state to persist
+ *   entries – [{ event, sequence, lastModified, status }] to publish, where
+ *             event is a raw events.json entry and lastModified is an ISO string
+ */
+function updateState(previousState, rawEvents, now = new Date()) {
+    const previous = (previousState && previousState.events) || {};
+    const nowISO = now.toISOString();
+    const next = {};
+    const entries = [];
+
+    rawEvents.forEach(event => {
+        const key = String(event.id);
+        const hash = hashEvent(event);
+        const prior = previous[key];
+        let record;
+
+        if (!prior) {
+            record = { hash, sequence: 0, lastModified: nowISO };
+        } else if (prior.hash !== hash || prior.removedAt) {
+            // Edited, or restored after having been published as cancelled
+            record = { hash, sequence: prior.sequence + 1, lastModified: nowISO };
+        } else {
+            record = { hash, sequence: prior.sequence, lastModified: prior.lastModified };
+        }
+
+        record.stub = toStub(event);
+        next[key] = record;
+        entries.push({ event, sequence: record.sequence, lastModified: record.lastModified, status: 'CONFIRMED' });
+    });
+
+    const graceMs = CANCELLED_GRACE_DAYS * 24 * 60 * 60 * 1000;
+
+    Object.entries(previous).forEach(([key, prior]) => {
+        if (next[key]) return;
+
+        // State files written before stubs kept the whole event as "snapshot"
+        const { snapshot, ...kept } = prior;
+        const stub = kept.stub || toStub(snapshot);
+        const record = prior.removedAt
+            ? { ...kept, stub }
+            : { ...kept, stub, sequence: prior.sequence + 1, lastModified: nowISO, removedAt: nowISO };
+
+        // Past the grace period the event is dropped from the feed and the state
+        if (now - new Date(record.removedAt) >= graceMs) return;
+
+        next[key] = record;
+        entries.push({ event: record.stub, sequence: record.sequence, lastModified: record.lastModified, status: 'CANCELLED' });
+    });
+
+    return { state: { events: next }, entries };
+}
+
+module.exports = { CANCELLED_GRACE_DAYS, hashEvent, toStub, emptyState, updateState };
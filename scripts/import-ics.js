@@ -0,0 +1,660 @@
+#!/usr/bin/env node
+/**
+ * Import events from organizers' ICS calendars into data/events.json
+ * Many clubs and race organizers already publish an .ics file, so instead of
+ * retyping their events this reads one or more calendars (files, or
+ * directories of .ics files) and maps each VEVENT onto our event format:
+ *   - folded lines, escaped text and quoted parameters are handled;
+ *   - times in UTC or any TZID are converted to Eastern time, and all-day
+ *     events keep their dates (DTEND is exclusive in ICS);
+ *   - RRULEs our recurrence block can express become "recurrence", with
+ *     EXDATEs and cancelled occurrences as exceptions; anything else is
+ *     imported as its first occurrence with a warning;
+ *   - the event type is guessed from the title and categories (TYPE_RULES).
+ * Events already in events.json are skipped: matched by the source UID
+ * (kept in "importUid"), by our own feed's UID, or by title and date. So are
+ * events that have already ended, unless --include-past is given.
+ *
+ * By default nothing is written: the new events are printed as they would
+ * be added, for review. --write merges them into data/events.json with the
+ * next free ids (after validating the result); --out writes the merged file
+ * somewhere else instead.
+ *
+ * Usage: node scripts/import-ics.js <file.ics | directory> [...]
+ *        [--type <type>]        type when none of the rules match (default meeting)
+ *        [--organizer "<name>"] eventOrganizer for every imported event
+ *        [--club <id>]          clubId (and organizer name) from data/clubs.json
+ *        [--include-past]       also import events that have already ended
+ *        [--write | --out <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { eventTypes, normalizeEvent, getUpcomingEvents } = require('../js/calendar-core');
+const { normalizeName } = require('./geocode-events');
+const { validateData, checkEventRules } = require('./validate-data');
+
+const eventsPath = path.join(__dirname, '../data/events.json');
+const schemaPath = path.join(__dirname, '../data/events.schema.json');
+const clubsPath = path.join(__dirname, '../data/clubs.json');
+
+const TIMEZONE = 'America/New_York';
+const DEFAULT_TYPE = 'meeting';
+const LOCATION_PLACEHOLDER = 'Location TBA';
+
+// First match wins. Tested against the title and CATEGORIES, then the description.
+const TYPE_RULES = [
+    { type: 'public-service', pattern: /\b(marathon|half|5k|10k|15k|race|run|walk|ride|century|bike|cycling|triathlon|parade|festival|ms ?150|tour de|public service)\b/ },
+    { type: 'training', pattern: /\b(training|drill|exercise|class|course|exam|ve session|license|skywarn|simulated emergency|workshop)\b/ },
+    { type: 'activity', pattern: /\b(field day|pota|sota|parks on the air|summits on the air|contest|activation|fox hunt|foxhunt|jota|special event station|qso party|net)\b/ },
+    { type: 'meeting', pattern: /\b(meeting|hamfest|swapfest|tailgate|breakfast|lunch|luncheon|dinner|banquet|social|eyeball)\b/ }
+];
+
+// Outlook and Exchange export Windows zone names
+const WINDOWS_ZONES = {
+    'eastern standard time': 'America/New_York',
+    'us eastern standard time': 'America/New_York',
+    'central standard time': 'America/Chicago',
+    'mountain standard time': 'America/Denver',
+    'us mountain standard time': 'America/Phoenix',
+    'pacific standard time': 'America/Los_Angeles',
+    'utc': 'UTC',
+    'gmt standard time': 'Europe/London'
+};
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// ---------------------------------------------------------------------------
+// Parsing
+
+// Split on `separator` outside double quotes
+function splitUnquoted(text, separator) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (char === separator && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+// "DTSTART;TZID=America/New_York:20260113T193000" -> { name, params, value }
+function parseContentLine(line) {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = splitUnquoted(line.slice(0, colon), ';');
+    const params = {};
+    paramParts.forEach(part => {
+        const equals = part.indexOf('=');
+        if (equals === -1) return;
+        params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Undo RFC 5545 TEXT escaping
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse ICS text into { name, events }: name is X-WR-CALNAME (or null) and
+ * events is one { NAME: [{ params, value }] } map per VEVENT. Components
+ * nested in a VEVENT (VALARM) are skipped.
+ */
+function parseICS(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let name = null;
+    let current = null;
+    let depth = 0;
+
+    lines.forEach(raw => {
+        const line = parseContentLine(raw);
+        if (!line) return;
+        if (line.name === 'BEGIN') {
+            if (line.value.toUpperCase() === 'VEVENT' && !current) {
+                current = {};
+                depth = 0;
+            } else if (current) {
+                depth++;
+            }
+        } else if (line.name === 'END') {
+            if (current && depth > 0) {
+                depth--;
+            } else if (current && line.value.toUpperCase() === 'VEVENT') {
+                events.push(current);
+                current = null;
+            }
+        } else if (current && depth === 0) {
+            (current[line.name] = current[line.name] || []).push({ params: line.params, value: line.value });
+        } else if (!current && line.name === 'X-WR-CALNAME') {
+            name = unescapeText(line.value).trim();
+        }
+    });
+
+    return { name, events };
+}
+
+// ---------------------------------------------------------------------------
+// Dates and times
+
+const pad2 = n => String(n).padStart(2, '0');
+
+// IANA zone for a TZID, or null if we can't tell. Handles Windows names and
+// prefixed ids such as "/mozilla.org/20070129_1/America/New_York".
+function resolveZone(tzid) {
+    if (!tzid) return null;
+    const windows = WINDOWS_ZONES[tzid.trim().toLowerCase()];
+    if (windows) return windows;
+    const match = tzid.match(/([A-Za-z]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/);
+    const zone = match ? match[1] : tzid;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return zone;
+    } catch {
+        return null;
+    }
+}
+
+// Wall-clock parts of an instant in `zone`
+function zonedParts(instant, zone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(instant)).forEach(({ type, value }) => { parts[type] = Number(value); });
+    return parts;
+}
+
+// Instant of a wall-clock time in `zone` (two passes settle DST changes)
+function zonedToInstant(wall, zone) {
+    const guess = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    let instant = guess;
+    for (let pass = 0; pass < 2; pass++) {
+        const seen = zonedParts(instant, zone);
+        instant = guess - (Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute, seen.second) - instant);
+    }
+    return instant;
+}
+
+function toResult(parts, hasTime) {
+    return {
+        date: `${parts.year}-${pad2(parts.month)}-${pad2(parts.day)}`,
+        time: hasTime ? `${pad2(parts.hour)}:${pad2(parts.minute)}` : null
+    };
+}
+
+/**
+ * A DATE or DATE-TIME property value as Eastern { date: 'YYYY-MM-DD',
+ * time: 'HH:MM' or null }. Floating times and unknown TZIDs are taken as
+ * Eastern already (warn(message) is called for unknown TZIDs).
+ */
+function toEastern(value, params = {}, warn = () => {}) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) throw new Error(`unreadable date "${value}"`);
+    const wall = {
+        year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+        hour: Number(match[4] || 0), minute: Number(match[5] || 0), second: Number(match[6] || 0)
+    };
+    if (!match[4] || params.VALUE === 'DATE') return toResult(wall, false);
+
+    if (match[7]) {
+        return toResult(zonedParts(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second), TIMEZONE), true);
+    }
+    if (params.TZID) {
+        const zone = resolveZone(params.TZID);
+        if (!zone) {
+            warn(`unknown TZID "${params.TZID}", times taken as Eastern`);
+        } else if (zone !== TIMEZONE) {
+            return toResult(zonedParts(zonedToInstant(wall, zone), TIMEZONE), true);
+        }
+    }
+    return toResult(wall, true);
+}
+
+// "P1D", "PT2H30M", "P1W" -> milliseconds
+function parseDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+    const ms = ((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+// Shift an Eastern { date, time } by ms of wall-clock time
+function addWallTime(start, ms) {
+    const [year, month, day] = start.date.split('-').map(Number);
+    const [hour, minute] = (start.time || '00:00').split(':').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day, hour, minute) + ms);
+    return toResult({
+        year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(), minute: shifted.getUTCMinutes()
+    }, !!start.time);
+}
+
+function addDays(date, days) {
+    return addWallTime({ date, time: null }, days * 86400000).date;
+}
+
+// ---------------------------------------------------------------------------
+// Mapping
+
+/**
+ * Our recurrence block for an RRULE value, or { error } when the rule uses
+ * something recurrence can't express. start is the Eastern start.
+ */
+function mapRRule(value, start, warn) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, ruleValue] = part.split('=');
+        if (key && ruleValue !== undefined) rule[key.toUpperCase()] = ruleValue.toUpperCase();
+    });
+
+    const frequency = (rule.FREQ || '').toLowerCase();
+    if (!['daily', 'weekly', 'monthly', 'yearly'].includes(frequency)) {
+        return { error: `FREQ=${rule.FREQ || '(none)'} is not supported` };
+    }
+    const [startYear, startMonth, startDay] = start.date.split('-').map(Number);
+    const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'BYSETPOS', 'BYMONTHDAY', 'BYMONTH', 'UNTIL', 'COUNT', 'WKST'];
+    const unsupported = Object.keys(rule).filter(key => !supported.includes(key));
+    if (unsupported.length) return { error: `${unsupported.join(', ')} is not supported` };
+    if (rule.BYMONTHDAY && (frequency !== 'monthly' || Number(rule.BYMONTHDAY) !== startDay)) {
+        return { error: `BYMONTHDAY=${rule.BYMONTHDAY} is not supported` };
+    }
+    if (rule.BYMONTH && (frequency !== 'yearly' || Number(rule.BYMONTH) !== startMonth)) {
+        return { error: `BYMONTH=${rule.BYMONTH} is not supported` };
+    }
+
+    // Keys in the order README.md documents them
+    const recurrence = { frequency };
+    const interval = Number(rule.INTERVAL || 1);
+    if (interval > 1) recurrence.interval = interval;
+    let weekOfMonth = null;
+
+    if (rule.BYDAY) {
+        const days = rule.BYDAY.split(',').map(day => day.match(/^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/));
+        if (days.some(day => !day)) return { error: `BYDAY=${rule.BYDAY} is not supported` };
+        const ordinals = [...new Set(days.map(day => (day[1] ? Number(day[1]) : null)))];
+        weekOfMonth = ordinals[0];
+        if (ordinals.length > 1) return { error: `BYDAY=${rule.BYDAY} mixes weeks of the month` };
+        if (weekOfMonth === null && rule.BYSETPOS) weekOfMonth = Number(rule.BYSETPOS);
+
+        if (frequency === 'monthly') {
+            if (![1, 2, 3, 4, 5, -1].includes(weekOfMonth)) return { error: `BYDAY=${rule.BYDAY} needs a week of the month` };
+        } else if (weekOfMonth !== null || rule.BYSETPOS) {
+            return { error: `BYDAY=${rule.BYDAY} is only supported with FREQ=MONTHLY` };
+        } else if (frequency === 'daily') {
+            // Every listed weekday, every day: the same as weekly on those days
+            if (interval > 1) return { error: 'BYDAY with FREQ=DAILY;INTERVAL is not supported' };
+            recurrence.frequency = 'weekly';
+        } else if (frequency === 'yearly') {
+            return { error: 'BYDAY with FREQ=YEARLY is not supported' };
+        }
+        recurrence.byDay = WEEKDAYS.filter(day => days.some(match => match[2] === day));
+        if (weekOfMonth !== null) recurrence.weekOfMonth = weekOfMonth;
+        // recurrence weeks start on Sunday; with another WKST (MO by default)
+        // a Sunday falls in a different week than the days listed with it
+        if (recurrence.frequency === 'weekly' && interval > 1 && recurrence.byDay.length > 1
+            && recurrence.byDay.includes('SU') && rule.WKST !== 'SU') {
+            return { error: `BYDAY=${rule.BYDAY} with INTERVAL needs WKST=SU` };
+        }
+    } else if (rule.BYSETPOS) {
+        return { error: 'BYSETPOS without BYDAY is not supported' };
+    }
+
+    if (rule.UNTIL) {
+        recurrence.until = toEastern(rule.UNTIL, {}, warn).date;
+    } else if (rule.COUNT) {
+        recurrence.count = Number(rule.COUNT);
+    }
+    // Keep the range ahead of the start date, as the validator requires
+    if (recurrence.until && recurrence.until < `${startYear}-${pad2(startMonth)}-${pad2(startDay)}`) {
+        return { error: `UNTIL is before the first occurrence` };
+    }
+    return { recurrence };
+}
+
+/**
+ * Guess an event type from text (title and categories first, then the
+ * description). Returns { type, guessed }: guessed is true when no rule
+ * matched and `fallback` was used.
+ */
+function inferType(primary, secondary, fallback = DEFAULT_TYPE) {
+    for (const text of [primary, secondary]) {
+        const normalized = (text || '').toLowerCase();
+        const rule = TYPE_RULES.find(candidate => candidate.pattern.test(normalized));
+        if (rule) return { type: rule.type, guessed: false };
+    }
+    return { type: fallback, guessed: true };
+}
+
+// Plain text from a DESCRIPTION that may carry HTML (Google Calendar exports do)
+function cleanDescription(text) {
+    if (!text) return null;
+    let clean = text;
+    if (/<[a-z][^>]*>/i.test(clean)) {
+        clean = clean.replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    }
+    clean = clean.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    return clean || null;
+}
+
+const first = (vevent, name) => (vevent[name] ? vevent[name][0] : null);
+const text = (vevent, name) => (first(vevent, name) ? unescapeText(first(vevent, name).value).trim() : '');
+
+/**
+ * One parsed VEVENT as { event, uid, recurrenceId, cancelled, warnings,
+ * guessedType }, or { skip } with a reason. event has no id yet.
+ * options.type, options.organizer and options.clubId as for the CLI.
+ */
+function mapVEvent(vevent, options = {}) {
+    const warnings = [];
+    const warn = message => warnings.push(message);
+    const title = text(vevent, 'SUMMARY');
+    const uid = text(vevent, 'UID') || null;
+    const status = text(vevent, 'STATUS').toUpperCase();
+
+    if (!title) return { skip: 'no SUMMARY' };
+    if (!first(vevent, 'DTSTART')) return { skip: `"${title}" has no DTSTART` };
+
+    let start;
+    try {
+        start = toEastern(first(vevent, 'DTSTART').value, first(vevent, 'DTSTART').params, warn);
+    } catch (error) {
+        return { skip: `"${title}": ${error.message}` };
+    }
+
+    const recurrenceIdLine = first(vevent, 'RECURRENCE-ID');
+    if (recurrenceIdLine) {
+        const recurrenceId = toEastern(recurrenceIdLine.value, recurrenceIdLine.params, warn).date;
+        return { uid, title, recurrenceId, cancelled: status === 'CANCELLED', start };
+    }
+
+    // End: DTEND, else DTSTART + DURATION, else the start itself
+    let end = null;
+    if (first(vevent, 'DTEND')) {
+        end = toEastern(first(vevent, 'DTEND').value, first(vevent, 'DTEND').params, warn);
+    } else if (first(vevent, 'DURATION')) {
+        const ms = parseDuration(first(vevent, 'DURATION').value);
+        if (ms !== null) end = addWallTime(start, ms);
+    }
+
+    let endDate = null;
+    let startTime = start.time;
+    let endTime = null;
+    if (!start.time) {
+        // All-day DTEND is the day after the last day
+        const lastDay = end && end.date > start.date ? addDays(end.date, -1) : start.date;
+        endDate = lastDay > start.date ? lastDay : null;
+    } else if (end && end.time) {
+        if (end.date === start.date) {
+            endTime = end.time;
+        } else if (end.date === addDays(start.date, 1) && end.time === '00:00') {
+            endTime = '23:59';
+        } else if (end.date > start.date) {
+            // Multi-day events are all-day here; their hours go in sessions
+            endDate = end.date;
+            startTime = null;
+            warn(`runs ${start.date} ${start.time} to ${end.date} ${end.time}; imported as all-day, add sessions for the daily hours`);
+        }
+    }
+
+    const categories = (vevent.CATEGORIES || []).map(line => unescapeText(line.value)).join(' ');
+    const description = cleanDescription(text(vevent, 'DESCRIPTION'));
+    const { type, guessed } = inferType(`${title} ${categories}`, description, options.type);
+
+    const organizerLine = first(vevent, 'ORGANIZER');
+    const organizer = options.organizer || (organizerLine && organizerLine.params.CN) || null;
+    const url = text(vevent, 'URL');
+    const location = text(vevent, 'LOCATION').replace(/\s*\n\s*/g, ', ');
+    if (!location) warn(`no LOCATION; set to "${LOCATION_PLACEHOLDER}"`);
+
+    const event = {
+        title,
+        type,
+        startDate: start.date,
+        endDate,
+        startTime,
+        endTime: startTime ? endTime : null,
+        eventLocation: location || LOCATION_PLACEHOLDER,
+        eventDescription: description,
+        eventOrganizer: organizer,
+        ...(options.clubId ? { clubId: options.clubId } : {}),
+        eventUrl: /^https?:\/\//i.test(url) ? url : null,
+        hamCoordinator: null,
+        hamCoordinatorUrl: null,
+        volunteerSignUpUrl: null,
+        notes: null
+    };
+    if (status === 'TENTATIVE') event.status = 'tentative';
+    if (status === 'CANCELLED') event.status = 'cancelled';
+
+    if (first(vevent, 'RRULE')) {
+        const { recurrence, error } = mapRRule(first(vevent, 'RRULE').value, start, warn);
+        if (error) {
+            warn(`RRULE ${first(vevent, 'RRULE').value}: ${error}; only the first occurrence was imported`);
+        } else {
+            const exceptions = (vevent.EXDATE || []).flatMap(line =>
+                line.value.split(',').map(value => toEastern(value, line.params, warn).date));
+            if (exceptions.length) recurrence.exceptions = [...new Set(exceptions)].sort();
+            event.recurrence = recurrence;
+        }
+    }
+    if (uid) event.importUid = uid;
+
+    return { event, uid, cancelled: status === 'CANCELLED', warnings, guessedType: guessed };
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+
+function titlesMatch(a, b) {
+    const x = normalizeName(a);
+    const y = normalizeName(b);
+    if (x === y) return true;
+    const [shorter, longer] = x.length < y.length ? [x, y] : [y, x];
+    return shorter.length >= 6 && longer.includes(shorter);
+}
+
+// The existing event a candidate duplicates, as { id, reason }, or null
+function findDuplicate(event, uid, existing) {
+    if (uid) {
+        const byUid = existing.find(other => other.importUid === uid);
+        if (byUid) return { id: byUid.id, reason: 'UID' };
+        // An event from our own feed
+        const ours = uid.match(/^event-(\d+)@atlantahamradio\.org$/);
+        if (ours && existing.some(other => other.id === Number(ours[1]))) return { id: Number(ours[1]), reason: 'UID' };
+    }
+    const byTitle = existing.find(other => other.startDate === event.startDate && titlesMatch(other.title, event.title));
+    return byTitle ? { id: byTitle.id, reason: 'title and date' } : null;
+}
+
+/**
+ * Merge parsed calendars ([{ source, events }] from parseICS) into the
+ * existing events.json entries. options: type, organizer, clubId,
+ * includePast, today.
+ * Returns { events, added, duplicates, skipped }: events is the merged list,
+ * added is [{ event, source, warnings, guessedType }], duplicates is
+ * [{ title, date, source, cancelled, id, reason }] and skipped is [{ title, source, reason }].
+ */
+function importEvents(calendars, existingEvents, options = {}) {
+    const today = options.today || new Date();
+    const added = [];
+    const duplicates = [];
+    const skipped = [];
+    const known = [...existingEvents];
+    let nextId = existingEvents.reduce((max, event) => Math.max(max, event.id), 0) + 1;
+
+    const mapped = calendars.flatMap(({ source, events }) =>
+        events.map(vevent => ({ source, ...mapVEvent(vevent, options) })));
+
+    // Cancelled occurrences of a recurring event become exception dates;
+    // other changed occurrences need a person to look at them
+    const overrides = mapped.filter(entry => entry.recurrenceId);
+    const masters = mapped.filter(entry => entry.event);
+    overrides.forEach(override => {
+        const master = masters.find(entry => entry.uid === override.uid && entry.event.recurrence);
+        if (master && override.cancelled) {
+            const exceptions = new Set([...(master.event.recurrence.exceptions || []), override.recurrenceId]);
+            master.event.recurrence.exceptions = [...exceptions].sort();
+        } else {
+            skipped.push({ title: override.title, source: override.source, reason: `changed occurrence on ${override.recurrenceId}; update it by hand` });
+        }
+    });
+
+    mapped.forEach(entry => {
+        if (entry.recurrenceId) return;
+        if (entry.skip) {
+            skipped.push({ title: null, source: entry.source, reason: entry.skip });
+            return;
+        }
+        const { event, uid, source } = entry;
+        const duplicate = findDuplicate(event, uid, known);
+        if (duplicate) {
+            duplicates.push({ title: event.title, date: event.startDate, source, cancelled: entry.cancelled, ...duplicate });
+            return;
+        }
+        if (entry.cancelled) {
+            skipped.push({ title: event.title, source, reason: 'cancelled in the source calendar' });
+            return;
+        }
+        if (!options.includePast && getUpcomingEvents([normalizeEvent(event)], today).length === 0) {
+            skipped.push({ title: event.title, source, reason: `already over (${event.endDate || event.startDate})` });
+            return;
+        }
+
+        const withId = { id: nextId++, ...event };
+        known.push(withId);
+        added.push({ event: withId, source, warnings: entry.warnings, guessedType: entry.guessedType });
+    });
+
+    return { events: known, added, duplicates, skipped };
+}
+
+// Review text for an import: every new event as it will be added, then what was left out
+function formatReport(result) {
+    const lines = [];
+    result.added.forEach(({ event, source, warnings, guessedType }) => {
+        lines.push(`+ event ${event.id}: ${event.title} (${event.startDate}) from ${source}`);
+        JSON.stringify(event, null, 2).split('\n').forEach(line => lines.push(`+   ${line}`));
+        if (guessedType) lines.push(`  ⚠ no type rule matched; using "${event.type}"`);
+        warnings.forEach(warning => lines.push(`  ⚠ ${warning}`));
+    });
+    result.duplicates.forEach(({ title, date, source, cancelled, id, reason }) => {
+        lines.push(`= ${title} (${date}) from ${source} is event ${id} (same ${reason})${cancelled ? '; cancelled in the source calendar, check its status' : ''}`);
+    });
+    result.skipped.forEach(({ title, source, reason }) => {
+        lines.push(`- ${title ? `${title} from ` : ''}${source}: ${reason}`);
+    });
+    return lines.join('\n');
+}
+
+// .ics files named on the command line, expanding directories
+function collectFiles(inputs) {
+    return inputs.flatMap(input => {
+        if (!fs.statSync(input).isDirectory()) return [input];
+        return fs.readdirSync(input).filter(file => file.toLowerCase().endsWith('.ics')).sort().map(file => path.join(input, file));
+    });
+}
+
+module.exports = {
+    TYPE_RULES,
+    parseICS,
+    unescapeText,
+    resolveZone,
+    toEastern,
+    parseDuration,
+    mapRRule,
+    inferType,
+    mapVEvent,
+    findDuplicate,
+    importEvents,
+    formatReport
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        if (index === -1) return null;
+        const value = args[index + 1];
+        args.splice(index, 2);
+        return value;
+    };
+    const flag = name => {
+        const index = args.indexOf(name);
+        if (index !== -1) args.splice(index, 1);
+        return index !== -1;
+    };
+
+    const type = option('--type') || DEFAULT_TYPE;
+    let organizer = option('--organizer');
+    const clubId = option('--club');
+    const out = option('--out');
+    const write = flag('--write');
+    const includePast = flag('--include-past');
+
+    if (args.length === 0 || !eventTypes[type]) {
+        console.error('✗ Usage: node scripts/import-ics.js <file.ics | directory> [...] [--type <type>] [--organizer "<name>"] [--club <id>] [--include-past] [--write | --out <file>]');
+        if (!eventTypes[type]) console.error(`✗ --type must be one of ${Object.keys(eventTypes).join(', ')}`);
+        process.exit(1);
+    }
+    if (clubId) {
+        const club = JSON.parse(fs.readFileSync(clubsPath, 'utf8')).counties.flatMap(county => county.clubs).find(candidate => candidate.id === clubId);
+        if (!club) {
+            console.error(`✗ No club with id "${clubId}" in data/clubs.json`);
+            process.exit(1);
+        }
+        organizer = organizer || club.name;
+    }
+
+    let calendars;
+    try {
+        calendars = collectFiles(args).map(file => ({ source: path.basename(file), ...parseICS(fs.readFileSync(file, 'utf8')) }));
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
+    const result = importEvents(calendars, data.events, { type, organizer, clubId, includePast });
+    const report = formatReport(result);
+    if (report) console.log(report + '\n');
+
+    const summary = `${result.added.length} new, ${result.duplicates.length} already listed, ${result.skipped.length} skipped`;
+    if (!write && !out) {
+        console.log(`✓ ${summary}. Nothing written; run again with --write to add them to data/events.json`);
+        process.exit(0);
+    }
+
+    // Never write a file the validator would reject
+    const merged = { ...data, events: result.events };
+    const errors = validateData(merged, JSON.parse(fs.readFileSync(schemaPath, 'utf8')), checkEventRules);
+    if (errors.length) {
+        errors.forEach(({ pointer, message }) => console.error(`✗ ${pointer}: ${message}`));
+        console.error('\n✗ Imported events are not valid; nothing written');
+        process.exit(1);
+    }
+    const target = out ? path.resolve(out) : eventsPath;
+    fs.writeFileSync(target, JSON.stringify(merged, null, 2) + '\n', 'utf8');
+    console.log(`✓ ${summary}`);
+    console.log(`✓ Wrote ${target}`);
+}
@@ -0,0 +1,200 @@
+/**
+ * RSS 2.0, Atom and JSON Feed versions of the calendar
+ * Club newsletters, Discord bots and feed readers want a news feed rather
+ * than ICS, so generate-calendar.js also writes feeds/upcoming.rss,
+ * feeds/upcoming.atom and feeds/upcoming.json from the same change tracking
+ * as events.ics (see ics-state.js).
+ *
+ * Each item is one event that hasn't ended yet (recurring events show their
+ * next occurrence), plus events removed from events.json that are still in
+ * their cancellation grace period. Items are ordered by when the event was
+ * last added or changed, newest first, and marked new, updated or cancelled.
+ * An item's id is based on the event id alone, so it stays the same when the
+ * event is edited, and it links to the event's deep link on the calendar.
+ */
+
+const { eventTypes, toDateKey, getUpcomingEvents, formatTimeDisplay, describeStatus, isCalledOff, escapeHTML } = require('../js/calendar-core');
+
+const SITE_URL = 'https://atlantahamradio.org';
+const FEED_TITLE = 'Atlanta Ham Radio Events';
+const FEED_DESCRIPTION = 'New and updated amateur radio public service events in the Atlanta metro area';
+const MAX_ITEMS = 50;
+
+const FEED_FILES = {
+    rss: 'feeds/upcoming.rss',
+    atom: 'feeds/upcoming.atom',
+    json: 'feeds/upcoming.json'
+};
+
+// Same tag URI in all three formats, so readers following more than one agree
+function itemId(event) {
+    return `tag:atlantahamradio.org,2025:event-${event.id}`;
+}
+
+function eventLink(event) {
+    return `${SITE_URL}/index.html#event=${event.id}`;
+}
+
+function formatWhen(event) {
+    const long = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' };
+    const dates = event.endDate && event.endDate.getTime() !== event.startDate.getTime()
+        ? `${event.startDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })} – ${event.endDate.toLocaleDateString('en-US', long)}`
+        : event.startDate.toLocaleDateString('en-US', long);
+    const time = formatTimeDisplay(event.startTime, event.endTime);
+    return time ? `${dates}, ${time}` : dates;
+}
+
+/**
+ * Feed items from tracked events ([{ event, sequence, lastModified, removed }],
+ * event normalized, lastModified an ISO string), newest change first. Events
+ * that ended before `today` are left out.
+ */
+function getFeedItems(tracked, today) {
+    return tracked
+        .map(entry => {
+            const next = getUpcomingEvents([entry.event], today)[0];
+            if (!next) return null;
+            const change = entry.removed || isCalledOff(next) ? 'cancelled' : entry.sequence > 0 ? 'updated' : 'new';
+            return { ...entry, event: next, change };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.lastModified.localeCompare(a.lastModified) || a.event.startDate - b.event.startDate)
+        .slice(0, MAX_ITEMS);
+}
+
+function itemTitle(item) {
+    const prefix = { new: '', updated: 'Updated: ', cancelled: 'Cancelled: ' }[item.change];
+    const date = item.event.startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    return `${prefix}${item.event.title} (${date})`;
+}
+
+// Detail lines shared by the plain-text and HTML bodies
+function itemDetails(item) {
+    const event = item.event;
+    return [
+        item.removed ? 'This event has been removed from the calendar.' : describeStatus(event),
+        `When: ${formatWhen(event)}`,
+        event.eventLocation ? `Where: ${event.eventLocation}` : '',
+        event.eventOrganizer ? `Organized by: ${event.eventOrganizer}` : '',
+        event.eventDescription || ''
+    ].filter(Boolean);
+}
+
+function itemText(item) {
+    const lines = itemDetails(item);
+    if (item.event.volunteerSignUpUrl) lines.push(`Volunteer sign-up: ${item.event.volunteerSignUpUrl}`);
+    return lines.join('\n');
+}
+
+function itemHTML(item) {
+    const paragraphs = itemDetails(item).map(line => `<p>${escapeHTML(line)}</p>`);
+    if (item.event.volunteerSignUpUrl) {
+        paragraphs.push(`<p><a href="${escapeHTML(item.event.volunteerSignUpUrl)}">Volunteer sign-up</a></p>`);
+    }
+    paragraphs.push(`<p><a href="${escapeHTML(eventLink(item.event))}">View on the calendar</a></p>`);
+    return paragraphs.join('');
+}
+
+// Newest change across the items, so an unchanged feed is byte-identical between runs
+function feedUpdated(items, now) {
+    return items.length ? items.map(item => item.lastModified).sort().pop() : now.toISOString();
+}
+
+function buildRSS(items, now) {
+    const entries = items.map(item => `    <item>
+      <title>${escapeHTML(itemTitle(item))}</title>
+      <link>${escapeHTML(eventLink(item.event))}</link>
+      <guid isPermaLink="false">${itemId(item.event)}</guid>
+      <pubDate>${new Date(item.lastModified).toUTCString()}</pubDate>
+      <category>${escapeHTML(eventTypes[item.event.type].label)}</category>
+      <description>${escapeHTML(itemHTML(item))}</description>
+    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${FEED_TITLE}</title>
+    <link>${SITE_URL}/</link>
+    <description>${FEED_DESCRIPTION}</description>
+    <language>en-us</language>
+    <lastBuildDate>${new Date(feedUpdated(items, now)).toUTCString()}</lastBuildDate>
+    <atom:link href="${SITE_URL}/${FEED_FILES.rss}" rel="self" type="application/rss+xml"/>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(items, now) {
+    const entries = items.map(item => `  <entry>
+    <title>${escapeHTML(itemTitle(item))}</title>
+    <id>${itemId(item.event)}</id>
+    <link href="${escapeHTML(eventLink(item.event))}"/>
+    <updated>${item.lastModified}</updated>
+    <category term="${item.event.type}" label="${escapeHTML(eventTypes[item.event.type].label)}"/>
+    <summary>${escapeHTML(itemText(item))}</summary>
+    <content type="html">${escapeHTML(itemHTML(item))}</content>
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${FEED_TITLE}</title>
+  <subtitle>${FEED_DESCRIPTION}</subtitle>
+  <id>${SITE_URL}/${FEED_FILES.atom}</id>
+  <link href="${SITE_URL}/"/>
+  <link href="${SITE_URL}/${FEED_FILES.atom}" rel="self" type="application/atom+xml"/>
+  <updated>${feedUpdated(items, now)}</updated>
+  <author><name>Atlanta Ham Radio</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function buildJSONFeed(items) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        home_page_url: `${SITE_URL}/`,
+        feed_url: `${SITE_URL}/${FEED_FILES.json}`,
+        language: 'en-US',
+        items: items.map(item => ({
+            id: itemId(item.event),
+            url: eventLink(item.event),
+            title: itemTitle(item),
+            content_text: itemText(item),
+            content_html: itemHTML(item),
+            date_modified: item.lastModified,
+            tags: [eventTypes[item.event.type].label, item.change],
+            // Not part of JSON Feed: the event itself, for bots
+            _event: {
+                id: item.event.id,
+                type: item.event.type,
+                change: item.change,
+                startDate: toDateKey(item.event.startDate),
+                endDate: item.event.endDate ? toDateKey(item.event.endDate) : null,
+                startTime: item.event.startTime || null,
+                endTime: item.event.endTime || null,
+                location: item.event.eventLocation || null,
+                volunteerSignUpUrl: item.event.volunteerSignUpUrl || null
+            }
+        }))
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * The three reader feeds as [{ file, content }], for tracked events as taken
+ * by getFeedItems. now: the run time, for the upcoming cutoff.
+ */
+function generateReaderFeeds(tracked, now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const items = getFeedItems(tracked, today);
+    return [
+        { file: FEED_FILES.rss, content: buildRSS(items, now) },
+        { file: FEED_FILES.atom, content: buildAtom(items, now) },
+        { file: FEED_FILES.json, content: buildJSONFeed(items) }
+    ];
+}
+
+module.exports = { FEED_FILES, getFeedItems, buildRSS, buildAtom, buildJSONFeed, generateReaderFeeds };
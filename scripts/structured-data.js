@@ -0,0 +1,163 @@
+/**
+ * schema.org Event structured data (JSON-LD) from events.json
+ * Search engines only list events they can read as structured data, so
+ * every upcoming event is described as a schema.org Event: dates with their
+ * Eastern UTC offset, the venue, organizer, status, and the volunteer
+ * sign-up link as the event's offer.
+ *
+ * generate-calendar.js rewrites the list in index.html's
+ * <script type="application/ld+json" id="eventStructuredData"> block on
+ * every run, and build-site.js adds each event's own JSON-LD to its page.
+ */
+
+const { eventTypes, toDateKey, getUpcomingEvents, getEventStatus, getStaffing, getEventGeo, isTimedEvent } = require('../js/calendar-core');
+
+const SITE_URL = 'https://atlantahamradio.org';
+const BLOCK_PATTERN = /(<script type="application\/ld\+json" id="eventStructuredData">)[\s\S]*?(<\/script>)/;
+
+// Path of an event's static page, as written by build-site.js
+function eventPagePath(event) {
+    return `events/${event.id}.html`;
+}
+
+// nth (1-based) Sunday of a month, as a day of the month
+function nthSunday(year, month, n) {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + (7 - first) % 7 + (n - 1) * 7;
+}
+
+/**
+ * UTC offset ('-04:00' or '-05:00') of America/New_York at a local date and
+ * HH:MM time, by the US rule the feed's VTIMEZONE uses: daylight time from
+ * 2am on the second Sunday in March to 2am on the first Sunday in November.
+ * Computed from the date parts so it doesn't depend on the machine's timezone.
+ */
+function easternOffset(date, time) {
+    const year = date.getFullYear();
+    const minutes = (day, month) => ((month * 32 + day) * 24 * 60);
+    const [hours, mins] = time.split(':').map(Number);
+    const local = minutes(date.getDate(), date.getMonth()) + hours * 60 + mins;
+    const dstStart = minutes(nthSunday(year, 2, 2), 2) + 120;
+    const dstEnd = minutes(nthSunday(year, 10, 1), 10) + 120;
+    return local >= dstStart && local < dstEnd ? '-04:00' : '-05:00';
+}
+
+// ISO 8601 date, or date-time with offset when there's a time
+function formatDate(date, time) {
+    return time ? `${toDateKey(date)}T${time}:00${easternOffset(date, time)}` : toDateKey(date);
+}
+
+const statusTypes = {
+    confirmed: 'https://schema.org/EventScheduled',
+    tentative: 'https://schema.org/EventScheduled',
+    cancelled: 'https://schema.org/EventCancelled',
+    postponed: 'https://schema.org/EventPostponed'
+};
+
+function describeLocation(event) {
+    if (!event.eventLocation) return null;
+    const geo = getEventGeo(event);
+    return {
+        '@type': 'Place',
+        name: event.eventLocation,
+        address: (event.venue && event.venue.address) || event.eventLocation,
+        ...(geo ? { geo: { '@type': 'GeoCoordinates', latitude: geo.lat, longitude: geo.lon } } : {})
+    };
+}
+
+/**
+ * schema.org Event object for one normalized event (or one occurrence of a
+ * recurring event). options.clubs: data/clubs.json clubs, for the
+ * organizer's website when the event has a clubId.
+ */
+function eventToJSONLD(event, options = {}) {
+    const status = getEventStatus(event);
+    const club = event.clubId && (options.clubs || []).find(candidate => candidate.id === event.clubId);
+    const staffing = getStaffing(event);
+    const sessions = event.sessions || [];
+    const timed = isTimedEvent(event);
+
+    const item = {
+        '@type': 'Event',
+        name: event.title,
+        description: event.eventDescription ||
+            `${eventTypes[event.type].label} listing on the Atlanta Ham Radio calendar${event.eventOrganizer ? `, organized by ${event.eventOrganizer}` : ''}.`,
+        url: `${SITE_URL}/${eventPagePath(event)}`,
+        image: `${SITE_URL}/images/social-card.png`,
+        startDate: formatDate(event.startDate, timed ? event.startTime : null),
+        endDate: formatDate(event.endDate || event.startDate, timed ? event.endTime : null),
+        eventStatus: status === 'postponed' && event.postponedTo ? 'https://schema.org/EventRescheduled' : statusTypes[status],
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode'
+    };
+
+    if (event.originalStartDate) item.previousStartDate = toDateKey(event.originalStartDate);
+    const location = describeLocation(event);
+    if (location) item.location = location;
+    if (event.eventOrganizer) {
+        item.organizer = {
+            '@type': 'Organization',
+            name: event.eventOrganizer,
+            ...(club && club.website ? { url: club.website } : event.eventUrl ? { url: event.eventUrl } : {})
+        };
+    }
+    if (event.volunteerSignUpUrl) {
+        item.offers = {
+            '@type': 'Offer',
+            name: 'Volunteer sign-up',
+            url: event.volunteerSignUpUrl,
+            price: 0,
+            priceCurrency: 'USD',
+            availability: staffing && staffing.open === 0 ? 'https://schema.org/SoldOut' : 'https://schema.org/InStock'
+        };
+    }
+    if (sessions.length) {
+        item.subEvent = sessions.map(session => ({
+            '@type': 'Event',
+            name: session.title ? `${event.title}: ${session.title}` : event.title,
+            startDate: formatDate(session.date, session.startTime && session.endTime ? session.startTime : null),
+            endDate: formatDate(session.date, session.startTime && session.endTime ? session.endTime : null),
+            ...(session.location ? { location: { '@type': 'Place', name: session.location, address: session.location } } : {})
+        }));
+    }
+    return item;
+}
+
+/**
+ * Event objects for every event that hasn't ended before `today`, in date
+ * order. Recurring events contribute only their next occurrence, so the list
+ * stays short and the daily feed run moves it along.
+ */
+function getStructuredEvents(events, today, options = {}) {
+    const seen = new Set();
+    return getUpcomingEvents(events, today)
+        .filter(event => {
+            if (seen.has(event.id)) return false;
+            seen.add(event.id);
+            return true;
+        })
+        .map(event => eventToJSONLD(event, options));
+}
+
+// JSON for a <script> element: indented like the page, with "<" escaped so
+// a title can't close the element early
+function toScriptJSON(data, indent = '    ') {
+    return JSON.stringify(data, null, 4)
+        .replace(/</g, '\\u003c')
+        .split('\n')
+        .map(line => indent + line)
+        .join('\n');
+}
+
+/**
+ * Replace the contents of html's eventStructuredData block with `items` as
+ * a schema.org @graph. Throws if the page has no such block.
+ */
+function injectStructuredData(html, items) {
+    if (!BLOCK_PATTERN.test(html)) {
+        throw new Error('no <script type="application/ld+json" id="eventStructuredData"> block');
+    }
+    const json = toScriptJSON({ '@context': 'https://schema.org', '@graph': items });
+    return html.replace(BLOCK_PATTERN, (match, open, close) => `${open}\n${json}\n    ${close}`);
+}
+
+module.exports = { eventPagePath, easternOffset, eventToJSONLD, getStructuredEvents, toScriptJSON, injectStructuredData };
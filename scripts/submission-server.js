@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Local server for reviewing event submissions
+ * Serves the site like `python -m http.server` and adds the review queue the
+ * submission form on pages/organizers.html sends to:
+ *
+ *   GET  /api/submissions - { queued: [events] } waiting for review
+ *   POST /api/submissions - { event } from the form; 201 { id, file } once queued
+ *
+ * A submission is checked exactly as data/events.json is (the schema,
+ * checkEventRules and the clubs.json reference check) and given the next id
+ * after everything in events.json and the queue. Accepted entries are
+ * written to submissions/<id>.json as { submittedAt, event }; the file is
+ * created exclusively, so two submissions never share an id. Nothing
+ * touches events.json, so review each file, paste the event into
+ * data/events.json and delete the file. submissions/ is ignored by git.
+ *
+ * The server listens on 127.0.0.1 only, accepts POSTs from its own pages
+ * (a cross-origin Origin header is refused) and doesn't serve dotfiles
+ * such as .env or .git/.
+ *
+ * The static site has no /api, so there the form only offers copy and
+ * download.
+ *
+ * Usage: node scripts/submission-server.js   (PORT defaults to 8000)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const { validateData, checkEventRules, checkClubReferences } = require('./validate-data');
+
+const DEFAULT_PORT = 8000;
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+const SUBMISSIONS_PATH = '/api/submissions';
+const rootDir = path.join(__dirname, '..');
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.ics': 'text/calendar; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// An oversized body stops being read rather than cut off, so the form gets
+// the 413; that reply closes the connection (see createServer)
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.removeListener('data', onData);
+                req.pause();
+                chunks.length = 0;
+                reject(new RequestError(413, `Submissions are limited to ${MAX_BODY_BYTES / 1024} KB`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Queued events, lowest id first
+function readQueue(queueDir) {
+    if (!fs.existsSync(queueDir)) return [];
+    return fs.readdirSync(queueDir).filter(file => file.endsWith('.json'))
+        .map(file => readJSON(path.join(queueDir, file)).event)
+        .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Writes the submission to <queueDir>/<id>.json, creating the file
+ * exclusively; when another submission has taken the id meanwhile, the
+ * next one is tried. Returns { id, file }.
+ */
+function queueEvent(queueDir, event) {
+    fs.mkdirSync(queueDir, { recursive: true });
+    for (let id = event.id; ; id++) {
+        const file = `${id}.json`;
+        try {
+            fs.writeFileSync(path.join(queueDir, file), JSON.stringify({ submittedAt: new Date().toISOString(), event: { ...event, id } }, null, 2) + '\n', { encoding: 'utf8', flag: 'wx' });
+            return { id, file };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+}
+
+// A browser POST from another site carries its Origin; the form's own requests match the Host
+function checkOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return;
+    let host;
+    try {
+        host = new URL(origin).host;
+    } catch (error) {
+        host = null;
+    }
+    if (host !== req.headers.host) throw new RequestError(403, 'Submissions are only accepted from this site');
+}
+
+/**
+ * Problems with a submitted event as [{ pointer, message }], pointers
+ * relative to the event. Checked as the only entry of an events.json.
+ */
+function validateSubmission(event, eventsSchema, clubsData) {
+    const data = { events: [event] };
+    const errors = validateData(data, eventsSchema, checkEventRules);
+    checkClubReferences(data, clubsData, errors);
+    return errors.map(({ pointer, message }) => ({ pointer: pointer.replace(/^\/events\/0/, '') || '/', message }));
+}
+
+async function handleSubmit(req, res, options) {
+    checkOrigin(req);
+    let body;
+    try {
+        body = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch (error) {
+        if (error instanceof RequestError) throw error;
+        throw new RequestError(400, 'Request body is not valid JSON');
+    }
+    if (!body || typeof body.event !== 'object' || body.event === null || Array.isArray(body.event)) {
+        throw new RequestError(400, 'Send { "event": { ... } } in the request body');
+    }
+
+    const events = readJSON(path.join(options.dataDir, 'events.json')).events;
+    const queued = readQueue(options.queueDir);
+    const id = [...events, ...queued].reduce((max, event) => Math.max(max, Number(event.id) || 0), 0) + 1;
+    const event = { ...body.event, id };
+
+    const errors = validateSubmission(event, readJSON(path.join(options.dataDir, 'events.schema.json')), readJSON(path.join(options.dataDir, 'clubs.json')));
+    if (errors.length) {
+        sendJSON(res, 422, { error: 'The event has errors', errors });
+        return;
+    }
+
+    const entry = queueEvent(options.queueDir, event);
+    options.log(`✓ Queued event ${entry.id}: ${event.title} (${path.relative(options.root, path.join(options.queueDir, entry.file))})`);
+    sendJSON(res, 201, entry);
+}
+
+// A file under options.root; dotfiles and anything resolving outside it are not found
+function serveStatic(req, res, url, options) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new RequestError(405, 'Use GET');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        throw new RequestError(400, 'Malformed path');
+    }
+    if (pathname.split(/[\\/]/).some(segment => segment.startsWith('.'))) throw new RequestError(404, 'Not found');
+    let file = path.join(options.root, pathname);
+    if (file !== options.root && !file.startsWith(options.root + path.sep)) throw new RequestError(404, 'Not found');
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw new RequestError(404, 'Not found');
+
+    res.writeHead(200, { 'Content-Type': contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * The server, not yet listening. options: root (the site, default the
+ * repository), dataDir (default <root>/data), queueDir (default
+ * <root>/submissions) and log (for each queued event, default console.log).
+ */
+function createServer(options = {}) {
+    const root = path.resolve(options.root || rootDir);
+    const settings = {
+        root,
+        dataDir: path.resolve(options.dataDir || path.join(root, 'data')),
+        queueDir: path.resolve(options.queueDir || path.join(root, 'submissions')),
+        log: options.log || console.log
+    };
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname.replace(/\/+$/, '') === SUBMISSIONS_PATH) {
+                if (req.method === 'GET') sendJSON(res, 200, { queued: readQueue(settings.queueDir) });
+                else if (req.method === 'POST') await handleSubmit(req, res, settings);
+                else throw new RequestError(405, 'GET the queue or POST an event');
+            } else {
+                serveStatic(req, res, url, settings);
+            }
+        } catch (error) {
+            if (!(error instanceof RequestError)) console.error(`✗ ${req.method} ${url.pathname}: ${error.stack || error.message}`);
+            if (res.headersSent) return;
+            // The unread rest of an oversized body goes with the connection
+            if (error.status === 413) res.setHeader('Connection', 'close');
+            sendJSON(res, error.status || 500, { error: error instanceof RequestError ? error.message : 'Request failed' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    createServer().listen(port, HOST, () => {
+        console.log(`✓ Site and submission queue at http://${HOST}:${port}/pages/organizers.html#submit`);
+        console.log('  Queued events are written to submissions/');
+    });
+}
+
+module.exports = { createServer, validateSubmission };
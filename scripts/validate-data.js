@@ -0,0 +1,502 @@
+#!/usr/bin/env node
+/**
+ * Validate data/events.json, data/clubs.json, data/gazetteer.json,
+ * data/frequency-plan.json, data/nets.json and data/repeaters.json
+ * Checks each file against its JSON Schema (data/*.schema.json) plus the
+ * cross-field rules a schema cannot express (unique ids, end after start,
+ * event, net and repeater clubIds that name a club, in-use frequencies that
+ * are in the plan, repeaters inside an amateur band).
+ * Run before committing data changes; generate-calendar.js runs it too,
+ * so a broken events.json never produces a broken events.ics.
+ *
+ * Usage: node scripts/validate-data.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidDate, isValidTime, isValidUrl } = require('../js/calendar-core');
+const { bandOf } = require('../js/repeaters');
+
+const dataDir = path.join(__dirname, '../data');
+
+// Supported subset of JSON Schema: type, enum, pattern, format, minLength,
+// minimum, maximum, minItems, uniqueItems, required, properties, additionalProperties
+// (false or a schema), items, anyOf and local $ref. That is everything the data schemas use.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const formats = {
+    date: { check: isValidDate, message: 'must be a real date in YYYY-MM-DD format' },
+    uri: { check: isValidUrl, message: 'must be a well-formed http(s) URL' }
+};
+
+function resolveRef(ref, rootSchema) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], rootSchema);
+}
+
+function validateSchema(value, schema, rootSchema, pointer, errors) {
+    if (schema.$ref) {
+        validateSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, pointer, errors);
+        return;
+    }
+
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map(branch => {
+            const branchErrors = [];
+            validateSchema(value, branch, rootSchema, pointer, branchErrors);
+            return branchErrors;
+        });
+        if (attempts.some(branchErrors => branchErrors.length === 0)) return;
+        // Report the branch that got furthest (matched the type), e.g. a bad
+        // date string rather than "must be string or null"
+        const closest = attempts.find(branchErrors => !branchErrors.some(e => e.isTypeError));
+        errors.push(...(closest || attempts[0]));
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ pointer, message: `must be ${types.join(' or ')}`, isTypeError: true });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ pointer, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push({ pointer, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            const hint = schema === rootSchema.$defs?.time ? 'be a 24-hour time in HH:MM format' : `match ${schema.pattern}`;
+            errors.push({ pointer, message: `must ${hint} (got ${JSON.stringify(value)})` });
+        }
+        if (schema.format && formats[schema.format] && !formats[schema.format].check(value)) {
+            errors.push({ pointer, message: `${formats[schema.format].message} (got ${JSON.stringify(value)})` });
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ pointer, message: `must be at least ${schema.minimum}` });
+    }
+    if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ pointer, message: `must be at most ${schema.maximum}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ pointer, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach((item, i) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) errors.push({ pointer: `${pointer}/${i}`, message: `duplicate value ${key}` });
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateSchema(item, schema.items, rootSchema, `${pointer}/${i}`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ pointer, message: `missing required property "${key}"` });
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (childSchema) {
+                validateSchema(child, childSchema, rootSchema, `${pointer}/${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: `${pointer}/${key}`, message: 'is not a known property (check for a typo)' });
+            } else if (schema.additionalProperties) {
+                validateSchema(child, schema.additionalProperties, rootSchema, `${pointer}/${key}`, errors);
+            }
+        });
+    }
+}
+
+// Cross-field rules for events.json that JSON Schema cannot express
+function checkEventRules(data, errors) {
+    if (!Array.isArray(data.events)) return;
+    const seenIds = new Map();
+
+    data.events.forEach((event, i) => {
+        const pointer = `/events/${i}`;
+        if (!event || typeof event !== 'object') return;
+
+        if (seenIds.has(event.id)) {
+            errors.push({ pointer: `${pointer}/id`, message: `duplicate id ${event.id} (also used at /events/${seenIds.get(event.id)})` });
+        } else {
+            seenIds.set(event.id, i);
+        }
+
+        const hasStart = typeof event.startDate === 'string' && isValidDate(event.startDate);
+        const hasEnd = typeof event.endDate === 'string' && isValidDate(event.endDate);
+
+        // YYYY-MM-DD and HH:MM compare correctly as strings
+        if (hasStart && hasEnd && event.endDate < event.startDate) {
+            errors.push({ pointer: `${pointer}/endDate`, message: `${event.endDate} is before startDate ${event.startDate}` });
+        }
+
+        const sameDay = !event.endDate || event.endDate === event.startDate;
+        if (sameDay && isValidTime(event.startTime) && isValidTime(event.endTime) && event.endTime < event.startTime) {
+            errors.push({ pointer: `${pointer}/endTime`, message: `${event.endTime} is before startTime ${event.startTime}` });
+        }
+        if (event.endTime && !event.startTime) {
+            errors.push({ pointer: `${pointer}/startTime`, message: 'is required when endTime is set' });
+        }
+
+        if (event.postponedTo) {
+            if (event.status !== 'postponed') {
+                errors.push({ pointer: `${pointer}/postponedTo`, message: 'requires status "postponed"' });
+            } else if (event.recurrence) {
+                errors.push({ pointer: `${pointer}/postponedTo`, message: 'cannot be used on a recurring event; add an exception date and a separate event instead' });
+            }
+        }
+
+        if (Array.isArray(event.sessions)) {
+            if (event.recurrence) {
+                errors.push({ pointer: `${pointer}/sessions`, message: 'cannot be combined with recurrence' });
+            }
+            const lastDay = hasEnd ? event.endDate : event.startDate;
+            event.sessions.forEach((session, s) => {
+                if (!session || typeof session !== 'object') return;
+                const sessionPointer = `${pointer}/sessions/${s}`;
+                if (hasStart && typeof session.date === 'string' && isValidDate(session.date) &&
+                    (session.date < event.startDate || session.date > lastDay)) {
+                    errors.push({ pointer: `${sessionPointer}/date`, message: `${session.date} is outside the event (${event.startDate} to ${lastDay})` });
+                }
+                if (isValidTime(session.startTime) && isValidTime(session.endTime) && session.endTime < session.startTime) {
+                    errors.push({ pointer: `${sessionPointer}/endTime`, message: `${session.endTime} is before startTime ${session.startTime}` });
+                }
+                if (session.endTime && !session.startTime) {
+                    errors.push({ pointer: `${sessionPointer}/startTime`, message: 'is required when endTime is set' });
+                }
+            });
+        }
+
+        const venue = event.venue;
+        if (venue && typeof venue === 'object' && (venue.lat === undefined) !== (venue.lon === undefined)) {
+            errors.push({ pointer: `${pointer}/venue`, message: 'needs both "lat" and "lon"' });
+        }
+
+        const staffing = event.staffing;
+        if (staffing && typeof staffing === 'object') {
+            if (event.type !== 'public-service') {
+                errors.push({ pointer: `${pointer}/staffing`, message: 'is only used on "public-service" events' });
+            }
+            if (Number.isInteger(staffing.filled) && staffing.needed === undefined && !(staffing.roles || []).length) {
+                errors.push({ pointer: `${pointer}/staffing/filled`, message: 'requires "needed" (or roles with counts)' });
+            }
+            (Array.isArray(staffing.roles) ? staffing.roles : []).forEach((role, r) => {
+                if (role && Number.isInteger(role.filled) && !Number.isInteger(role.needed)) {
+                    errors.push({ pointer: `${pointer}/staffing/roles/${r}/filled`, message: 'requires "needed"' });
+                }
+            });
+        }
+
+        const rule = event.recurrence;
+        if (rule && typeof rule === 'object') {
+            if (rule.until && rule.count) {
+                errors.push({ pointer: `${pointer}/recurrence`, message: 'use either "until" or "count", not both' });
+            }
+            if (hasStart && typeof rule.until === 'string' && isValidDate(rule.until) && rule.until < event.startDate) {
+                errors.push({ pointer: `${pointer}/recurrence/until`, message: `${rule.until} is before startDate ${event.startDate}` });
+            }
+            if (rule.weekOfMonth && (rule.frequency !== 'monthly' || !rule.byDay)) {
+                errors.push({ pointer: `${pointer}/recurrence/weekOfMonth`, message: 'requires frequency "monthly" and byDay' });
+            }
+        }
+    });
+}
+
+// Cross-field rules for clubs.json
+function checkClubRules(data, errors) {
+    if (!Array.isArray(data.counties)) return;
+    const seenCounties = new Map();
+    const seenIds = new Map();
+
+    data.counties.forEach((county, i) => {
+        if (!county || typeof county.name !== 'string') return;
+        const name = county.name.trim().toLowerCase();
+        if (seenCounties.has(name)) {
+            errors.push({ pointer: `/counties/${i}/name`, message: `duplicate county "${county.name}" (also at /counties/${seenCounties.get(name)})` });
+        } else {
+            seenCounties.set(name, i);
+        }
+
+        (Array.isArray(county.clubs) ? county.clubs : []).forEach((club, j) => {
+            if (!club || typeof club !== 'object') return;
+            const pointer = `/counties/${i}/clubs/${j}`;
+            if (typeof club.id === 'string') {
+                if (seenIds.has(club.id)) {
+                    errors.push({ pointer: `${pointer}/id`, message: `duplicate id "${club.id}" (also at ${seenIds.get(club.id)})` });
+                } else {
+                    seenIds.set(club.id, pointer);
+                }
+            }
+            if ((club.lat === undefined) !== (club.lon === undefined)) {
+                errors.push({ pointer, message: 'needs both "lat" and "lon"' });
+            }
+        });
+    });
+}
+
+// Cross-field rules for gazetteer.json
+function checkGazetteerRules(data, errors) {
+    if (!Array.isArray(data.places)) return;
+    const seenIds = new Map();
+
+    data.places.forEach((place, i) => {
+        if (!place || typeof place.id !== 'string') return;
+        if (seenIds.has(place.id)) {
+            errors.push({ pointer: `/places/${i}/id`, message: `duplicate id "${place.id}" (also at /places/${seenIds.get(place.id)})` });
+        } else {
+            seenIds.set(place.id, i);
+        }
+    });
+}
+
+// Cross-field rules for frequency-plan.json
+function checkFrequencyPlanRules(data, errors) {
+    if (!Array.isArray(data.allocations)) return;
+    const bands = data.bands && typeof data.bands === 'object' ? data.bands : {};
+    const seenIds = new Map();
+    const seenShortNames = new Map();
+    const allocated = new Map();
+
+    Object.entries(bands).forEach(([id, band]) => {
+        if (band && typeof band.low === 'number' && typeof band.high === 'number' && band.high <= band.low) {
+            errors.push({ pointer: `/bands/${id}/high`, message: `${band.high} is not above low ${band.low}` });
+        }
+    });
+
+    data.allocations.forEach((allocation, i) => {
+        if (!allocation || typeof allocation !== 'object') return;
+        const pointer = `/allocations/${i}`;
+        [['id', seenIds], ['shortName', seenShortNames]].forEach(([key, seen]) => {
+            if (typeof allocation[key] !== 'string') return;
+            if (seen.has(allocation[key])) {
+                errors.push({ pointer: `${pointer}/${key}`, message: `duplicate ${key} "${allocation[key]}" (also at /allocations/${seen.get(allocation[key])})` });
+            } else {
+                seen.set(allocation[key], i);
+            }
+        });
+
+        const band = bands[allocation.band];
+        if (typeof allocation.band === 'string' && !band) {
+            errors.push({ pointer: `${pointer}/band`, message: `unknown band "${allocation.band}" (not in /bands)` });
+        }
+        (Array.isArray(allocation.frequencies) ? allocation.frequencies : []).forEach((frequency, f) => {
+            if (typeof frequency !== 'number') return;
+            if (band && (frequency < band.low || frequency > band.high)) {
+                errors.push({ pointer: `${pointer}/frequencies/${f}`, message: `${frequency} is outside the ${allocation.band} band (${band.low}-${band.high} MHz)` });
+            }
+            if (allocated.has(frequency) && allocated.get(frequency).index !== i) {
+                errors.push({ pointer: `${pointer}/frequencies/${f}`, message: `${frequency} is also in /allocations/${allocated.get(frequency).index}` });
+            } else {
+                allocated.set(frequency, { index: i, allocation });
+            }
+        });
+    });
+
+    (Array.isArray(data.inUse) ? data.inUse : []).forEach((claim, i) => {
+        if (!claim || typeof claim.frequency !== 'number') return;
+        const entry = allocated.get(claim.frequency);
+        if (!entry) {
+            errors.push({ pointer: `/inUse/${i}/frequency`, message: `${claim.frequency} is not in any allocation` });
+        } else if (typeof claim.mode === 'string' && Array.isArray(entry.allocation.modes) && !entry.allocation.modes.includes(claim.mode)) {
+            errors.push({ pointer: `/inUse/${i}/mode`, message: `${claim.mode} is not a mode of allocation "${entry.allocation.id}"` });
+        }
+    });
+}
+
+// Cross-field rules for nets.json
+function checkNetRules(data, errors) {
+    if (!Array.isArray(data.nets)) return;
+    const seenIds = new Map();
+
+    data.nets.forEach((net, i) => {
+        if (!net || typeof net !== 'object') return;
+        if (typeof net.id === 'string') {
+            if (seenIds.has(net.id)) {
+                errors.push({ pointer: `/nets/${i}/id`, message: `duplicate id "${net.id}" (also at /nets/${seenIds.get(net.id)})` });
+            } else {
+                seenIds.set(net.id, i);
+            }
+        }
+        if ((net.offset !== undefined || net.tone !== undefined) && !net.repeater) {
+            errors.push({ pointer: `/nets/${i}`, message: '"offset" and "tone" describe a repeater; add "repeater" too' });
+        }
+        if (net.talkgroup && !['DMR', 'D-STAR', 'YSF', 'P25', 'Digital'].includes(net.mode)) {
+            errors.push({ pointer: `/nets/${i}/talkgroup`, message: `is only used on digital nets (mode is ${JSON.stringify(net.mode)})` });
+        }
+    });
+}
+
+// Cross-field rules for repeaters.json
+function checkRepeaterRules(data, errors) {
+    if (!Array.isArray(data.repeaters)) return;
+    const seenIds = new Map();
+
+    data.repeaters.forEach((repeater, i) => {
+        if (!repeater || typeof repeater !== 'object') return;
+        const pointer = `/repeaters/${i}`;
+        if (typeof repeater.id === 'string') {
+            if (seenIds.has(repeater.id)) {
+                errors.push({ pointer: `${pointer}/id`, message: `duplicate id "${repeater.id}" (also at /repeaters/${seenIds.get(repeater.id)})` });
+            } else {
+                seenIds.set(repeater.id, i);
+            }
+        }
+        if (typeof repeater.frequency === 'number') {
+            const band = bandOf(repeater.frequency);
+            if (!band) {
+                errors.push({ pointer: `${pointer}/frequency`, message: `${repeater.frequency} is not in an amateur band repeaters use` });
+            } else if (typeof repeater.offset === 'number' && bandOf(repeater.frequency + repeater.offset) !== band) {
+                errors.push({ pointer: `${pointer}/offset`, message: `input ${+(repeater.frequency + repeater.offset).toFixed(6)} is outside the ${band.name} band` });
+            }
+        }
+        const modes = Array.isArray(repeater.modes) ? repeater.modes : [];
+        if (repeater.tone !== undefined && !modes.includes('FM')) {
+            errors.push({ pointer: `${pointer}/tone`, message: 'CTCSS tones are only used on FM repeaters' });
+        }
+        if (repeater.toneSquelch && repeater.tone === undefined) {
+            errors.push({ pointer: `${pointer}/toneSquelch`, message: 'needs a "tone"' });
+        }
+        if (repeater.colorCode !== undefined && !modes.includes('DMR')) {
+            errors.push({ pointer: `${pointer}/colorCode`, message: 'color codes are only used on DMR repeaters' });
+        }
+        if ((repeater.lat === undefined) !== (repeater.lon === undefined)) {
+            errors.push({ pointer, message: 'needs both "lat" and "lon"' });
+        }
+    });
+}
+
+// Rules across files: every event, net and repeater clubId names a club in clubs.json
+function checkClubReferences(data, clubsData, errors, key = 'events') {
+    if (!Array.isArray(data[key]) || !Array.isArray(clubsData.counties)) return;
+    const clubIds = new Set(clubsData.counties.flatMap(county =>
+        (Array.isArray(county && county.clubs) ? county.clubs : []).map(club => club && club.id)));
+
+    data[key].forEach((item, i) => {
+        if (item && typeof item.clubId === 'string' && !clubIds.has(item.clubId)) {
+            errors.push({ pointer: `/${key}/${i}/clubId`, message: `unknown club "${item.clubId}" (no club with that id in data/clubs.json)` });
+        }
+    });
+}
+
+// Rules across files: every in-use frequency's ZIP is in zip-centroids.json,
+// so the hotspot picker knows where it is
+function checkClaimLocations(planData, zipData, errors) {
+    if (!Array.isArray(planData.inUse) || !zipData || !zipData.zips) return;
+    planData.inUse.forEach((claim, i) => {
+        if (claim && typeof claim.zip === 'string' && /^\d{5}$/.test(claim.zip) && !zipData.zips[claim.zip]) {
+            errors.push({ pointer: `/inUse/${i}/zip`, message: `ZIP ${claim.zip} is not in data/zip-centroids.json` });
+        }
+    });
+}
+
+const dataFiles = [
+    { file: 'events.json', schema: 'events.schema.json', rules: checkEventRules },
+    { file: 'clubs.json', schema: 'clubs.schema.json', rules: checkClubRules },
+    { file: 'gazetteer.json', schema: 'gazetteer.schema.json', rules: checkGazetteerRules },
+    { file: 'frequency-plan.json', schema: 'frequency-plan.schema.json', rules: checkFrequencyPlanRules },
+    { file: 'nets.json', schema: 'nets.schema.json', rules: checkNetRules },
+    { file: 'repeaters.json', schema: 'repeaters.schema.json', rules: checkRepeaterRules }
+];
+
+// Validate one parsed data file; returns [{ pointer, message }]
+function validateData(data, schema, rules) {
+    const errors = [];
+    validateSchema(data, schema, schema, '', errors);
+    if (rules && data && typeof data === 'object') rules(data, errors);
+    return errors.map(({ pointer, message }) => ({ pointer: pointer || '/', message }));
+}
+
+// Validate every data file on disk; returns [{ file, pointer, message }]
+function validateDataFiles() {
+    const results = [];
+    const parsed = {};
+
+    dataFiles.forEach(({ file, schema, rules }) => {
+        const relativePath = `data/${file}`;
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        } catch (error) {
+            results.push({ file: relativePath, pointer: '/', message: `cannot be parsed: ${error.message}` });
+            return;
+        }
+        const schemaJSON = JSON.parse(fs.readFileSync(path.join(dataDir, schema), 'utf8'));
+        validateData(data, schemaJSON, rules).forEach(error => results.push({ file: relativePath, ...error }));
+        parsed[file] = data;
+    });
+
+    if (parsed['events.json'] && parsed['clubs.json']) {
+        const errors = [];
+        checkClubReferences(parsed['events.json'], parsed['clubs.json'], errors);
+        errors.forEach(error => results.push({ file: 'data/events.json', ...error }));
+    }
+    [['nets.json', 'nets'], ['repeaters.json', 'repeaters']].forEach(([file, key]) => {
+        if (!parsed[file] || !parsed['clubs.json']) return;
+        const errors = [];
+        checkClubReferences(parsed[file], parsed['clubs.json'], errors, key);
+        errors.forEach(error => results.push({ file: `data/${file}`, ...error }));
+    });
+
+    if (parsed['frequency-plan.json']) {
+        const errors = [];
+        checkClaimLocations(parsed['frequency-plan.json'], JSON.parse(fs.readFileSync(path.join(dataDir, 'zip-centroids.json'), 'utf8')), errors);
+        errors.forEach(error => results.push({ file: 'data/frequency-plan.json', ...error }));
+    }
+
+    return results;
+}
+
+function reportErrors(errors) {
+    errors.forEach(({ file, pointer, message }) => {
+        console.error(`✗ ${file} ${pointer}: ${message}`);
+    });
+}
+
+module.exports = {
+    validateData,
+    validateDataFiles,
+    reportErrors,
+    checkEventRules,
+    checkClubRules,
+    checkGazetteerRules,
+    checkFrequencyPlanRules,
+    checkNetRules,
+    checkRepeaterRules,
+    checkClubReferences,
+    checkClaimLocations
+};
+
+if (require.main === module) {
+    const errors = validateDataFiles();
+    if (errors.length) {
+        reportErrors(errors);
+        console.error(`\n${errors.length} error(s) found`);
+        process.exit(1);
+    }
+    const names = dataFiles.map(f => `data/${f.file}`);
+    console.log(`✓ ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are valid`);
+}
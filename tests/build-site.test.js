@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { pathPrefixFor, prerenderPage, renderEventPage, buildSitemap, findEmptyDirectories, checkOutDir, buildSite } = require('../scripts/build-site');
+const { normalizeEvent } = require('../js/calendar-core');
+const fixture = require('./fixtures/events.json');
+
+// "Today" for these tests: Thursday, January 1, 2026, mid-morning
+const TODAY = new Date(2026, 0, 1, 10, 0, 0);
+const events = fixture.events.map(normalizeEvent);
+
+const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta name="page-validated" content="2025-12-01">
+</head>
+<body>
+    <script src="../js/header.js?v=1.1"></script>
+    <div data-upcoming-events data-count="2"></div>
+    <script src="../js/footer.js?v=1.1"></script>
+</body>
+</html>
+`;
+
+test('pathPrefixFor links pages back to the site root', () => {
+    assert.equal(pathPrefixFor('index.html'), '');
+    assert.equal(pathPrefixFor('pages/clubs.html'), '../');
+    assert.equal(pathPrefixFor('events/12.html'), '../');
+    assert.equal(pathPrefixFor('404.html'), '/');
+});
+
+test('prerenderPage inlines the header, footer and upcoming events', () => {
+    const html = prerenderPage(page, { pathPrefix: '../', events, today: TODAY, year: 2026 });
+
+    assert.equal((html.match(/id="desktopNav"/g) || []).length, 1);
+    assert.ok(html.indexOf('id="desktopNav"') > html.indexOf('js/header.js'), 'header follows its script');
+    assert.match(html, /href="\.\.\/pages\/clubs\.html">Clubs</);
+    assert.match(html, /id="backToTop"/);
+    assert.ok(html.indexOf('<footer>') < html.indexOf('js/footer.js'), 'footer precedes its script');
+    assert.match(html, /<span class="footer-year">2026<\/span>/);
+    assert.match(html, /Page validated since December 1, 2025/);
+
+    const list = html.slice(html.indexOf('data-upcoming-events'), html.indexOf('js/footer.js'));
+    assert.match(list, /class="upcoming-events"/);
+    assert.equal((list.match(/class="upcoming-item"/g) || []).length, 2);
+    assert.match(list, /href="\.\.\/events\/\d+\.html"/);
+    assert.doesNotMatch(list, /index\.html#event=/);
+});
+
+test('prerenderPage fills the calendar container on the home page', () => {
+    const home = '<script src="js/header.js?v=1.1"></script>\n<div id="calendarContainer"></div>\n<script src="js/footer.js?v=1.1"></script>';
+    const html = prerenderPage(home, { pathPrefix: '', events, today: TODAY, year: 2026 });
+
+    assert.match(html, /<div id="calendarContainer">\s*<div class="upcoming-events">/);
+    assert.match(html, /href="events\/\d+\.html"/);
+    assert.match(html, /href="pages\/about\.html">About</);
+});
+
+test('prerenderPage fills frequency tables from the plan', () => {
+    const frequencyPlan = require('../data/frequency-plan.json');
+    const article = '<div class="table-responsive" data-frequency-table="hotspot" data-columns="5"></div>\n<div data-frequency-table="nowhere"></div>';
+    const html = prerenderPage(article, { pathPrefix: '../', events, frequencyPlan, today: TODAY, year: 2026 });
+
+    assert.match(html, /^<div class="table-responsive" data-frequency-table="hotspot" data-columns="5">\s*<table>/);
+    assert.equal((html.match(/<tr>/g) || []).length, 2);
+    assert.match(html, /<div data-frequency-table="nowhere"><\/div>$/, 'unknown allocations are left for the browser');
+});
+
+test('renderEventPage describes the event and links back to the calendar', () => {
+    const event = events.find(candidate => candidate.id === 2);
+    const html = renderEventPage(event, { version: '1.1' });
+
+    assert.match(html, new RegExp(`<link rel="canonical" href="https://atlantahamradio\\.org/events/2\\.html">`));
+    assert.match(html, /<h2>[^<]+<\/h2>/);
+    assert.match(html, /href="\.\.\/index\.html#event=2">View on the calendar/);
+    assert.match(html, /href="\.\.\/pages\/clubs\.html#club-[a-z0-9-]+">Club page/);
+    assert.match(html, /<link rel="stylesheet" href="\.\.\/css\/style\.css\?v=1\.1">/);
+    assert.match(html, /<script src="\.\.\/js\/footer\.js\?v=1\.1"><\/script>/);
+    assert.doesNotMatch(html, /<script>/, 'no inline scripts');
+
+    const jsonLD = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    assert.equal(jsonLD['@context'], 'https://schema.org');
+    assert.equal(jsonLD['@type'], 'Event');
+    assert.equal(jsonLD.url, 'https://atlantahamradio.org/events/2.html');
+});
+
+test('buildSitemap lists each URL with its lastmod date', () => {
+    const xml = buildSitemap([
+        { loc: 'https://atlantahamradio.org/', lastmod: '2026-01-01' },
+        { loc: 'https://atlantahamradio.org/events/2.html?a=1&b=2' }
+    ]);
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<urlset xmlns="http:\/\/www\.sitemaps\.org\/schemas\/sitemap\/0\.9">/);
+    assert.match(xml, /<loc>https:\/\/atlantahamradio\.org\/<\/loc>\n\s+<lastmod>2026-01-01<\/lastmod>/);
+    assert.match(xml, /<loc>https:\/\/atlantahamradio\.org\/events\/2\.html\?a=1&amp;b=2<\/loc>\n\s+<\/url>/);
+});
+
+test('buildSite only empties a build folder', () => {
+    const rootDir = path.join(__dirname, '..');
+    assert.equal(checkOutDir(path.join(rootDir, 'dist')), null);
+    assert.equal(checkOutDir(path.join(rootDir, 'dist/preview')), null);
+    assert.match(checkOutDir(rootDir), /is the repository or one of its parents/);
+    assert.match(checkOutDir(path.dirname(rootDir)), /is the repository or one of its parents/);
+    assert.match(checkOutDir(path.parse(rootDir).root), /is the repository or one of its parents/);
+    assert.match(checkOutDir(path.join(rootDir, 'data')), /inside the repository but not under dist\//);
+    assert.match(checkOutDir(path.join(rootDir, 'distribution')), /inside the repository but not under dist\//);
+    assert.throws(() => buildSite(rootDir), /Refusing to build into/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+    try {
+        assert.equal(checkOutDir(dir), null);
+        assert.equal(checkOutDir(path.join(dir, 'site')), null);
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep me');
+        assert.match(checkOutDir(dir), /isn't empty and doesn't hold a previous build/);
+        fs.writeFileSync(path.join(dir, 'sitemap.xml'), '');
+        assert.equal(checkOutDir(dir), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('directories are published once their data lists something', () => {
+    const data = { 'data/nets.json': { nets: [] }, 'data/repeaters.json': { repeaters: [{ id: 'w4abc-146880' }] } };
+    assert.deepEqual(findEmptyDirectories(file => data[file]), ['nets']);
+
+    const html = `<ul>
+    <li data-directory="nets"><a href="nets.html">Nets</a></li>
+    <li><a href="clubs.html">Clubs</a></li>
+</ul>
+<a href="nets.html" class="anchor-nav-btn" data-directory="nets">Nets</a>
+`;
+    const options = { events: [], today: TODAY, year: 2026, pathPrefix: '../' };
+    assert.equal(prerenderPage(html, { ...options, hiddenDirectories: ['nets'] }), `<ul>
+    <li><a href="clubs.html">Clubs</a></li>
+</ul>
+`);
+    assert.equal(prerenderPage(html, { ...options, hiddenDirectories: ['repeaters'] }), html);
+});
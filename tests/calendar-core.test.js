@@ -0,0 +1,348 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const core = require('../js/calendar-core');
+
+const octets = line => Buffer.byteLength(line, 'utf8');
+const unfold = text => text.replace(/\r\n /g, '');
+
+test('foldICSLine leaves lines of 75 octets or fewer untouched', () => {
+    const line = 'SUMMARY:' + 'x'.repeat(67);
+    assert.equal(octets(line), 75);
+    assert.equal(core.foldICSLine(line), line);
+});
+
+test('foldICSLine keeps every physical line within 75 octets', () => {
+    const line = 'DESCRIPTION:' + 'abcdefghij'.repeat(30);
+    const folded = core.foldICSLine(line);
+
+    folded.split('\r\n').forEach(physical => assert.ok(octets(physical) <= 75, `${octets(physical)} octets`));
+    folded.split('\r\n').slice(1).forEach(physical => assert.ok(physical.startsWith(' ')));
+    assert.equal(unfold(folded), line);
+});
+
+test('foldICSLine never splits multi-byte characters', () => {
+    const samples = [
+        'DESCRIPTION:' + 'é'.repeat(100),
+        'DESCRIPTION:' + '—'.repeat(60),
+        'DESCRIPTION:' + 'a' + '📻'.repeat(40),
+        'DESCRIPTION:Activate every Georgia state park — café, naïve, jalapeño 📻 '.repeat(3)
+    ];
+
+    samples.forEach(line => {
+        const folded = core.foldICSLine(line);
+        folded.split('\r\n').forEach(physical => {
+            assert.ok(octets(physical) <= 75, `${octets(physical)} octets`);
+            // A cut code point would round-trip through UTF-8 as U+FFFD
+            assert.equal(Buffer.from(physical, 'utf8').toString('utf8'), physical);
+            assert.ok(!/[\uD800-\uDFFF]/.test(physical.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '')), 'lone surrogate');
+        });
+        assert.equal(unfold(folded), line);
+    });
+});
+
+test('escapeICSText escapes backslashes, separators and newlines', () => {
+    assert.equal(core.escapeICSText('a\\b; c, d\ne\r\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+    assert.equal(core.escapeICSText(null), '');
+});
+
+test('formatICSTimestamp is UTC', () => {
+    const date = new Date(Date.UTC(2026, 6, 4, 3, 5, 9));
+    assert.equal(core.formatICSTimestamp(date), '20260704T030509Z');
+});
+
+test('normalizeEvent parses dates as local calendar days', () => {
+    const event = core.normalizeEvent({ id: 1, startDate: '2026-03-01', endDate: '2026-03-02' });
+    assert.equal(event.startDate.getDate(), 1);
+    assert.equal(event.startDate.getMonth(), 2);
+    assert.equal(event.endDate.getDate(), 2);
+    assert.equal(core.normalizeEvent({ id: 2, startDate: '2026-03-01' }).endDate, null);
+});
+
+function occurrenceKeys(raw, from, to) {
+    return core.expandOccurrences(core.normalizeEvent(raw), core.parseLocalDate(from), core.parseLocalDate(to))
+        .map(occurrence => core.toDateKey(occurrence.startDate));
+}
+
+test('expandOccurrences handles the nth and last weekday of the month', () => {
+    const secondTuesday = {
+        id: 1, startDate: '2026-01-13',
+        recurrence: { frequency: 'monthly', byDay: ['TU'], weekOfMonth: 2, until: '2026-05-31' }
+    };
+    assert.deepEqual(occurrenceKeys(secondTuesday, '2026-01-01', '2026-12-31'),
+        ['2026-01-13', '2026-02-10', '2026-03-10', '2026-04-14', '2026-05-12']);
+
+    const lastFriday = {
+        id: 2, startDate: '2026-01-30',
+        recurrence: { frequency: 'monthly', byDay: ['FR'], weekOfMonth: -1, count: 3 }
+    };
+    assert.deepEqual(occurrenceKeys(lastFriday, '2026-01-01', '2026-12-31'),
+        ['2026-01-30', '2026-02-27', '2026-03-27']);
+});
+
+test('expandOccurrences applies count before removing exceptions', () => {
+    const weekly = {
+        id: 1, startDate: '2026-03-02',
+        recurrence: { frequency: 'weekly', byDay: ['MO', 'TH'], count: 4, exceptions: ['2026-03-05'] }
+    };
+    assert.deepEqual(occurrenceKeys(weekly, '2026-01-01', '2026-12-31'),
+        ['2026-03-02', '2026-03-09', '2026-03-12']);
+});
+
+test('expandOccurrences keeps the duration of multi-day occurrences', () => {
+    const event = core.normalizeEvent({
+        id: 1, startDate: '2026-01-31', endDate: '2026-02-01',
+        recurrence: { frequency: 'yearly', count: 2 }
+    });
+    const occurrences = core.expandOccurrences(event, core.parseLocalDate('2027-02-01'), core.parseLocalDate('2027-02-01'));
+    assert.equal(occurrences.length, 1);
+    assert.equal(core.toDateKey(occurrences[0].startDate), '2027-01-31');
+    assert.equal(core.toDateKey(occurrences[0].endDate), '2027-02-01');
+});
+
+test('isValidDate, isValidTime and isValidUrl are the checks the validator and the form share', () => {
+    assert.deepEqual(['2026-02-28', '2028-02-29', '2026-02-30', '2026-2-3', null].map(core.isValidDate), [true, true, false, false, false]);
+    assert.deepEqual(['00:00', '23:59', '24:00', '9:30', undefined].map(core.isValidTime), [true, true, false, false, false]);
+    assert.deepEqual(['https://example.org/', 'http://example.org/a?b=1', 'javascript:alert(1)', 'example.org', ''].map(core.isValidUrl),
+        [true, true, false, false, false]);
+});
+
+test('formatRRULE maps recurrence blocks to RFC 5545 rules', () => {
+    assert.equal(core.formatRRULE({ frequency: 'monthly', byDay: ['TU'], weekOfMonth: 2, until: '2026-12-31' }, false),
+        'FREQ=MONTHLY;BYDAY=2TU;UNTIL=20261231');
+    assert.equal(core.formatRRULE({ frequency: 'monthly', byDay: ['TU'], weekOfMonth: 2, until: '2026-12-31' }, true),
+        'FREQ=MONTHLY;BYDAY=2TU;UNTIL=20270101T035959Z');
+    assert.equal(core.formatRRULE({ frequency: 'weekly', interval: 2, byDay: ['MO', 'WE'], count: 10 }, true),
+        'FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=MO,WE;COUNT=10');
+    assert.equal(core.formatRRULE({ frequency: 'weekly', byDay: ['SA', 'SU'] }, true), 'FREQ=WEEKLY;BYDAY=SA,SU');
+    assert.equal(core.formatRRULE({ frequency: 'monthly', interval: 2 }, false), 'FREQ=MONTHLY;INTERVAL=2');
+});
+
+test('every-other-week rules group Sunday with the Saturday after it, as WKST=SU does', () => {
+    const event = core.normalizeEvent({
+        id: 1, title: 'Weekend net', type: 'activity', startDate: '2026-01-03', startTime: '20:00', endTime: '21:00',
+        recurrence: { frequency: 'weekly', interval: 2, byDay: ['SA', 'SU'] }
+    });
+    const dates = core.expandOccurrences(event, core.parseLocalDate('2026-01-01'), core.parseLocalDate('2026-01-31'))
+        .map(occurrence => core.toDateKey(occurrence.startDate));
+    // Saturday the 3rd, then the week of Sunday the 11th
+    assert.deepEqual(dates, ['2026-01-03', '2026-01-11', '2026-01-17', '2026-01-25', '2026-01-31']);
+    assert.match(core.buildCalendar([event], { timestamp: '20260101T000000Z' }), /\r\nRRULE:FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=SA,SU\r\n/);
+});
+
+test('normalizeEvent moves a postponed event to its new date', () => {
+    const event = core.normalizeEvent({
+        id: 1, startDate: '2026-04-11', endDate: '2026-04-12',
+        status: 'postponed', postponedTo: '2026-05-02'
+    });
+    assert.equal(core.toDateKey(event.startDate), '2026-05-02');
+    assert.equal(core.toDateKey(event.endDate), '2026-05-03');
+    assert.equal(core.toDateKey(event.originalStartDate), '2026-04-11');
+    assert.equal(core.isCalledOff(event), false);
+    assert.equal(core.getICSStatus(event), 'CONFIRMED');
+    assert.match(core.describeStatus(event), /^Postponed from Saturday, April 11, 2026/);
+});
+
+test('getICSStatus maps event statuses to STATUS values', () => {
+    const status = raw => core.getICSStatus(core.normalizeEvent({ id: 1, startDate: '2026-04-11', ...raw }));
+    assert.equal(status({}), 'CONFIRMED');
+    assert.equal(status({ status: 'tentative' }), 'TENTATIVE');
+    assert.equal(status({ status: 'cancelled' }), 'CANCELLED');
+    assert.equal(status({ status: 'postponed' }), 'TENTATIVE');
+});
+
+test('buildVEvent marks called-off events in SUMMARY and DESCRIPTION', () => {
+    const vevent = raw => core.buildVEvent(core.normalizeEvent({
+        id: 1, title: 'Field Day', startDate: '2026-06-27', eventLocation: 'Atlanta, GA',
+        eventDescription: 'Bring a radio.', ...raw
+    }), { timestamp: '20260101T000000Z' }).join('\r\n');
+
+    const cancelled = vevent({ status: 'cancelled' });
+    assert.match(cancelled, /^SUMMARY:CANCELLED: Field Day$/m);
+    assert.match(cancelled, /^STATUS:CANCELLED$/m);
+    assert.match(cancelled, /^DESCRIPTION:This event has been cancelled\.\\n\\nBring a radio\.$/m);
+
+    const postponed = vevent({ status: 'postponed' });
+    assert.match(postponed, /^SUMMARY:POSTPONED: Field Day$/m);
+
+    const tentative = vevent({ status: 'tentative' });
+    assert.match(tentative, /^SUMMARY:Field Day$/m);
+    assert.match(tentative, /^STATUS:TENTATIVE$/m);
+});
+
+test('getStaffing totals roles and needsVolunteers reports open positions', () => {
+    const event = staffing => core.normalizeEvent({ id: 1, type: 'public-service', startDate: '2026-03-01', staffing });
+
+    const byRole = core.getStaffing(event({
+        roles: [{ name: 'Water stop', needed: 20, filled: 8 }, { name: 'Net control', needed: 2, filled: 2 }]
+    }));
+    assert.deepEqual([byRole.needed, byRole.filled, byRole.open], [22, 10, 12]);
+    assert.equal(core.describeStaffingCount(byRole), '10 of 22 volunteers signed up, 12 still needed');
+
+    const full = event({ needed: 40, filled: 41 });
+    assert.equal(core.getStaffing(full).open, 0);
+    assert.equal(core.describeStaffingCount(core.getStaffing(full)), 'Fully staffed (41 volunteers)');
+    assert.equal(core.needsVolunteers(full), false);
+
+    // No counts published: still taking sign-ups
+    assert.equal(core.getStaffing(event({ gear: 'HT' })).needed, null);
+    assert.equal(core.needsVolunteers(event(undefined)), true);
+    assert.equal(core.needsVolunteers({ ...event({ needed: 5 }), status: 'cancelled' }), false);
+    assert.equal(core.needsVolunteers({ ...event(undefined), type: 'meeting' }), false);
+});
+
+test('buildVEvent lists volunteer staffing in DESCRIPTION', () => {
+    const vevent = core.buildVEvent(core.normalizeEvent({
+        id: 1, title: 'Road Race', type: 'public-service', startDate: '2026-03-01', eventLocation: 'Atlanta, GA',
+        eventDescription: 'Course communications.',
+        staffing: {
+            needed: 30,
+            filled: 12,
+            roles: [{ name: 'Water stop' }, { name: 'Shadow', needed: 4, filled: 1 }],
+            licenseClass: 'technician',
+            gear: 'Dual-band HT, spare battery',
+            netControl: 'KD4ABC on 146.880'
+        }
+    }), { timestamp: '20260101T000000Z' }).join('\r\n').replace(/\r\n /g, '');
+
+    const description = vevent.split('\r\n').find(line => line.startsWith('DESCRIPTION:'));
+    assert.equal(description, 'DESCRIPTION:Course communications.\\n\\n' +
+        '12 of 30 volunteers signed up\\, 18 still needed\\n' +
+        'Positions: Water stop\\, Shadow (1/4)\\n' +
+        'License: Technician class license or higher\\n' +
+        'Bring: Dual-band HT\\, spare battery\\n' +
+        'Net control: KD4ABC on 146.880');
+});
+
+test('tokenize lowercases and strips accents and punctuation', () => {
+    assert.deepEqual(core.tokenize('Café Net-Control, 2m'), ['cafe', 'net', 'control', '2m']);
+    assert.deepEqual(core.tokenize(null), []);
+});
+
+test('editDistance counts swapped letters as one edit and stops past max', () => {
+    assert.equal(core.editDistance('marathn', 'marathon', 2), 1);
+    assert.equal(core.editDistance('teh', 'the', 2), 1);
+    assert.equal(core.editDistance('kitten', 'sitting', 3), 3);
+    assert.equal(core.editDistance('abc', 'xyzabc', 1), 2);
+});
+
+test('searchEvents matches every field, tolerates typos and ranks by field weight', () => {
+    const events = [
+        { id: 1, title: 'Hamfest', eventLocation: 'Lawrenceville, GA', eventOrganizer: 'Alford Memorial Radio Club' },
+        { id: 2, title: 'Lawrenceville Net', eventLocation: 'On the air' },
+        { id: 3, title: 'Field Day', eventLocation: 'Decatur', eventDescription: 'Bring a radio to Lawrenceville afterwards' },
+        { id: 4, title: 'Peachtree Road Race', eventLocation: 'Atlanta', eventOrganizer: 'Atlanta Track Club', notes: 'Medical net' }
+    ];
+    const ids = query => core.searchEvents(events, query).map(result => result.event.id);
+
+    assert.deepEqual(ids('Lawrenceville'), [2, 1, 3]);
+    assert.deepEqual(ids('lawrencevile'), [2, 1, 3]);
+    assert.deepEqual(ids('atlanta track club'), [4]);
+    assert.deepEqual(ids('alford club'), [1]);
+    assert.deepEqual(ids('medical'), [4]);
+    assert.deepEqual(ids('peach'), [4]);
+    // Every word has to match somewhere
+    assert.deepEqual(ids('peachtree decatur'), []);
+    // Short words need an exact or prefix match
+    assert.deepEqual(ids('xet'), []);
+    assert.deepEqual(ids('  '), []);
+
+    assert.deepEqual(core.searchEvents(events, 'lawrencevile')[0].terms, ['lawrenceville']);
+});
+
+test('highlightTerms escapes HTML and marks matched words', () => {
+    assert.equal(core.highlightTerms('Café <b>Net</b> & Lawrenceville', ['cafe', 'lawrenceville']),
+        '<mark>Café</mark> &lt;b&gt;Net&lt;/b&gt; &amp; <mark>Lawrenceville</mark>');
+    assert.equal(core.highlightTerms(null, ['x']), '');
+});
+
+test('getArchivedEvents lists the past occurrences of one year', () => {
+    const events = [
+        { id: 1, title: 'Net', type: 'meeting', startDate: '2025-11-04', eventLocation: 'On the air', recurrence: { frequency: 'weekly' } },
+        { id: 2, title: 'Race', type: 'public-service', startDate: '2025-12-31', endDate: '2026-01-01', eventLocation: 'Atlanta' },
+        { id: 3, title: 'Field Day', type: 'activity', startDate: '2026-06-27', eventLocation: 'Park' }
+    ].map(core.normalizeEvent);
+    const today = new Date(2026, 0, 10);
+    const dates = (year) => core.getArchivedEvents(events, year, today).map(event => core.toDateKey(event.startDate));
+
+    assert.deepEqual(dates(2025), ['2025-11-04', '2025-11-11', '2025-11-18', '2025-11-25', '2025-12-02',
+        '2025-12-09', '2025-12-16', '2025-12-23', '2025-12-30', '2025-12-31']);
+    // Today's occurrence hasn't ended, and Field Day is still ahead
+    assert.deepEqual(dates(2026), ['2026-01-06']);
+    assert.deepEqual(core.getArchiveYears(events, today), [2026, 2025]);
+    assert.deepEqual(core.getArchiveYears([], today), []);
+});
+
+test('summarizeArchive counts by type, month and organizer and leaves out cancelled events', () => {
+    const occurrences = [
+        { id: 1, title: 'Road Race', type: 'public-service', startDate: '2025-03-14', eventLocation: 'Atlanta', eventOrganizer: 'Atlanta Track Club' },
+        { id: 2, title: 'Marathon', type: 'public-service', startDate: '2025-03-02', eventLocation: 'Atlanta', eventOrganizer: 'Atlanta Track Club' },
+        { id: 3, title: 'Bike Ride', type: 'public-service', startDate: '2025-09-20', eventLocation: 'Roswell', eventOrganizer: 'Bike Roswell' },
+        { id: 4, title: 'Hamfest', type: 'meeting', startDate: '2025-09-06', eventLocation: 'Marietta', eventOrganizer: 'Atlanta Track Club' },
+        { id: 5, title: 'Washed Out', type: 'public-service', startDate: '2025-05-01', eventLocation: 'Decatur', eventOrganizer: 'Bike Roswell', status: 'cancelled' },
+        { id: 6, title: 'Fox Hunt', type: 'activity', startDate: '2025-09-13', eventLocation: 'Decatur' }
+    ].map(core.normalizeEvent);
+
+    const summary = core.summarizeArchive(occurrences);
+    assert.equal(summary.total, 5);
+    assert.equal(summary.calledOff, 1);
+    assert.deepEqual({ ...summary.byType }, { 'public-service': 3, activity: 1, meeting: 1, training: 0 });
+    assert.equal(summary.byMonth[2]['public-service'], 2);
+    assert.equal(summary.byMonth[4]['public-service'], 0);
+    assert.deepEqual({ ...summary.byMonth[8] }, { 'public-service': 1, activity: 1, meeting: 1, training: 0 });
+    assert.deepEqual(summary.byOrganizer.map(({ organizer, total, byType }) => [organizer, total, byType['public-service']]), [
+        ['Atlanta Track Club', 3, 2],
+        ['Bike Roswell', 1, 1],
+        ['Unknown organizer', 1, 0]
+    ]);
+});
+
+test('multi-session events publish a parent VEVENT plus one timed VEVENT per session', () => {
+    const event = core.normalizeEvent({
+        id: 7, title: 'Field Day', type: 'activity', startDate: '2026-06-27', endDate: '2026-06-28',
+        eventLocation: 'Sweat Mountain Park',
+        sessions: [
+            { date: '2026-06-27', startTime: '14:00', endTime: '23:59', title: 'Setup and operating' },
+            { date: '2026-06-28', startTime: '00:00', endTime: '14:00', location: 'Club Shack' }
+        ]
+    });
+
+    const sessions = core.expandSessions(event);
+    assert.deepEqual(sessions.map(s => [core.toDateKey(s.startDate), s.startTime, s.eventLocation]), [
+        ['2026-06-27', '14:00', 'Sweat Mountain Park'],
+        ['2026-06-28', '00:00', 'Club Shack']
+    ]);
+
+    const ics = unfold(core.buildCalendar([event], { timestamp: '20260101T000000Z' }));
+    assert.match(ics, /BEGIN:VTIMEZONE/);
+    assert.match(ics, /UID:event-7@atlantahamradio\.org\r\nDTSTAMP:20260101T000000Z\r\nSEQUENCE:0\r\nDTSTART;VALUE=DATE:20260627\r\nDTEND;VALUE=DATE:20260629/);
+    assert.match(ics, /DESCRIPTION:Schedule:\\nSetup and operating\\, Saturday\\, June 27\\, 2pm–11:59pm\\nSunday\\, June 28\\, 12am–2pm\\, Club Shack/);
+    assert.match(ics, /UID:event-7-session-1@atlantahamradio\.org[\s\S]*?DTSTART;TZID=America\/New_York:20260627T140000\r\nDTEND;TZID=America\/New_York:20260627T235900\r\nRELATED-TO;RELTYPE=PARENT:event-7@atlantahamradio\.org\r\nSUMMARY:Field Day: Setup and operating/);
+    assert.match(ics, /UID:event-7-session-2@atlantahamradio\.org[\s\S]*?SUMMARY:Field Day: Session 2 of 2\r\nLOCATION:Club Shack/);
+    assert.equal((ics.match(/BEGIN:VEVENT/g) || []).length, 3);
+});
+
+test('normalizeEvent moves sessions along with a postponed event', () => {
+    const event = core.normalizeEvent({
+        id: 1, startDate: '2026-04-11', endDate: '2026-04-12', status: 'postponed', postponedTo: '2026-05-02',
+        sessions: [{ date: '2026-04-12', startTime: '09:00' }]
+    });
+    assert.equal(core.toDateKey(event.sessions[0].date), '2026-05-03');
+});
+
+test('buildVEvent publishes venue coordinates as GEO', () => {
+    const vevent = raw => core.buildVEvent(core.normalizeEvent({
+        id: 1, title: 'Hamfest', type: 'meeting', startDate: '2026-10-30', eventLocation: 'Gwinnett County Fairgrounds', ...raw
+    }), { timestamp: '20260101T000000Z' });
+
+    const placed = vevent({ venue: { lat: 33.9826, lon: -83.9766 } });
+    assert.equal(placed[placed.findIndex(line => line.startsWith('LOCATION:')) + 1], 'GEO:33.9826;-83.9766');
+    assert.ok(!vevent({}).some(line => line.startsWith('GEO:')));
+
+    // A session somewhere else isn't at the venue
+    const event = core.normalizeEvent({
+        id: 2, title: 'Field Day', startDate: '2026-06-27', eventLocation: 'Park', venue: { lat: 34, lon: -84 },
+        sessions: [{ date: '2026-06-27' }, { date: '2026-06-27', location: 'Club Shack' }]
+    });
+    assert.deepEqual(core.expandSessions(event).map(core.getEventGeo), [{ lat: 34, lon: -84 }, null]);
+});
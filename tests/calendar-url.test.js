@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadCalendar } = require('./helpers/browser');
+const fixture = require('./fixtures/events.json');
+
+// "Today" for these tests: Saturday, January 10, 2026, mid-morning
+const NOW = new Date(2026, 0, 10, 10, 0, 0);
+
+async function openPage(url) {
+    const calendar = loadCalendar({ now: NOW, events: fixture.events, url });
+    await calendar.dispatch('DOMContentLoaded');
+    return calendar;
+}
+
+const state = calendar => calendar.run('({ view: currentView, type: filterCategory, q: searchQuery, month: toDateKey(currentDate).slice(0, 7) })');
+const currentURL = calendar => {
+    const { pathname, search, hash } = calendar.context.window.location;
+    return pathname + search + hash;
+};
+const modalOpen = calendar => calendar.document.getElementById('eventModal').classList.contains('active');
+
+test('restores view, type, search and month from the query string', async () => {
+    const calendar = await openPage('/?view=list&type=meeting&q=decatur&month=2026-03');
+
+    assert.deepEqual({ ...state(calendar) }, { view: 'list', type: 'meeting', q: 'decatur', month: '2026-03' });
+    assert.equal(calendar.document.getElementById('searchInput').value, 'decatur');
+    const html = calendar.document.getElementById('calendarContainer').innerHTML;
+    assert.match(html, /Club Meeting/);
+    assert.doesNotMatch(html, /Month Boundary Hamfest/);
+});
+
+test('ignores unknown or malformed URL values', async () => {
+    const calendar = await openPage('/?view=grid&type=parties&month=2026-13#event=abc');
+
+    assert.deepEqual({ ...state(calendar) }, { view: 'month', type: 'all', q: '', month: '2026-01' });
+    assert.equal(modalOpen(calendar), false);
+});
+
+test('an event link opens its modal on load', async () => {
+    const calendar = await openPage('/#event=1');
+
+    assert.equal(modalOpen(calendar), true);
+    assert.equal(calendar.document.getElementById('modalTitle').textContent, 'Peachtree Road Race');
+});
+
+test('an occurrence link opens that occurrence of a recurring event', async () => {
+    const calendar = await openPage('/#event=4&date=2026-03-10');
+
+    assert.equal(modalOpen(calendar), true);
+    assert.match(calendar.document.getElementById('modalDetails').innerHTML, /March 10, 2026/);
+});
+
+test('filter, view and month changes are written to the URL', async () => {
+    const calendar = await openPage('/');
+
+    calendar.context.changeMonth(2);
+    assert.equal(currentURL(calendar), '/?month=2026-03');
+    calendar.context.setFilter('meeting');
+    assert.equal(currentURL(calendar), '/?type=meeting&month=2026-03');
+    calendar.context.setView('list');
+    assert.equal(currentURL(calendar), '/?view=list&type=meeting&month=2026-03');
+    calendar.context.changeMonth(-2);
+    calendar.context.setView('month');
+    calendar.context.setFilter('all');
+    assert.equal(currentURL(calendar), '/');
+});
+
+test('typing a search updates the current history entry instead of adding one per key', async () => {
+    const calendar = await openPage('/');
+    const search = calendar.document.getElementById('searchInput');
+
+    ['p', 'pe', 'pea'].forEach(text => {
+        search.value = text;
+        calendar.context.handleSearch();
+    });
+
+    assert.equal(currentURL(calendar), '/?view=list&q=pea');
+    // One entry for switching to the list view, none for the keystrokes
+    assert.equal(calendar.history.length, 2);
+});
+
+test('back and forward restore earlier calendar states', async () => {
+    const calendar = await openPage('/');
+
+    calendar.context.setFilter('training');
+    calendar.context.changeMonth(1);
+    assert.deepEqual({ ...state(calendar) }, { view: 'month', type: 'training', q: '', month: '2026-02' });
+
+    calendar.history.back();
+    assert.deepEqual({ ...state(calendar) }, { view: 'month', type: 'training', q: '', month: '2026-01' });
+    calendar.history.back();
+    assert.deepEqual({ ...state(calendar) }, { view: 'month', type: 'all', q: '', month: '2026-01' });
+    calendar.history.forward();
+    assert.equal(state(calendar).type, 'training');
+});
+
+test('opening an event adds a history entry that closing or back removes', async () => {
+    const calendar = await openPage('/?view=list');
+
+    calendar.context.showEventModal(1);
+    assert.equal(currentURL(calendar), '/?view=list#event=1');
+    assert.equal(calendar.history.length, 2);
+
+    calendar.context.closeModal();
+    assert.equal(modalOpen(calendar), false);
+    assert.equal(currentURL(calendar), '/?view=list');
+
+    calendar.context.showEventModal(4, '2026-02-10');
+    assert.equal(currentURL(calendar), '/?view=list#event=4&date=2026-02-10');
+    calendar.history.back();
+    assert.equal(modalOpen(calendar), false);
+    assert.equal(currentURL(calendar), '/?view=list');
+});
+
+test('closing an event opened from a shared link stays on the page', async () => {
+    const calendar = await openPage('/?type=public-service#event=1');
+
+    calendar.context.closeModal();
+    assert.equal(modalOpen(calendar), false);
+    assert.equal(currentURL(calendar), '/?type=public-service');
+    assert.equal(calendar.history.length, 1);
+});
+
+test('the week view keeps its week in the URL', async () => {
+    const calendar = await openPage('/?view=week&week=2026-03-11');
+
+    assert.equal(state(calendar).view, 'week');
+    assert.equal(calendar.run('toDateKey(currentDate)'), '2026-03-08');
+    calendar.context.changePeriod(1);
+    assert.equal(currentURL(calendar), '/?view=week&week=2026-03-15');
+    calendar.history.back();
+    assert.equal(calendar.run('toDateKey(currentDate)'), '2026-03-08');
+});
+
+test('the archive keeps its year in the URL', async () => {
+    const calendar = await openPage('/?view=archive&year=2024');
+
+    assert.equal(state(calendar).view, 'archive');
+    assert.equal(calendar.run('archiveYear'), 2024);
+    calendar.context.changePeriod(1);
+    assert.equal(currentURL(calendar), '/?view=archive&year=2025');
+    calendar.history.back();
+    assert.equal(calendar.run('archiveYear'), 2024);
+});
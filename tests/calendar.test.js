@@ -0,0 +1,433 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadCalendar } = require('./helpers/browser');
+const fixture = require('./fixtures/events.json');
+
+// "Today" for these tests: Saturday, January 10, 2026, mid-morning
+const NOW = new Date(2026, 0, 10, 10, 0, 0);
+
+async function loadFixtureCalendar() {
+    const calendar = loadCalendar({ now: NOW, events: fixture.events });
+    await calendar.context.loadEvents();
+    return calendar;
+}
+
+function titlesForDay(calendar, year, month, day) {
+    calendar.run(`currentDate = new Date(${year}, ${month}, 1)`);
+    return calendar.context.getEventsForDay(day).map(event => event.title);
+}
+
+test('getEventsForDay spans multi-day events across a month boundary', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    assert.deepEqual(titlesForDay(calendar, 2026, 0, 30), []);
+    assert.deepEqual(titlesForDay(calendar, 2026, 0, 31), ['Month Boundary Hamfest']);
+    assert.deepEqual(titlesForDay(calendar, 2026, 1, 1), ['Month Boundary Hamfest']);
+    assert.deepEqual(titlesForDay(calendar, 2026, 1, 2), []);
+});
+
+test('getEventsForDay places single-day events on their own day only', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    assert.deepEqual(titlesForDay(calendar, 2026, 6, 3), []);
+    assert.deepEqual(titlesForDay(calendar, 2026, 6, 4), ['Peachtree Road Race']);
+    assert.deepEqual(titlesForDay(calendar, 2026, 6, 5), []);
+});
+
+test('getEventsForDay expands recurring events and skips exception dates', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    assert.deepEqual(titlesForDay(calendar, 2026, 1, 10), ['Club Meeting']);
+    assert.deepEqual(titlesForDay(calendar, 2026, 1, 17), []);
+    assert.deepEqual(titlesForDay(calendar, 2026, 6, 14), [], 'July 14 is an exception date');
+    assert.deepEqual(titlesForDay(calendar, 2027, 0, 12), [], 'series ends Dec 31, 2026');
+});
+
+test('getEventsForDay honors the category filter', async () => {
+    const calendar = await loadFixtureCalendar();
+    calendar.run(`filterCategory = 'public-service'`);
+
+    assert.deepEqual(titlesForDay(calendar, 2026, 6, 4), ['Peachtree Road Race']);
+    assert.deepEqual(titlesForDay(calendar, 2026, 0, 31), []);
+});
+
+test('dates stay on their calendar day in any browser timezone', async t => {
+    const originalTZ = process.env.TZ;
+    t.after(() => { process.env.TZ = originalTZ; });
+
+    for (const tz of ['America/Los_Angeles', 'Pacific/Auckland', 'UTC']) {
+        process.env.TZ = tz;
+        const calendar = await loadFixtureCalendar();
+        assert.deepEqual(titlesForDay(calendar, 2026, 6, 4), ['Peachtree Road Race'], tz);
+        assert.deepEqual(titlesForDay(calendar, 2026, 6, 3), [], tz);
+    }
+});
+
+function listTitles(html) {
+    return [...html.matchAll(/<h4>(.*?)<\/h4>/g)].map(match => match[1].replace(/<\/?mark>/g, ''));
+}
+
+test('renderListView lists upcoming events in date order and drops past ones', async () => {
+    const calendar = await loadFixtureCalendar();
+    const titles = listTitles(calendar.context.renderListView());
+
+    assert.ok(!titles.includes('ARES Training Drill'), 'past event is hidden');
+    assert.equal(titles[0], 'Club Meeting');
+    assert.equal(titles[1], 'Month Boundary Hamfest');
+    assert.ok(titles.indexOf('Georgia Parks on the Air') < titles.indexOf('Peachtree Road Race'));
+});
+
+test('renderListView expands recurring events into upcoming occurrences', async () => {
+    const calendar = await loadFixtureCalendar();
+    const html = calendar.context.renderListView();
+
+    // Jan 13 through the six-month horizon (Jul 10), with Jul 14 excluded anyway
+    const meetings = listTitles(html).filter(title => title === 'Club Meeting');
+    assert.equal(meetings.length, 6);
+    assert.match(html, /showEventModal\(4, "2026-02-10"\)/);
+});
+
+test('renderListView filters by category', async () => {
+    const calendar = await loadFixtureCalendar();
+    calendar.run(`filterCategory = 'activity'`);
+
+    assert.deepEqual(listTitles(calendar.context.renderListView()), ['Georgia Parks on the Air']);
+});
+
+test('renderListView filters by search text and reports no matches', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    calendar.run(`searchQuery = 'peachtree'`);
+    assert.deepEqual(listTitles(calendar.context.renderListView()), ['Peachtree Road Race']);
+
+    calendar.document.getElementById('searchInput').value = 'Zzyzx';
+    calendar.run(`searchQuery = 'zzyzx'`);
+    assert.match(calendar.context.renderListView(), /No events found matching "Zzyzx"/);
+});
+
+test('renderListView escapes HTML in event text', async () => {
+    const events = [{ ...fixture.events[0], title: '<img src=x onerror=alert(1)>' }];
+    const calendar = loadCalendar({ now: NOW, events });
+    await calendar.context.loadEvents();
+
+    const html = calendar.context.renderListView();
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('renderListView badges called-off events and lists postponed ones on their new date', async () => {
+    const events = [
+        { ...fixture.events[0], status: 'cancelled' },
+        { ...fixture.events[1], status: 'postponed', postponedTo: '2026-03-07' }
+    ];
+    const calendar = loadCalendar({ now: NOW, events });
+    await calendar.context.loadEvents();
+
+    const html = calendar.context.renderListView();
+    assert.match(html, /event-status-badge event-status-cancelled">Cancelled</);
+    assert.match(html, /<h4 class="event-status-cancelled event-called-off">Peachtree Road Race/);
+    assert.match(html, /event-status-badge event-status-postponed">Postponed</);
+    assert.ok(html.indexOf('Month Boundary Hamfest') < html.indexOf('Peachtree Road Race'));
+
+    calendar.run('currentDate = new Date(2026, 2, 1)');
+    assert.deepEqual(calendar.context.getEventsForDay(7).map(event => event.title), ['Month Boundary Hamfest']);
+});
+
+test('list cards show volunteer staffing and "Needs Volunteers" hides full events', async () => {
+    const events = [
+        { ...fixture.events[0], staffing: { needed: 40, filled: 10, roles: [{ name: 'Water stop', needed: 40, filled: 10 }] } },
+        { ...fixture.events[0], id: 9, title: 'Full Race', staffing: { needed: 10, filled: 10 } },
+        fixture.events[1]
+    ];
+    const calendar = loadCalendar({ now: NOW, events });
+    await calendar.context.loadEvents();
+    calendar.run(`currentView = 'list'`);
+
+    const html = calendar.context.renderListView();
+    assert.match(html, /staffing-bar" role="progressbar"[^>]*aria-valuenow="10"[\s\S]*?width: 25\.0%/);
+    assert.match(html, /10 of 40 volunteers signed up, 30 still needed/);
+    assert.match(html, /staffing-progress full[\s\S]*?Fully staffed \(10 volunteers\)/);
+
+    calendar.context.toggleVolunteersOnly();
+    assert.deepEqual(listTitles(calendar.document.getElementById('calendarContainer').innerHTML), ['Peachtree Road Race']);
+    assert.equal(calendar.context.window.location.search, '?view=list&volunteers=1');
+
+    calendar.context.showEventModal(1);
+    const contact = calendar.document.getElementById('modalContactInfo').innerHTML;
+    assert.match(contact, /Ham Radio Volunteers Needed/);
+    assert.match(contact, /<span>Water stop<\/span>\s*<span class="staffing-role-count">10 \/ 40<\/span>/);
+
+    calendar.context.showEventModal(9);
+    assert.match(calendar.document.getElementById('modalContactInfo').innerHTML, /Ham Radio Volunteers: Fully Staffed/);
+});
+
+test('an event run by a listed club links to its card on the clubs page', async () => {
+    const calendar = loadCalendar({ now: NOW, events: fixture.events });
+    await calendar.context.loadEvents();
+
+    calendar.context.showEventModal(2);
+    assert.match(calendar.document.getElementById('modalContactInfo').innerHTML,
+        /Alford Memorial Radio Club<\/a> · <a class="modal-club-link" href="pages\/clubs\.html#club-alford-memorial-radio-club">Club page<\/a>/);
+
+    calendar.context.showEventModal(1);
+    assert.doesNotMatch(calendar.document.getElementById('modalContactInfo').innerHTML, /Club page/);
+    // The id goes into the fragment encoded, whatever the clubs schema allows
+    const odd = loadCalendar({ now: NOW, events: [{ ...fixture.events[1], eventOrganizer: null, eventUrl: null, clubId: 'x" onclick="alert(1)' }] });
+    await odd.context.loadEvents();
+    odd.context.showEventModal(2);
+    assert.match(odd.document.getElementById('modalContactInfo').innerHTML,
+        /<strong>Organized by:<\/strong> <a class="modal-club-link" href="pages\/clubs\.html#club-x%22%20onclick%3D%22alert\(1\)">Club page<\/a>/);
+});
+
+test('formatTimeDisplay handles noon, midnight and minutes', () => {
+    const formatTimeDisplay = loadCalendar().run('formatTimeDisplay');
+
+    assert.equal(formatTimeDisplay(null, null), null);
+    assert.equal(formatTimeDisplay('12:00', null), '12pm');
+    assert.equal(formatTimeDisplay('00:00', null), '12am');
+    assert.equal(formatTimeDisplay('00:30', '01:00'), '12:30am–1am');
+    assert.equal(formatTimeDisplay('11:59', '12:01'), '11:59am–12:01pm');
+    assert.equal(formatTimeDisplay('05:30', '13:00'), '5:30am–1pm');
+    assert.equal(formatTimeDisplay('14:00', '23:59'), '2pm–11:59pm');
+});
+
+test('subscribe modal lists feeds from the manifest and copies the chosen URL', async () => {
+    const manifest = {
+        feeds: [
+            { id: 'all', kind: 'all', label: 'All events', url: 'https://atlantahamradio.org/events.ics', events: 5 },
+            { id: 'training', kind: 'type', key: 'training', label: 'Training & Drills', url: 'https://atlantahamradio.org/feeds/training.ics', events: 1 },
+            { id: 'organizer-georgia-ares', kind: 'organizer', key: 'Georgia ARES', label: 'Georgia ARES', url: 'https://atlantahamradio.org/feeds/organizer-georgia-ares.ics', events: 1 }
+        ]
+    };
+    const calendar = loadCalendar({ now: NOW, files: { 'feeds/manifest.json': manifest } });
+    const copied = [];
+    calendar.context.navigator.clipboard.writeText = async text => { copied.push(text); };
+
+    await calendar.context.loadSubscribeFeeds();
+    const select = calendar.document.getElementById('calendarFeedSelect');
+    assert.match(select.innerHTML, /<optgroup label="By event type"><option value="training">Training &amp; Drills \(1\)<\/option>/);
+    assert.match(select.innerHTML, /<optgroup label="By organizer"><option value="organizer-georgia-ares">/);
+
+    calendar.context.selectSubscribeFeed('training');
+    assert.equal(calendar.document.getElementById('calendarUrlInput').value, 'https://atlantahamradio.org/feeds/training.ics');
+    assert.equal(calendar.document.getElementById('calendarWebcalLink').href, 'webcal://atlantahamradio.org/feeds/training.ics');
+
+    await calendar.context.copySubscribeUrl();
+    assert.deepEqual(copied, ['https://atlantahamradio.org/feeds/training.ics']);
+});
+
+test('subscribe modal falls back to the full feed without a manifest', async () => {
+    const calendar = loadCalendar({ now: NOW });
+    calendar.context.console = { ...console, error() {} };
+
+    await calendar.context.loadSubscribeFeeds();
+    assert.equal(calendar.document.getElementById('calendarUrlInput').value, 'https://atlantahamradio.org/events.ics');
+});
+
+test('"+N more" opens a popover with every event of that day', async () => {
+    const busyDay = [1, 2, 3, 4].map(id => ({
+        ...fixture.events[0], id, title: `Net ${id}`, startDate: '2026-01-21', startTime: `${String(20 - id).padStart(2, '0')}:00`, endTime: null
+    }));
+    const calendar = loadCalendar({ now: NOW, events: busyDay });
+    await calendar.context.loadEvents();
+
+    let html = calendar.document.getElementById('calendarContainer').innerHTML;
+    assert.match(html, /showDayPopover\("2026-01-21"\)'>\+2 more<\/button>/);
+    assert.doesNotMatch(html, /day-popover/);
+
+    calendar.context.showDayPopover('2026-01-21');
+    html = calendar.document.getElementById('calendarContainer').innerHTML;
+    const popover = html.slice(html.indexOf('class="day-popover'));
+    // Wednesday: opens rightwards; listed by start time
+    assert.match(html, /class="day-popover "/);
+    assert.deepEqual([...popover.matchAll(/Net (\d)/g)].map(match => match[1]), ['4', '3', '2', '1']);
+
+    calendar.context.closeDayPopover();
+    assert.doesNotMatch(calendar.document.getElementById('calendarContainer').innerHTML, /day-popover/);
+});
+
+test('week view slots timed events and lists multi-day events as all-day', async () => {
+    const calendar = await loadFixtureCalendar();
+    calendar.run('currentDate = new Date(2026, 6, 1)');
+    calendar.context.setView('week');
+
+    // Week of Sun Jun 28 – Sat Jul 4, 2026
+    assert.equal(calendar.document.getElementById('monthYear').textContent, 'Jun 28 – Jul 4, 2026');
+    calendar.context.changePeriod(1);
+    assert.equal(calendar.document.getElementById('monthYear').textContent, 'Jul 5 – 11, 2026');
+    calendar.context.changePeriod(-1);
+
+    const html = calendar.document.getElementById('calendarContainer').innerHTML;
+    const peachtree = fixture.events[0];
+    assert.ok(peachtree.startTime, 'fixture event 1 is timed');
+    assert.match(html, /class="week-event event-type-public-service[^"]*"\s+style="top: [\d.]+%; height: [\d.]+%; left: 0\.000%; width: 100\.000%"/);
+    assert.match(html, /week-event-title">Peachtree Road Race/);
+
+    calendar.run('currentDate = new Date(2026, 0, 31)');
+    calendar.context.setView('week');
+    const hamfestWeek = calendar.document.getElementById('calendarContainer').innerHTML;
+    assert.match(hamfestWeek, /week-all-day-cell">\s*<div class="mini-event event-type-meeting/);
+    assert.doesNotMatch(hamfestWeek, /week-event-title">Month Boundary Hamfest/);
+});
+
+test('layoutTimedEvents puts overlapping events side by side', () => {
+    const layout = loadCalendar().run('layoutTimedEvents');
+    const items = layout([
+        { id: 'a', start: 540, end: 600 },
+        { id: 'b', start: 570, end: 630 },
+        { id: 'c', start: 600, end: 660 },
+        { id: 'd', start: 720, end: 780 }
+    ]);
+    const byId = Object.fromEntries(items.map(item => [item.id, `${item.lane}/${item.lanes}`]));
+    assert.deepEqual({ ...byId }, { a: '0/2', b: '1/2', c: '0/2', d: '0/1' });
+});
+
+test('agenda view groups the month by day and skips empty days', async () => {
+    const calendar = await loadFixtureCalendar();
+    calendar.run('currentDate = new Date(2026, 0, 1)');
+    calendar.context.setView('agenda');
+
+    const html = calendar.document.getElementById('calendarContainer').innerHTML;
+    const days = [...html.matchAll(/agenda-day-number">(\d+)</g)].map(match => Number(match[1]));
+    // Club Meeting on the 2nd Tuesday, the hamfest on the 31st
+    assert.deepEqual(days, [13, 31]);
+    assert.match(html, /agenda-title ">Club Meeting/);
+
+    calendar.run('currentDate = new Date(2026, 7, 1)');
+    calendar.context.setFilter('training');
+    assert.match(calendar.document.getElementById('calendarContainer').innerHTML, /No events in August 2026\./);
+});
+
+test('search covers location, organizer, description and notes, and highlights matches', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    calendar.run(`searchQuery = 'lawrenceville'`);
+    let html = calendar.context.renderListView();
+    assert.deepEqual(listTitles(html), ['Month Boundary Hamfest']);
+    assert.match(html, /<mark>Lawrenceville<\/mark>, GA 30045/);
+
+    calendar.run(`searchQuery = 'atlanta track club'`);
+    html = calendar.context.renderListView();
+    assert.deepEqual(listTitles(html), ['Peachtree Road Race']);
+    assert.match(html, /<p class="search-snippet"><mark>Atlanta<\/mark> <mark>Track<\/mark> <mark>Club<\/mark><\/p>/);
+
+    calendar.run(`searchQuery = 'logistcs'`);
+    assert.match(calendar.context.renderListView(), /search-snippet">.*<mark>logistics<\/mark>/);
+});
+
+test('search shows one card per recurring event and ranks by relevance', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    calendar.run(`searchQuery = 'club'`);
+    // Title match first, then the organizer matches, each event once
+    assert.deepEqual(listTitles(calendar.context.renderListView()),
+        ['Club Meeting', 'Month Boundary Hamfest', 'Peachtree Road Race']);
+});
+
+test('past events are only found with "include past events"', async () => {
+    const calendar = await loadFixtureCalendar();
+
+    calendar.document.getElementById('searchInput').value = 'drill';
+    calendar.run(`searchQuery = 'drill'`);
+    assert.match(calendar.context.renderListView(), /No events found matching "drill"\. Tick "Include past events"/);
+
+    calendar.context.togglePastEvents(true);
+    const html = calendar.context.renderListView();
+    assert.deepEqual(listTitles(html), ['ARES Training Drill']);
+    assert.match(html, /class="event-card past"/);
+});
+
+test('archive view shows a year of past events with counts by organizer and month', async () => {
+    const calendar = await loadFixtureCalendar();
+    calendar.context.setView('archive');
+
+    // Nothing in 2026 has ended yet, so the archive opens on 2025
+    assert.equal(calendar.document.getElementById('monthYear').textContent, '2025 Archive');
+    const html = calendar.document.getElementById('calendarContainer').innerHTML;
+    assert.match(html, /onclick="setArchiveYear\(2025\)">2025</);
+    assert.match(html, /archive-count">1<\/span>\s*<span>events held in 2025/);
+    assert.match(html, /<td>Georgia ARES<\/td>/);
+    assert.match(html, /Nov<\/span>[\s\S]*?archive-month-count">1</);
+    assert.match(html, /<h4>November 2025<\/h4>[\s\S]*ARES Training Drill/);
+
+    calendar.context.setFilter('public-service');
+    assert.match(calendar.document.getElementById('calendarContainer').innerHTML, /No past public service events in 2025\./);
+
+    calendar.context.changePeriod(-1);
+    assert.equal(calendar.document.getElementById('monthYear').textContent, '2024 Archive');
+});
+
+test('multi-session events show each session on its own day with its hours', async () => {
+    const events = [{
+        ...fixture.events[1],
+        sessions: [
+            { date: '2026-01-31', startTime: '08:00', endTime: '15:00' },
+            { date: '2026-02-01', startTime: '09:00', endTime: '12:00', title: 'VE testing', location: 'Room 101' }
+        ]
+    }];
+    const calendar = loadCalendar({ now: NOW, events });
+    await calendar.context.loadEvents();
+
+    const sessions = calendar.context.getEventsForDate(new Date(2026, 1, 1));
+    assert.deepEqual(sessions.map(event => [event.startTime, event.endTime, event.eventLocation]), [['09:00', '12:00', 'Room 101']]);
+
+    calendar.run('currentDate = new Date(2026, 1, 1)');
+    calendar.context.setView('week');
+    assert.match(calendar.document.getElementById('calendarContainer').innerHTML, /week-event-time">9am–12pm/);
+
+    calendar.context.showEventModal(2);
+    const details = calendar.document.getElementById('modalDetails').innerHTML;
+    assert.match(details, /<li>Saturday, January 31, 8am–3pm<\/li>/);
+    assert.match(details, /<li>VE testing, Sunday, February 1, 9am–12pm, Room 101<\/li>/);
+});
+
+test('map view plots upcoming events by venue and lists the rest', async () => {
+    const venue = { place: 'fairgrounds', address: '2405 Sugarloaf Pkwy, Lawrenceville, GA 30045', lat: 33.9826, lon: -83.9766,
+        points: [{ kind: 'staging', label: 'Gate 2', lat: 33.981, lon: -83.975 }] };
+    const events = [
+        { ...fixture.events[1], venue, eventLocation: 'The "Fairgrounds", Lawrenceville' },
+        { ...fixture.events[2], venue, eventLocation: 'The "Fairgrounds", Lawrenceville' },
+        { ...fixture.events[0], venue: { lat: 33.749, lon: -84.388 } },
+        fixture.events[3]
+    ];
+    const gazetteer = { places: [{ id: 'decatur', name: 'Decatur', lat: 33.7748, lon: -84.2963, landmark: true }] };
+    const calendar = loadCalendar({ now: NOW, events, files: { 'data/gazetteer.json': gazetteer } });
+    await calendar.context.loadEvents();
+    calendar.context.setView('map');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    let html = calendar.document.getElementById('calendarContainer').innerHTML;
+    assert.equal((html.match(/class="map-marker(?: active)?"/g) || []).length, 2);
+    assert.match(html, />Decatur</);
+    assert.match(html, /onclick='selectMapPlace\("33\.9826,-83\.9766"\)'[\s\S]*?map-marker-count[^>]*>2</);
+    assert.match(html, /onclick='showEventModal\(1\)'/);
+    assert.match(html, /1 upcoming event without a map location<\/summary>[\s\S]*Club Meeting/);
+
+    calendar.context.selectMapPlace('33.9826,-83.9766');
+    html = calendar.document.getElementById('calendarContainer').innerHTML;
+    assert.match(html, /map-popover[\s\S]*Month Boundary Hamfest[\s\S]*Georgia Parks on the Air/);
+    assert.match(html, /aria-label="Events at The &quot;Fairgrounds&quot;, Lawrenceville"/);
+
+    calendar.context.showEventModal(2);
+    const details = calendar.document.getElementById('modalDetails').innerHTML;
+    assert.match(details, /modal-address">2405 Sugarloaf Pkwy/);
+    assert.match(details, /href="https:\/\/www\.openstreetmap\.org\/\?mlat=33\.9826&mlon=-83\.9766#map=16\/33\.9826\/-83\.9766"/);
+    assert.match(details, /<strong>Staging:<\/strong> <a href="[^"]*mlat=33\.981[^"]*"[^>]*>Gate 2<\/a>/);
+});
+
+test('a downloaded event carries the feed\'s SEQUENCE and DTSTAMP', async () => {
+    const state = { events: { 1: { hash: 'x', sequence: 3, lastModified: '2025-12-20T15:04:05.000Z' } } };
+    const calendar = loadCalendar({ now: NOW, events: fixture.events, files: { 'data/ics-state.json': state } });
+    await calendar.context.loadEvents();
+    const event = calendar.run('events.find(event => event.id === 1)');
+
+    const ics = calendar.context.generateICS(event, await calendar.context.loadICSState());
+    assert.match(ics, /\r\nDTSTAMP:20251220T150405Z\r\nLAST-MODIFIED:20251220T150405Z\r\nSEQUENCE:3\r\n/);
+
+    // Without data/ics-state.json the download still works, as a first revision
+    const local = loadCalendar({ now: NOW, events: fixture.events });
+    await local.context.loadEvents();
+    assert.equal(await local.context.loadICSState(), null);
+    assert.match(local.context.generateICS(event, null), /\r\nSEQUENCE:0\r\n/);
+});
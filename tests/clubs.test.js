@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadCalendar } = require('./helpers/browser');
+const { parseGazetteer, formatCentroids } = require('../scripts/build-zip-centroids');
+
+const clubsData = {
+    counties: [
+        {
+            name: 'Fulton County',
+            clubs: [
+                {
+                    id: 'atlanta-radio-club', name: 'Atlanta Radio Club', type: 'general', callsign: 'W4DO', location: 'Atlanta, GA',
+                    lat: 33.749, lon: -84.388, meetings: 'Second Saturday, 10:00am', website: 'https://example.org/arc', links: []
+                },
+                {
+                    id: 'fulton-county-ares', name: 'Fulton County ARES', type: 'ares', location: 'Atlanta, GA', lat: 33.749, lon: -84.388,
+                    repeaters: [{ frequency: 146.88, offset: -0.6, tone: 146.2 }], website: 'https://example.org/ares', links: []
+                }
+            ]
+        },
+        {
+            name: 'Clarke County',
+            clubs: [
+                { id: 'athens-contest-group', name: 'Athens Contest Group', type: 'contest', location: 'Athens, GA', lat: 33.951, lon: -83.357, website: 'https://example.org/acg', links: [] }
+            ]
+        },
+        { name: 'Butts County', clubs: [] },
+        {
+            name: 'College Campuses',
+            clubs: [
+                { id: 'campus-radio-club', name: 'Campus <Radio> Club', type: 'general', location: 'Somewhere', website: 'https://example.org/campus', links: [] }
+            ]
+        }
+    ]
+};
+
+const zipCentroids = { source: 'test', zips: { 30303: [33.752, -84.392], 30601: [33.978, -83.363] } };
+
+// "Today" for these tests: Saturday, January 10, 2026, mid-morning
+const NOW = new Date(2026, 0, 10, 10, 0, 0);
+
+const clubEvents = [
+    { id: 1, title: 'Past Field Day', type: 'activity', startDate: '2026-01-03', clubId: 'atlanta-radio-club' },
+    { id: 2, title: 'Winter Meeting', type: 'meeting', startDate: '2026-01-17', clubId: 'atlanta-radio-club' },
+    {
+        id: 3, title: 'Monthly Net Night', type: 'meeting', startDate: '2026-01-06', clubId: 'atlanta-radio-club',
+        recurrence: { frequency: 'monthly', byDay: ['TU'], weekOfMonth: 1 }
+    },
+    { id: 4, title: 'Someone Else', type: 'meeting', startDate: '2026-01-20', clubId: 'athens-contest-group' }
+];
+
+async function openPage(url = '/pages/clubs.html') {
+    const page = loadCalendar({
+        now: NOW,
+        url,
+        files: {
+            '../data/clubs.json': clubsData,
+            '../data/events.json': { events: clubEvents },
+            '../data/zip-centroids.json': zipCentroids
+        },
+        scripts: ['js/calendar-core.js', 'js/map.js', 'js/radio-core.js', 'js/clubs.js']
+    });
+    const directory = page.context.window.ClubsDirectory;
+    await directory.loadClubs();
+    return { page, directory, html: () => page.document.getElementById('clubsContainer').innerHTML };
+}
+
+const clubNames = html => [...html.matchAll(/class="club-name">(.*?)<\/div>/g)].map(match => match[1].replace(/<\/?mark>/g, ''));
+
+test('filterClubs searches callsigns, counties, types and repeater frequencies', async () => {
+    const { directory } = await openPage();
+    const clubs = directory.flattenClubs(clubsData);
+    const names = filters => [...directory.filterClubs(clubs, filters).map(({ club }) => club.name)];
+
+    assert.deepEqual(names({ query: 'w4do' }), ['Atlanta Radio Club']);
+    assert.deepEqual(names({ query: 'clarke' }), ['Athens Contest Group']);
+    assert.deepEqual(names({ query: 'emcomm' }), ['Fulton County ARES']);
+    assert.deepEqual(names({ query: '146.88' }), ['Fulton County ARES']);
+    assert.deepEqual(names({ query: 'atlanta', type: 'ares' }), ['Fulton County ARES']);
+    assert.deepEqual(names({ county: 'Clarke County' }), ['Athens Contest Group']);
+    assert.equal(names({}).length, 4);
+});
+
+test('countFacets counts each facet under the other filters', async () => {
+    const { directory } = await openPage();
+    const clubs = directory.flattenClubs(clubsData);
+
+    const facets = directory.countFacets(clubs, { type: 'general', county: 'Clarke County' });
+    assert.deepEqual({ ...facets.counties }, { 'Fulton County': 1, 'College Campuses': 1 });
+    assert.deepEqual({ ...facets.types }, { contest: 1 });
+});
+
+test('distanceMiles and sortByDistance put the nearest clubs first', async () => {
+    const { directory } = await openPage();
+    const clubs = directory.flattenClubs(clubsData);
+
+    // Downtown Atlanta to downtown Athens is about 60 miles as the crow flies
+    const miles = directory.distanceMiles({ lat: 33.749, lon: -84.388 }, { lat: 33.951, lon: -83.357 });
+    assert.ok(miles > 58 && miles < 62, `got ${miles}`);
+
+    const sorted = directory.sortByDistance(directory.filterClubs(clubs), { lat: 33.978, lon: -83.363 });
+    assert.deepEqual([...sorted.map(({ club }) => club.name)], ['Athens Contest Group', 'Atlanta Radio Club', 'Fulton County ARES', 'Campus <Radio> Club']);
+    assert.equal(sorted[3].distance, null);
+});
+
+test('formatRepeater shows the frequency, offset and tone', async () => {
+    const { directory } = await openPage();
+    assert.equal(directory.formatRepeater({ frequency: 146.88, offset: -0.6, tone: 146.2 }), '146.880 MHz −0.6 MHz, 146.2 Hz tone');
+    assert.equal(directory.formatRepeater({ frequency: 444.5, offset: 5, notes: 'DMR' }), '444.500 MHz +5 MHz (DMR)');
+});
+
+test('the page lists clubs by county, escaped, with empty counties until filtered', async () => {
+    const { page, directory, html } = await openPage();
+
+    assert.match(html(), /Butts County/);
+    assert.match(html(), /Campus &lt;Radio&gt; Club/);
+    assert.match(html(), /Meetings:<\/strong> Second Saturday/);
+    assert.match(page.document.getElementById('clubFilters').innerHTML, /ARES \/ EmComm \(1\)/);
+
+    directory.setTypeFilter('contest');
+    assert.deepEqual(clubNames(html()), ['Athens Contest Group']);
+    assert.doesNotMatch(html(), /Butts County/);
+
+    directory.setTypeFilter('all');
+    page.document.getElementById('searchInput').value = 'w4do';
+    directory.handleSearch();
+    assert.deepEqual(clubNames(html()), ['Atlanta Radio Club']);
+    assert.match(html(), /<mark>W4DO<\/mark>/);
+});
+
+test('a ZIP code sorts clubs by distance, and an unknown one says so', async () => {
+    const { page, directory, html } = await openPage();
+    const zipInput = page.document.getElementById('zipInput');
+
+    zipInput.value = '30601';
+    await directory.handleZip();
+    assert.deepEqual(clubNames(html()).slice(0, 2), ['Athens Contest Group', 'Atlanta Radio Club']);
+    assert.match(html(), /clubs-nearby/);
+    assert.match(page.document.getElementById('zipStatus').textContent, /Sorted by distance from 30601/);
+
+    zipInput.value = '99999';
+    await directory.handleZip();
+    assert.match(page.document.getElementById('zipStatus').textContent, /isn't in our table/);
+    assert.match(html(), /county-section/);
+    assert.doesNotMatch(html(), /clubs-nearby/);
+});
+
+test('the map groups clubs at the same place and lists those without coordinates', async () => {
+    const { directory, html } = await openPage();
+
+    await directory.setView('map');
+    assert.equal((html().match(/class="map-marker(?: active)?"/g) || []).length, 2);
+    assert.match(html(), /1 club without a map location/);
+
+    directory.selectPlace('33.749,-84.388');
+    assert.match(html(), /aria-label="Clubs in Atlanta, GA"/);
+    assert.match(html(), /Fulton County ARES/);
+});
+
+test('each club card lists its next events and links its feed', async () => {
+    const { directory, html, page } = await openPage();
+
+    const titles = [...directory.getClubEvents(clubEvents.map(page.context.CalendarCore.normalizeEvent), 'atlanta-radio-club', NOW)]
+        .map(event => event.title);
+    assert.deepEqual(titles, ['Winter Meeting', 'Monthly Net Night', 'Monthly Net Night']);
+
+    const card = html().slice(html().indexOf('id="club-atlanta-radio-club"'), html().indexOf('id="club-fulton-county-ares"'));
+    assert.match(card, /href="\.\.\/index\.html#event=2">Jan 17 · Winter Meeting/);
+    assert.match(card, /href="\.\.\/index\.html#event=3&date=2026-02-03">Feb 3 · Monthly Net Night/);
+    assert.doesNotMatch(card, /Past Field Day|Someone Else/);
+    assert.match(card, /href="\.\.\/feeds\/club-atlanta-radio-club\.ics"/);
+});
+
+test('a #club- link clears the filters and highlights that club', async () => {
+    const { directory, html } = await openPage('/pages/clubs.html#club-athens-contest-group');
+    assert.match(html(), /class="club-card highlighted" id="club-athens-contest-group"/);
+
+    directory.setTypeFilter('ares');
+    assert.doesNotMatch(html(), /club-athens-contest-group/);
+});
+
+test('build-zip-centroids reads Georgia ZIPs from a Census gazetteer file', () => {
+    const gazetteer = [
+        'GEOID\tALAND\tAWATER\tALAND_SQMI\tAWATER_SQMI\tINTPTLAT\tINTPTLONG',
+        '30303\t1\t0\t1\t0\t33.752601\t-84.391903',
+        '35203\t1\t0\t1\t0\t33.518\t-86.81',
+        '30601\t1\t0\t1\t0\t33.977983\t-83.362651'
+    ].join('\n');
+
+    const zips = parseGazetteer(gazetteer);
+    assert.deepEqual(zips, { 30303: [33.753, -84.392], 30601: [33.978, -83.363] });
+    assert.deepEqual(JSON.parse(formatCentroids(zips, 'test')), { source: 'test', zips });
+    assert.throws(() => parseGazetteer('ZIP\tLAT\tLON\n30303\t1\t2'), /GEOID/);
+});
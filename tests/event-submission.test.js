@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { fields, nextEventId, buildEvent, validateEvent, toSnippet, renderPreview } = require('../js/event-submission');
+const { renderEventCard } = require('../js/event-card');
+const { normalizeEvent } = require('../js/calendar-core');
+const { validateData, checkEventRules, checkClubReferences } = require('../scripts/validate-data');
+const { createServer } = require('../scripts/submission-server');
+const { loadCalendar } = require('./helpers/browser');
+const eventsData = require('../data/events.json');
+const eventsSchema = require('../data/events.schema.json');
+const clubsData = require('../data/clubs.json');
+
+const clubIds = clubsData.counties.flatMap(county => county.clubs).map(club => club.id);
+
+const values = {
+    title: 'Canton Riverfront 10K',
+    type: 'public-service',
+    status: 'confirmed',
+    startDate: '2026-11-14',
+    endDate: '2026-11-14',
+    startTime: '07:00',
+    endTime: '11:30',
+    eventLocation: 'Etowah River Park, Canton',
+    address: '600 Brown Industrial Pkwy, Canton, GA 30114',
+    eventDescription: 'A 10K along the Etowah River.',
+    eventOrganizer: 'Canton Running Club',
+    clubId: 'cherokee-amateur-radio-society',
+    eventUrl: 'https://example.com/riverfront-10k',
+    hamCoordinator: 'Pat Smith, KQ4XYZ',
+    hamCoordinatorUrl: '',
+    volunteerSignUpUrl: 'https://example.com/riverfront-10k/volunteer',
+    staffingNeeded: '8',
+    licenseClass: 'technician',
+    gear: '2m HT with spare battery',
+    notes: '  '
+};
+
+test('buildEvent writes an entry in events.json order that passes the data checks', () => {
+    const event = buildEvent(values, 41);
+    assert.deepEqual(Object.keys(event), [
+        'id', 'title', 'type', 'startDate', 'endDate', 'startTime', 'endTime', 'eventLocation',
+        'eventDescription', 'eventOrganizer', 'clubId', 'eventUrl', 'hamCoordinator', 'hamCoordinatorUrl',
+        'volunteerSignUpUrl', 'notes', 'staffing', 'venue'
+    ]);
+    assert.equal(event.endDate, null);
+    assert.equal(event.hamCoordinatorUrl, null);
+    assert.equal(event.notes, null);
+    assert.deepEqual(event.staffing, { needed: 8, gear: '2m HT with spare battery', licenseClass: 'technician' });
+    assert.deepEqual(event.venue, { address: '600 Brown Industrial Pkwy, Canton, GA 30114' });
+    assert.deepEqual(validateEvent(event, clubIds), []);
+
+    const data = { events: [...eventsData.events, event] };
+    const errors = validateData(data, eventsSchema, checkEventRules);
+    checkClubReferences(data, clubsData, errors);
+    assert.deepEqual(errors, []);
+
+    // Staffing is dropped for other types; a tentative status is kept
+    const meeting = buildEvent({ ...values, type: 'meeting', status: 'tentative', clubId: '' }, 42);
+    assert.equal(meeting.staffing, undefined);
+    assert.equal(meeting.clubId, undefined);
+    assert.equal(meeting.status, 'tentative');
+
+    assert.equal(nextEventId(eventsData.events), Math.max(...eventsData.events.map(entry => entry.id)) + 1);
+    assert.match(toSnippet(event), /^    \{\n      "id": 41,\n      "title": "Canton Riverfront 10K",/);
+    assert.ok(fields.every(field => field.name in values), 'the fixture covers every form field');
+});
+
+test('validateEvent reports each problem against its form field', () => {
+    const event = buildEvent({
+        ...values,
+        title: ' ',
+        type: 'race',
+        startDate: '2026-02-30',
+        endDate: '',
+        startTime: '',
+        endTime: '25:00',
+        eventLocation: '',
+        clubId: 'no-such-club',
+        eventUrl: 'example.com',
+        staffingNeeded: '2.5',
+        licenseClass: 'novice'
+    }, 41);
+    assert.deepEqual(validateEvent(event, clubIds), [
+        { field: 'title', message: 'Enter the event name' },
+        { field: 'type', message: 'Choose an event type' },
+        { field: 'startDate', message: 'Enter the start date as YYYY-MM-DD' },
+        { field: 'endTime', message: 'Enter the time as HH:MM (24-hour)' },
+        { field: 'startTime', message: 'Enter a start time to go with the end time' },
+        { field: 'eventLocation', message: 'Enter where the event is' },
+        { field: 'clubId', message: 'Choose a club from the list' },
+        { field: 'eventUrl', message: 'Enter a full link starting with https://' }
+    ]);
+
+    const backwards = buildEvent({ ...values, endDate: '2026-11-13', type: 'training' }, 41);
+    assert.deepEqual(validateEvent(backwards, clubIds), [{ field: 'endDate', message: 'The end date is before the start date' }]);
+    const lateStart = buildEvent({ ...values, startTime: '12:00' }, 41);
+    assert.deepEqual(validateEvent(lateStart, clubIds), [{ field: 'endTime', message: 'The end time is before the start time' }]);
+    const badStaffing = buildEvent({ ...values, staffingNeeded: '0', licenseClass: 'novice' }, 41);
+    assert.deepEqual(validateEvent(badStaffing, clubIds), [
+        { field: 'staffingNeeded', message: 'Enter a whole number of operators, 1 or more' },
+        { field: 'licenseClass', message: 'Choose a license class' }
+    ]);
+});
+
+test('the preview is the calendar\'s list card', () => {
+    const event = buildEvent(values, 41);
+    const preview = renderPreview(event);
+    assert.ok(preview.includes(renderEventCard(normalizeEvent(event))));
+    assert.match(preview, /<h4>Canton Riverfront 10K<\/h4>/);
+    assert.match(preview, /0 of 8 volunteers/);
+    assert.doesNotMatch(preview, /onclick/);
+});
+
+test('the organizers page checks the form, previews the card and copies the snippet', async () => {
+    const page = loadCalendar({
+        now: '2026-10-19T12:00:00-04:00',
+        url: '/pages/organizers.html',
+        files: {
+            '../data/events.json': eventsData,
+            '../data/clubs.json': clubsData
+        },
+        scripts: ['js/calendar-core.js', 'js/event-card.js', 'js/event-submission.js'],
+        setup: document => { document.getElementById('eventSubmission').dataset.endpoint = '/api/submissions'; }
+    });
+    const submission = page.context.EventSubmission;
+    const byId = id => page.document.getElementById(id);
+    await submission.loadSubmissionForm();
+
+    const form = byId('eventSubmission').innerHTML;
+    assert.match(form, /<option value="public-service">Public Service<\/option>/);
+    assert.match(form, /<option value="cherokee-amateur-radio-society">Cherokee Amateur Radio Society \(CARS\)<\/option>/);
+    assert.match(form, /<option value="technician">Technician class license or higher<\/option>/);
+
+    // Staffing fields only show for public-service events
+    byId('submit-type').value = 'meeting';
+    submission.updateForm();
+    assert.equal(byId('submit-staffingNeeded-field').style.display, 'none');
+
+    submission.preview();
+    assert.match(byId('submissionResult').innerHTML, /Please fix the 3 highlighted fields/);
+    assert.equal(byId('submit-title-error').textContent, 'Enter the event name');
+    assert.equal(byId('submit-title-field').classList.contains('has-error'), true);
+
+    fields.forEach(field => { byId(`submit-${field.name}`).value = values[field.name]; });
+    submission.updateForm();
+    assert.equal(byId('submit-staffingNeeded-field').style.display, '');
+    submission.preview();
+    const result = byId('submissionResult').innerHTML;
+    assert.equal(byId('submit-title-error').textContent, '');
+    assert.match(result, /<div class="event-card">/);
+    assert.match(result, /&quot;id&quot;: 41,/);
+    assert.match(result, /about\.html#contactform/);
+    // No review queue answered, so there's nothing to send to
+    assert.doesNotMatch(result, /Send for review/);
+
+    let copied = null;
+    page.context.navigator.clipboard.writeText = async text => { copied = text; };
+    await submission.copySnippet();
+    assert.equal(copied, toSnippet(buildEvent(values, 41)));
+    assert.equal(byId('submissionStatus').textContent, 'Copied.');
+});
+
+test('the submission server validates and queues events for review', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'submissions-'));
+    const queueDir = path.join(root, 'submissions');
+    const server = createServer({ dataDir: path.join(__dirname, '../data'), queueDir, log: () => {} });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = body => fetch(`${base}/api/submissions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    try {
+        let response = await fetch(`${base}/api/submissions`);
+        assert.deepEqual(await response.json(), { queued: [] });
+
+        const event = buildEvent(values, 1);
+        response = await post({ event });
+        assert.equal(response.status, 201);
+        const first = await response.json();
+        const nextId = nextEventId(eventsData.events);
+        assert.deepEqual(first, { id: nextId, file: `${nextId}.json` });
+        const queued = JSON.parse(fs.readFileSync(path.join(queueDir, first.file), 'utf8'));
+        assert.deepEqual(queued.event, { ...event, id: nextId });
+        assert.ok(!Number.isNaN(Date.parse(queued.submittedAt)));
+
+        // The next submission gets the id after the queued one
+        response = await post({ event: { ...event, title: 'Canton Riverfront 5K' } });
+        assert.equal((await response.json()).id, nextId + 1);
+        response = await fetch(`${base}/api/submissions`);
+        assert.deepEqual((await response.json()).queued.map(entry => entry.id), [nextId, nextId + 1]);
+
+        // Submissions arriving together still get an id each
+        const together = await Promise.all([0, 1, 2].map(i => post({ event: { ...event, title: `Canton Relay Leg ${i + 1}` } }).then(res => res.json())));
+        assert.deepEqual(together.map(entry => entry.id).sort((a, b) => a - b), [nextId + 2, nextId + 3, nextId + 4]);
+
+        // Another site's page can't post to the queue
+        response = await fetch(`${base}/api/submissions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Origin': 'https://example.com' },
+            body: JSON.stringify({ event })
+        });
+        assert.equal(response.status, 403);
+
+        response = await post({ event: { ...event, type: 'race', clubId: 'no-such-club', extra: true } });
+        assert.equal(response.status, 422);
+        assert.deepEqual((await response.json()).errors.map(error => `${error.pointer}: ${error.message}`), [
+            '/type: must be one of "public-service", "activity", "meeting", "training" (got "race")',
+            '/extra: is not a known property (check for a typo)',
+            '/staffing: is only used on "public-service" events',
+            '/clubId: unknown club "no-such-club" (no club with that id in data/clubs.json)'
+        ]);
+
+        assert.equal((await post('{')).status, 400);
+        assert.equal((await post({ events: [] })).status, 400);
+        const large = await post({ event, padding: 'x'.repeat(2 * 1024 * 1024) });
+        assert.equal(large.status, 413);
+        assert.equal(large.headers.get('connection'), 'close');
+        assert.equal(fs.readdirSync(queueDir).length, 5);
+
+        response = await fetch(`${base}/pages/organizers.html`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/html/);
+        assert.match(await response.text(), /data-endpoint="\/api\/submissions"/);
+        assert.equal((await fetch(`${base}/%2e%2e/%2e%2e/etc/passwd`)).status, 404);
+        assert.equal((await fetch(`${base}/.git/config`)).status, 404);
+        assert.equal((await fetch(`${base}/.env`)).status, 404);
+        assert.equal((await fetch(`${base}/.githooks/pre-commit`)).status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
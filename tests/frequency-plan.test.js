@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    listModes,
+    matchAllocations,
+    pickChannels,
+    suggestChannels,
+    toChannel,
+    toChirpCSV,
+    renderFrequencyTable,
+    renderChannelCard
+} = require('../js/frequency-plan');
+const { validateData, checkFrequencyPlanRules, checkClaimLocations } = require('../scripts/validate-data');
+const { loadCalendar } = require('./helpers/browser');
+const planData = require('../data/frequency-plan.json');
+const planSchema = require('../data/frequency-plan.schema.json');
+const zipCentroids = require('../data/zip-centroids.json');
+
+// Decatur is a few miles from downtown Atlanta (30303); Athens is about 60
+const plan = {
+    ...planData,
+    inUse: [
+        { callsign: 'KQ4AAA', frequency: 440.925, mode: 'DMR', zip: '30030' },
+        { callsign: 'KQ4BBB', frequency: 440.95, mode: 'D-STAR', zip: '30601' },
+        { callsign: 'KQ4CCC', frequency: 440.775, mode: 'FM', zip: '30303' }
+    ]
+};
+const ATLANTA = { lat: 33.752, lon: -84.392 };
+const locate = claim => {
+    const centroid = zipCentroids.zips[claim.zip];
+    return centroid ? { lat: centroid[0], lon: centroid[1] } : null;
+};
+const frequencies = channels => channels.map(channel => channel && channel.frequency);
+
+test('the bundled frequency plan is valid and matches the SERA tables', () => {
+    assert.deepEqual(validateData(planData, planSchema, checkFrequencyPlanRules), []);
+    assert.deepEqual(validateData(plan, planSchema, checkFrequencyPlanRules), []);
+    assert.deepEqual(planData.allocations.map(allocation => allocation.frequencies.length), [10, 12, 12]);
+    assert.deepEqual(listModes(planData, '70cm'), ['DMR', 'D-STAR', 'NXDN', 'P25', 'YSF', 'FM']);
+});
+
+test('checkFrequencyPlanRules catches overlaps, out-of-band channels and unknown claims', () => {
+    const broken = JSON.parse(JSON.stringify(plan));
+    broken.allocations[1].frequencies.push(440.925, 460.1);
+    broken.allocations[2].band = '2m';
+    broken.inUse.push({ callsign: 'KQ4DDD', frequency: 441.3, zip: '99999' });
+    broken.inUse[0].mode = 'FM';
+
+    const errors = validateData(broken, planSchema, checkFrequencyPlanRules);
+    checkClaimLocations(broken, zipCentroids, errors);
+    assert.deepEqual(errors.map(error => `${error.pointer}: ${error.message}`), [
+        '/allocations/1/frequencies/12: 440.925 is also in /allocations/0',
+        '/allocations/1/frequencies/13: 460.1 is outside the 70cm band (420-450 MHz)',
+        '/allocations/2/band: unknown band "2m" (not in /bands)',
+        '/inUse/0/mode: FM is not a mode of allocation "hotspot"',
+        '/inUse/3/frequency: 441.3 is not in any allocation',
+        '/inUse/3/zip: ZIP 99999 is not in data/zip-centroids.json'
+    ]);
+});
+
+test('matchAllocations narrows by band, mode and station', () => {
+    const ids = options => matchAllocations(plan, options).map(allocation => allocation.id);
+    assert.deepEqual(ids({ band: '70cm', mode: 'YSF' }), ['hotspot']);
+    assert.deepEqual(ids({ band: '70cm', mode: 'FM' }), ['crossband-fixed', 'crossband-mobile']);
+    assert.deepEqual(ids({ band: '70cm', mode: 'FM', station: 'mobile' }), ['crossband-mobile']);
+    assert.deepEqual(ids({ band: '2m', mode: 'FM' }), []);
+});
+
+test('pickChannels skips channels in use nearby and saves neighbors of one for last', () => {
+    const near = suggestChannels(plan, { band: '70cm', mode: 'DMR', origin: ATLANTA, radius: 25, locate });
+    assert.deepEqual(frequencies([near.primary, near.alternate]), [440.95, 440.975]);
+    assert.deepEqual(frequencies(near.taken), [440.925]);
+    assert.ok(near.taken[0].nearby[0].distance < 10);
+
+    // Athens is inside 100 miles, and with no ZIP every listing counts
+    const wide = suggestChannels(plan, { band: '70cm', mode: 'DMR', origin: ATLANTA, radius: 100, locate });
+    assert.deepEqual(frequencies([wide.primary, wide.alternate]), [440.975, 441.025]);
+    const anywhere = suggestChannels(plan, { band: '70cm', mode: 'DMR' });
+    assert.deepEqual(frequencies([anywhere.primary, anywhere.alternate]), [440.975, 441.025]);
+    assert.equal(anywhere.taken[1].nearby[0].distance, null);
+
+    // 440.7625 and 440.7875 are one 12.5 kHz channel from KQ4CCC on 440.775
+    const fixed = pickChannels(plan, { band: '70cm', mode: 'FM', station: 'fixed', origin: ATLANTA, locate });
+    assert.deepEqual(frequencies(fixed.channels), [
+        440.7375, 440.8125, 440.825, 440.8375, 440.85, 440.8625, 440.875, 440.8875, 440.9, 440.7625, 440.7875
+    ]);
+    const mobile = suggestChannels(plan, { band: '70cm', mode: 'FM', station: 'mobile', origin: ATLANTA, locate });
+    assert.deepEqual(frequencies([mobile.primary, mobile.alternate]), [445.7375, 445.7625]);
+});
+
+test('chosen channels export as CHIRP CSV and a channel card', () => {
+    const hotspot = plan.allocations[0];
+    const crossband = plan.allocations[1];
+    const channels = [
+        toChannel({ allocation: hotspot, index: 2, frequency: 440.975 }, 'D-STAR'),
+        toChannel({ allocation: crossband, index: 0, frequency: 440.7375 }, 'FM')
+    ];
+    assert.deepEqual(channels[0], {
+        name: 'HS3',
+        frequency: 440.975,
+        mode: 'D-STAR',
+        allocationId: 'hotspot',
+        comment: 'Digital Hotspot Frequencies (D-STAR)'
+    });
+
+    assert.equal(toChirpCSV(channels), [
+        'Location,Name,Frequency,Duplex,Offset,Tone,rToneFreq,cToneFreq,DtcsCode,DtcsPolarity,RxDtcsCode,CrossMode,Mode,TStep,Skip,Power,Comment,URCALL,RPT1CALL,RPT2CALL,DVCODE',
+        '1,HS3,440.975000,,0.000000,,88.5,88.5,023,NN,023,Tone->Tone,DV,12.50,,,Digital Hotspot Frequencies (D-STAR),,,,',
+        '2,XBF1,440.737500,,0.000000,,88.5,88.5,023,NN,023,Tone->Tone,NFM,12.50,,,"FM Crossband Repeat Simplex, Fixed Stations",,,,'
+    ].join('\r\n') + '\r\n');
+
+    const card = renderChannelCard(channels, { source: 'SERA plan' });
+    assert.equal((card.match(/<tr>/g) || []).length, 3);
+    assert.match(card, /<td>XBF1<\/td>\s*<td>440\.7375<\/td>\s*<td>FM<\/td>/);
+    assert.match(card, /Frequencies from the SERA plan/);
+});
+
+test('renderFrequencyTable lays an allocation out in rows', () => {
+    const html = renderFrequencyTable(plan.allocations[0], 5);
+    const rows = [...html.matchAll(/<tr>(.*?)<\/tr>/g)].map(match => [...match[1].matchAll(/<td>(.*?)<\/td>/g)].map(cell => cell[1]));
+    assert.deepEqual(rows, [
+        ['440.9250', '440.9500', '440.9750', '441.0250', '441.0500'],
+        ['441.0750', '441.1000', '441.1250', '441.1500', '441.1750']
+    ]);
+    assert.equal((renderFrequencyTable(plan.allocations[1]).match(/<tr>/g) || []).length, 2, 'six to a row by default');
+});
+
+test('the page renders the tables and walks from a suggestion to a channel card', async () => {
+    let tables;
+    const page = loadCalendar({
+        url: '/pages/hotspot-crossband.html',
+        files: {
+            '../data/frequency-plan.json': plan,
+            '../data/zip-centroids.json': zipCentroids
+        },
+        setup(document) {
+            tables = ['hotspot', 'crossband-mobile'].map(id => {
+                const element = document.createElement('div');
+                element.dataset.frequencyTable = id;
+                element.dataset.columns = id === 'hotspot' ? '5' : undefined;
+                return element;
+            });
+            document.selectorResults.set('[data-frequency-table]', tables);
+        },
+        scripts: ['js/calendar-core.js', 'js/radio-core.js', 'js/frequency-plan.js']
+    });
+    const picker = page.context.window.FrequencyPlan;
+    const byId = id => page.document.getElementById(id);
+    await picker.loadFrequencyPlan();
+
+    assert.match(tables[0].innerHTML, /<td>440\.9250<\/td>/);
+    assert.match(tables[1].innerHTML, /<td>445\.9000<\/td>/);
+    assert.match(byId('frequencyPicker').innerHTML, /<option value="70cm">70 cm \(440 MHz\)<\/option>/);
+
+    byId('pickerBand').value = '70cm';
+    picker.updateForm();
+    assert.match(byId('pickerMode').innerHTML, /<option value="DMR">DMR hotspot<\/option>/);
+    assert.equal(byId('pickerMode').value, 'DMR');
+    assert.equal(byId('pickerStationField').style.display, 'none', 'hotspots have no station type');
+
+    byId('pickerMode').value = 'FM';
+    picker.updateForm();
+    assert.equal(byId('pickerStationField').style.display, '');
+    byId('pickerStation').value = 'fixed';
+    byId('pickerRadius').value = '25';
+    byId('pickerZip').value = '30303';
+    await picker.suggest();
+
+    const result = byId('pickerResult').innerHTML;
+    assert.match(result, /Primary<\/span>\s*<span class="picker-frequency">440\.7375/);
+    assert.match(result, /Alternate<\/span>\s*<span class="picker-frequency">440\.8125/);
+    assert.match(result, /In use nearby: KQ4CCC on 440\.7750 \(0 mi away\)/);
+    assert.match(result, /FrequencyPlan\.addChannel\('crossband-fixed', 440\.7375, 'FM'\)/);
+
+    picker.addChannel('crossband-fixed', 440.7375, 'FM');
+    picker.addChannel('crossband-fixed', 440.7375, 'FM');
+    picker.addChannel('hotspot', 440.975, 'DMR');
+    const chosen = byId('pickerChosen').innerHTML;
+    assert.equal((chosen.match(/class="picker-choice"/g) || []).length, 2, 'adding a channel twice keeps one');
+    assert.match(chosen, /class="channel-card"/);
+    assert.match(chosen, /Southeastern Repeater Association \(SERA\) 440 MHz Frequency Utilization Plan/);
+
+    picker.removeChannel(0);
+    assert.doesNotMatch(byId('pickerChosen').innerHTML, /XBF1/);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { generateICS, generateFeeds, slugify } = require('../scripts/generate-calendar');
+const { loadCalendar } = require('./helpers/browser');
+const fixture = require('./fixtures/events.json');
+
+const goldenPath = path.join(__dirname, 'fixtures/events.ics');
+const NOW = new Date(Date.UTC(2026, 0, 1, 12, 0, 0));
+
+// Regenerate the golden file after an intentional output change with:
+//   UPDATE_GOLDEN=1 node --test
+test('generateICS matches the golden events.ics for the fixture data', () => {
+    const ics = generateICS(fixture.events, { now: NOW }).ics;
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(goldenPath, ics, 'utf8');
+    }
+
+    assert.equal(ics, fs.readFileSync(goldenPath, 'utf8'));
+});
+
+test('generateICS output is independent of the local timezone', t => {
+    const originalTZ = process.env.TZ;
+    t.after(() => { process.env.TZ = originalTZ; });
+
+    const reference = generateICS(fixture.events, { now: NOW }).ics;
+    for (const tz of ['America/Los_Angeles', 'Pacific/Auckland', 'UTC']) {
+        process.env.TZ = tz;
+        assert.equal(generateICS(fixture.events, { now: NOW }).ics, reference, tz);
+    }
+});
+
+test('generateICS uses CRLF line endings and folded lines', () => {
+    const ics = generateICS(fixture.events, { now: NOW }).ics;
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'bare LF');
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line));
+});
+
+test('single-event download serializes the same VEVENT as the feed', async () => {
+    const calendar = loadCalendar({ events: fixture.events });
+    await calendar.context.loadEvents();
+
+    const feed = generateICS(fixture.events, { now: NOW }).ics;
+    // Change-tracking metadata only exists in the feed
+    const stripStamp = text => text.replace(/(DTSTAMP|LAST-MODIFIED|SEQUENCE):[^\r]*\r\n/g, '');
+    const veventOf = (text, id) => {
+        const start = text.indexOf(`BEGIN:VEVENT\r\nUID:event-${id}@`);
+        return stripStamp(text.slice(start, text.indexOf('END:VEVENT', start)));
+    };
+
+    fixture.events.forEach(raw => {
+        const event = calendar.run(`events.find(e => e.id === ${raw.id})`);
+        const download = calendar.context.generateICS(event);
+        assert.equal(veventOf(download, raw.id), veventOf(feed, raw.id), `event ${raw.id}`);
+    });
+});
+
+test('generateICS keeps SEQUENCE and timestamps stable for unchanged events', () => {
+    const first = generateICS(fixture.events, { now: NOW });
+    const later = new Date(Date.UTC(2026, 1, 1, 12, 0, 0));
+    const second = generateICS(fixture.events, { previousState: first.state, now: later });
+
+    assert.equal(second.ics, first.ics);
+    assert.deepEqual(second.state, first.state);
+});
+
+test('generateICS bumps SEQUENCE and LAST-MODIFIED only for edited events', () => {
+    const first = generateICS(fixture.events, { now: NOW });
+    const edited = fixture.events.map(event => event.id === 1 ? { ...event, startTime: '05:00' } : event);
+    const second = generateICS(edited, { previousState: first.state, now: new Date(Date.UTC(2026, 1, 1, 12, 0, 0)) });
+
+    const vevent = (ics, id) => ics.slice(ics.indexOf(`UID:event-${id}@`), ics.indexOf('END:VEVENT', ics.indexOf(`UID:event-${id}@`)));
+    assert.match(vevent(second.ics, 1), /SEQUENCE:1\r\n/);
+    assert.match(vevent(second.ics, 1), /LAST-MODIFIED:20260201T120000Z\r\n/);
+    assert.match(vevent(second.ics, 1), /DTSTAMP:20260201T120000Z\r\n/);
+    assert.equal(vevent(second.ics, 2), vevent(first.ics, 2));
+});
+
+test('an event that gains sessions keeps its UID, revised, with the sessions linked to it', () => {
+    const first = generateICS(fixture.events, { now: NOW });
+    const sessions = [
+        { date: '2026-01-31', startTime: '08:00', endTime: '15:00' },
+        { date: '2026-02-01', startTime: '09:00', endTime: '12:00' }
+    ];
+    const edited = fixture.events.map(event => event.id === 2 ? { ...event, sessions } : event);
+    const second = generateICS(edited, { previousState: first.state, now: new Date(Date.UTC(2026, 1, 1, 12, 0, 0)) });
+
+    const vevent = (ics, uid) => ics.slice(ics.indexOf(`UID:${uid}`), ics.indexOf('END:VEVENT', ics.indexOf(`UID:${uid}`)));
+    // Subscribers' existing all-day entry is updated in place rather than left behind
+    assert.match(vevent(second.ics, 'event-2@'), /SEQUENCE:1\r\n[\s\S]*DTSTART;VALUE=DATE:20260131\r\n/);
+    [1, 2].forEach(n => {
+        assert.match(vevent(second.ics, `event-2-session-${n}@`), /SEQUENCE:1\r\n[\s\S]*RELATED-TO;RELTYPE=PARENT:event-2@atlantahamradio\.org\r\n/);
+    });
+});
+
+test('generateFeeds writes one feed per event type and per organizer', () => {
+    const { ics, feeds, manifest } = generateFeeds(fixture.events, { now: NOW });
+
+    assert.equal(ics, generateICS(fixture.events, { now: NOW }).ics);
+    assert.deepEqual(manifest.feeds.map(feed => feed.id).slice(0, 5),
+        ['all', 'public-service', 'activity', 'meeting', 'training']);
+    assert.equal(manifest.feeds[0].url, 'https://atlantahamradio.org/events.ics');
+    assert.equal(manifest.feeds[0].events, fixture.events.length);
+
+    const typeCounts = Object.fromEntries(manifest.feeds.filter(feed => feed.kind === 'type').map(feed => [feed.key, feed.events]));
+    fixture.events.forEach(event => assert.ok(typeCounts[event.type] > 0, event.type));
+    assert.equal(Object.values(typeCounts).reduce((a, b) => a + b, 0), fixture.events.length);
+
+    const organizers = new Set(fixture.events.map(event => event.eventOrganizer).filter(Boolean));
+    assert.equal(manifest.feeds.filter(feed => feed.kind === 'organizer').length, organizers.size);
+
+    const training = feeds.find(feed => feed.file === 'feeds/training.ics').ics;
+    assert.match(training, /X-WR-CALNAME:Atlanta Ham Radio: Training & Drills\r\n/);
+    const uids = [...training.matchAll(/UID:event-(\d+)@/g)].map(match => Number(match[1]));
+    assert.deepEqual(uids, fixture.events.filter(event => event.type === 'training').map(event => event.id));
+});
+
+test('generateFeeds can skip organizer feeds', () => {
+    const { feeds, manifest } = generateFeeds(fixture.events, { now: NOW, organizerFeeds: false });
+    assert.ok(manifest.feeds.every(feed => feed.kind !== 'organizer'));
+    assert.equal(feeds.length, 4);
+});
+
+test('generateFeeds writes a feed for every club, empty or not', () => {
+    const clubs = [{ id: 'alford-memorial-radio-club', name: 'Alford Memorial Radio Club' }, { id: 'quiet-club', name: 'Quiet Club' }];
+    const { feeds, manifest } = generateFeeds(fixture.events, { now: NOW, organizerFeeds: false, clubs });
+
+    const clubFeeds = manifest.feeds.filter(feed => feed.kind === 'club');
+    assert.deepEqual(clubFeeds.map(feed => [feed.id, feed.key, feed.events]),
+        [['club-alford-memorial-radio-club', 'alford-memorial-radio-club', 1], ['club-quiet-club', 'quiet-club', 0]]);
+    assert.equal(clubFeeds[0].url, 'https://atlantahamradio.org/feeds/club-alford-memorial-radio-club.ics');
+
+    const alford = feeds.find(feed => feed.file === 'feeds/club-alford-memorial-radio-club.ics').ics;
+    assert.match(alford, /X-WR-CALNAME:Atlanta Ham Radio: Alford Memorial Radio Club\r\n/);
+    assert.deepEqual([...alford.matchAll(/UID:event-(\d+)@/g)].map(match => Number(match[1])), [2]);
+    assert.doesNotMatch(feeds.find(feed => feed.file === 'feeds/club-quiet-club.ics').ics, /BEGIN:VEVENT/);
+});
+
+test('generateFeeds cancels removed events in the feeds they appeared in', () => {
+    const first = generateFeeds(fixture.events, { now: NOW });
+    const removed = fixture.events[0];
+    const second = generateFeeds(fixture.events.slice(1), { previousState: first.state, now: new Date(Date.UTC(2026, 0, 2)) });
+
+    const typeFeed = second.feeds.find(feed => feed.file === `feeds/${removed.type}.ics`).ics;
+    const vevent = typeFeed.slice(typeFeed.indexOf(`UID:event-${removed.id}@`));
+    assert.match(vevent, /^STATUS:CANCELLED\r$/m);
+});
+
+test('slugify makes organizer names safe for file names', () => {
+    assert.equal(slugify('Fayette County Amateur Radio Club (FCARC)'), 'fayette-county-amateur-radio-club-fcarc');
+    assert.equal(slugify('Coweta Ferst Readers, Inc.'), 'coweta-ferst-readers-inc');
+    assert.equal(slugify('Café Net'), 'cafe-net');
+});
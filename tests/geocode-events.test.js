@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findPlace, resolveVenues } = require('../scripts/geocode-events');
+
+const places = [
+    { id: 'athens', name: 'Athens', aliases: ['Athens, GA'], lat: 33.9519, lon: -83.3576, landmark: true },
+    { id: 'athens-ymca', name: 'Athens YMCA', address: '915 Hawthorne Ave, Athens, GA 30605', lat: 33.9653, lon: -83.4147 },
+    { id: 'panola-mountain-state-park', name: 'Panola Mountain State Park', lat: 33.6259, lon: -84.1724 }
+];
+
+test('findPlace matches a venue name at the start of a location, never a landmark town', () => {
+    assert.equal(findPlace('Panola Mountain State Park, Pavilion 1', places).id, 'panola-mountain-state-park');
+    assert.equal(findPlace('Athens YMCA, 915 Hawthorne Ave', places).id, 'athens-ymca');
+    assert.equal(findPlace('Athens, GA', places), null);
+    assert.equal(findPlace('Panola Mountains', places), null);
+});
+
+test('resolveVenues fills in gazetteer places and keeps the points', () => {
+    const points = [{ kind: 'parking', lat: 33.626, lon: -84.17 }];
+    const { events, changes, errors } = resolveVenues([
+        { id: 1, eventLocation: 'Athens YMCA', venue: { place: 'athens-ymca' } },
+        { id: 2, eventLocation: 'Panola', venue: { points, place: 'panola-mountain-state-park', lat: 33.6259, lon: -84.1724 } },
+        { id: 3, eventLocation: 'Somewhere', venue: { lat: 34, lon: -84 } }
+    ], places);
+
+    assert.deepEqual(events[0].venue, { place: 'athens-ymca', address: '915 Hawthorne Ave, Athens, GA 30605', lat: 33.9653, lon: -83.4147 });
+    assert.deepEqual(Object.keys(events[1].venue), ['place', 'lat', 'lon', 'points']);
+    assert.deepEqual(events[2].venue, { lat: 34, lon: -84 });
+    assert.deepEqual(changes.map(change => change.id), [1, 1]);
+    assert.deepEqual(errors, []);
+
+    // Already resolved: nothing left to change
+    assert.deepEqual(resolveVenues(events, places).changes, []);
+});
+
+test('resolveVenues reports unknown places, moved coordinates and venue suggestions', () => {
+    const { events, changes, errors, suggestions } = resolveVenues([
+        { id: 1, eventLocation: 'Athens YMCA', venue: { place: 'athens-ymca', address: '915 Hawthorne Ave, Athens, GA 30605', lat: 33.9, lon: -83.4147 } },
+        { id: 2, eventLocation: 'Nowhere', venue: { place: 'nowhere' } },
+        { id: 3, eventLocation: 'Panola Mountain State Park' }
+    ], places);
+
+    assert.equal(events[0].venue.lat, 33.9653);
+    assert.deepEqual(changes, [{ id: 1, message: 'coordinates updated to 33.9653, -83.4147' }]);
+    assert.deepEqual(errors, [{ id: 2, message: 'unknown place "nowhere" (add it to data/gazetteer.json)' }]);
+    assert.deepEqual(suggestions.map(({ id, place }) => [id, place.id]), [[3, 'panola-mountain-state-park']]);
+});
@@ -0,0 +1,193 @@
+/**
+ * Minimal DOM stand-in for running js/calendar.js under Node.
+ * Implements just the document/element surface the calendar scripts touch,
+ * so the suite runs offline with no npm dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const rootDir = path.join(__dirname, '../..');
+
+// Same escaping a browser applies when text is assigned via textContent
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class FakeClassList {
+    constructor() {
+        this.classes = new Set();
+    }
+    add(name) { this.classes.add(name); }
+    remove(name) { this.classes.delete(name); }
+    contains(name) { return this.classes.has(name); }
+    toggle(name, force) {
+        const on = force === undefined ? !this.classes.has(name) : force;
+        if (on) this.classes.add(name); else this.classes.delete(name);
+        return on;
+    }
+}
+
+class FakeElement {
+    constructor(id) {
+        this.id = id;
+        this.innerHTML = '';
+        this.value = '';
+        this.style = {};
+        this.classList = new FakeClassList();
+        this.dataset = {};
+        this.children = [];
+        this._text = '';
+    }
+    get textContent() { return this._text; }
+    set textContent(value) {
+        this._text = String(value);
+        this.innerHTML = escapeText(value);
+    }
+    appendChild(child) { this.children.push(child); }
+    removeChild(child) { this.children = this.children.filter(c => c !== child); }
+    addEventListener() {}
+    insertAdjacentHTML(position, html) { this.innerHTML += html; }
+    select() {}
+    click() {}
+}
+
+// selectorResults: elements querySelectorAll(selector) returns; tests fill it in
+function createDocument() {
+    const elements = new Map();
+    const selectorResults = new Map();
+    const getElementById = id => {
+        if (!elements.has(id)) elements.set(id, new FakeElement(id));
+        return elements.get(id);
+    };
+    return {
+        elements,
+        selectorResults,
+        body: new FakeElement('body'),
+        readyState: 'complete',
+        getElementById,
+        createElement: () => new FakeElement(null),
+        querySelector: selector => getElementById(`query:${selector}`),
+        querySelectorAll: selector => selectorResults.get(selector) || [],
+        addEventListener() {}
+    };
+}
+
+// Date whose "now" is pinned, so "upcoming" and "today" are deterministic
+function createFixedDate(now) {
+    const RealDate = Date;
+    const fixed = new RealDate(now).getTime();
+    class FixedDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) super(fixed); else super(...args);
+        }
+        static now() { return fixed; }
+    }
+    return FixedDate;
+}
+
+// window.location + window.history stand-in; popstate fires synchronously on back()/forward()
+function createHistory(initialURL, dispatch) {
+    const location = {};
+    const setLocation = url => {
+        const parsed = new URL(url, 'https://atlantahamradio.org/');
+        Object.assign(location, { pathname: parsed.pathname, search: parsed.search, hash: parsed.hash });
+    };
+    const entries = [initialURL];
+    let index = 0;
+    setLocation(initialURL);
+
+    const go = delta => {
+        if (!entries[index + delta]) return;
+        index += delta;
+        setLocation(entries[index]);
+        dispatch('popstate');
+    };
+    const history = {
+        entries,
+        get length() { return entries.length; },
+        get index() { return index; },
+        pushState(state, title, url) {
+            entries.splice(index + 1, Infinity, url);
+            index++;
+            setLocation(url);
+        },
+        replaceState(state, title, url) {
+            entries[index] = url;
+            setLocation(url);
+        },
+        back: () => go(-1),
+        forward: () => go(1)
+    };
+    return { location, history };
+}
+
+/**
+ * Load calendar-core.js, map.js, event-card.js and calendar.js (or options.scripts) into a fresh context.
+ * options.now: pinned current time (Date or ISO string)
+ * options.events: raw events.json entries served to fetch('data/events.json')
+ * options.files: other fetch responses, keyed by URL (anything else is a 404)
+ * options.url: initial page URL (default "/"), e.g. "/?view=list#event=3"
+ * options.scripts: files to load, relative to the repo root
+ * options.setup(document): called before the scripts run
+ * Returns { context, document, history, run(code), dispatch(type) }; run
+ * evaluates code inside the context, which is how tests reach the script's
+ * top-level let bindings, and dispatch fires window listeners such as
+ * DOMContentLoaded (awaiting any async ones).
+ */
+function loadCalendar(options = {}) {
+    const document = createDocument();
+    const files = { 'data/events.json': { events: options.events || [] }, ...options.files };
+
+    const listeners = {};
+    const dispatch = type => Promise.all((listeners[type] || []).map(listener => listener({ type })));
+    const { location, history } = createHistory(options.url || '/', dispatch);
+
+    const context = {
+        console,
+        document,
+        navigator: { clipboard: { writeText: async () => {} } },
+        window: {
+            addEventListener(type, listener) { (listeners[type] = listeners[type] || []).push(listener); },
+            location,
+            history
+        },
+        fetch: async url => ({
+            ok: url in files,
+            status: url in files ? 200 : 404,
+            json: async () => JSON.parse(JSON.stringify(files[url]))
+        }),
+        setTimeout,
+        // Repeating timers never fire here; tests call the refresh themselves
+        setInterval: () => 0,
+        clearInterval: () => {},
+        TextEncoder,
+        URL,
+        URLSearchParams,
+        Blob: class {}
+    };
+    context.self = context;
+    vm.createContext(context);
+
+    if (options.now) {
+        context.Date = createFixedDate(options.now);
+    }
+
+    if (options.setup) options.setup(document);
+
+    (options.scripts || ['js/calendar-core.js', 'js/map.js', 'js/event-card.js', 'js/calendar.js']).forEach(file => {
+        const code = fs.readFileSync(path.join(rootDir, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+
+    return {
+        context,
+        document,
+        history,
+        run: code => vm.runInContext(code, context),
+        dispatch
+    };
+}
+
+module.exports = { loadCalendar, rootDir };
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CANCELLED_GRACE_DAYS, hashEvent, toStub, emptyState, updateState } = require('../scripts/ics-state');
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date(Date.UTC(2026, 0, 1));
+const event = { id: 7, title: 'Field Day', startDate: '2026-06-27', endDate: '2026-06-28' };
+
+test('hashEvent ignores key order', () => {
+    const reordered = { endDate: '2026-06-28', startDate: '2026-06-27', title: 'Field Day', id: 7 };
+    assert.equal(hashEvent(reordered), hashEvent(event));
+    assert.notEqual(hashEvent({ ...event, title: 'Winter Field Day' }), hashEvent(event));
+});
+
+test('new events start at SEQUENCE 0 and keep it while unchanged', () => {
+    const first = updateState(emptyState(), [event], start);
+    assert.deepEqual(first.entries[0], { event, sequence: 0, lastModified: start.toISOString(), status: 'CONFIRMED' });
+
+    const second = updateState(first.state, [{ ...event }], new Date(start.getTime() + DAY));
+    assert.equal(second.entries[0].sequence, 0);
+    assert.equal(second.entries[0].lastModified, start.toISOString());
+});
+
+test('edited events get the next SEQUENCE and a new LAST-MODIFIED', () => {
+    const first = updateState(emptyState(), [event], start);
+    const later = new Date(start.getTime() + DAY);
+    const second = updateState(first.state, [{ ...event, endDate: '2026-06-29' }], later);
+
+    assert.equal(second.entries[0].sequence, 1);
+    assert.equal(second.entries[0].lastModified, later.toISOString());
+});
+
+test('removed events are published as cancelled until the grace period ends', () => {
+    const first = updateState(emptyState(), [event], start);
+
+    const removedAt = new Date(start.getTime() + DAY);
+    const removed = updateState(first.state, [], removedAt);
+    assert.deepEqual(removed.entries, [{ event, sequence: 1, lastModified: removedAt.toISOString(), status: 'CANCELLED' }]);
+
+    // Still cancelled (same SEQUENCE) on later runs within the grace period
+    const during = updateState(removed.state, [], new Date(removedAt.getTime() + (CANCELLED_GRACE_DAYS - 1) * DAY));
+    assert.equal(during.entries[0].sequence, 1);
+    assert.equal(during.entries[0].status, 'CANCELLED');
+
+    const after = updateState(during.state, [], new Date(removedAt.getTime() + CANCELLED_GRACE_DAYS * DAY));
+    assert.deepEqual(after.entries, []);
+    assert.deepEqual(after.state, emptyState());
+});
+
+test('a removed event that comes back is confirmed with a higher SEQUENCE', () => {
+    const first = updateState(emptyState(), [event], start);
+    const removed = updateState(first.state, [], new Date(start.getTime() + DAY));
+    const restored = updateState(removed.state, [event], new Date(start.getTime() + 2 * DAY));
+
+    assert.equal(restored.entries[0].status, 'CONFIRMED');
+    assert.equal(restored.entries[0].sequence, 2);
+    assert.ok(!restored.state.events['7'].removedAt);
+});
+
+test('the state keeps only a cancellation stub of each event', () => {
+    const full = {
+        ...event,
+        type: 'activity',
+        startTime: '14:00',
+        eventLocation: 'Stone Mountain Park',
+        eventDescription: 'A long description',
+        eventUrl: 'https://example.org/field-day',
+        notes: null
+    };
+    const first = updateState(emptyState(), [full], start);
+    const record = first.state.events['7'];
+    assert.deepEqual(Object.keys(record).sort(), ['hash', 'lastModified', 'sequence', 'stub']);
+    assert.deepEqual(record.stub, toStub(full));
+    assert.equal(record.stub.eventDescription, undefined);
+    assert.equal(record.stub.eventUrl, undefined);
+    assert.ok(!('notes' in record.stub));
+
+    const removed = updateState(first.state, [], new Date(start.getTime() + DAY));
+    assert.deepEqual(removed.entries[0].event, {
+        id: 7, title: 'Field Day', type: 'activity', startDate: '2026-06-27', endDate: '2026-06-28',
+        startTime: '14:00', eventLocation: 'Stone Mountain Park'
+    });
+});
+
+test('records written with a full snapshot are trimmed to a stub', () => {
+    const full = { ...event, eventDescription: 'A long description' };
+    const state = { events: { 7: { hash: hashEvent(full), sequence: 1, lastModified: start.toISOString(), removedAt: start.toISOString(), snapshot: full } } };
+    const next = updateState(state, [], new Date(start.getTime() + DAY));
+
+    assert.deepEqual(next.entries[0].event, event);
+    assert.equal(next.entries[0].sequence, 1);
+    assert.ok(!('snapshot' in next.state.events['7']));
+    assert.deepEqual(next.state.events['7'].stub, event);
+});
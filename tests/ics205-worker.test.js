@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { classifyColumn, parseTone, parseICS205 } = require('../worker/lib/ics205');
+const { toneSettings, toChirpCSV } = require('../worker/lib/chirp');
+const { convertPlan } = require('../worker/lib/convert');
+const { parseChannelReply, createStubProvider, createProviders } = require('../worker/lib/providers');
+const { createServer } = require('../worker/server');
+
+const formsDir = path.join(__dirname, 'fixtures/ics205');
+const readForm = file => fs.readFileSync(path.join(formsDir, file), 'utf8');
+
+const EXPECTED_CSV = [
+    'Location,Name,Frequency,Duplex,Offset,Tone,rToneFreq,cToneFreq,DtcsCode,DtcsPolarity,RxDtcsCode,CrossMode,Mode,TStep,Skip,Power,Comment,URCALL,RPT1CALL,RPT2CALL,DVCODE',
+    '1,ARES TAC 1,146.520000,,0.000000,,88.5,88.5,023,NN,023,Tone->Tone,FM,5.00,,,Ch 1 / Command / Net control / National simplex,,,,',
+    '2,W4DOC RPT,146.880000,-,0.600000,TSQL,146.2,146.2,023,NN,023,Tone->Tone,FM,5.00,,,Ch 2 / Tactical / Course aid stations / -600 repeater,,,,',
+    '3,UHF RPT,444.975000,+,5.000000,Tone,100.0,88.5,023,NN,023,Tone->Tone,FM,5.00,,,Ch 3 / Logistics / Resource requests / +5 MHz,,,,',
+    '4,MED DCS,147.555000,,0.000000,DTCS,88.5,88.5,023,NN,023,Tone->Tone,NFM,5.00,,,Ch 4 / Medical / Hospital liaison,,,,',
+    '5,NOAA WX,162.550000,off,0.000000,,88.5,88.5,023,NN,023,Tone->Tone,FM,5.00,,,Ch 6 / Info / Weather / RX only,,,,',
+    '6,XBAND,446.000000,split,146.550000,TSQL,88.5,88.5,023,NN,023,Tone->Tone,FM,5.00,,,Ch 7 / Link / Finish line link / Crossband,,,,'
+].join('\r\n') + '\r\n';
+
+test('classifyColumn and parseTone read the loose labels and values forms use', () => {
+    assert.equal(classifyColumn('RX Freq N or W'), 'rxFreq');
+    assert.equal(classifyColumn('Tx Tone/NAC'), 'txTone');
+    assert.equal(classifyColumn('Channel Name/Trunked Radio System Talkgroup'), 'name');
+    assert.equal(classifyColumn('Mode (A, D, or M)'), 'mode');
+    assert.equal(classifyColumn('Ch #'), 'channel');
+    assert.equal(classifyColumn('Prepared by'), null);
+
+    assert.deepEqual(parseTone('100'), { type: 'tone', value: 100 });
+    assert.deepEqual(parseTone('D023N'), { type: 'dcs', value: '023', polarity: 'N' });
+    assert.deepEqual(parseTone('754 I'), { type: 'dcs', value: '754', polarity: 'I' });
+    assert.deepEqual(parseTone('$293'), { type: 'nac', value: '293' });
+    assert.equal(parseTone('CSQ'), null);
+    assert.equal(parseTone('see remarks'), undefined);
+});
+
+test('the fillable-PDF dump, CSV and pdftotext layout of one plan give the same CHIRP file', () => {
+    const forms = [['plan-fields.txt', 'fields'], ['plan.csv', 'csv'], ['plan-layout.txt', 'text']];
+    forms.forEach(([file, format]) => {
+        const parsed = parseICS205(readForm(file));
+        assert.equal(parsed.format, format, file);
+        assert.equal(parsed.channels.length, 7, file);
+        assert.deepEqual(parsed.warnings, [], file);
+
+        const chirp = toChirpCSV(parsed.channels);
+        // plan.csv has a comma in one remark, so CHIRP gets that cell quoted
+        assert.equal(chirp.csv.replace('"Ch 2 / Tactical / Course aid stations / Repeater, -600"', 'Ch 2 / Tactical / Course aid stations / -600 repeater'), EXPECTED_CSV, file);
+        assert.deepEqual(chirp.warnings, ['GA P25 TG: digital channel left out; CHIRP programs analog channels'], file);
+    });
+
+    assert.equal(parseICS205(readForm('plan-fields.txt')).incident, 'Peachtree Road Race 2026');
+    assert.equal(parseICS205(readForm('plan-layout.txt')).incident, 'Peachtree Road Race 2026');
+});
+
+test('cells that cannot be read are left off with a warning', () => {
+    const csv = 'Name,RX Freq,RX Tone,TX Freq,TX Tone,Mode\nSimplex,146.5500,see remarks,146.55,77.7,Q\nNo freq,TBD,,,,A\n';
+    const { channels, warnings } = parseICS205(csv);
+
+    assert.equal(channels.length, 1);
+    assert.deepEqual([channels[0].rxTone, channels[0].txTone, channels[0].mode], [null, { type: 'tone', value: 77.7 }, 'A']);
+    assert.deepEqual(warnings, [
+        'Simplex: RX tone "see remarks" not understood; left off',
+        'Simplex: 77.7 Hz is not a standard CTCSS tone',
+        'Simplex: mode "Q" not understood; taken as analog'
+    ]);
+});
+
+test('toneSettings maps per-direction tones onto CHIRP tone modes', () => {
+    const tone = value => ({ type: 'tone', value });
+    const dcs = value => ({ type: 'dcs', value, polarity: 'N' });
+
+    assert.equal(toneSettings(null, null).Tone, '');
+    assert.deepEqual([toneSettings(null, tone(100)).Tone, toneSettings(null, tone(100)).rToneFreq], ['Tone', '100.0']);
+    assert.deepEqual([toneSettings(tone(100), tone(100)).Tone, toneSettings(tone(100), tone(100)).cToneFreq], ['TSQL', '100.0']);
+
+    const split = toneSettings(tone(123), tone(100));
+    assert.deepEqual([split.Tone, split.CrossMode, split.rToneFreq, split.cToneFreq], ['Cross', 'Tone->Tone', '100.0', '123.0']);
+    const toDcs = toneSettings(dcs('411'), tone(88.5));
+    assert.deepEqual([toDcs.Tone, toDcs.CrossMode, toDcs.RxDtcsCode], ['Cross', 'Tone->DTCS', '411']);
+    assert.deepEqual([toneSettings(tone(88.5), null).Tone, toneSettings(tone(88.5), null).CrossMode], ['Cross', '->Tone']);
+});
+
+test('convertPlan only asks AI providers when the parser finds nothing', async () => {
+    const asked = [];
+    const failing = { name: 'broken', async extractChannels() { asked.push('broken'); throw new Error('HTTP 500'); } };
+    const stub = createStubProvider(text => {
+        asked.push('stub');
+        return [{ name: 'TAC 2', rxFreq: '147.42', txFreq: '', rxTone: '', txTone: '', mode: 'A' }];
+    });
+
+    const parsed = await convertPlan(readForm('plan.csv'), { providers: [failing, stub] });
+    assert.equal(parsed.source, 'parser');
+    assert.deepEqual(asked, []);
+
+    const fallback = await convertPlan('Simplex on 147.42 for the parking team', { providers: [failing, stub] });
+    assert.equal(fallback.source, 'stub');
+    assert.deepEqual(asked, ['broken', 'stub']);
+    assert.equal(fallback.count, 1);
+    assert.match(fallback.csv, /^1,TAC 2,147\.420000,,0\.000000,/m);
+    assert.deepEqual(fallback.warnings, ['broken failed: HTTP 500', 'Channels read by stub; check them against the form before programming']);
+
+    const nothing = await convertPlan('Simplex on 147.42 for the parking team');
+    assert.deepEqual([nothing.source, nothing.count], [null, 0]);
+});
+
+test('createProviders reads the .env.example keys and skips placeholders', async () => {
+    const requests = [];
+    const fakeFetch = async (url, init) => {
+        requests.push({ url, init });
+        const reply = '```json\n[{"name": "TAC 1", "rxFreq": "146.52"}]\n```';
+        return { ok: true, json: async () => (url.includes('gradient') ? { generatedOutput: reply } : { choices: [{ message: { content: reply } }] }) };
+    };
+    const providers = createProviders({
+        DO_AI_AGENT_URL: 'https://agent.example/',
+        DO_AI_AGENT_API_KEY: 'do-key',
+        OPENAI_API_KEY: 'your_openai_api_key_here',
+        GRADIENT_AI_API_KEY: 'g-key',
+        GRADIENT_AI_WORKSPACE_ID: 'ws',
+        GRADIENT_AI_MODEL: 'model-1'
+    }, { fetch: fakeFetch });
+
+    assert.deepEqual(providers.map(provider => provider.name), ['do-ai-agent', 'gradient']);
+    assert.deepEqual(await providers[0].extractChannels('plan'), [{ name: 'TAC 1', rxFreq: '146.52' }]);
+    assert.deepEqual(await providers[1].extractChannels('plan'), [{ name: 'TAC 1', rxFreq: '146.52' }]);
+    assert.equal(requests[0].url, 'https://agent.example/api/v1/chat/completions');
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer do-key');
+    assert.equal(requests[1].url, 'https://api.gradient.ai/api/models/model-1/complete');
+    assert.equal(requests[1].init.headers['x-gradient-workspace-id'], 'ws');
+
+    assert.deepEqual(createProviders({}), []);
+    assert.throws(() => parseChannelReply('I could not find a table.'), /no JSON array/);
+});
+
+test('the worker serves /health and converts POSTed plans', async t => {
+    const server = createServer({ providers: [] });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const health = await fetch(`${base}/health`);
+    assert.deepEqual(await health.json(), { status: 'ok', providers: [] });
+
+    const csv = await fetch(`${base}/api/ics205`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: readForm('plan-layout.txt') });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.equal(csv.headers.get('x-channel-count'), '6');
+    assert.equal(await csv.text(), EXPECTED_CSV);
+
+    // App Platform forwards the route with its prefix stripped
+    const json = await fetch(`${base}/?start=10`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ text: readForm('plan-fields.txt') })
+    });
+    const result = await json.json();
+    assert.deepEqual([result.source, result.format, result.incident, result.count], ['parser', 'fields', 'Peachtree Road Race 2026', 6]);
+    assert.match(result.csv, /^10,ARES TAC 1,/m);
+
+    const pdf = await fetch(`${base}/api/ics205`, { method: 'POST', body: '%PDF-1.7 ...' });
+    assert.equal(pdf.status, 415);
+    assert.match((await pdf.json()).error, /pdftotext -layout/);
+
+    const empty = await fetch(`${base}/api/ics205`, { method: 'POST', body: 'Nothing to see here' });
+    assert.equal(empty.status, 422);
+    assert.equal((await fetch(`${base}/api/ics205`)).status, 405);
+    assert.equal((await fetch(`${base}/api/ics205?format=pdf`, { method: 'POST', body: 'x' })).status, 400);
+    assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+
+    // An oversized plan gets its 413 before the connection closes
+    const large = await fetch(`${base}/api/ics205`, { method: 'POST', body: 'x'.repeat(2 * 1024 * 1024) });
+    assert.equal(large.status, 413);
+    assert.equal(large.headers.get('connection'), 'close');
+    assert.match((await large.json()).error, /Plans are limited to/);
+});
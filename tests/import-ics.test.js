@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    parseICS,
+    unescapeText,
+    resolveZone,
+    toEastern,
+    parseDuration,
+    mapRRule,
+    inferType,
+    importEvents,
+    formatReport
+} = require('../scripts/import-ics');
+const { validateData, checkEventRules } = require('../scripts/validate-data');
+const fixture = require('./fixtures/events.json');
+
+const icsDir = path.join(__dirname, 'fixtures/ics');
+const TODAY = new Date(2026, 0, 1);
+
+function loadCalendars() {
+    return ['club.ics', 'races.ics'].map(file => ({ source: file, ...parseICS(fs.readFileSync(path.join(icsDir, file), 'utf8')) }));
+}
+
+test('parseICS unfolds lines, reads quoted parameters and skips VALARMs', () => {
+    const { name, events } = parseICS(fs.readFileSync(path.join(icsDir, 'club.ics'), 'utf8'));
+
+    assert.equal(name, 'Example Radio Club');
+    assert.equal(events.length, 6);
+    assert.equal(unescapeText(events[0].DESCRIPTION[0].value), 'Business meeting, then a program. Visitors welcome!\nTalk-in on 146.880.');
+    assert.equal(events[0].ORGANIZER[0].params.CN, 'Example Radio Club');
+    assert.equal(events[0].ORGANIZER[0].value, 'mailto:info@example.org');
+    assert.equal(events[0].TRIGGER, undefined);
+});
+
+test('toEastern converts UTC and other zones and keeps all-day dates', () => {
+    assert.deepEqual(toEastern('20260207T150000Z'), { date: '2026-02-07', time: '10:00' });
+    assert.deepEqual(toEastern('20260704T140000Z'), { date: '2026-07-04', time: '10:00' });
+    assert.deepEqual(toEastern('20260315T060000', { TZID: 'Central Standard Time' }), { date: '2026-03-15', time: '07:00' });
+    assert.deepEqual(toEastern('20260120T193000', { TZID: '/mozilla.org/20070129_1/America/New_York' }), { date: '2026-01-20', time: '19:30' });
+    assert.deepEqual(toEastern('20260627', { VALUE: 'DATE' }), { date: '2026-06-27', time: null });
+    // Late evening UTC is still the previous day in Atlanta
+    assert.deepEqual(toEastern('20260101T030000Z'), { date: '2025-12-31', time: '22:00' });
+
+    const warnings = [];
+    assert.deepEqual(toEastern('20260120T193000', { TZID: 'Somewhere Odd' }, message => warnings.push(message)), { date: '2026-01-20', time: '19:30' });
+    assert.match(warnings[0], /unknown TZID/);
+    assert.equal(resolveZone('Nowhere/Special'), null);
+    assert.equal(parseDuration('PT1H30M'), 90 * 60 * 1000);
+    assert.equal(parseDuration('P1W'), 7 * 86400 * 1000);
+});
+
+test('mapRRule maps what recurrence can express and rejects the rest', () => {
+    const start = { date: '2026-01-20', time: '19:30' };
+    assert.deepEqual(mapRRule('FREQ=MONTHLY;BYDAY=3TU', start).recurrence, { frequency: 'monthly', byDay: ['TU'], weekOfMonth: 3 });
+    assert.deepEqual(mapRRule('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=-1', start).recurrence, { frequency: 'monthly', byDay: ['TU'], weekOfMonth: -1 });
+    assert.deepEqual(mapRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TH,TU;UNTIL=20261231T045959Z', start).recurrence,
+        { frequency: 'weekly', interval: 2, byDay: ['TU', 'TH'], until: '2026-12-30' });
+    assert.deepEqual(mapRRule('FREQ=DAILY;BYDAY=MO,WE,FR;COUNT=10', start).recurrence, { frequency: 'weekly', byDay: ['MO', 'WE', 'FR'], count: 10 });
+    assert.deepEqual(mapRRule('FREQ=YEARLY;BYMONTH=1', start).recurrence, { frequency: 'yearly' });
+
+    assert.match(mapRRule('FREQ=MONTHLY;BYMONTHDAY=1,15', start).error, /BYMONTHDAY/);
+    assert.match(mapRRule('FREQ=HOURLY', start).error, /HOURLY/);
+    assert.match(mapRRule('FREQ=WEEKLY;BYHOUR=9', start).error, /BYHOUR/);
+    assert.match(mapRRule('FREQ=MONTHLY;BYDAY=1TU,3TH', start).error, /mixes/);
+    assert.match(mapRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,SU', start).error, /needs WKST=SU/);
+    assert.deepEqual(mapRRule('FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=SA,SU', start).recurrence,
+        { frequency: 'weekly', interval: 2, byDay: ['SA', 'SU'] });
+});
+
+test('inferType tries the title before the description and falls back', () => {
+    assert.deepEqual(inferType('Riverside Half Marathon', null), { type: 'public-service', guessed: false });
+    assert.deepEqual(inferType('Field Day Operating', null), { type: 'activity', guessed: false });
+    assert.deepEqual(inferType('Spring Gathering', 'Bring a dish; skywarn class after'), { type: 'training', guessed: false });
+    assert.deepEqual(inferType('Spring Gathering', null, 'activity'), { type: 'activity', guessed: true });
+});
+
+test('importEvents maps events, skips duplicates and past events, and uses the next ids', () => {
+    const result = importEvents(loadCalendars(), fixture.events, { today: TODAY, organizer: 'Example Radio Club', clubId: 'example-radio-club' });
+    const byTitle = title => result.added.find(entry => entry.event.title === title);
+
+    assert.deepEqual(result.added.map(entry => entry.event.id), [6, 7, 8, 9, 10]);
+    assert.equal(result.events.length, fixture.events.length + 5);
+
+    const meeting = byTitle('Monthly Club Meeting').event;
+    assert.deepEqual(
+        { ...meeting, recurrence: { ...meeting.recurrence, byDay: [...meeting.recurrence.byDay], exceptions: [...meeting.recurrence.exceptions] } },
+        {
+            id: 6,
+            title: 'Monthly Club Meeting',
+            type: 'meeting',
+            startDate: '2026-01-20',
+            endDate: null,
+            startTime: '19:30',
+            endTime: '21:00',
+            eventLocation: 'Fellowship Hall, First Church, Decatur, GA',
+            eventDescription: 'Business meeting, then a program. Visitors welcome!\nTalk-in on 146.880.',
+            eventOrganizer: 'Example Radio Club',
+            clubId: 'example-radio-club',
+            eventUrl: null,
+            hamCoordinator: null,
+            hamCoordinatorUrl: null,
+            volunteerSignUpUrl: null,
+            notes: null,
+            // EXDATE plus the cancelled RECURRENCE-ID occurrence
+            recurrence: { frequency: 'monthly', byDay: ['TU'], weekOfMonth: 3, exceptions: ['2026-03-17', '2026-04-21'] },
+            importUid: 'monthly-meeting@example.org'
+        }
+    );
+
+    const fieldDay = byTitle('Field Day').event;
+    assert.equal(fieldDay.type, 'activity');
+    assert.equal(fieldDay.endDate, '2026-06-28', 'DTEND is exclusive');
+    assert.equal(fieldDay.eventUrl, 'https://example.org/field-day');
+
+    assert.deepEqual([byTitle('VE Exam Session').event.startTime, byTitle('VE Exam Session').event.endTime], ['10:00', '12:00']);
+
+    const coffee = byTitle('Coffee & Eyeball QSO');
+    assert.equal(coffee.event.endTime, '09:30', 'DURATION');
+    assert.equal(coffee.event.recurrence, undefined);
+    assert.match(coffee.warnings[0], /BYMONTHDAY=1,15 is not supported/);
+
+    const race = byTitle('Riverside Half Marathon').event;
+    assert.equal(race.eventLocation, 'Riverside Park, Columbus, GA');
+    assert.equal(race.eventDescription, 'Course support needed at water stops.\nThanks !');
+    assert.equal(race.status, 'tentative');
+    assert.deepEqual([race.startTime, race.endTime], ['07:00', '12:00']);
+
+    assert.deepEqual([...result.duplicates.map(({ title, id, reason }) => [title, id, reason])], [
+        ['Peachtree Road Race', 1, 'title and date'],
+        ['Parks on the Air Weekend', 3, 'UID']
+    ]);
+    assert.deepEqual([...result.skipped.map(({ title, reason }) => [title, reason])], [
+        ['October Meeting', 'already over (2025-10-14)'],
+        ['Spring Century Ride', 'cancelled in the source calendar']
+    ]);
+
+    const errors = validateData({ events: result.events }, require('../data/events.schema.json'), checkEventRules);
+    assert.deepEqual(errors, []);
+});
+
+test('importing the same calendar again adds nothing', () => {
+    const first = importEvents(loadCalendars(), fixture.events, { today: TODAY });
+    const second = importEvents(loadCalendars(), first.events, { today: TODAY });
+
+    assert.equal(second.added.length, 0);
+    assert.ok(second.duplicates.filter(duplicate => duplicate.reason === 'UID').length >= 5);
+});
+
+test('formatReport lists additions for review, then duplicates and skips', () => {
+    const report = formatReport(importEvents(loadCalendars(), fixture.events, { today: TODAY }));
+
+    assert.match(report, /^\+ event 6: Monthly Club Meeting \(2026-01-20\) from club\.ics\n\+ {3}\{/);
+    assert.match(report, /^\+ {5}"importUid": "monthly-meeting@example\.org"$/m);
+    assert.match(report, /⚠ RRULE FREQ=MONTHLY;BYMONTHDAY=1,15/);
+    assert.match(report, /^= Peachtree Road Race \(2026-07-04\) from races\.ics is event 1 \(same title and date\)$/m);
+    assert.match(report, /^- Spring Century Ride from races\.ics: cancelled in the source calendar$/m);
+});
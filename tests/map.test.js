@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createProjection, pickScaleBar, renderMap, mapLink } = require('../js/map');
+
+const downtown = { lat: 33.749, lon: -84.388 };
+const athens = { lat: 33.9519, lon: -83.3576 };
+
+test('createProjection fits the points inside the padded canvas, north up', () => {
+    const { project, contains } = createProjection([downtown, athens], { width: 800, height: 500, padding: 40 });
+    const west = project(downtown.lat, downtown.lon);
+    const east = project(athens.lat, athens.lon);
+
+    // The east-west span is the limiting one, so it fills the width exactly
+    assert.ok(Math.abs(west.x - 40) < 0.01);
+    assert.ok(Math.abs(east.x - 760) < 0.01);
+    assert.ok(east.y < west.y);
+    assert.equal(contains(downtown.lat, downtown.lon), true);
+    assert.equal(contains(39.68, -83.93), false);
+});
+
+test('createProjection keeps a single point centered with a minimum area around it', () => {
+    const { project, pixelsPerMile } = createProjection([downtown], { width: 800, height: 500, padding: 40 });
+    assert.deepEqual(project(downtown.lat, downtown.lon), { x: 400, y: 250 });
+    assert.ok(Number.isFinite(pixelsPerMile) && pixelsPerMile > 0);
+});
+
+test('pickScaleBar uses the longest round distance that fits', () => {
+    assert.deepEqual(pickScaleBar(10, 160), { miles: 10, pixels: 100 });
+    assert.equal(pickScaleBar(0.5, 160).miles, 200);
+    assert.equal(pickScaleBar(1000, 160).miles, 1);
+});
+
+test('renderMap draws markers with counts and labels only landmarks inside the map', () => {
+    const svg = renderMap({
+        markers: [
+            { ...downtown, color: '#3b82f6', title: 'Race <5K>', count: 1, onclick: 'showEventModal(3)' },
+            { ...athens, color: '#f97316', title: 'Hamfest', count: 3, active: true }
+        ],
+        landmarks: [{ lat: 33.7748, lon: -84.2963, name: 'Decatur' }, { lat: 39.7589, lon: -84.1916, name: 'Dayton' }],
+        label: 'Upcoming events'
+    });
+
+    assert.match(svg, /aria-label="Upcoming events"/);
+    assert.match(svg, /<title>Race &lt;5K&gt;<\/title>/);
+    assert.match(svg, /onclick='showEventModal\(3\)'/);
+    assert.match(svg, /class="map-marker active"[\s\S]*?map-marker-count[^>]*>3</);
+    assert.match(svg, />Decatur</);
+    assert.doesNotMatch(svg, /Dayton/);
+    assert.match(svg, /\d+ mi<\/text>/);
+    assert.equal(renderMap({ markers: [] }), '');
+});
+
+test('mapLink points OpenStreetMap at the coordinates', () => {
+    assert.equal(mapLink(33.749, -84.388), 'https://www.openstreetmap.org/?mlat=33.749&mlon=-84.388#map=16/33.749/-84.388');
+});
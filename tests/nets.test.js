@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const {
+    easternTime,
+    occursOn,
+    nextSession,
+    getNetStatus,
+    sortNets,
+    describeSchedule,
+    describeFrequency
+} = require('../js/nets');
+const { validateData, checkNetRules, checkClubReferences } = require('../scripts/validate-data');
+const { loadCalendar } = require('./helpers/browser');
+const netsData = require('../data/nets.json');
+const netsSchema = require('../data/nets.schema.json');
+const clubsData = require('../data/clubs.json');
+
+const nets = [
+    {
+        id: 'monday-night-net',
+        name: 'Monday Night Net',
+        schedule: { days: ['MO'], time: '20:00' },
+        repeater: 'W4DOC',
+        frequency: 146.88,
+        offset: -0.6,
+        tone: 146.2,
+        mode: 'FM',
+        clubId: 'cherokee-amateur-radio-society'
+    },
+    {
+        id: 'ares-training-net',
+        name: 'ARES Training Net',
+        schedule: { days: ['MO'], time: '19:00', duration: 60 },
+        frequency: 147.42,
+        mode: 'FM',
+        clubId: 'cherokee-county-ares'
+    },
+    {
+        id: 'dmr-tech-net',
+        name: 'DMR Tech Net',
+        schedule: { days: ['TU', 'TH'], time: '21:00', duration: 30 },
+        repeater: 'KQ4AAA',
+        frequency: 444.8,
+        offset: 5,
+        mode: 'DMR',
+        talkgroup: '31131'
+    },
+    {
+        id: 'late-night-net',
+        name: 'Late Night Ragchew',
+        schedule: { days: ['SA'], time: '23:30', duration: 120 },
+        frequency: 28.4,
+        mode: 'SSB',
+        notes: 'Informal; all are welcome'
+    },
+    {
+        id: 'second-tuesday-net',
+        name: 'Second Tuesday Net',
+        schedule: { days: ['TU'], weekOfMonth: 2, time: '19:30', duration: 30 },
+        frequency: 145.47,
+        mode: 'FM'
+    }
+];
+const byId = id => nets.find(net => net.id === id);
+
+// Monday, October 19, 2026 at 7:30pm EDT
+const MONDAY_EVENING = '2026-10-19T23:30:00Z';
+
+test('the bundled nets file and the fixture validate', () => {
+    assert.deepEqual(validateData(netsData, netsSchema, checkNetRules), []);
+    const errors = validateData({ nets }, netsSchema, checkNetRules);
+    checkClubReferences({ nets }, clubsData, errors, 'nets');
+    assert.deepEqual(errors, []);
+});
+
+test('checkNetRules and checkClubReferences catch duplicates, stray fields and unknown clubs', () => {
+    const broken = JSON.parse(JSON.stringify(nets));
+    broken[1].id = 'monday-night-net';
+    broken[1].tone = 100;
+    broken[3].talkgroup = '91';
+    broken[4].clubId = 'no-such-club';
+
+    const errors = validateData({ nets: broken }, netsSchema, checkNetRules);
+    checkClubReferences({ nets: broken }, clubsData, errors, 'nets');
+    assert.deepEqual(errors.map(error => `${error.pointer}: ${error.message}`), [
+        '/nets/1/id: duplicate id "monday-night-net" (also at /nets/0)',
+        '/nets/1: "offset" and "tone" describe a repeater; add "repeater" too',
+        '/nets/3/talkgroup: is only used on digital nets (mode is "SSB")',
+        '/nets/4/clubId: unknown club "no-such-club" (no club with that id in data/clubs.json)'
+    ]);
+});
+
+test('easternTime and occursOn work in Eastern dates across DST', () => {
+    assert.deepEqual(easternTime(new Date(MONDAY_EVENING)), { dateKey: '2026-10-19', minutes: 19 * 60 + 30 });
+    // 00:30 UTC on November 3 is still November 2 in Eastern Standard Time
+    assert.deepEqual(easternTime(new Date('2026-11-03T00:30:00Z')), { dateKey: '2026-11-02', minutes: 19 * 60 + 30 });
+
+    const secondTuesday = { days: ['TU'], weekOfMonth: 2, time: '19:30' };
+    assert.equal(occursOn(secondTuesday, '2026-10-13'), true);
+    assert.equal(occursOn(secondTuesday, '2026-10-06'), false);
+    const lastFriday = { days: ['FR'], weekOfMonth: -1, time: '20:00' };
+    assert.equal(occursOn(lastFriday, '2026-10-30'), true);
+    assert.equal(occursOn(lastFriday, '2026-10-23'), false);
+});
+
+test('getNetStatus marks nets on the air and starting within the hour', () => {
+    const status = now => Object.fromEntries(nets.map(net => [net.id, getNetStatus(net, new Date(now))]));
+    assert.deepEqual(status(MONDAY_EVENING), {
+        'monday-night-net': 'soon',
+        'ares-training-net': 'live',
+        'dmr-tech-net': 'later',
+        'late-night-net': 'later',
+        'second-tuesday-net': 'later'
+    });
+    assert.deepEqual(nextSession(byId('ares-training-net'), new Date(MONDAY_EVENING)), { dateKey: '2026-10-19', startsIn: -30, endsIn: 30 });
+    assert.deepEqual(nextSession(byId('second-tuesday-net'), new Date(MONDAY_EVENING)).dateKey, '2026-11-10');
+
+    // Saturday 11pm EST: starts within the hour; Sunday 12:45am: still on from Saturday night
+    const late = byId('late-night-net');
+    assert.equal(getNetStatus(late, new Date('2026-11-08T04:00:00Z')), 'soon');
+    assert.deepEqual(nextSession(late, new Date('2026-11-08T05:45:00Z')), { dateKey: '2026-11-07', startsIn: -75, endsIn: 45 });
+    assert.equal(getNetStatus(late, new Date('2026-11-08T06:30:00Z')), 'later');
+});
+
+test('status does not depend on the viewer\'s time zone', () => {
+    const script = `
+        const { getNetStatus } = require(${JSON.stringify(path.join(__dirname, '../js/nets'))});
+        const nets = ${JSON.stringify(nets)};
+        console.log(JSON.stringify(nets.map(net => getNetStatus(net, new Date(${JSON.stringify(MONDAY_EVENING)})))));
+    `;
+    const statuses = ['UTC', 'Pacific/Auckland', 'America/Los_Angeles'].map(zone =>
+        execFileSync(process.execPath, ['-e', script], { env: { ...process.env, TZ: zone }, encoding: 'utf8' }).trim());
+    assert.deepEqual(statuses, Array(3).fill('["soon","live","later","later","later"]'));
+});
+
+test('sortNets, describeSchedule and describeFrequency', () => {
+    const now = new Date(MONDAY_EVENING);
+    const order = key => sortNets(nets, key, now).map(net => net.id);
+    assert.deepEqual(order('next'), ['ares-training-net', 'monday-night-net', 'dmr-tech-net', 'late-night-net', 'second-tuesday-net']);
+    assert.deepEqual(order('name'), ['ares-training-net', 'dmr-tech-net', 'late-night-net', 'monday-night-net', 'second-tuesday-net']);
+    assert.deepEqual(order('frequency'), ['late-night-net', 'second-tuesday-net', 'monday-night-net', 'ares-training-net', 'dmr-tech-net']);
+    assert.deepEqual(order('day'), ['ares-training-net', 'monday-night-net', 'second-tuesday-net', 'dmr-tech-net', 'late-night-net']);
+
+    assert.equal(describeSchedule(byId('monday-night-net').schedule), 'Mondays, 8pm–9pm ET');
+    assert.equal(describeSchedule(byId('dmr-tech-net').schedule), 'Tuesdays, Thursdays, 9pm–9:30pm ET');
+    assert.equal(describeSchedule(byId('late-night-net').schedule), 'Saturdays, 11:30pm–1:30am ET');
+    assert.equal(describeSchedule(byId('second-tuesday-net').schedule), '2nd Tuesday, 7:30pm–8pm ET');
+
+    assert.equal(describeFrequency(byId('monday-night-net')), '146.880 MHz (−0.6 MHz, 146.2 Hz)');
+    assert.equal(describeFrequency(byId('dmr-tech-net')), '444.800 MHz (+5 MHz, TG 31131)');
+    assert.equal(describeFrequency(byId('late-night-net')), '28.400 MHz');
+});
+
+test('the page renders the directory, re-sorts and links net control clubs', async () => {
+    const page = loadCalendar({
+        now: MONDAY_EVENING,
+        url: '/pages/nets.html',
+        files: {
+            '../data/nets.json': { nets },
+            '../data/clubs.json': clubsData
+        },
+        scripts: ['js/calendar-core.js', 'js/radio-core.js', 'js/nets.js']
+    });
+    const directory = page.context.window.NetsDirectory;
+    await directory.loadNets();
+
+    const container = page.document.getElementById('netsContainer');
+    const rowIds = () => [...container.innerHTML.matchAll(/<tr class="net-row[^"]*" id="net-([^"]+)"/g)].map(match => match[1]);
+    assert.match(container.innerHTML, /1 on the air now, 1 starting within the hour/);
+    assert.match(container.innerHTML, /<tr class="net-row net-live" id="net-ares-training-net">/);
+    assert.match(container.innerHTML, /<span class="net-badge net-badge-soon">Soon<\/span>/);
+    assert.match(container.innerHTML, /Starts in 30 min/);
+    assert.match(container.innerHTML, /<a href="\.\.\/pages\/clubs\.html#club-cherokee-amateur-radio-society">Cherokee Amateur Radio Society \(CARS\)<\/a>/);
+    assert.equal(rowIds()[0], 'ares-training-net');
+
+    directory.sortBy('frequency');
+    assert.equal(rowIds()[0], 'late-night-net');
+    assert.match(container.innerHTML, /class="net-sort active" onclick="NetsDirectory\.sortBy\('frequency'\)"/);
+
+    const empty = loadCalendar({
+        url: '/pages/nets.html',
+        files: { '../data/nets.json': { nets: [] } },
+        scripts: ['js/calendar-core.js', 'js/radio-core.js', 'js/nets.js']
+    });
+    await empty.context.window.NetsDirectory.loadNets();
+    assert.match(empty.document.getElementById('netsContainer').innerHTML, /No nets are listed yet/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CHIRP_COLUMNS, formatRepeater, indexClubs, csvCell, toCSV, writeChirpCSV } = require('../js/radio-core');
+
+test('formatRepeater describes the split, tone and notes', () => {
+    assert.equal(formatRepeater({ frequency: 146.88, offset: -0.6, tone: 103.5 }), '146.880 MHz −0.6 MHz, 103.5 Hz tone');
+    assert.equal(formatRepeater({ frequency: 444.5, offset: 5, notes: 'linked' }), '444.500 MHz +5 MHz (linked)');
+    assert.equal(formatRepeater({ frequency: 145.51 }), '145.510 MHz');
+});
+
+test('indexClubs keys every county\'s clubs by id', () => {
+    const clubs = indexClubs({ counties: [{ clubs: [{ id: 'a' }] }, { clubs: [{ id: 'b' }] }, {}] });
+    assert.deepEqual(Object.keys(clubs), ['a', 'b']);
+    assert.deepEqual(indexClubs(null), {});
+});
+
+test('toCSV quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(csvCell('plain'), 'plain');
+    assert.equal(csvCell('a, b'), '"a, b"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('line\rbreak'), '"line\rbreak"');
+    assert.equal(csvCell(null), '');
+    assert.equal(toCSV(['A', 'B'], [{ A: 1 }]), 'A,B\r\n1,\r\n');
+});
+
+test('writeChirpCSV derives duplex, tone mode and step for each memory', () => {
+    const csv = writeChirpCSV([
+        { name: 'W4ABC', frequency: 146.88, mode: 'FM', offset: -0.6, tone: 103.5 },
+        { name: 'TSQL', frequency: 444.5, mode: 'FM', offset: 5, tone: 100, toneSquelch: true, step: 12.5 },
+        { name: 'SIMPLEX', frequency: 446, mode: 'NFM', comment: 'calling, simplex' }
+    ], { start: 10 });
+    const [header, ...rows] = csv.trim().split('\r\n');
+    assert.equal(header, CHIRP_COLUMNS.join(','));
+    const cells = rows.map(row => Object.fromEntries(row.match(/("[^"]*"|[^,]*)(,|$)/g)
+        .slice(0, CHIRP_COLUMNS.length)
+        .map((cell, i) => [CHIRP_COLUMNS[i], cell.replace(/,$/, '')])));
+    assert.deepEqual(cells.map(row => row.Location), ['10', '11', '12']);
+    assert.deepEqual(cells.map(row => row.Duplex), ['-', '+', '']);
+    assert.deepEqual(cells.map(row => row.Offset), ['0.600000', '5.000000', '0.000000']);
+    assert.deepEqual(cells.map(row => row.Tone), ['Tone', 'TSQL', '']);
+    assert.deepEqual(cells.map(row => row.rToneFreq), ['103.5', '100.0', '88.5']);
+    assert.deepEqual(cells.map(row => row.cToneFreq), ['88.5', '100.0', '88.5']);
+    assert.deepEqual(cells.map(row => row.TStep), ['5.00', '12.50', '5.00']);
+    assert.equal(cells[2].Comment, '"calling, simplex"');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getFeedItems, buildRSS, buildAtom, buildJSONFeed } = require('../scripts/reader-feeds');
+const { generateFeeds } = require('../scripts/generate-calendar');
+const { normalizeEvent } = require('../js/calendar-core');
+const fixture = require('./fixtures/events.json');
+
+// "Today" for these tests: Thursday, January 1, 2026, mid-morning
+const TODAY = new Date(2026, 0, 1);
+const NOW = new Date(Date.UTC(2026, 0, 1, 15, 0, 0));
+const raw = id => fixture.events.find(event => event.id === id);
+
+function tracked(id, lastModified, options = {}) {
+    return { event: normalizeEvent({ ...raw(id), ...options.changes }), sequence: options.sequence || 0, lastModified, removed: !!options.removed };
+}
+
+test('getFeedItems orders upcoming events by their last change and marks each one', () => {
+    const items = getFeedItems([
+        tracked(1, '2025-12-01T00:00:00.000Z'),
+        tracked(2, '2025-12-20T00:00:00.000Z', { sequence: 2 }),
+        tracked(3, '2025-12-10T00:00:00.000Z', { removed: true }),
+        tracked(4, '2025-12-10T00:00:00.000Z', { changes: { status: 'cancelled' } }),
+        tracked(5, '2025-12-31T00:00:00.000Z')
+    ], TODAY);
+
+    // Event 5 ended in November; 3 and 4 changed at the same time, so go by date
+    assert.deepEqual(items.map(item => [item.event.id, item.change]),
+        [[2, 'updated'], [4, 'cancelled'], [3, 'cancelled'], [1, 'new']]);
+});
+
+test('getFeedItems shows the next occurrence of a recurring event', () => {
+    const [item] = getFeedItems([tracked(4, '2025-12-01T00:00:00.000Z')], new Date(2026, 0, 14));
+    assert.equal(item.event.startDate.getMonth(), 1, 'the February meeting');
+});
+
+test('the three formats share stable ids and deep links', () => {
+    const items = getFeedItems([tracked(1, '2025-12-01T00:00:00.000Z'), tracked(2, '2025-12-20T00:00:00.000Z', { sequence: 1 })], TODAY);
+    const rss = buildRSS(items, NOW);
+    const atom = buildAtom(items, NOW);
+    const json = JSON.parse(buildJSONFeed(items));
+
+    assert.match(rss, /<guid isPermaLink="false">tag:atlantahamradio\.org,2025:event-1<\/guid>/);
+    assert.match(rss, /<link>https:\/\/atlantahamradio\.org\/index\.html#event=1<\/link>/);
+    assert.match(rss, /<title>Updated: Month Boundary Hamfest \(Jan 31, 2026\)<\/title>/);
+    assert.match(rss, /<lastBuildDate>Sat, 20 Dec 2025 00:00:00 GMT<\/lastBuildDate>/);
+    assert.match(rss, /<pubDate>Mon, 01 Dec 2025 00:00:00 GMT<\/pubDate>/);
+
+    assert.match(atom, /<id>tag:atlantahamradio\.org,2025:event-1<\/id>/);
+    assert.match(atom, /<updated>2025-12-20T00:00:00\.000Z<\/updated>\n {2}<author>/);
+    assert.match(atom, /<content type="html">&lt;p&gt;When: /);
+
+    assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+    assert.deepEqual(json.items.map(item => item.id), ['tag:atlantahamradio.org,2025:event-2', 'tag:atlantahamradio.org,2025:event-1']);
+    assert.equal(json.items[1].url, 'https://atlantahamradio.org/index.html#event=1');
+    assert.match(json.items[1].content_text, /Volunteer sign-up: https:\/\/example\.org\/volunteer\?id=1/);
+    assert.deepEqual(json.items[0]._event.startDate, '2026-01-31');
+    assert.equal(json.items[0]._event.change, 'updated');
+});
+
+test('generateFeeds writes the reader feeds from its change tracking', () => {
+    const first = generateFeeds(fixture.events, { now: NOW });
+    assert.deepEqual(first.readerFeeds.map(feed => feed.file), ['feeds/upcoming.rss', 'feeds/upcoming.atom', 'feeds/upcoming.json']);
+
+    const edited = fixture.events.map(event => event.id === 3 ? { ...event, notes: 'Bring a spare battery' } : event);
+    const later = new Date(Date.UTC(2026, 0, 2, 15, 0, 0));
+    const second = generateFeeds(edited, { previousState: first.state, now: later });
+    const items = JSON.parse(second.readerFeeds[2].content).items;
+
+    assert.equal(items[0].title, 'Updated: Georgia Parks on the Air (Apr 18, 2026)');
+    assert.equal(items[0].date_modified, later.toISOString());
+    assert.ok(items.slice(1).every(item => item._event.change === 'new'));
+
+    // Nothing changed: the same bytes, so the workflow has nothing to commit
+    const third = generateFeeds(edited, { previousState: second.state, now: later });
+    assert.deepEqual(third.readerFeeds, second.readerFeeds);
+});
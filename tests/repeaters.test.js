@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    bandOf,
+    inputFrequency,
+    filterRepeaters,
+    filterChoices,
+    toChirpCSV,
+    toICS205CSV,
+    renderICS205Table
+} = require('../js/repeaters');
+const { indexClubs } = require('../js/radio-core');
+const { validateData, checkRepeaterRules, checkClubReferences } = require('../scripts/validate-data');
+const { parseICS205 } = require('../worker/lib/ics205');
+const chirp = require('../worker/lib/chirp');
+const { loadCalendar } = require('./helpers/browser');
+const repeatersData = require('../data/repeaters.json');
+const repeatersSchema = require('../data/repeaters.schema.json');
+const clubsData = require('../data/clubs.json');
+
+const repeaters = [
+    {
+        id: 'w4xyz-146880',
+        callsign: 'W4XYZ',
+        frequency: 146.88,
+        offset: -0.6,
+        tone: 146.2,
+        toneSquelch: true,
+        modes: ['FM'],
+        location: 'Canton',
+        county: 'Cherokee County',
+        clubId: 'cherokee-amateur-radio-society'
+    },
+    {
+        id: 'kq4abc-444800',
+        callsign: 'KQ4ABC',
+        frequency: 444.8,
+        offset: 5,
+        modes: ['DMR'],
+        colorCode: 1,
+        location: 'Atlanta',
+        county: 'Fulton County'
+    },
+    {
+        id: 'n4def-442100',
+        callsign: 'N4DEF',
+        frequency: 442.1,
+        offset: 5,
+        tone: 100,
+        modes: ['FM', 'Fusion'],
+        location: 'Decatur',
+        county: 'DeKalb County',
+        notes: 'Wires-X room 12345'
+    },
+    {
+        id: 'w4ghi-145130',
+        callsign: 'W4GHI',
+        frequency: 145.13,
+        offset: -0.6,
+        modes: ['D-STAR'],
+        location: 'Lawrenceville',
+        county: 'Gwinnett County'
+    },
+    {
+        id: 'k4jkl-224500',
+        callsign: 'K4JKL',
+        frequency: 224.5,
+        offset: -1.6,
+        tone: 131.8,
+        modes: ['FM'],
+        location: 'Woodstock',
+        county: 'Cherokee County',
+        clubId: 'cherokee-amateur-radio-society'
+    }
+];
+const ids = list => list.map(repeater => repeater.id);
+
+test('the bundled repeaters file and the fixture validate', () => {
+    assert.deepEqual(validateData(repeatersData, repeatersSchema, checkRepeaterRules), []);
+    const errors = validateData({ repeaters }, repeatersSchema, checkRepeaterRules);
+    checkClubReferences({ repeaters }, clubsData, errors, 'repeaters');
+    assert.deepEqual(errors, []);
+});
+
+test('checkRepeaterRules catches out-of-band channels, stray tones and unknown clubs', () => {
+    const broken = JSON.parse(JSON.stringify(repeaters));
+    broken[1].id = 'w4xyz-146880';
+    broken[1].tone = 100;
+    broken[2].colorCode = 3;
+    broken[3].frequency = 148.2;
+    broken[4].offset = -5;
+    broken[4].lat = 34.1;
+    broken[4].clubId = 'no-such-club';
+
+    const errors = validateData({ repeaters: broken }, repeatersSchema, checkRepeaterRules);
+    checkClubReferences({ repeaters: broken }, clubsData, errors, 'repeaters');
+    assert.deepEqual(errors.map(error => `${error.pointer}: ${error.message}`), [
+        '/repeaters/1/id: duplicate id "w4xyz-146880" (also at /repeaters/0)',
+        '/repeaters/1/tone: CTCSS tones are only used on FM repeaters',
+        '/repeaters/2/colorCode: color codes are only used on DMR repeaters',
+        '/repeaters/3/frequency: 148.2 is not in an amateur band repeaters use',
+        '/repeaters/4/offset: input 219.5 is outside the 1.25 m band',
+        '/repeaters/4: needs both "lat" and "lon"',
+        '/repeaters/4/clubId: unknown club "no-such-club" (no club with that id in data/clubs.json)'
+    ]);
+});
+
+test('filterRepeaters narrows by band, mode, county and club', () => {
+    assert.equal(bandOf(442.1).id, '70cm');
+    assert.equal(bandOf(148.2), null);
+    assert.equal(inputFrequency(repeaters[0]), 146.28);
+
+    assert.deepEqual(ids(filterRepeaters(repeaters, { band: '70cm' })), ['kq4abc-444800', 'n4def-442100']);
+    assert.deepEqual(ids(filterRepeaters(repeaters, { mode: 'FM' })), ['w4xyz-146880', 'n4def-442100', 'k4jkl-224500']);
+    assert.deepEqual(ids(filterRepeaters(repeaters, { mode: 'Fusion', band: '70cm' })), ['n4def-442100']);
+    assert.deepEqual(ids(filterRepeaters(repeaters, { county: 'Cherokee County', band: '2m' })), ['w4xyz-146880']);
+    assert.deepEqual(ids(filterRepeaters(repeaters, { clubId: 'cherokee-amateur-radio-society' })), ['w4xyz-146880', 'k4jkl-224500']);
+    assert.equal(filterRepeaters(repeaters).length, 5);
+
+    const choices = filterChoices(repeaters);
+    assert.deepEqual(choices.band.map(band => band.id), ['2m', '1.25m', '70cm']);
+    assert.deepEqual(choices.mode, ['FM', 'DMR', 'Fusion', 'D-STAR']);
+    assert.deepEqual(choices.county, ['Cherokee County', 'DeKalb County', 'Fulton County', 'Gwinnett County']);
+    assert.deepEqual(choices.clubId, ['cherokee-amateur-radio-society']);
+});
+
+test('toChirpCSV programs FM, Fusion and D-STAR repeaters and leaves out DMR', () => {
+    const result = toChirpCSV(repeaters);
+    assert.equal(result.csv, [
+        'Location,Name,Frequency,Duplex,Offset,Tone,rToneFreq,cToneFreq,DtcsCode,DtcsPolarity,RxDtcsCode,CrossMode,Mode,TStep,Skip,Power,Comment,URCALL,RPT1CALL,RPT2CALL,DVCODE',
+        '1,W4XYZ,146.880000,-,0.600000,TSQL,146.2,146.2,023,NN,023,Tone->Tone,FM,5.00,,,Canton,,,,',
+        '2,N4DEF,442.100000,+,5.000000,Tone,100.0,88.5,023,NN,023,Tone->Tone,FM,5.00,,,Decatur / Wires-X room 12345,,,,',
+        '3,W4GHI,145.130000,-,0.600000,,88.5,88.5,023,NN,023,Tone->Tone,DV,5.00,,,Lawrenceville,CQCQCQ,W4GHI  C,W4GHI  G,',
+        '4,K4JKL,224.500000,-,1.600000,Tone,131.8,88.5,023,NN,023,Tone->Tone,FM,5.00,,,Woodstock,,,,'
+    ].join('\r\n') + '\r\n');
+    assert.equal(result.count, 4);
+    assert.deepEqual(result.warnings, ['KQ4ABC 444.800: DMR-only repeaters are left out; program them with your radio\'s codeplug software']);
+    assert.match(toChirpCSV(repeaters.slice(2, 3), { start: 20 }).csv, /^20,N4DEF,/m);
+});
+
+test('the ICS-205 list reads back through the ICS-205 worker', () => {
+    const clubs = indexClubs(clubsData);
+    const csv = toICS205CSV(repeaters, { clubs });
+    assert.equal(csv.split('\r\n')[0], 'Ch #,Function,Channel Name/Trunked Radio System Talkgroup,Assignment,RX Freq N or W,RX Tone/NAC,TX Freq N or W,TX Tone/NAC,"Mode (A, D, or M)",Remarks');
+    assert.equal(csv.split('\r\n')[1], '1,Repeater,W4XYZ,"Canton, Cherokee County",146.8800 W,146.2,146.2800 W,146.2,A,FM; Cherokee Amateur Radio Society (CARS)');
+    assert.equal(csv.split('\r\n')[2], '2,Repeater,KQ4ABC,"Atlanta, Fulton County",444.8000 N,,449.8000 N,,D,DMR; CC 1');
+
+    const parsed = parseICS205(csv);
+    assert.deepEqual(parsed.warnings, []);
+    assert.deepEqual(parsed.channels.map(channel => [channel.name, channel.rxFreq, channel.txFreq, channel.mode]), [
+        ['W4XYZ', 146.88, 146.28, 'A'],
+        ['KQ4ABC', 444.8, 449.8, 'D'],
+        ['N4DEF', 442.1, 447.1, 'M'],
+        ['W4GHI', 145.13, 144.53, 'D'],
+        ['K4JKL', 224.5, 222.9, 'A']
+    ]);
+
+    // The worker's CHIRP file for the analog channels matches the directory's own, comments aside
+    const withoutComments = text => text.trim().split('\r\n').slice(1).map(row => row.split(',').slice(1, 14).join(','));
+    const analog = repeaters.filter(repeater => repeater.modes.includes('FM'));
+    assert.deepEqual(withoutComments(chirp.toChirpCSV(parsed.channels).csv), withoutComments(toChirpCSV(analog).csv));
+
+    const table = renderICS205Table(repeaters.slice(0, 1), { clubs, title: 'Peachtree Road Race' });
+    assert.match(table, /<h3>Peachtree Road Race<\/h3>/);
+    assert.match(table, /<td>146\.8800 W<\/td>\s*<td>146\.2<\/td>\s*<td>146\.2800 W<\/td>/);
+});
+
+test('the page filters, selects and exports repeaters', async () => {
+    const page = loadCalendar({
+        url: '/pages/repeaters.html',
+        files: {
+            '../data/repeaters.json': { repeaters },
+            '../data/clubs.json': clubsData
+        },
+        scripts: ['js/calendar-core.js', 'js/radio-core.js', 'js/repeaters.js']
+    });
+    const directory = page.context.window.RepeaterDirectory;
+    const byId = id => page.document.getElementById(id);
+    await directory.loadRepeaters();
+    const rowIds = () => [...byId('repeatersContainer').innerHTML.matchAll(/<tr class="repeater-row[^"]*" id="repeater-([^"]+)"/g)].map(match => match[1]);
+
+    assert.match(byId('repeaterFilters').innerHTML, /<option value="1\.25m">1\.25 m<\/option>/);
+    assert.match(byId('repeaterFilters').innerHTML, /<option value="cherokee-amateur-radio-society">Cherokee Amateur Radio Society \(CARS\)<\/option>/);
+    assert.equal(rowIds().length, 5);
+    assert.match(byId('repeatersContainer').innerHTML, /<a href="\.\.\/pages\/clubs\.html#club-cherokee-amateur-radio-society">/);
+    assert.match(byId('repeaterExport').innerHTML, /0 selected/);
+    assert.match(byId('repeaterExport').innerHTML, /onclick="RepeaterDirectory\.downloadChirp\(\)" disabled/);
+
+    directory.setFilter('county', 'Cherokee County');
+    directory.setFilter('band', '2m');
+    assert.deepEqual(rowIds(), ['w4xyz-146880']);
+    directory.selectShown();
+    directory.setFilter('band', '');
+    directory.toggle('k4jkl-224500');
+    assert.match(byId('repeatersContainer').innerHTML, /<tr class="repeater-row selected" id="repeater-k4jkl-224500">/);
+    assert.match(byId('repeaterExport').innerHTML, /2 selected/);
+    assert.equal((byId('repeaterExport').innerHTML.match(/<td>Repeater<\/td>/g) || []).length, 2);
+
+    directory.clearSelection();
+    directory.setFilter('county', '');
+    directory.toggle('kq4abc-444800');
+    directory.downloadChirp();
+    assert.match(byId('repeaterExport').innerHTML, /KQ4ABC 444\.800: DMR-only repeaters are left out/);
+
+    const empty = loadCalendar({
+        url: '/pages/repeaters.html',
+        files: { '../data/repeaters.json': { repeaters: [] } },
+        scripts: ['js/calendar-core.js', 'js/radio-core.js', 'js/repeaters.js']
+    });
+    await empty.context.window.RepeaterDirectory.loadRepeaters();
+    assert.match(empty.document.getElementById('repeatersContainer').innerHTML, /No repeaters are listed yet/);
+});
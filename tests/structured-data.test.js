@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { easternOffset, eventToJSONLD, getStructuredEvents, injectStructuredData } = require('../scripts/structured-data');
+const { normalizeEvent } = require('../js/calendar-core');
+const fixture = require('./fixtures/events.json');
+
+// "Today" for these tests: Thursday, January 1, 2026, mid-morning
+const TODAY = new Date(2026, 0, 1, 10, 0, 0);
+const events = fixture.events.map(normalizeEvent);
+const byId = id => events.find(event => event.id === id);
+const clubs = [{ id: 'alford-memorial-radio-club', name: 'Alford Memorial Radio Club', website: 'https://example.org/alford' }];
+
+test('easternOffset follows US daylight saving time, whatever the local timezone', t => {
+    const originalTZ = process.env.TZ;
+    t.after(() => { process.env.TZ = originalTZ; });
+
+    for (const tz of ['America/New_York', 'Pacific/Auckland', 'UTC']) {
+        process.env.TZ = tz;
+        assert.equal(easternOffset(new Date(2026, 6, 4), '07:00'), '-04:00', tz);
+        assert.equal(easternOffset(new Date(2026, 0, 13), '19:30'), '-05:00', tz);
+        // 2026 switches on March 8 and November 1, at 2am
+        assert.equal(easternOffset(new Date(2026, 2, 8), '01:59'), '-05:00', tz);
+        assert.equal(easternOffset(new Date(2026, 2, 8), '03:00'), '-04:00', tz);
+        assert.equal(easternOffset(new Date(2026, 10, 1), '01:00'), '-04:00', tz);
+        assert.equal(easternOffset(new Date(2026, 10, 1), '02:00'), '-05:00', tz);
+    }
+});
+
+test('eventToJSONLD maps times, location and the volunteer sign-up', () => {
+    const item = eventToJSONLD(byId(1));
+
+    assert.equal(item['@type'], 'Event');
+    assert.equal(item.name, 'Peachtree Road Race');
+    assert.equal(item.url, 'https://atlantahamradio.org/events/1.html');
+    assert.match(item.startDate, /^2026-07-04T04:00:00-04:00$/);
+    assert.match(item.endDate, /^2026-07-04T\d\d:\d\d:00-04:00$/);
+    assert.equal(item.eventStatus, 'https://schema.org/EventScheduled');
+    assert.equal(item.location['@type'], 'Place');
+    assert.deepEqual(item.offers, {
+        '@type': 'Offer',
+        name: 'Volunteer sign-up',
+        url: 'https://example.org/volunteer?id=1',
+        price: 0,
+        priceCurrency: 'USD',
+        availability: 'https://schema.org/InStock'
+    });
+});
+
+test('eventToJSONLD uses dates for all-day events and the club website for the organizer', () => {
+    const item = eventToJSONLD(byId(2), { clubs });
+
+    assert.equal(item.startDate, '2026-01-31');
+    assert.equal(item.endDate, '2026-02-01');
+    assert.deepEqual(item.organizer, { '@type': 'Organization', name: 'Alford Memorial Radio Club', url: 'https://example.org/alford' });
+    assert.equal(item.offers, undefined);
+});
+
+test('eventToJSONLD maps cancelled and rescheduled events', () => {
+    assert.equal(eventToJSONLD({ ...byId(3), status: 'cancelled' }).eventStatus, 'https://schema.org/EventCancelled');
+    assert.equal(eventToJSONLD({ ...byId(3), status: 'postponed' }).eventStatus, 'https://schema.org/EventPostponed');
+
+    const moved = eventToJSONLD(normalizeEvent({ ...fixture.events[2], status: 'postponed', postponedTo: '2026-04-25' }));
+    assert.equal(moved.eventStatus, 'https://schema.org/EventRescheduled');
+    assert.equal(moved.startDate, '2026-04-25');
+    assert.equal(moved.previousStartDate, '2026-04-18');
+});
+
+test('getStructuredEvents lists upcoming events once each, in date order', () => {
+    const names = getStructuredEvents(events, TODAY).map(item => item.name);
+
+    assert.deepEqual(names, ['Club Meeting', 'Month Boundary Hamfest', 'Georgia Parks on the Air', 'Peachtree Road Race']);
+    assert.equal(getStructuredEvents(events, TODAY)[0].startDate, '2026-01-13T19:30:00-05:00');
+});
+
+test('injectStructuredData rewrites only the eventStructuredData block', () => {
+    const html = [
+        '<head>',
+        '    <script type="application/ld+json">{"@type": "Organization"}</script>',
+        '    <script type="application/ld+json" id="eventStructuredData">',
+        '    old',
+        '    </script>',
+        '</head>'
+    ].join('\n');
+
+    const updated = injectStructuredData(html, [{ '@type': 'Event', name: '</script> Hamfest' }]);
+    assert.match(updated, /\{"@type": "Organization"\}/);
+    assert.doesNotMatch(updated, /old/);
+    assert.match(updated, /"name": "\\u003c\/script> Hamfest"/);
+
+    const json = updated.slice(updated.indexOf('id="eventStructuredData">') + 25, updated.lastIndexOf('</script>'));
+    assert.deepEqual(JSON.parse(json), { '@context': 'https://schema.org', '@graph': [{ '@type': 'Event', name: '</script> Hamfest' }] });
+
+    assert.throws(() => injectStructuredData('<head></head>', []), /eventStructuredData/);
+});
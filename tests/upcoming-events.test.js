@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadCalendar } = require('./helpers/browser');
+const fixture = require('./fixtures/events.json');
+
+// "Today" for these tests: Saturday, January 10, 2026, mid-morning
+const NOW = new Date(2026, 0, 10, 10, 0, 0);
+
+function loadWidget(options = {}) {
+    return loadCalendar({
+        now: NOW,
+        events: fixture.events,
+        scripts: ['js/calendar-core.js', 'js/upcoming-events.js'],
+        ...options
+    });
+}
+
+function render(widget, options) {
+    const { normalizeEvent } = widget.context.CalendarCore;
+    return widget.context.window.UpcomingEvents.renderUpcomingEvents(fixture.events.map(normalizeEvent), options);
+}
+
+const titles = html => [...html.matchAll(/upcoming-title[^>]*>([^<]*)</g)].map(match => match[1]);
+
+test('lists the next events in date order, expanding recurring ones', () => {
+    const html = render(loadWidget(), { count: 4 });
+
+    assert.deepEqual(titles(html), ['Club Meeting', 'Month Boundary Hamfest', 'Club Meeting', 'Club Meeting']);
+    // Occurrences link to their own date
+    assert.match(html, /href="index\.html#event=4&date=2026-01-13"/);
+    assert.match(html, /href="index\.html#event=2"/);
+});
+
+test('filters by event type and prefixes links for pages/', () => {
+    const html = render(loadWidget(), { type: 'public-service', pathPrefix: '../' });
+
+    assert.deepEqual(titles(html), ['Peachtree Road Race']);
+    assert.match(html, /href="\.\.\/index\.html#event=1"/);
+    assert.match(html, /href="\.\.\/index\.html#calendar"/);
+});
+
+test('shows a message when nothing is coming up', () => {
+    const html = render(loadWidget(), { type: 'training' });
+    assert.match(html, /upcoming-empty/);
+});
+
+test('fills every [data-upcoming-events] element on the page', async () => {
+    const containers = [];
+    const widget = loadWidget({
+        url: '/pages/getstarted.html',
+        files: { '../data/events.json': fixture },
+        setup: document => {
+            const first = document.createElement('div');
+            first.dataset = { count: '1' };
+            const second = document.createElement('div');
+            second.dataset = { type: 'activity' };
+            containers.push(first, second);
+            document.selectorResults.set('[data-upcoming-events]', containers);
+        }
+    });
+    await widget.context.window.UpcomingEvents.loadUpcomingEvents();
+
+    assert.deepEqual(titles(containers[0].innerHTML), ['Club Meeting']);
+    assert.deepEqual(titles(containers[1].innerHTML), ['Georgia Parks on the Air']);
+    assert.ok(containers[0].classList.contains('upcoming-events'));
+    assert.match(containers[1].innerHTML, /href="\.\.\/index\.html#event=3"/);
+});
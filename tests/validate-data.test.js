@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateData, validateDataFiles, checkEventRules, checkClubRules, checkClubReferences } = require('../scripts/validate-data');
+const eventsSchema = require('../data/events.schema.json');
+const clubsSchema = require('../data/clubs.schema.json');
+
+const validEvent = {
+    id: 1,
+    title: 'Peachtree Road Race',
+    type: 'public-service',
+    startDate: '2026-07-04',
+    startTime: '06:00',
+    endTime: '12:00',
+    eventLocation: 'Lenox Square, Atlanta, GA',
+    eventUrl: 'https://www.atlantatrackclub.org/peachtree'
+};
+
+const validClub = {
+    id: 'example-radio-club',
+    name: 'Example Radio Club',
+    type: 'general',
+    location: 'Decatur',
+    website: 'https://example.org/',
+    links: []
+};
+
+const clubsData = { counties: [{ name: 'DeKalb County', clubs: [validClub] }] };
+
+// "pointer: message" for each problem with events.json holding these events
+function eventErrors(...events) {
+    const data = { events };
+    const errors = validateData(data, eventsSchema, checkEventRules);
+    checkClubReferences(data, clubsData, errors);
+    return errors.map(({ pointer, message }) => `${pointer}: ${message}`);
+}
+
+function clubErrors(data) {
+    return validateData(data, clubsSchema, checkClubRules).map(({ pointer, message }) => `${pointer}: ${message}`);
+}
+
+test('the bundled data files are valid', () => {
+    assert.deepEqual(validateDataFiles(), []);
+});
+
+test('a complete event passes', () => {
+    assert.deepEqual(eventErrors(validEvent, { ...validEvent, id: 2, clubId: 'example-radio-club' }), []);
+});
+
+test('event ids must be unique', () => {
+    assert.deepEqual(eventErrors(validEvent, { ...validEvent }), [
+        '/events/1/id: duplicate id 1 (also used at /events/0)'
+    ]);
+});
+
+test('event types come from the list', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, type: 'race' }), [
+        '/events/0/type: must be one of "public-service", "activity", "meeting", "training" (got "race")'
+    ]);
+});
+
+test('dates must be real days', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, startDate: '2026-02-29' }), [
+        '/events/0/startDate: must be a real date in YYYY-MM-DD format (got "2026-02-29")'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, endDate: '2026-02-30' }), [
+        '/events/0/endDate: must be a real date in YYYY-MM-DD format (got "2026-02-30")'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, startDate: '2028-02-29' }), []);
+});
+
+test('an event can\'t end before it starts', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, endDate: '2026-07-03' }), [
+        '/events/0/endDate: 2026-07-03 is before startDate 2026-07-04'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, startTime: '12:00', endTime: '06:00' }), [
+        '/events/0/endTime: 06:00 is before startTime 12:00'
+    ]);
+    // Across days the times belong to different dates
+    assert.deepEqual(eventErrors({ ...validEvent, endDate: '2026-07-05', startTime: null, endTime: null }), []);
+});
+
+test('times are 24-hour HH:MM', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, startTime: '6:00' }), [
+        '/events/0/startTime: must be a 24-hour time in HH:MM format (got "6:00")'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, endTime: '24:00' }), [
+        '/events/0/endTime: must be a 24-hour time in HH:MM format (got "24:00")'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, startTime: '23:59', endTime: '23:59' }), []);
+});
+
+test('links must be http(s) URLs', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, eventUrl: 'javascript:alert(1)' }), [
+        '/events/0/eventUrl: must be a well-formed http(s) URL (got "javascript:alert(1)")'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, volunteerSignUpUrl: 'www.example.org' }), [
+        '/events/0/volunteerSignUpUrl: must be a well-formed http(s) URL (got "www.example.org")'
+    ]);
+    assert.deepEqual(eventErrors({ ...validEvent, eventUrl: 'http://example.org/signup?id=1' }), []);
+});
+
+test('clubId must name a club in clubs.json', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, clubId: 'no-such-club' }), [
+        '/events/0/clubId: unknown club "no-such-club" (no club with that id in data/clubs.json)'
+    ]);
+});
+
+test('schema types are enforced', () => {
+    assert.deepEqual(eventErrors({ ...validEvent, id: '1' }), ['/events/0/id: must be integer']);
+    assert.deepEqual(eventErrors({ ...validEvent, notes: 42 }), ['/events/0/notes: must be string or null']);
+    const { title, ...untitled } = validEvent;
+    assert.deepEqual(eventErrors(untitled), ['/events/0: missing required property "title"']);
+    assert.deepEqual(validateData({ events: {} }, eventsSchema, checkEventRules), [{ pointer: '/events', message: 'must be array' }]);
+});
+
+test('a complete club directory passes', () => {
+    assert.deepEqual(clubErrors(clubsData), []);
+});
+
+test('club ids and county names must be unique', () => {
+    assert.deepEqual(clubErrors({ counties: [
+        { name: 'DeKalb County', clubs: [validClub] },
+        { name: 'dekalb county', clubs: [{ ...validClub, name: 'Another club' }] }
+    ] }), [
+        '/counties/1/name: duplicate county "dekalb county" (also at /counties/0)',
+        '/counties/1/clubs/0/id: duplicate id "example-radio-club" (also at /counties/0/clubs/0)'
+    ]);
+});
+
+test('club fields follow the schema', () => {
+    assert.deepEqual(clubErrors({ counties: [{ name: 'DeKalb County', clubs: [{ ...validClub, id: 'Example Club', website: 'ftp://example.org/' }] }] }), [
+        '/counties/0/clubs/0/id: must match ^[a-z0-9]+(-[a-z0-9]+)*$ (got "Example Club")',
+        '/counties/0/clubs/0/website: must be a well-formed http(s) URL (got "ftp://example.org/")'
+    ]);
+    assert.deepEqual(clubErrors({ counties: [{ name: 'DeKalb County', clubs: [{ ...validClub, lat: 33.77 }] }] }), [
+        '/counties/0/clubs/0: needs both "lat" and "lon"'
+    ]);
+});
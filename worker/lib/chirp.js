@@ -0,0 +1,136 @@
+/**
+ * CHIRP CSV export
+ * Turns parsed ICS-205 channels into the generic CSV that CHIRP imports
+ * (File > Import), one memory per analog channel. The radio receives on the
+ * RX frequency, so that is CHIRP's Frequency; TX becomes a +/- offset, or a
+ * split when it's too far away to be a repeater offset.
+ *
+ * ICS-205 tones are per direction: "RX Tone" is what the radio listens for
+ * and "TX Tone" what it sends. CHIRP spells those combinations with its Tone,
+ * TSQL, DTCS and Cross modes (see toneSettings).
+ */
+
+const CHIRP_COLUMNS = [
+    'Location', 'Name', 'Frequency', 'Duplex', 'Offset', 'Tone', 'rToneFreq', 'cToneFreq',
+    'DtcsCode', 'DtcsPolarity', 'RxDtcsCode', 'CrossMode', 'Mode', 'TStep', 'Skip', 'Power',
+    'Comment', 'URCALL', 'RPT1CALL', 'RPT2CALL', 'DVCODE'
+];
+
+// Beyond this the TX frequency is programmed as a split rather than an offset
+const MAX_OFFSET_MHZ = 10;
+
+// CHIRP wants a value in every tone column, used or not
+const DEFAULT_TONE = '88.5';
+const DEFAULT_DCS = '023';
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const mhz = value => value.toFixed(6);
+
+/**
+ * CHIRP's Tone, rToneFreq, cToneFreq, DtcsCode, DtcsPolarity, RxDtcsCode and
+ * CrossMode for a channel's RX and TX tones (parseTone results or null).
+ * rToneFreq is the tone CHIRP transmits, cToneFreq the one it squelches on.
+ */
+function toneSettings(rxTone, txTone) {
+    const settings = {
+        Tone: '',
+        rToneFreq: DEFAULT_TONE,
+        cToneFreq: DEFAULT_TONE,
+        DtcsCode: DEFAULT_DCS,
+        DtcsPolarity: 'NN',
+        RxDtcsCode: DEFAULT_DCS,
+        CrossMode: 'Tone->Tone'
+    };
+    const rx = rxTone && rxTone.type !== 'nac' ? rxTone : null;
+    const tx = txTone && txTone.type !== 'nac' ? txTone : null;
+    if (!rx && !tx) return settings;
+
+    if (tx && tx.type === 'tone') settings.rToneFreq = tx.value.toFixed(1);
+    if (rx && rx.type === 'tone') settings.cToneFreq = rx.value.toFixed(1);
+    if (tx && tx.type === 'dcs') settings.DtcsCode = tx.value;
+    if (rx && rx.type === 'dcs') settings.RxDtcsCode = rx.value;
+    settings.DtcsPolarity = `${tx && tx.type === 'dcs' ? tx.polarity : 'N'}${rx && rx.type === 'dcs' ? rx.polarity : 'N'}`;
+
+    const same = rx && tx && rx.type === tx.type && rx.value === tx.value;
+    if (tx && tx.type === 'tone' && !rx) {
+        settings.Tone = 'Tone';
+    } else if (same && tx.type === 'tone') {
+        settings.Tone = 'TSQL';
+        settings.rToneFreq = settings.cToneFreq;
+    } else if (same && tx.type === 'dcs') {
+        settings.Tone = 'DTCS';
+        settings.RxDtcsCode = DEFAULT_DCS;
+    } else {
+        const name = tone => (!tone ? '' : tone.type === 'dcs' ? 'DTCS' : 'Tone');
+        settings.Tone = 'Cross';
+        settings.CrossMode = `${name(tx)}->${name(rx)}`;
+    }
+    return settings;
+}
+
+function duplexSettings(channel) {
+    if (channel.txOff) return { Duplex: 'off', Offset: mhz(0) };
+    const offset = channel.txFreq - channel.rxFreq;
+    if (Math.abs(offset) < 0.0000005) return { Duplex: '', Offset: mhz(0) };
+    if (Math.abs(offset) > MAX_OFFSET_MHZ) return { Duplex: 'split', Offset: mhz(channel.txFreq) };
+    return { Duplex: offset > 0 ? '+' : '-', Offset: mhz(Math.abs(offset)) };
+}
+
+// Memory name: the channel name, else its function, else the frequency
+function memoryName(channel) {
+    return (channel.name || channel.function || channel.rxFreq.toFixed(4)).replace(/[^\x20-\x7E]/g, '');
+}
+
+function memoryComment(channel) {
+    return [channel.channel && `Ch ${channel.channel}`, channel.function, channel.assignment, channel.remarks]
+        .filter(Boolean)
+        .join(' / ')
+        .replace(/[^\x20-\x7E]/g, '');
+}
+
+/**
+ * CHIRP CSV text for the channels. Digital channels are left out, since
+ * CHIRP can't program them; each one left out adds a warning.
+ * options.start: the first memory location (default 1).
+ * Returns { csv, count, warnings }.
+ */
+function toChirpCSV(channels, options = {}) {
+    const warnings = [];
+    let location = options.start === undefined ? 1 : options.start;
+    const rows = [];
+
+    channels.forEach(channel => {
+        const label = memoryName(channel);
+        if (channel.mode === 'D') {
+            warnings.push(`${label}: digital channel left out; CHIRP programs analog channels`);
+            return;
+        }
+        if (channel.mode === 'M') warnings.push(`${label}: mixed-mode channel programmed as analog`);
+
+        const memory = {
+            Location: location++,
+            Name: label,
+            Frequency: mhz(channel.rxFreq),
+            ...duplexSettings(channel),
+            ...toneSettings(channel.rxTone, channel.txTone),
+            Mode: channel.width === 'N' ? 'NFM' : 'FM',
+            TStep: '5.00',
+            Skip: '',
+            Power: '',
+            Comment: memoryComment(channel),
+            URCALL: '',
+            RPT1CALL: '',
+            RPT2CALL: '',
+            DVCODE: ''
+        };
+        rows.push(CHIRP_COLUMNS.map(column => csvCell(memory[column])).join(','));
+    });
+
+    return { csv: [CHIRP_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n', count: rows.length, warnings };
+}
+
+module.exports = { CHIRP_COLUMNS, toneSettings, toChirpCSV };
@@ -0,0 +1,51 @@
+/**
+ * ICS-205 to CHIRP conversion
+ * Parses the plan deterministically and, only when that finds no channels,
+ * asks each configured AI provider in turn (see providers.js). Either way the
+ * channels go through the same normalization and CHIRP export.
+ */
+
+const { parseICS205, normalizeChannel } = require('./ics205');
+const { toChirpCSV } = require('./chirp');
+
+/**
+ * Convert an ICS-205 (form field dump, CSV or text) to CHIRP CSV.
+ * options: format and contentType (see parseICS205), providers (AI
+ * fallbacks, default none) and start (first memory location).
+ * Resolves to { source, format, incident, channels, csv, count, warnings };
+ * source is 'parser', a provider's name, or null when nothing was found.
+ */
+async function convertPlan(text, options = {}) {
+    const parsed = parseICS205(text, { format: options.format, contentType: options.contentType });
+    const warnings = [...parsed.warnings];
+    let channels = parsed.channels;
+    let source = channels.length ? 'parser' : null;
+
+    for (const provider of channels.length ? [] : options.providers || []) {
+        try {
+            const rows = await provider.extractChannels(text);
+            const found = rows.map(row => normalizeChannel(row, warnings)).filter(Boolean);
+            if (found.length) {
+                channels = found;
+                source = provider.name;
+                warnings.push(`Channels read by ${provider.name}; check them against the form before programming`);
+                break;
+            }
+        } catch (error) {
+            warnings.push(`${provider.name} failed: ${error.message}`);
+        }
+    }
+
+    const chirp = toChirpCSV(channels, { start: options.start });
+    return {
+        source,
+        format: parsed.format,
+        incident: parsed.incident,
+        channels,
+        csv: chirp.csv,
+        count: chirp.count,
+        warnings: [...warnings, ...chirp.warnings]
+    };
+}
+
+module.exports = { convertPlan };
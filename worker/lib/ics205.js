@@ -0,0 +1,364 @@
+/**
+ * ICS-205 Radio Communications Plan parsing
+ * Pulls the channel table (Ch #, Function, Channel Name, Assignment, RX Freq
+ * and Tone, TX Freq and Tone, Mode, Remarks) out of the three ways a plan
+ * usually arrives:
+ *   - "fields": a fillable PDF's form fields, as dumped by
+ *     `pdftk form.pdf dump_data_fields_utf8` (FieldName/FieldValue blocks);
+ *   - "csv": a spreadsheet export with a header row;
+ *   - "text": `pdftotext -layout form.pdf -` output, or a table pasted from
+ *     a document, one channel per line.
+ * Column names are matched loosely (classifyColumn), since every agency's
+ * form and spreadsheet labels them a little differently. Everything here is
+ * deterministic; the AI fallback lives in providers.js.
+ */
+
+const CTCSS_TONES = [
+    67.0, 69.3, 71.9, 74.4, 77.0, 79.7, 82.5, 85.4, 88.5, 91.5, 94.8, 97.4, 100.0, 103.5, 107.2,
+    110.9, 114.8, 118.8, 123.0, 127.3, 131.8, 136.5, 141.3, 146.2, 150.0, 151.4, 156.7, 159.8,
+    162.2, 165.5, 167.9, 171.3, 173.8, 177.3, 179.9, 183.5, 186.2, 189.9, 192.8, 196.6, 199.5,
+    203.5, 206.5, 210.7, 218.1, 225.7, 229.1, 233.6, 241.8, 250.3, 254.1
+];
+
+// Lowest and highest frequency (MHz) taken as a channel rather than a stray number
+const MIN_FREQUENCY = 25;
+const MAX_FREQUENCY = 1300;
+
+const FREQUENCY_PATTERN = /^(\d{2,4}\.\d{1,6})\s*(?:MHz)?\s*\(?([NW])?\)?$/i;
+const NO_TONE_PATTERN = /^(csq|n\/?a|none|off|-+|—|carrier|no tone)$/i;
+
+/**
+ * What an ICS-205 column holds, from its label: 'channel', 'zone',
+ * 'function', 'name', 'assignment', 'rxFreq', 'rxTone', 'txFreq', 'txTone',
+ * 'tone' (both directions), 'mode' or 'remarks'; null if unrecognized.
+ */
+function classifyColumn(label) {
+    const text = String(label || '').toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+    if (!text) return null;
+    const tone = /\b(tone|nac|ctcss|pl|dcs|cg)\b/.test(text);
+    const rx = /\b(rx|receive|rcv|input)\b/.test(text) || /^rx/.test(text);
+    const tx = /\b(tx|transmit|xmit|output)\b/.test(text) || /^tx/.test(text);
+
+    if (tone && rx) return 'rxTone';
+    if (tone && tx) return 'txTone';
+    if (/\bfreq/.test(text) && rx) return 'rxFreq';
+    if (/\bfreq/.test(text) && tx) return 'txFreq';
+    if (tone) return 'tone';
+    if (/\bmode\b/.test(text)) return 'mode';
+    if (/\b(channel name|talkgroup|alpha tag|name|label)\b/.test(text)) return 'name';
+    if (/\bfunction\b/.test(text)) return 'function';
+    if (/\bassignment\b/.test(text)) return 'assignment';
+    if (/\b(remarks|notes|comments?)\b/.test(text)) return 'remarks';
+    if (/\b(zone|group)\b/.test(text)) return 'zone';
+    if (/^(ch|chan|channel|ch #|#|no|number|location)\b/.test(text)) return 'channel';
+    if (/\bfreq/.test(text)) return 'rxFreq';
+    return null;
+}
+
+// "146.5200 W" -> { mhz: 146.52, width: 'W' }, or null
+function parseFrequency(value) {
+    const match = String(value || '').trim().match(FREQUENCY_PATTERN);
+    if (!match) return null;
+    const mhz = Number(match[1]);
+    if (mhz < MIN_FREQUENCY || mhz > MAX_FREQUENCY) return null;
+    return { mhz, width: match[2] ? match[2].toUpperCase() : null };
+}
+
+/**
+ * A tone cell as { type: 'tone', value: 100.0 }, { type: 'dcs', value:
+ * '023', polarity: 'N' }, { type: 'nac', value: '293' }, null for no tone
+ * (blank, CSQ, N/A), or undefined if the text isn't a tone at all.
+ */
+function parseTone(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text || NO_TONE_PATTERN.test(text)) return null;
+
+    const nac = text.match(/^(?:\$|nac\s*)([0-9a-f]{3})$|^([0-9a-f]{3})\s*nac$/i);
+    if (nac) return { type: 'nac', value: (nac[1] || nac[2]).toUpperCase() };
+
+    const dcs = text.match(/^(?:d|dcs\s*)([0-7]{3})\s*([ni])?$/i) || text.match(/^([0-7]{3})\s*([ni])$/i);
+    if (dcs) return { type: 'dcs', value: dcs[1], polarity: (dcs[2] || 'N').toUpperCase() };
+
+    const ctcss = text.match(/^(\d{2,3}(?:\.\d{1,2})?)\s*(?:hz)?(?:\s*(?:pl|ctcss))?$/i);
+    if (ctcss) {
+        const hz = Number(ctcss[1]);
+        if (hz >= 60 && hz <= 260) return { type: 'tone', value: Math.round(hz * 10) / 10 };
+        // A bare three-digit octal code (023, 754) is DCS
+        if (/^[0-7]{3}$/.test(ctcss[1])) return { type: 'dcs', value: ctcss[1], polarity: 'N' };
+    }
+    return undefined;
+}
+
+// 'A' (analog), 'D' (digital) or 'M' (mixed), or null if the text isn't a mode
+function parseMode(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (/^(a|analog|analogue|fm|nfm|wfm|am)$/.test(text)) return 'A';
+    if (/^(d|digital|p25|dmr|d-?star|nxdn|ysf|fusion|c4fm|dv)$/.test(text)) return 'D';
+    if (/^(m|mixed)$/.test(text)) return 'M';
+    return null;
+}
+
+const clean = value => String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ').trim();
+
+/**
+ * One channel from a { column: cell } row (columns as classifyColumn names
+ * them), or null when it has no usable receive frequency. warnings gets a
+ * message for each cell that couldn't be read.
+ */
+function normalizeChannel(row, warnings = []) {
+    const rx = parseFrequency(row.rxFreq);
+    if (!rx) return null;
+    const label = clean(row.name) || clean(row.channel) || rx.mhz.toFixed(4);
+
+    let tx = rx;
+    const txText = clean(row.txFreq);
+    if (txText) {
+        tx = parseFrequency(txText);
+        if (!tx) {
+            warnings.push(`${label}: TX frequency "${txText}" not understood; using the RX frequency`);
+            tx = rx;
+        }
+    }
+
+    const readTone = (text, which) => {
+        const tone = parseTone(text);
+        if (tone === undefined) {
+            warnings.push(`${label}: ${which} tone "${clean(text)}" not understood; left off`);
+            return null;
+        }
+        if (tone && tone.type === 'tone' && !CTCSS_TONES.includes(tone.value)) {
+            warnings.push(`${label}: ${tone.value} Hz is not a standard CTCSS tone`);
+        }
+        return tone;
+    };
+    const shared = row.tone !== undefined ? readTone(row.tone, 'RX/TX') : null;
+    const rxTone = row.rxTone !== undefined ? readTone(row.rxTone, 'RX') : shared;
+    const txTone = row.txTone !== undefined ? readTone(row.txTone, 'TX') : shared;
+
+    const modeText = clean(row.mode);
+    let mode = parseMode(modeText);
+    if (modeText && !mode) warnings.push(`${label}: mode "${modeText}" not understood; taken as analog`);
+    // P25 NACs only make sense on a digital channel
+    if (!mode) mode = (rxTone && rxTone.type === 'nac') || (txTone && txTone.type === 'nac') ? 'D' : 'A';
+
+    return {
+        channel: clean(row.channel) || null,
+        zone: clean(row.zone) || null,
+        function: clean(row.function) || null,
+        name: clean(row.name) || null,
+        assignment: clean(row.assignment) || null,
+        rxFreq: rx.mhz,
+        txFreq: txText ? tx.mhz : rx.mhz,
+        txOff: !txText && /\b(rx|receive|monitor) only\b/i.test(clean(row.remarks)),
+        width: rx.width || tx.width || null,
+        rxTone,
+        txTone,
+        mode,
+        remarks: clean(row.remarks) || null
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Input formats
+
+// Which parser suits `text` ('fields', 'csv' or 'text'); contentType is a hint
+function detectFormat(text, contentType = '') {
+    if (/^FieldName:/m.test(text)) return 'fields';
+    if (/csv/i.test(contentType)) return 'csv';
+    const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+    const cells = splitCSVLine(firstLine);
+    if (cells.length >= 3 && cells.filter(classifyColumn).length >= 2 && !/\t/.test(firstLine)) return 'csv';
+    return 'text';
+}
+
+// One CSV line into cells, honoring quotes ("" is a literal quote)
+function splitCSVLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+    return cells;
+}
+
+// CSV text into rows of cells; quoted cells may span lines
+function parseCSV(text) {
+    const rows = [];
+    let pending = '';
+    text.split(/\r?\n/).forEach(line => {
+        pending = pending ? `${pending}\n${line}` : line;
+        // An odd number of quotes means a quoted cell continues on the next line
+        if ((pending.match(/"/g) || []).length % 2 === 1) return;
+        rows.push(splitCSVLine(pending));
+        pending = '';
+    });
+    if (pending) rows.push(splitCSVLine(pending));
+    return rows.filter(row => row.some(cell => cell.trim()));
+}
+
+// Header cells into column names; a row is a header when it names an RX frequency
+function mapHeader(cells) {
+    const columns = cells.map(classifyColumn);
+    if (!columns.includes('rxFreq')) return null;
+    // A second frequency column after the RX one is the TX frequency
+    const freqs = columns.map((column, i) => (column === 'rxFreq' ? i : -1)).filter(i => i !== -1);
+    if (freqs.length > 1 && !columns.includes('txFreq')) columns[freqs[1]] = 'txFreq';
+    return columns;
+}
+
+function rowFromCells(columns, cells) {
+    const row = {};
+    columns.forEach((column, i) => {
+        if (!column || cells[i] === undefined) return;
+        row[column] = row[column] ? `${row[column]} ${cells[i]}` : cells[i];
+    });
+    return row;
+}
+
+function parseCSVPlan(text, warnings) {
+    const rows = parseCSV(text);
+    const headerIndex = rows.findIndex(cells => mapHeader(cells));
+    if (headerIndex === -1) {
+        // No header we recognize: read each row like a line of pasted text
+        return rows.map(cells => rowFromTokens(cells.map(clean).filter(Boolean))).filter(Boolean);
+    }
+    const columns = mapHeader(rows[headerIndex]);
+    return rows.slice(headerIndex + 1).map(cells => rowFromCells(columns, cells.map(clean)));
+}
+
+// pdftk dump_data_fields blocks into rows, keyed by the row number in each field name
+function parseFieldsPlan(text, warnings, meta) {
+    const rows = new Map();
+    text.split(/^---\s*$/m).forEach(block => {
+        const name = (block.match(/^FieldName:\s*(.*)$/m) || [])[1];
+        const value = (block.match(/^FieldValue:\s*([\s\S]*?)(?=^Field\w+:|(?![\s\S]))/m) || [])[1];
+        if (!name || value === undefined || !value.trim()) return;
+
+        if (/incident\s*name/i.test(name)) {
+            meta.incident = clean(value);
+            return;
+        }
+        // "RX Freq N or WRow3", "Ch Row 3", "txtone_3"
+        const match = name.trim().match(/^(.*?)[\s_.-]*(?:row)?[\s_.-]*(\d+)$/i);
+        if (!match) return;
+        const column = classifyColumn(match[1]);
+        if (!column) return;
+        const row = rows.get(match[2]) || {};
+        row[column] = value.trim();
+        rows.set(match[2], row);
+    });
+    return [...rows.entries()].sort((a, b) => Number(a[0]) - Number(b[0])).map(([, row]) => row);
+}
+
+// In a table row "146.2" is a tone; frequencies have three decimals or an N/W
+const isFrequencyToken = token => !!parseFrequency(token) && /\.\d{3}|[NW]\)?$/i.test(token);
+const isToneToken = token => parseTone(token) !== undefined && !isFrequencyToken(token);
+
+/**
+ * One line of a pasted or pdftotext table, already split into cells, read
+ * by what each cell looks like: the first frequency is RX and the second
+ * TX, a tone after each belongs to it, then the mode and the remarks. Text
+ * before the first frequency is function, name and assignment.
+ */
+function rowFromTokens(tokens) {
+    const firstFreq = tokens.findIndex(isFrequencyToken);
+    if (firstFreq === -1) return null;
+
+    const row = {};
+    const before = tokens.slice(0, firstFreq);
+    if (before.length && /^\d{1,4}[a-z]?$/i.test(before[0])) row.channel = before.shift();
+    if (before.length === 1) {
+        row.name = before[0];
+    } else if (before.length === 2) {
+        [row.function, row.name] = before;
+    } else if (before.length > 2) {
+        [row.function, row.name] = before;
+        row.assignment = before.slice(2).join(' ');
+    }
+
+    let i = firstFreq;
+    row.rxFreq = tokens[i++];
+    if (i < tokens.length && isToneToken(tokens[i])) row.rxTone = tokens[i++];
+    if (i < tokens.length && isFrequencyToken(tokens[i])) {
+        row.txFreq = tokens[i++];
+        if (i < tokens.length && isToneToken(tokens[i])) row.txTone = tokens[i++];
+    }
+    if (i < tokens.length && parseMode(tokens[i])) row.mode = tokens[i++];
+    if (i < tokens.length) row.remarks = tokens.slice(i).join(' ');
+    return row;
+}
+
+// Frequency cells may carry their N/W on the next cell ("146.5200  W")
+function joinWidths(tokens) {
+    const joined = [];
+    tokens.forEach(token => {
+        const previous = joined[joined.length - 1];
+        if (/^[NW]$/i.test(token) && previous && parseFrequency(previous) && !/[NW]\)?$/i.test(previous)) {
+            joined[joined.length - 1] = `${previous} ${token}`;
+        } else {
+            joined.push(token);
+        }
+    });
+    return joined;
+}
+
+function parseTextPlan(text, warnings, meta) {
+    const incident = text.match(/incident\s*name\s*[:.]?\s*(.+)/i);
+    if (incident) meta.incident = clean(incident[1].split(/\s{2,}|\t/)[0]) || null;
+
+    return text.split(/\r?\n/).map(line => {
+        // Cells are separated by tabs or runs of two or more spaces
+        const tokens = joinWidths(line.split(/\t|\s{2,}/).map(clean).filter(Boolean));
+        return rowFromTokens(tokens);
+    }).filter(Boolean);
+}
+
+/**
+ * Channels from an ICS-205 in any supported format. options.format forces
+ * 'fields', 'csv' or 'text'; options.contentType helps detection.
+ * Returns { format, incident, channels, warnings }.
+ */
+function parseICS205(text, options = {}) {
+    const format = options.format || detectFormat(text, options.contentType);
+    const warnings = [];
+    const meta = { incident: null };
+    const parsers = { fields: parseFieldsPlan, csv: parseCSVPlan, text: parseTextPlan };
+    if (!parsers[format]) throw new Error(`unknown format "${format}"`);
+
+    const channels = parsers[format](text, warnings, meta)
+        .map(row => normalizeChannel(row, warnings))
+        .filter(Boolean);
+    return { format, incident: meta.incident, channels, warnings };
+}
+
+module.exports = {
+    CTCSS_TONES,
+    classifyColumn,
+    parseFrequency,
+    parseTone,
+    parseMode,
+    normalizeChannel,
+    detectFormat,
+    parseCSV,
+    parseICS205
+};
@@ -0,0 +1,151 @@
+/**
+ * AI fallback for ICS-205 channel extraction
+ * The deterministic parser (ics205.js) handles forms that keep the standard
+ * table layout. When it finds no channels at all, the worker can hand the
+ * text to an AI model instead, if one is configured. A provider is any object
+ * with:
+ *   name                  - for logs and the response's "source"
+ *   extractChannels(text) - resolves to an array of channel rows, objects
+ *                           keyed like the parser's columns (channel, function,
+ *                           name, assignment, rxFreq, rxTone, txFreq, txTone,
+ *                           mode, remarks) with string values
+ * Rows are normalized by the same code as parsed ones, so a model can't put
+ * anything in the CHIRP file that a form couldn't.
+ *
+ * createProviders reads the keys from .env.example, in order: the
+ * DigitalOcean AI agent, OpenAI, then Gradient. With no keys the worker is
+ * parser-only. createStubProvider stands in for a model in tests and local
+ * development.
+ */
+
+const fs = require('fs');
+
+const REQUEST_TIMEOUT_MS = 30000;
+// Forms are a few pages; anything longer is not an ICS-205
+const MAX_PROMPT_CHARS = 20000;
+
+const PROMPT = `You extract the channel table from an ICS-205 Incident Radio Communications Plan.
+Reply with only a JSON array, one object per channel row, using these keys with string values:
+channel, function, name, assignment, rxFreq, rxTone, txFreq, txTone, mode, remarks.
+Frequencies are in MHz with an optional N or W suffix (for example "146.5200 W").
+Tones are CTCSS in Hz ("100.0"), DCS codes ("D023N"), or "" for none. Mode is "A", "D" or "M".
+Leave out rows with no frequency. Do not invent channels that are not in the form.`;
+
+// .env.example placeholders count as unset
+const isSet = value => !!value && !/^your_/.test(value);
+
+/**
+ * The JSON array in a model's reply, which may be wrapped in a code fence
+ * or a sentence; throws if there isn't one.
+ */
+function parseChannelReply(reply) {
+    const text = String(reply || '');
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end < start) throw new Error('reply has no JSON array');
+    const rows = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(rows)) throw new Error('reply is not an array');
+    return rows.filter(row => row && typeof row === 'object');
+}
+
+async function postJSON(fetchImpl, url, headers, body) {
+    const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+// Any OpenAI-style chat completions endpoint (OpenAI itself, DigitalOcean agents)
+function createChatProvider({ name, url, apiKey, model, fetch: fetchImpl = fetch }) {
+    return {
+        name,
+        async extractChannels(text) {
+            const body = {
+                messages: [
+                    { role: 'system', content: PROMPT },
+                    { role: 'user', content: text.slice(0, MAX_PROMPT_CHARS) }
+                ],
+                temperature: 0
+            };
+            if (model) body.model = model;
+            const result = await postJSON(fetchImpl, url, { Authorization: `Bearer ${apiKey}` }, body);
+            const choice = result.choices && result.choices[0];
+            return parseChannelReply(choice && choice.message && choice.message.content);
+        }
+    };
+}
+
+// Gradient's completion API takes a single prompt and answers in generatedOutput
+function createGradientProvider({ apiKey, workspaceId, model, fetch: fetchImpl = fetch }) {
+    return {
+        name: 'gradient',
+        async extractChannels(text) {
+            const result = await postJSON(
+                fetchImpl,
+                `https://api.gradient.ai/api/models/${encodeURIComponent(model)}/complete`,
+                { Authorization: `Bearer ${apiKey}`, 'x-gradient-workspace-id': workspaceId },
+                { query: `${PROMPT}\n\n${text.slice(0, MAX_PROMPT_CHARS)}`, maxGeneratedTokenCount: 4000 }
+            );
+            return parseChannelReply(result.generatedOutput);
+        }
+    };
+}
+
+/**
+ * A provider that answers every request with the same rows: an array, or a
+ * function of the text returning one. Use it in tests, or locally by pointing
+ * ICS205_AI_STUB at a JSON file of rows.
+ */
+function createStubProvider(rows) {
+    return {
+        name: 'stub',
+        async extractChannels(text) {
+            return typeof rows === 'function' ? rows(text) : rows;
+        }
+    };
+}
+
+/**
+ * The configured providers, in the order to try them. env defaults to
+ * process.env; options.fetch replaces the global fetch.
+ */
+function createProviders(env = process.env, options = {}) {
+    const providers = [];
+    const fetchImpl = options.fetch || fetch;
+
+    if (isSet(env.ICS205_AI_STUB)) {
+        return [createStubProvider(JSON.parse(fs.readFileSync(env.ICS205_AI_STUB, 'utf8')))];
+    }
+    if (isSet(env.DO_AI_AGENT_URL) && isSet(env.DO_AI_AGENT_API_KEY)) {
+        providers.push(createChatProvider({
+            name: 'do-ai-agent',
+            url: `${env.DO_AI_AGENT_URL.replace(/\/+$/, '')}/api/v1/chat/completions`,
+            apiKey: env.DO_AI_AGENT_API_KEY,
+            fetch: fetchImpl
+        }));
+    }
+    if (isSet(env.OPENAI_API_KEY)) {
+        providers.push(createChatProvider({
+            name: 'openai',
+            url: 'https://api.openai.com/v1/chat/completions',
+            apiKey: env.OPENAI_API_KEY,
+            model: env.OPENAI_MODEL || 'gpt-4o-mini',
+            fetch: fetchImpl
+        }));
+    }
+    if (isSet(env.GRADIENT_AI_API_KEY) && isSet(env.GRADIENT_AI_WORKSPACE_ID) && isSet(env.GRADIENT_AI_MODEL)) {
+        providers.push(createGradientProvider({
+            apiKey: env.GRADIENT_AI_API_KEY,
+            workspaceId: env.GRADIENT_AI_WORKSPACE_ID,
+            model: env.GRADIENT_AI_MODEL,
+            fetch: fetchImpl
+        }));
+    }
+    return providers;
+}
+
+module.exports = { PROMPT, parseChannelReply, createChatProvider, createGradientProvider, createStubProvider, createProviders };
@@ -0,0 +1,155 @@
+/**
+ * ICS-205 to CHIRP conversion worker
+ * The ics205-parser-worker service in .do/app.yaml. Dependency-free; run it
+ * with `node worker/server.js` (PORT defaults to 8080).
+ *
+ *   GET  /health     - { status: 'ok', providers: [...] } for the health check
+ *   POST /api/ics205 - an ICS-205 in the body, CHIRP CSV back
+ *
+ * The plan goes in the request body as text/plain (pasted text, or
+ * `pdftotext -layout` output), text/csv, the output of
+ * `pdftk form.pdf dump_data_fields_utf8`, or application/json
+ * { text, format, start }. ?format= forces 'fields', 'csv' or 'text' and
+ * ?start= sets the first memory location. The reply is the CSV as a
+ * download, or with Accept: application/json,
+ * { source, format, incident, channels, csv, count, warnings }.
+ *
+ * App Platform strips the /api/ics205 route prefix before forwarding, so
+ * the converter answers at / as well.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { convertPlan } = require('./lib/convert');
+const { createProviders } = require('./lib/providers');
+
+const DEFAULT_PORT = 8080;
+const MAX_BODY_BYTES = 1024 * 1024;
+const CONVERT_PATHS = ['/', '/api/ics205'];
+const FORMATS = ['fields', 'csv', 'text'];
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// An oversized body stops being read rather than cut off, so the client gets
+// the 413; that reply closes the connection (see createServer)
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.removeListener('data', onData);
+                req.pause();
+                chunks.length = 0;
+                reject(new RequestError(413, `Plans are limited to ${MAX_BODY_BYTES / 1024} KB of text`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// The plan text and options from the body and query string
+function readPlan(body, contentType, query) {
+    let text = body.toString('utf8');
+    let options = {};
+    if (/application\/json/i.test(contentType)) {
+        try {
+            ({ text, ...options } = JSON.parse(text));
+        } catch (error) {
+            throw new RequestError(400, 'Request body is not valid JSON');
+        }
+    }
+    if (typeof text !== 'string' || !text.trim()) throw new RequestError(400, 'Send the ICS-205 text in the request body');
+    if (text.startsWith('%PDF')) {
+        throw new RequestError(415, 'Send the PDF\'s text, not the PDF: `pdftk form.pdf dump_data_fields_utf8` for a fillable form, or `pdftotext -layout form.pdf -`');
+    }
+
+    const format = query.get('format') || options.format;
+    if (format && !FORMATS.includes(format)) throw new RequestError(400, `format must be one of ${FORMATS.join(', ')}`);
+    const start = query.get('start') || options.start;
+    if (start !== undefined && start !== null && !/^\d+$/.test(String(start))) throw new RequestError(400, 'start must be a whole number');
+
+    return { text, format, start: start === undefined || start === null ? undefined : Number(start) };
+}
+
+async function handleConvert(req, res, url, providers) {
+    const contentType = req.headers['content-type'] || '';
+    const plan = readPlan(await readBody(req), contentType, url.searchParams);
+    const result = await convertPlan(plan.text, { ...plan, contentType, providers });
+
+    if (!result.count) {
+        sendJSON(res, 422, {
+            error: result.channels.length ? 'The plan has only digital channels' : 'No channels found in the plan',
+            warnings: result.warnings
+        });
+        return;
+    }
+    if (/application\/json/i.test(req.headers.accept || '')) {
+        sendJSON(res, 200, result);
+        return;
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="ics205-chirp.csv"',
+        'X-Channel-Count': String(result.count),
+        'X-Channel-Source': result.source
+    });
+    res.end(result.csv);
+}
+
+/**
+ * The worker's HTTP server, not yet listening. options.providers replaces
+ * the AI providers configured from the environment (pass [] for none).
+ */
+function createServer(options = {}) {
+    const providers = options.providers || createProviders();
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname === '/health') {
+                if (req.method !== 'GET' && req.method !== 'HEAD') throw new RequestError(405, 'Use GET');
+                sendJSON(res, 200, { status: 'ok', providers: providers.map(provider => provider.name) });
+            } else if (CONVERT_PATHS.includes(url.pathname.replace(/\/+$/, '') || '/')) {
+                if (req.method !== 'POST') throw new RequestError(405, 'POST an ICS-205 to convert it');
+                await handleConvert(req, res, url, providers);
+            } else {
+                throw new RequestError(404, 'Not found');
+            }
+        } catch (error) {
+            if (!(error instanceof RequestError)) console.error(`✗ ${req.method} ${url.pathname}: ${error.stack || error.message}`);
+            if (res.headersSent) return;
+            // The unread rest of an oversized body goes with the connection
+            if (error.status === 413) res.setHeader('Connection', 'close');
+            sendJSON(res, error.status || 500, { error: error instanceof RequestError ? error.message : 'Conversion failed' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const providers = createProviders();
+    createServer({ providers }).listen(port, () => {
+        console.log(`✓ ICS-205 worker listening on port ${port}`);
+        console.log(providers.length
+            ? `  AI fallback: ${providers.map(provider => provider.name).join(', ')}`
+            : '  AI fallback: none configured (parser only)');
+    });
+}
+
+module.exports = { createServer };